@@ -0,0 +1,454 @@
+/**
+ * Claude Export Analysis Report
+ *
+ * DESCRIPTION: Turns the results of analyze_claude_export.js into a report to read or share, as Markdown
+ *              or as a self-contained HTML page: one section per analysis, with tables and simple inline
+ *              SVG bar charts. The private variant of the results leaves out message previews, attachment
+ *              contents, conversation titles and the export's full path.
+ * AUTHOR: EJ Makela
+ * ORIGINAL CREATION DATE: 2026-10-19
+ */
+
+// Import required Node.js modules
+const path = require('path');       // Path manipulation utilities (file names for the private report)
+const { escapeHtml, markdownToHtml, renderHtmlPage } = require('./html_renderer');
+
+// ===== CONFIGURATION SECTION =====
+
+const CHART_WIDTH = 560;       // Width of a bar chart in pixels
+const CHART_LABEL_WIDTH = 150; // Space for the labels left of the bars
+const CHART_ROW_HEIGHT = 20;
+const CHART_MAX_ROWS = 24;     // Longer lists show their largest values only
+const BAR_COLOR = '#4f7fd9';
+
+// Extra page styles for the HTML report, so the charts follow the light and dark themes
+const REPORT_STYLES = `
+.chart { display: block; max-width: 100%; height: auto; margin: 0.75rem 0 1.25rem; }
+.chart .bar { fill: var(--human-accent); }
+.chart text { fill: var(--fg); font: 12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif; }
+.chart .value { fill: var(--muted); }
+`;
+
+// ===== PRIVACY FUNCTIONS =====
+
+/**
+ * Names a conversation by the start of its UUID, for private reports
+ *
+ * @param {string|null} uuid - Conversation UUID
+ * @returns {string} - First 8 characters of the UUID, or 'Untitled'
+ */
+function shortId(uuid) {
+    return uuid ? uuid.slice(0, 8) : 'Untitled';
+}
+
+/**
+ * Copies analysis results without the parts that show what was said
+ * Message and artifact previews and attachment contents are dropped, conversation titles are replaced
+ * by the start of their UUID, artifact titles and ids are dropped, and the export path is reduced to its file name. Counts, types and field
+ * names stay, so the report still describes the export.
+ *
+ * @param {Object} results - Results of analyzeExport()
+ * @returns {Object} - Private copy of the results, marked with private: true
+ */
+function makePrivateAnalysis(results) {
+    const copy = JSON.parse(JSON.stringify(results));
+    copy.private = true;
+
+    if (copy.file_info) {
+        copy.file_info.path = path.basename(copy.file_info.path);
+    }
+    if (copy.attachments && copy.attachments.sample_attachments) {
+        copy.attachments.sample_attachments = copy.attachments.sample_attachments.map(sample => ({
+            conversation_name: null,
+            message_sender: sample.message_sender,
+            attachment_structure: sample.attachment_structure
+        }));
+    }
+    if (copy.artifacts) {
+        // Artifact titles and ids describe their content, so they go too
+        copy.artifacts.sample_artifacts = copy.artifacts.sample_artifacts.map(sample => {
+            const kept = Object.assign({}, sample, { conversation_name: null, title: null });
+            delete kept.content_preview;
+            return kept;
+        });
+        copy.artifacts.failed_updates = copy.artifacts.failed_updates.map(failure =>
+            Object.assign({}, failure, { conversation_name: shortId(failure.conversation_uuid), artifact_id: null, artifact_title: null }));
+        copy.artifacts.top_conversations = copy.artifacts.top_conversations.map(conv =>
+            Object.assign({}, conv, { name: shortId(conv.uuid) }));
+        if (copy.artifacts.sizes.largest) {
+            copy.artifacts.sizes.largest = Object.assign({}, copy.artifacts.sizes.largest, { conversation_name: null, title: null });
+        }
+    }
+    if (copy.activity) {
+        ['longest_conversations', 'most_active_conversations'].forEach(key => {
+            copy.activity[key] = copy.activity[key].map(conv => Object.assign({}, conv, { name: shortId(conv.uuid) }));
+        });
+    }
+    return copy;
+}
+
+// ===== CHART FUNCTIONS =====
+
+/**
+ * Draws a horizontal bar chart as inline SVG
+ * Text uses currentColor, so the chart stays readable when a Markdown viewer shows it on a dark page.
+ *
+ * @param {string} title - Accessible title of the chart
+ * @param {Array} rows - { label, value } in the order to draw them
+ * @returns {string} - <svg> element on one line, or '' if every value is 0
+ */
+function renderBarChart(title, rows) {
+    const shown = rows.length > CHART_MAX_ROWS
+        ? rows.slice().sort((a, b) => b.value - a.value).slice(0, CHART_MAX_ROWS)
+        : rows;
+    const max = Math.max(0, ...shown.map(row => row.value));
+    if (max === 0) return '';
+
+    const barSpace = CHART_WIDTH - CHART_LABEL_WIDTH - 60;
+    const height = shown.length * CHART_ROW_HEIGHT + 4;
+    const parts = [`<svg class="chart" xmlns="http://www.w3.org/2000/svg" width="${CHART_WIDTH}" height="${height}" ` +
+        `viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${escapeHtml(title)}">`];
+    parts.push(`<title>${escapeHtml(title)}</title>`);
+
+    shown.forEach((row, index) => {
+        const y = index * CHART_ROW_HEIGHT + 2;
+        const width = Math.max(row.value > 0 ? 1 : 0, Math.round(row.value / max * barSpace));
+        const label = String(row.label).length > 22 ? `${String(row.label).slice(0, 21)}…` : String(row.label);
+        parts.push(`<text x="${CHART_LABEL_WIDTH - 6}" y="${y + 14}" text-anchor="end" fill="currentColor" font-size="12">${escapeHtml(label)}</text>`);
+        parts.push(`<rect class="bar" x="${CHART_LABEL_WIDTH}" y="${y + 3}" width="${width}" height="${CHART_ROW_HEIGHT - 6}" rx="2" fill="${BAR_COLOR}"/>`);
+        parts.push(`<text class="value" x="${CHART_LABEL_WIDTH + width + 6}" y="${y + 14}" fill="currentColor" font-size="12">${row.value}</text>`);
+    });
+
+    parts.push('</svg>');
+    return parts.join('');
+}
+
+/**
+ * Turns a { name: count } map into chart rows, largest first
+ *
+ * @param {Object} counts - Counts keyed by name
+ * @returns {Array} - { label, value } rows
+ */
+function countsToRows(counts) {
+    return Object.keys(counts || {})
+        .map(name => ({ label: name, value: counts[name] }))
+        .sort((a, b) => b.value - a.value);
+}
+
+// ===== MARKDOWN FUNCTIONS =====
+
+/**
+ * Escapes text for a Markdown table cell
+ * Titles and previews come from the export, so Markdown and HTML characters in them are shown as typed.
+ *
+ * @param {*} value - Cell value
+ * @returns {string} - Text with Markdown characters escaped and line breaks removed
+ */
+function tableCell(value) {
+    if (value === null || value === undefined || value === '') return '–';
+    return String(value).replace(/[\\`*_\[\]<>|~]/g, '\\$&').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Builds a Markdown table
+ *
+ * @param {Array} headers - Column headings
+ * @param {Array} rows - Arrays of cell values
+ * @param {Array} align - Per column: 'right' for numbers, anything else for text
+ * @returns {string} - Markdown table
+ */
+function markdownTable(headers, rows, align = []) {
+    const lines = [];
+    lines.push(`| ${headers.map(tableCell).join(' | ')} |`);
+    lines.push(`|${headers.map((header, index) => align[index] === 'right' ? '---:' : '---').join('|')}|`);
+    rows.forEach(row => lines.push(`| ${row.map(tableCell).join(' | ')} |`));
+    return lines.join('\n');
+}
+
+/**
+ * Lists field names as inline code
+ *
+ * @param {Array} fields - Field names
+ * @returns {string} - Comma-separated names, or "none"
+ */
+function fieldList(fields) {
+    return fields.length > 0 ? fields.map(field => `\`${field}\``).join(', ') : '*none*';
+}
+
+/**
+ * Builds the report as a list of parts: Markdown text and charts
+ * Kept apart so the Markdown and HTML reports can show the same charts each in their own way.
+ *
+ * @param {Object} results - Results of analyzeExport(), possibly from makePrivateAnalysis()
+ * @returns {Array} - Parts: { markdown } or { chart: { title, rows } }
+ */
+function buildReportParts(results) {
+    const parts = [];
+    const text = lines => parts.push({ markdown: lines.join('\n') });
+    const chart = (title, rows) => parts.push({ chart: { title: title, rows: rows } });
+    const basic = results.basic;
+    const info = results.file_info || {};
+
+    text([
+        '# Claude Export Analysis',
+        '',
+        markdownTable(['Detail', 'Value'], [
+            ['Export', info.path],
+            ['Format', info.format === 'zip' ? 'ZIP archive' : 'JSON'],
+            ['Size', info.size_formatted],
+            ['Exported', info.export_timestamp],
+            ['Analyzed', info.analyzed_at]
+        ]),
+        '',
+        results.private
+            ? '*Private report: artifact previews, attachment contents and titles are left out.*'
+            : '*This report quotes the start of some artifacts and attachments; use the private variant before sharing it.*'
+    ]);
+
+    // Basic structure
+    text([
+        '## Basic Structure',
+        '',
+        markdownTable(['Measure', 'Value'], [
+            ['Conversations', basic.total_conversations],
+            ['Messages', basic.total_messages],
+            ['Messages per conversation', basic.avg_messages_per_conversation],
+            ['Named conversations', basic.named_conversations],
+            ['Unnamed conversations', basic.unnamed_conversations],
+            ['Conversations with a summary', basic.conversations_with_summary],
+            ['First conversation', basic.date_range ? basic.date_range.earliest : null],
+            ['Last conversation', basic.date_range ? basic.date_range.latest : null],
+            ['Span', basic.date_range ? `${basic.date_range.span_days} days` : null]
+        ], ['', 'right'])
+    ]);
+
+    // Activity over time
+    const activity = results.activity;
+    if (activity) {
+        // Required here rather than at the top: the analyzer requires this file while it loads
+        const { formatDuration } = require('./analyze_claude_export');
+        const duration = seconds => seconds === null || seconds === undefined ? '–' : formatDuration(seconds);
+        text([
+            '## Activity',
+            '',
+            `Times are in ${activity.timezone}.`,
+            '',
+            '### Messages per Month'
+        ]);
+        chart('Messages per month', activity.per_month.map(month => ({ label: month.month, value: month.messages })));
+        text([markdownTable(
+            ['Month', 'Conversations', 'Messages', 'Your words', "Claude's words", 'Attachments', 'Artifacts'],
+            activity.per_month.map(month => [month.month, month.conversations, month.messages,
+                month.human_words, month.assistant_words, month.attachments, month.artifacts]),
+            ['', 'right', 'right', 'right', 'right', 'right', 'right']
+        )]);
+        text(['### Messages per Weekday']);
+        chart('Messages per weekday', activity.per_weekday.map(day => ({ label: day.weekday, value: day.messages })));
+        text(['### Messages per Hour of Day']);
+        chart('Messages per hour of day', activity.per_hour.map(hour => ({ label: `${String(hour.hour).padStart(2, '0')}:00`, value: hour.messages })));
+        text([
+            '### Words and Reply Times',
+            '',
+            markdownTable(['Measure', 'Value'], [
+                ['Your words', activity.words.human_words],
+                ["Claude's words", activity.words.assistant_words],
+                ['Words per prompt', activity.words.avg_words_per_human_message],
+                ['Words per reply', activity.words.avg_words_per_assistant_message],
+                ['Replies measured', activity.reply_latency.replies_measured],
+                ['Median reply time', duration(activity.reply_latency.median_seconds)],
+                ['90% of replies within', duration(activity.reply_latency.p90_seconds)]
+            ], ['', 'right'])
+        ]);
+        const conversationRows = list => list.map(conv => [conv.name, conv.created_at, conv.messages, conv.words, conv.active_days]);
+        text([
+            '### Longest Conversations',
+            '',
+            markdownTable(['Conversation', 'Started', 'Messages', 'Words', 'Days active'],
+                conversationRows(activity.longest_conversations), ['', '', 'right', 'right', 'right']),
+            '',
+            '### Most Active Conversations',
+            '',
+            markdownTable(['Conversation', 'Started', 'Messages', 'Words', 'Days active'],
+                conversationRows(activity.most_active_conversations), ['', '', 'right', 'right', 'right'])
+        ]);
+    }
+
+    // Attachments
+    const attachments = results.attachments;
+    text([
+        '## Attachments',
+        '',
+        markdownTable(['Measure', 'Value'], [
+            ['Attachments', attachments.total_attachments],
+            ['Conversations with attachments', attachments.conversations_with_attachments],
+            ['Messages with attachments', attachments.messages_with_attachments],
+            ['Attachments with a size', attachments.attachment_sizes.count],
+            ['Total size (bytes)', attachments.attachment_sizes.total_bytes],
+            ['Average size (bytes)', Math.round(attachments.attachment_sizes.avg_size)]
+        ], ['', 'right'])
+    ]);
+    if (Object.keys(attachments.attachment_types).length > 0) {
+        text(['### Attachment Types']);
+        chart('Attachments by type', countsToRows(attachments.attachment_types));
+    }
+    if (attachments.sample_attachments.length > 0) {
+        text([
+            '### Sample Attachments',
+            '',
+            markdownTable(['Conversation', 'Sender', 'File', 'Fields', 'Start of content'],
+                attachments.sample_attachments.map(sample => {
+                    const data = sample.attachment_data || {};
+                    const content = typeof data.extracted_content === 'string' ? data.extracted_content : '';
+                    return [sample.conversation_name, sample.message_sender, data.file_name,
+                        sample.attachment_structure.join(', '),
+                        content ? content.slice(0, 80) + (content.length > 80 ? '…' : '') : null];
+                }))
+        ]);
+    }
+
+    // Artifacts and content blocks
+    const artifacts = results.artifacts;
+    const largest = artifacts.sizes.largest;
+    text([
+        '## Artifacts and Content',
+        '',
+        markdownTable(['Measure', 'Value'], [
+            ['Artifacts', artifacts.total_artifacts],
+            ['Conversations with artifacts', artifacts.conversations_with_artifacts],
+            ['Artifact commands', artifacts.total_operations],
+            ['Versions', artifacts.versions.total],
+            ['Artifacts with several versions', artifacts.versions.multi_version_artifacts],
+            ['Most versions of one artifact', artifacts.versions.max_per_artifact],
+            ['Total size (bytes, latest versions)', artifacts.sizes.total_bytes],
+            ['Average size (bytes)', artifacts.sizes.avg_bytes],
+            ['Largest artifact', largest ? `${largest.size_bytes} bytes${largest.title ? ` (${largest.title})` : ''}` : null],
+            ['Updates that can\'t be applied', artifacts.failed_update_count],
+            ['Code blocks in messages', artifacts.code_blocks_found]
+        ], ['', 'right'])
+    ]);
+    if (artifacts.total_artifacts > 0) {
+        text(['### Artifact Types']);
+        chart('Artifacts by type', countsToRows(artifacts.artifact_types));
+        text(['### Languages']);
+        chart('Artifacts by language', countsToRows(artifacts.artifact_languages));
+        text([
+            '### Commands',
+            '',
+            markdownTable(['Command', 'Uses'], countsToRows(artifacts.commands).map(row => [row.label, row.value]), ['', 'right']),
+            '',
+            '### Conversations with the Most Artifacts',
+            '',
+            markdownTable(['Conversation', 'Artifacts', 'Versions'],
+                artifacts.top_conversations.map(conv => [conv.name, conv.artifacts, conv.versions]), ['', 'right', 'right'])
+        ]);
+    }
+    if (artifacts.failed_updates.length > 0) {
+        text([
+            '### Updates That Can\'t Be Applied',
+            '',
+            'The converter shows these as failed changes; later versions of the same artifact may differ from what Claude showed.',
+            '',
+            markdownTable(['Conversation', 'Message', 'Artifact', 'Problem'],
+                artifacts.failed_updates.map(failure => [failure.conversation_name, failure.message_number,
+                    failure.artifact_title || failure.artifact_id, failure.reason]), ['', 'right', '', ''])
+        ]);
+    }
+    if (Object.keys(artifacts.content_types).length > 0) {
+        text(['### Content Block Types']);
+        chart('Content blocks by type', countsToRows(artifacts.content_types));
+        text([markdownTable(['Type', 'Blocks'], countsToRows(artifacts.content_types).map(row => [row.label, row.value]), ['', 'right'])]);
+    }
+    if (artifacts.sample_artifacts.length > 0) {
+        text([
+            '### Sample Artifacts',
+            '',
+            markdownTable(['Conversation', 'Artifact', 'Type', 'Versions', 'Bytes', 'Start of content'],
+                artifacts.sample_artifacts.map(sample => [sample.conversation_name, sample.title, sample.language || sample.type,
+                    sample.versions, sample.size_bytes, sample.content_preview]),
+                ['', '', '', 'right', 'right', ''])
+        ]);
+    }
+
+    // Schema
+    const schema = results.schema;
+    text([
+        '## Schema',
+        '',
+        markdownTable(['Level', 'Fields'], [
+            ['Conversation', schema.conversation_fields.length],
+            ['Message', schema.message_fields.length],
+            ['Content block', schema.content_fields.length],
+            ['Attachment', schema.attachment_fields.length],
+            ['Account', schema.account_fields.length],
+            ['Total', schema.total_unique_fields]
+        ], ['', 'right']),
+        '',
+        `- **Conversation:** ${fieldList(schema.conversation_fields)}`,
+        `- **Message:** ${fieldList(schema.message_fields)}`,
+        `- **Content block:** ${fieldList(schema.content_fields)}`,
+        `- **Attachment:** ${fieldList(schema.attachment_fields)}`,
+        `- **Account:** ${fieldList(schema.account_fields)}`
+    ]);
+
+    // Conversion readiness
+    const assessment = results.conversion_assessment;
+    const bulletList = (title, items) => items.length > 0 ? ['', `### ${title}`, '', ...items.map(item => `- ${item}`)] : [];
+    text([
+        '## Conversion Readiness',
+        '',
+        `**Feasibility:** ${assessment.conversion_feasibility} · **Files expected:** ${assessment.estimated_output_files}`,
+        ...bulletList('Potential Issues', assessment.potential_issues),
+        ...bulletList('Opportunities', assessment.opportunities),
+        ...bulletList('Recommendations', assessment.recommendations)
+    ]);
+
+    return parts;
+}
+
+// ===== REPORT FUNCTIONS =====
+
+/**
+ * Renders the analysis report as Markdown
+ * Charts are inline SVG; viewers that don't show SVG skip them, and the tables hold the same numbers.
+ *
+ * @param {Object} results - Results of analyzeExport(), possibly from makePrivateAnalysis()
+ * @returns {string} - Markdown document
+ */
+function renderAnalysisMarkdown(results) {
+    return buildReportParts(results)
+        .map(part => part.chart ? renderBarChart(part.chart.title, part.chart.rows) : part.markdown)
+        .filter(text => text !== '')
+        .join('\n\n') + '\n';
+}
+
+/**
+ * Renders the analysis report as a self-contained HTML page
+ *
+ * @param {Object} results - Results of analyzeExport(), possibly from makePrivateAnalysis()
+ * @param {Object} options - { theme: 'auto' (default), 'light' or 'dark' }
+ * @returns {string} - HTML page
+ */
+function renderAnalysisHtml(results, options = {}) {
+    const body = buildReportParts(results)
+        .map(part => part.chart ? renderBarChart(part.chart.title, part.chart.rows) : markdownToHtml(part.markdown))
+        .filter(html => html !== '');
+    return renderHtmlPage('Claude Export Analysis', body, { theme: options.theme, styles: REPORT_STYLES });
+}
+
+/**
+ * Picks the report format from a file name: .html or .htm for HTML, anything else Markdown
+ *
+ * @param {string} filePath - Report file name
+ * @returns {string} - 'markdown' or 'html'
+ */
+function getReportFormat(filePath) {
+    return /\.html?$/i.test(filePath) ? 'html' : 'markdown';
+}
+
+module.exports = {
+    makePrivateAnalysis,
+    renderBarChart,
+    renderAnalysisMarkdown,
+    renderAnalysisHtml,
+    getReportFormat
+};
@@ -11,9 +11,25 @@
 // Import required Node.js modules
 const fs = require('fs');           // File system operations for reading files
 const path = require('path');       // Path utilities for file handling
+const { openExport, describeExport, readExportMember, loadConversations, streamConversations } = require('./export_loader');   // Reads conversations.json or the export .zip
+const { parseArguments, formatOptionLines } = require('./command_line');   // Shared option parsing
+const { buildConversationArtifactHistory } = require('./convert_conversations');   // Rebuilds artifact versions branch by branch, like the converter
+const { makePrivateAnalysis, renderAnalysisMarkdown, renderAnalysisHtml, getReportFormat } = require('./analysis_report');   // --report
 
 // ===== CONFIGURATION SECTION =====
 const OUTPUT_REPORT = 'claude_export_analysis.json';  // Detailed JSON report filename
+const TOP_CONVERSATIONS = 10;                        // Conversations listed as longest, most active and with most artifacts
+const MAX_LISTED_FAILURES = 50;                      // Failed artifact updates listed in the results (all are counted)
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Command-line options of the analyzer
+const ANALYZER_OPTION_DEFINITIONS = [
+    { name: 'stream', flags: ['--stream'], description: 'Read conversations one at a time (for very large exports)' },
+    { name: 'analytics', flags: ['--analytics'], value: 'dir', description: 'Also save activity analytics (per month, weekday and hour, top conversations) as JSON and CSV files in this directory' },
+    { name: 'report', flags: ['--report'], value: 'file', description: 'Also write a report with tables and charts: Markdown, or self-contained HTML for a .html file' },
+    { name: 'private', flags: ['--private'], description: 'Leave message previews, attachment contents, titles and the full path out of every saved file' },
+    { name: 'help', flags: ['-h', '--help'], description: 'Show this help and exit' }
+];
 
 // ===== UTILITY FUNCTIONS =====
 
@@ -55,250 +71,631 @@ function getFrequencyMap(array) {
     }, {});
 }
 
+/**
+ * Parses an export timestamp
+ * @param {string} value - ISO timestamp such as a created_at field
+ * @returns {Date|null} - The date, or null if missing or invalid
+ */
+function parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Formats the local month of a date as used for monthly activity
+ * @param {Date} date - Date to format
+ * @returns {string} - Month like "2025-09"
+ */
+function formatMonth(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Gets the text a message shows: its text content blocks, or the old 'text' field
+ * @param {Object} message - Message object from chat_messages
+ * @returns {string} - Message text
+ */
+function getMessageText(message) {
+    if (Array.isArray(message.content) && message.content.length > 0) {
+        return message.content
+            .filter(item => item && item.type === 'text' && typeof item.text === 'string')
+            .map(item => item.text)
+            .join('\n');
+    }
+    return typeof message.text === 'string' ? message.text : '';
+}
+
+/**
+ * Counts the words of a text
+ * @param {string} text - Text to count
+ * @returns {number} - Number of whitespace-separated words
+ */
+function countWords(text) {
+    const trimmed = text.trim();
+    return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+/**
+ * Counts the artifacts a message creates (artifacts tool calls with the "create" command)
+ * @param {Object} message - Message object from chat_messages
+ * @returns {number} - Number of artifacts created
+ */
+function countArtifactCreations(message) {
+    if (!Array.isArray(message.content)) return 0;
+    return message.content.filter(item => item && item.type === 'tool_use' && item.name === 'artifacts' &&
+        item.input && item.input.command === 'create').length;
+}
+
+/**
+ * Adds an item to a top list sorted by one field, keeping it short
+ * @param {Array} list - Current top list, highest first
+ * @param {Object} item - Item to add
+ * @param {string} field - Numeric field to rank by
+ * @returns {Array} - The new top list
+ */
+function keepTop(list, item, field) {
+    return list.concat([item]).sort((a, b) => b[field] - a[field]).slice(0, TOP_CONVERSATIONS);
+}
+
+/**
+ * Picks a percentile from sorted numbers
+ * @param {Array} sorted - Numbers in ascending order (at least one)
+ * @param {number} percent - Percentile, e.g. 50 for the median
+ * @returns {number} - The value, rounded to whole seconds
+ */
+function percentile(sorted, percent) {
+    const index = Math.min(sorted.length - 1, Math.ceil(percent / 100 * sorted.length) - 1);
+    return Math.round(sorted[Math.max(0, index)]);
+}
+
+/**
+ * Formats a duration in seconds for the console report
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Duration like "45s", "3m 20s" or "2h 5m"
+ */
+function formatDuration(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    return `${Math.floor(seconds / 3600)}h ${Math.floor(seconds % 3600 / 60)}m`;
+}
+
+/**
+ * Quotes a value for a CSV file when needed
+ * @param {*} value - Cell value
+ * @returns {string} - CSV cell
+ */
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds CSV text from rows of objects
+ * @param {Array} columns - Field names, used as the header row
+ * @param {Array} rows - Objects with those fields
+ * @returns {string} - CSV text with a trailing newline
+ */
+function toCsv(columns, rows) {
+    return [columns.join(',')].concat(rows.map(row => columns.map(column => csvCell(row[column])).join(','))).join('\n') + '\n';
+}
+
+
 // ===== ANALYSIS FUNCTIONS =====
+// Each analysis is written as a "pass": add() is called once per conversation and finish()
+// returns the results. This lets the same code run over an in-memory array or over
+// conversations streamed one at a time from a very large export.
+// The analysis functions print nothing, so other tools can require this file and call them.
 
 /**
- * Analyzes the overall structure and metadata of the export
+ * Runs an analysis pass over an array of conversations
+ * @param {Object} pass - Pass created by one of the create...Pass() functions
  * @param {Array} conversations - Array of conversation objects
- * @returns {Object} - Basic statistics about the export
+ * @returns {Object} - The pass's results
  */
-function analyzeBasicStructure(conversations) {
-    console.log('📊 Analyzing basic export structure...');
-    
-    const totalConversations = conversations.length;
-    const totalMessages = conversations.reduce((sum, conv) => {
-        return sum + (conv.chat_messages ? conv.chat_messages.length : 0);
-    }, 0);
-    
-    // Date range analysis
-    const allDates = conversations
-        .map(conv => conv.created_at)
-        .filter(date => date)
-        .sort();
-    
-    const dateRange = allDates.length > 0 ? {
-        earliest: allDates[0],
-        latest: allDates[allDates.length - 1],
-        span_days: Math.ceil((new Date(allDates[allDates.length - 1]) - new Date(allDates[0])) / (1000 * 60 * 60 * 24))
-    } : null;
-    
-    // Conversation title analysis
-    const namedConversations = conversations.filter(conv => conv.name && conv.name.trim()).length;
-    const unnamedConversations = totalConversations - namedConversations;
+function runAnalysisPass(pass, conversations) {
+    conversations.forEach(conv => pass.add(conv));
+    return pass.finish();
+}
+
+/**
+ * Creates the pass behind analyzeBasicStructure()
+ * Keeps only counters and the earliest/latest dates, so memory use doesn't grow with the export
+ * @returns {Object} - Analysis pass with add(conversation) and finish()
+ */
+function createBasicStructurePass() {
+    let totalConversations = 0;
+    let totalMessages = 0;
+    let namedConversations = 0;
+    let conversationsWithSummary = 0;
+    let earliestDate = null;
+    let latestDate = null;
     
     return {
-        total_conversations: totalConversations,
-        total_messages: totalMessages,
-        avg_messages_per_conversation: totalMessages > 0 ? (totalMessages / totalConversations).toFixed(1) : 0,
-        date_range: dateRange,
-        named_conversations: namedConversations,
-        unnamed_conversations: unnamedConversations,
-        conversations_with_summary: conversations.filter(conv => conv.summary && conv.summary.trim()).length
+        add(conv) {
+            totalConversations++;
+            totalMessages += conv.chat_messages ? conv.chat_messages.length : 0;
+            
+            // Date range analysis (ISO strings sort chronologically)
+            if (conv.created_at) {
+                if (earliestDate === null || conv.created_at < earliestDate) earliestDate = conv.created_at;
+                if (latestDate === null || conv.created_at > latestDate) latestDate = conv.created_at;
+            }
+            
+            // Conversation title analysis
+            if (conv.name && conv.name.trim()) namedConversations++;
+            if (conv.summary && conv.summary.trim()) conversationsWithSummary++;
+        },
+        
+        finish() {
+            const dateRange = earliestDate !== null ? {
+                earliest: earliestDate,
+                latest: latestDate,
+                span_days: Math.ceil((new Date(latestDate) - new Date(earliestDate)) / (1000 * 60 * 60 * 24))
+            } : null;
+            
+            return {
+                total_conversations: totalConversations,
+                total_messages: totalMessages,
+                avg_messages_per_conversation: totalMessages > 0 ? (totalMessages / totalConversations).toFixed(1) : 0,
+                date_range: dateRange,
+                named_conversations: namedConversations,
+                unnamed_conversations: totalConversations - namedConversations,
+                conversations_with_summary: conversationsWithSummary
+            };
+        }
     };
 }
 
 /**
- * Deep analysis of attachment metadata and structure
+ * Analyzes the overall structure and metadata of the export
  * @param {Array} conversations - Array of conversation objects
- * @returns {Object} - Detailed attachment analysis
+ * @returns {Object} - Basic statistics about the export
  */
-function analyzeAttachments(conversations) {
-    console.log('📎 Analyzing attachments...');
-    
+function analyzeBasicStructure(conversations) {
+    return runAnalysisPass(createBasicStructurePass(), conversations);
+}
+
+/**
+ * Creates the pass behind analyzeAttachments()
+ * @returns {Object} - Analysis pass with add(conversation) and finish()
+ */
+function createAttachmentsPass() {
     let totalAttachments = 0;
     let conversationsWithAttachments = 0;
     let messagesWithAttachments = 0;
-    const attachmentTypes = [];
-    const attachmentSizes = [];
+    const attachmentTypes = {};
+    let sizeCount = 0;
+    let sizeTotal = 0;
     const attachmentSamples = [];
     
-    conversations.forEach(conv => {
-        let convHasAttachments = false;
-        
-        if (conv.chat_messages) {
-            conv.chat_messages.forEach(message => {
-                if (message.attachments && message.attachments.length > 0) {
-                    convHasAttachments = true;
-                    messagesWithAttachments++;
-                    totalAttachments += message.attachments.length;
-                    
-                    // Analyze each attachment
-                    message.attachments.forEach(attachment => {
-                        // Collect samples for detailed analysis
-                        if (attachmentSamples.length < 10) {
-                            attachmentSamples.push({
-                                conversation_name: conv.name || 'Untitled',
-                                message_sender: message.sender,
-                                attachment_structure: Object.keys(attachment),
-                                attachment_data: attachment
-                            });
-                        }
+    return {
+        add(conv) {
+            let convHasAttachments = false;
+            
+            if (conv.chat_messages) {
+                conv.chat_messages.forEach(message => {
+                    if (message.attachments && message.attachments.length > 0) {
+                        convHasAttachments = true;
+                        messagesWithAttachments++;
+                        totalAttachments += message.attachments.length;
                         
-                        // Extract attachment metadata
-                        if (attachment.file_type || attachment.type) {
-                            attachmentTypes.push(attachment.file_type || attachment.type);
-                        }
-                        if (attachment.file_size || attachment.size) {
-                            attachmentSizes.push(attachment.file_size || attachment.size);
-                        }
-                    });
-                }
-            });
-        }
+                        // Analyze each attachment
+                        message.attachments.forEach(attachment => {
+                            // Collect samples for detailed analysis
+                            if (attachmentSamples.length < 10) {
+                                attachmentSamples.push({
+                                    conversation_name: conv.name || 'Untitled',
+                                    message_sender: message.sender,
+                                    attachment_structure: Object.keys(attachment),
+                                    attachment_data: attachment
+                                });
+                            }
+                            
+                            // Extract attachment metadata
+                            const type = attachment.file_type || attachment.type;
+                            if (type) {
+                                attachmentTypes[type] = (attachmentTypes[type] || 0) + 1;
+                            }
+                            const size = attachment.file_size || attachment.size;
+                            if (size) {
+                                sizeCount++;
+                                sizeTotal += size;
+                            }
+                        });
+                    }
+                });
+            }
+            
+            if (convHasAttachments) {
+                conversationsWithAttachments++;
+            }
+        },
         
-        if (convHasAttachments) {
-            conversationsWithAttachments++;
+        finish() {
+            return {
+                total_attachments: totalAttachments,
+                conversations_with_attachments: conversationsWithAttachments,
+                messages_with_attachments: messagesWithAttachments,
+                attachment_types: attachmentTypes,
+                attachment_sizes: {
+                    count: sizeCount,
+                    total_bytes: sizeTotal,
+                    avg_size: sizeCount > 0 ? sizeTotal / sizeCount : 0
+                },
+                sample_attachments: attachmentSamples
+            };
         }
-    });
-    
-    return {
-        total_attachments: totalAttachments,
-        conversations_with_attachments: conversationsWithAttachments,
-        messages_with_attachments: messagesWithAttachments,
-        attachment_types: getFrequencyMap(attachmentTypes),
-        attachment_sizes: {
-            count: attachmentSizes.length,
-            total_bytes: attachmentSizes.reduce((sum, size) => sum + (size || 0), 0),
-            avg_size: attachmentSizes.length > 0 ? attachmentSizes.reduce((sum, size) => sum + (size || 0), 0) / attachmentSizes.length : 0
-        },
-        sample_attachments: attachmentSamples
     };
 }
 
 /**
- * Analyzes artifact content and metadata
- * @param {Array} conversations - Array of conversation objects  
- * @returns {Object} - Detailed artifact analysis
+ * Deep analysis of attachment metadata and structure
+ * @param {Array} conversations - Array of conversation objects
+ * @returns {Object} - Detailed attachment analysis
  */
-function analyzeArtifacts(conversations) {
-    console.log('🛠️ Analyzing artifacts and content structure...');
-    
-    let artifactIndicators = 0;
+function analyzeAttachments(conversations) {
+    return runAnalysisPass(createAttachmentsPass(), conversations);
+}
+
+/**
+ * Creates the pass behind analyzeArtifacts()
+ * Artifacts are read from the "artifacts" tool_use blocks and rebuilt version by version the same
+ * way the converter does it, so updates that can't be applied are found here before converting.
+ * Only counters, the top conversations and a few samples are kept between conversations.
+ * @returns {Object} - Analysis pass with add(conversation) and finish()
+ */
+function createArtifactsPass() {
+    let totalArtifacts = 0;
+    let totalOperations = 0;
+    let totalVersions = 0;
+    let totalBytes = 0;
+    let conversationsWithArtifacts = 0;
     let codeBlocks = 0;
-    let longContentBlocks = 0;
-    const contentTypes = [];
+    let failedUpdateCount = 0;
+    let largest = null;
+    let topConversations = [];
+    const byType = {};
+    const byLanguage = {};
+    const byCommand = {};
+    const versionCounts = {};
+    const contentTypes = {};
+    const failedUpdates = [];
     const artifactSamples = [];
     
-    conversations.forEach(conv => {
-        if (conv.chat_messages) {
+    return {
+        add(conv) {
+            if (!conv.chat_messages) return;
+            
+            // Content block types, and fenced code in the message text (kept as-is in Markdown)
             conv.chat_messages.forEach(message => {
-                // Analyze content structure
-                if (message.content && Array.isArray(message.content)) {
+                if (Array.isArray(message.content)) {
                     message.content.forEach(contentItem => {
-                        if (contentItem.type) {
-                            contentTypes.push(contentItem.type);
-                        }
-                        
-                        // Look for potential artifacts
-                        if (contentItem.type === 'text' && contentItem.text) {
-                            const text = contentItem.text;
-                            
-                            // Count code blocks (potential artifacts)
-                            const codeBlockMatches = text.match(/```[\s\S]*?```/g);
-                            if (codeBlockMatches) {
-                                codeBlocks += codeBlockMatches.length;
-                            }
-                            
-                            // Count long content (potential artifacts)
-                            if (text.length > 1000) {
-                                longContentBlocks++;
-                            }
-                            
-                            // Look for artifact-like patterns
-                            if (text.includes('```') || text.includes('<') || text.length > 500) {
-                                artifactIndicators++;
-                                
-                                if (artifactSamples.length < 5) {
-                                    artifactSamples.push({
-                                        conversation_name: conv.name || 'Untitled',
-                                        message_sender: message.sender,
-                                        content_length: text.length,
-                                        has_code_blocks: !!codeBlockMatches,
-                                        text_preview: text.substring(0, 200) + (text.length > 200 ? '...' : '')
-                                    });
-                                }
-                            }
+                        if (contentItem && contentItem.type) {
+                            contentTypes[contentItem.type] = (contentTypes[contentItem.type] || 0) + 1;
                         }
                     });
                 }
-                
-                // Also check the old 'text' field for backward compatibility
-                if (message.text && typeof message.text === 'string') {
-                    const text = message.text;
-                    const codeBlockMatches = text.match(/```[\s\S]*?```/g);
-                    if (codeBlockMatches) {
-                        codeBlocks += codeBlockMatches.length;
-                    }
-                    if (text.length > 1000) {
-                        longContentBlocks++;
+                const codeBlockMatches = getMessageText(message).match(/```[\s\S]*?```/g);
+                if (codeBlockMatches) codeBlocks += codeBlockMatches.length;
+            });
+            
+            const history = buildConversationArtifactHistory(conv);
+            if (history.artifacts.length === 0) return;
+            
+            conversationsWithArtifacts++;
+            totalArtifacts += history.artifacts.length;
+            
+            history.records.forEach(record => {
+                totalOperations++;
+                byCommand[record.command] = (byCommand[record.command] || 0) + 1;
+                if (record.error) {
+                    failedUpdateCount++;
+                    if (failedUpdates.length < MAX_LISTED_FAILURES) {
+                        failedUpdates.push({
+                            conversation_uuid: conv.uuid || null,
+                            conversation_name: conv.name || 'Untitled',
+                            message_number: record.messageNumber,
+                            artifact_id: record.artifact.id,
+                            artifact_title: record.artifact.title,
+                            reason: record.error
+                        });
                     }
                 }
             });
+            
+            let conversationVersions = 0;
+            history.artifacts.forEach(artifact => {
+                const type = artifact.type || 'unknown';
+                const language = artifact.language ? artifact.language.toLowerCase() : 'none';
+                const versions = artifact.versions.length;
+                const bytes = Buffer.byteLength(artifact.content || '', 'utf8');
+                byType[type] = (byType[type] || 0) + 1;
+                byLanguage[language] = (byLanguage[language] || 0) + 1;
+                versionCounts[versions] = (versionCounts[versions] || 0) + 1;
+                totalVersions += versions;
+                conversationVersions += versions;
+                totalBytes += bytes;
+                
+                if (!largest || bytes > largest.size_bytes) {
+                    largest = { conversation_name: conv.name || 'Untitled', title: artifact.title, type: artifact.type, size_bytes: bytes };
+                }
+                if (artifactSamples.length < 5) {
+                    const content = artifact.content || '';
+                    artifactSamples.push({
+                        conversation_name: conv.name || 'Untitled',
+                        title: artifact.title,
+                        type: artifact.type,
+                        language: artifact.language,
+                        versions: versions,
+                        size_bytes: bytes,
+                        content_preview: content.substring(0, 200) + (content.length > 200 ? '...' : '')
+                    });
+                }
+            });
+            
+            topConversations = topConversations.concat([{
+                uuid: conv.uuid || null,
+                name: conv.name || 'Untitled',
+                artifacts: history.artifacts.length,
+                versions: conversationVersions
+            }]).sort((a, b) => b.artifacts - a.artifacts || b.versions - a.versions).slice(0, TOP_CONVERSATIONS);
+        },
+        
+        finish() {
+            return {
+                total_artifacts: totalArtifacts,
+                total_operations: totalOperations,
+                conversations_with_artifacts: conversationsWithArtifacts,
+                artifact_types: byType,
+                artifact_languages: byLanguage,
+                commands: byCommand,
+                versions: {
+                    total: totalVersions,
+                    multi_version_artifacts: totalArtifacts - (versionCounts[1] || 0) - (versionCounts[0] || 0),
+                    max_per_artifact: Object.keys(versionCounts).reduce((max, count) => Math.max(max, Number(count)), 0),
+                    avg_per_artifact: totalArtifacts > 0 ? Number((totalVersions / totalArtifacts).toFixed(1)) : 0,
+                    distribution: versionCounts
+                },
+                sizes: {
+                    total_bytes: totalBytes,
+                    avg_bytes: totalArtifacts > 0 ? Math.round(totalBytes / totalArtifacts) : 0,
+                    largest: largest
+                },
+                failed_update_count: failedUpdateCount,
+                failed_updates: failedUpdates,
+                top_conversations: topConversations,
+                code_blocks_found: codeBlocks,
+                content_types: contentTypes,
+                sample_artifacts: artifactSamples
+            };
         }
-    });
-    
-    return {
-        potential_artifacts: artifactIndicators,
-        code_blocks_found: codeBlocks,
-        long_content_blocks: longContentBlocks,
-        content_types: getFrequencyMap(contentTypes),
-        sample_artifacts: artifactSamples
     };
 }
 
 /**
- * Analyzes the JSON schema structure and identifies all available fields
- * @param {Array} conversations - Array of conversation objects
- * @returns {Object} - Complete schema analysis
+ * Analyzes the artifacts of the export: types, languages, commands, versions per artifact,
+ * sizes, the conversations with the most artifacts, and updates that can't be applied
+ * @param {Array} conversations - Array of conversation objects  
+ * @returns {Object} - Detailed artifact analysis
  */
-function analyzeSchema(conversations) {
-    console.log('🔍 Analyzing JSON schema structure...');
-    
+function analyzeArtifacts(conversations) {
+    return runAnalysisPass(createArtifactsPass(), conversations);
+}
+
+/**
+ * Creates the pass behind analyzeSchema()
+ * @returns {Object} - Analysis pass with add(conversation) and finish()
+ */
+function createSchemaPass() {
     const conversationFields = new Set();
     const messageFields = new Set();
     const contentFields = new Set();
     const attachmentFields = new Set();
     const accountFields = new Set();
     
-    conversations.forEach(conv => {
-        // Conversation-level fields
-        Object.keys(conv).forEach(key => conversationFields.add(key));
+    return {
+        add(conv) {
+            // Conversation-level fields
+            Object.keys(conv).forEach(key => conversationFields.add(key));
+            
+            // Account fields
+            if (conv.account) {
+                Object.keys(conv.account).forEach(key => accountFields.add(`account.${key}`));
+            }
+            
+            // Message-level fields
+            if (conv.chat_messages) {
+                conv.chat_messages.forEach(message => {
+                    Object.keys(message).forEach(key => messageFields.add(key));
+                    
+                    // Content structure fields
+                    if (message.content && Array.isArray(message.content)) {
+                        message.content.forEach(contentItem => {
+                            Object.keys(contentItem).forEach(key => contentFields.add(`content.${key}`));
+                        });
+                    }
+                    
+                    // Attachment fields
+                    if (message.attachments && Array.isArray(message.attachments)) {
+                        message.attachments.forEach(attachment => {
+                            Object.keys(attachment).forEach(key => attachmentFields.add(`attachments.${key}`));
+                        });
+                    }
+                });
+            }
+        },
         
-        // Account fields
-        if (conv.account) {
-            Object.keys(conv.account).forEach(key => accountFields.add(`account.${key}`));
+        finish() {
+            return {
+                conversation_fields: Array.from(conversationFields).sort(),
+                message_fields: Array.from(messageFields).sort(),
+                content_fields: Array.from(contentFields).sort(),
+                attachment_fields: Array.from(attachmentFields).sort(),
+                account_fields: Array.from(accountFields).sort(),
+                total_unique_fields: conversationFields.size + messageFields.size + contentFields.size + attachmentFields.size + accountFields.size
+            };
         }
-        
-        // Message-level fields
-        if (conv.chat_messages) {
-            conv.chat_messages.forEach(message => {
-                Object.keys(message).forEach(key => messageFields.add(key));
+    };
+}
+
+/**
+ * Analyzes the JSON schema structure and identifies all available fields
+ * @param {Array} conversations - Array of conversation objects
+ * @returns {Object} - Complete schema analysis
+ */
+function analyzeSchema(conversations) {
+    return runAnalysisPass(createSchemaPass(), conversations);
+}
+
+/**
+ * Creates the pass behind analyzeActivity()
+ * Keeps counters per month, weekday and hour plus the top conversations, so memory use stays small
+ * (only the reply latencies, one number per reply, grow with the export)
+ * @returns {Object} - Analysis pass with add(conversation) and finish()
+ */
+function createActivityPass() {
+    const months = {};
+    const weekdays = WEEKDAY_NAMES.map(() => ({ conversations: 0, messages: 0 }));
+    const hours = Array.from({ length: 24 }, () => ({ conversations: 0, messages: 0 }));
+    const words = { human: { messages: 0, words: 0 }, assistant: { messages: 0, words: 0 } };
+    const latencies = [];
+    let byWords = [];
+    let byMessages = [];
+    
+    const getMonth = key => {
+        if (!months[key]) {
+            months[key] = { conversations: 0, messages: 0, human_messages: 0, assistant_messages: 0,
+                human_words: 0, assistant_words: 0, attachments: 0, artifacts: 0 };
+        }
+        return months[key];
+    };
+    
+    return {
+        add(conv) {
+            const started = parseDate(conv.created_at);
+            if (started) {
+                getMonth(formatMonth(started)).conversations++;
+                weekdays[(started.getDay() + 6) % 7].conversations++;
+                hours[started.getHours()].conversations++;
+            }
+            
+            const messages = conv.chat_messages || [];
+            let conversationWords = 0;
+            let lastMessageDate = started;
+            let previous = null;
+            
+            messages.forEach(message => {
+                // Messages without their own date count in the month the conversation started
+                const sent = parseDate(message.created_at) || started;
+                const sender = message.sender === 'human' ? 'human' : 'assistant';
+                const count = countWords(getMessageText(message));
+                conversationWords += count;
+                words[sender].messages++;
+                words[sender].words += count;
                 
-                // Content structure fields
-                if (message.content && Array.isArray(message.content)) {
-                    message.content.forEach(contentItem => {
-                        Object.keys(contentItem).forEach(key => contentFields.add(`content.${key}`));
-                    });
+                if (sent) {
+                    const month = getMonth(formatMonth(sent));
+                    month.messages++;
+                    month[`${sender}_messages`]++;
+                    month[`${sender}_words`] += count;
+                    month.attachments += (message.attachments || []).length + (message.files || []).length;
+                    month.artifacts += countArtifactCreations(message);
+                    weekdays[(sent.getDay() + 6) % 7].messages++;
+                    hours[sent.getHours()].messages++;
+                    if (!lastMessageDate || sent > lastMessageDate) lastMessageDate = sent;
                 }
                 
-                // Attachment fields
-                if (message.attachments && Array.isArray(message.attachments)) {
-                    message.attachments.forEach(attachment => {
-                        Object.keys(attachment).forEach(key => attachmentFields.add(`attachments.${key}`));
-                    });
+                // Reply latency: from a prompt to the assistant message that follows it
+                if (sender === 'assistant' && previous && previous.sender === 'human') {
+                    const asked = parseDate(previous.created_at);
+                    const answered = parseDate(message.created_at);
+                    if (asked && answered && answered >= asked) latencies.push((answered - asked) / 1000);
                 }
+                previous = message;
             });
+            
+            const summary = {
+                uuid: conv.uuid || null,
+                name: conv.name || 'Untitled',
+                created_at: conv.created_at || null,
+                messages: messages.length,
+                words: conversationWords,
+                active_days: started && lastMessageDate ? Math.floor((lastMessageDate - started) / (1000 * 60 * 60 * 24)) + 1 : null
+            };
+            byWords = keepTop(byWords, summary, 'words');
+            byMessages = keepTop(byMessages, summary, 'messages');
+        },
+        
+        finish() {
+            const average = entry => entry.messages > 0 ? Math.round(entry.words / entry.messages) : 0;
+            latencies.sort((a, b) => a - b);
+            
+            return {
+                timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'local',
+                per_month: Object.keys(months).sort().map(month => Object.assign({ month: month }, months[month])),
+                per_weekday: WEEKDAY_NAMES.map((weekday, index) => Object.assign({ weekday: weekday }, weekdays[index])),
+                per_hour: hours.map((counts, hour) => Object.assign({ hour: hour }, counts)),
+                words: {
+                    human_words: words.human.words,
+                    assistant_words: words.assistant.words,
+                    avg_words_per_human_message: average(words.human),
+                    avg_words_per_assistant_message: average(words.assistant),
+                    assistant_to_human_ratio: words.human.words > 0 ? Number((words.assistant.words / words.human.words).toFixed(1)) : null
+                },
+                reply_latency: {
+                    replies_measured: latencies.length,
+                    median_seconds: latencies.length > 0 ? percentile(latencies, 50) : null,
+                    p90_seconds: latencies.length > 0 ? percentile(latencies, 90) : null,
+                    mean_seconds: latencies.length > 0 ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null
+                },
+                longest_conversations: byWords.slice(0, TOP_CONVERSATIONS),
+                most_active_conversations: byMessages.slice(0, TOP_CONVERSATIONS)
+            };
         }
-    });
+    };
+}
+
+/**
+ * Analyzes activity over time: conversations and messages per month, weekday and hour,
+ * words by sender, reply latency, and the longest and most active conversations
+ * Dates are in the timezone of the computer running the analysis, as in the converted files
+ * @param {Array} conversations - Array of conversation objects
+ * @returns {Object} - Activity analysis
+ */
+function analyzeActivity(conversations) {
+    return runAnalysisPass(createActivityPass(), conversations);
+}
+
+/**
+ * Runs every analysis pass over conversations streamed one at a time from the export
+ * @param {Object} source - Export source from openExport()
+ * @param {Function} progress - Called with progress messages (default: ignore them)
+ * @returns {Promise<Object>} - { basic, attachments, artifacts, schema, activity } results
+ */
+async function analyzeStreamedConversations(source, progress = () => {}) {
+    progress('🌊 Streaming conversations through all analysis passes...');
     
-    return {
-        conversation_fields: Array.from(conversationFields).sort(),
-        message_fields: Array.from(messageFields).sort(),
-        content_fields: Array.from(contentFields).sort(),
-        attachment_fields: Array.from(attachmentFields).sort(),
-        account_fields: Array.from(accountFields).sort(),
-        total_unique_fields: conversationFields.size + messageFields.size + contentFields.size + attachmentFields.size + accountFields.size
+    const passes = {
+        basic: createBasicStructurePass(),
+        attachments: createAttachmentsPass(),
+        artifacts: createArtifactsPass(),
+        schema: createSchemaPass(),
+        activity: createActivityPass()
     };
+    
+    let count = 0;
+    for await (const conv of streamConversations(source)) {
+        Object.values(passes).forEach(pass => pass.add(conv));
+        count++;
+    }
+    progress(`✅ Streamed ${count} conversations\n`);
+    
+    const results = {};
+    Object.keys(passes).forEach(key => {
+        results[key] = passes[key].finish();
+    });
+    return results;
 }
 
 /**
@@ -307,8 +704,6 @@ function analyzeSchema(conversations) {
  * @returns {Object} - Assessment of what can/cannot be converted
  */
 function assessConversionReadiness(analysisResults) {
-    console.log('✅ Assessing conversion readiness...');
-    
     const issues = [];
     const opportunities = [];
     const recommendations = [];
@@ -323,6 +718,21 @@ function assessConversionReadiness(analysisResults) {
         opportunities.push(`${analysisResults.artifacts.code_blocks_found} code blocks found - could be preserved as-is in markdown`);
     }
     
+    // Artifacts are rebuilt from their create/update/rewrite commands, as the converter does it
+    const artifacts = analysisResults.artifacts;
+    if (artifacts.total_artifacts > 0) {
+        opportunities.push(`${artifacts.total_artifacts} artifacts in ${artifacts.conversations_with_artifacts} conversations ` +
+            `(${artifacts.versions.total} versions) - preserved with their full content and version history`);
+        if (artifacts.versions.multi_version_artifacts > 0) {
+            opportunities.push(`${artifacts.versions.multi_version_artifacts} artifacts have several versions - every version is kept and labelled`);
+        }
+        recommendations.push('Use --artifacts folder to also save each artifact version as its own file');
+    }
+    if (artifacts.failed_update_count > 0) {
+        issues.push(`${artifacts.failed_update_count} artifact updates can't be applied (old_str not found, or no earlier version) - ` +
+            'they are shown as failed changes, and later versions of those artifacts may differ from what Claude showed');
+    }
+    
     if (analysisResults.basic.unnamed_conversations > 0) {
         issues.push(`${analysisResults.basic.unnamed_conversations} conversations without titles - will get generic filenames`);
         recommendations.push('Consider adding conversation summaries to filename generation');
@@ -334,7 +744,7 @@ function assessConversionReadiness(analysisResults) {
     }
     
     return {
-        conversion_feasibility: 'HIGH',
+        conversion_feasibility: artifacts.failed_update_count > 0 ? 'MEDIUM' : 'HIGH',
         potential_issues: issues,
         opportunities: opportunities,
         recommendations: recommendations,
@@ -343,62 +753,171 @@ function assessConversionReadiness(analysisResults) {
     };
 }
 
-// ===== MAIN ANALYSIS FUNCTION =====
-
 /**
- * Main analysis function that orchestrates all analysis tasks
- * @param {string} jsonFilePath - Path to the conversations JSON file
+ * Lists the known members of a ZIP export with their sizes and record counts
+ * @param {Object} source - Export source from openExport()
+ * @returns {Promise<Object>} - Member details keyed by member name (conversations, projects, users)
  */
-function analyzeClaudeExport(jsonFilePath) {
-    console.log('🔄 Claude Export Analyzer Starting...\n');
+async function describeArchiveMembers(source) {
+    const members = {};
     
-    try {
-        // Validate input file
-        if (!fs.existsSync(jsonFilePath)) {
-            throw new Error(`File not found: ${jsonFilePath}`);
+    for (const key of Object.keys(source.members)) {
+        const entry = source.members[key];
+        if (!entry) {
+            members[key] = null;
+            continue;
         }
         
-        // Get file info
-        const fileStats = fs.statSync(jsonFilePath);
-        console.log(`📁 Analyzing file: ${jsonFilePath}`);
-        console.log(`📏 File size: ${formatFileSize(fileStats.size)}\n`);
-        
-        // Read and parse JSON
-        console.log('📖 Reading JSON file...');
-        const jsonData = fs.readFileSync(jsonFilePath, 'utf8');
-        
-        console.log('🔧 Parsing JSON...');
-        const conversations = JSON.parse(jsonData);
+        members[key] = {
+            archive_path: entry.name,
+            uncompressed_bytes: entry.uncompressedSize,
+            uncompressed_formatted: formatFileSize(entry.uncompressedSize)
+        };
         
-        if (!Array.isArray(conversations)) {
-            throw new Error('JSON file does not contain an array of conversations');
+        // Conversations are counted by the main analysis; count the smaller members here
+        if (key !== 'conversations') {
+            try {
+                const data = await readExportMember(source, key);
+                members[key].record_count = Array.isArray(data) ? data.length : null;
+            } catch (error) {
+                members[key].error = error.message;
+            }
         }
+    }
+    
+    return members;
+}
+
+// ===== MAIN ANALYSIS FUNCTION =====
+
+/**
+ * Analyzes an export and returns the combined results, without printing or saving anything
+ * @param {string} exportPath - Path to conversations.json or the export .zip
+ * @param {Object} options - { stream: true } to analyze conversations one at a time; progress is
+ *                           called with progress messages (default: ignore them)
+ * @returns {Promise<Object>} - { file_info, basic, attachments, artifacts, schema, activity, conversion_assessment }
+ */
+async function analyzeExport(exportPath, options = {}) {
+    const progress = options.progress || (() => {});
+    
+    // Validate input file and find the members of a ZIP export
+    const source = await openExport(exportPath);
+    
+    // Get file info
+    progress(`📁 Analyzing file: ${describeExport(source)}`);
+    progress(`📏 File size: ${formatFileSize(source.sizeBytes)}\n`);
+    
+    // Summarize the other archive members when they are present
+    const archiveMembers = source.isZip ? await describeArchiveMembers(source) : null;
+    
+    let passResults;
+    if (options.stream) {
+        // Bounded memory: never holds more than one conversation at a time
+        passResults = await analyzeStreamedConversations(source, progress);
+    } else {
+        // Read and parse JSON (streamed out of the archive for ZIP exports)
+        progress('📖 Reading and parsing JSON...');
+        const conversations = await loadConversations(source);
         
-        console.log(`✅ Successfully loaded ${conversations.length} conversations\n`);
+        progress(`✅ Successfully loaded ${conversations.length} conversations\n`);
         
         // Run all analysis functions
-        const analysisResults = {
-            file_info: {
-                path: jsonFilePath,
-                size_bytes: fileStats.size,
-                size_formatted: formatFileSize(fileStats.size),
-                analyzed_at: new Date().toISOString()
-            },
-            basic: analyzeBasicStructure(conversations),
-            attachments: analyzeAttachments(conversations),
-            artifacts: analyzeArtifacts(conversations),
-            schema: analyzeSchema(conversations)
-        };
-        
-        // Add conversion assessment
-        analysisResults.conversion_assessment = assessConversionReadiness(analysisResults);
+        progress('📊 Analyzing basic export structure...');
+        const basic = analyzeBasicStructure(conversations);
+        progress('📎 Analyzing attachments...');
+        const attachments = analyzeAttachments(conversations);
+        progress('🛠️ Analyzing artifacts and content structure...');
+        const artifacts = analyzeArtifacts(conversations);
+        progress('🔍 Analyzing JSON schema structure...');
+        const schema = analyzeSchema(conversations);
+        progress('📈 Analyzing activity over time...');
+        const activity = analyzeActivity(conversations);
+        passResults = { basic: basic, attachments: attachments, artifacts: artifacts, schema: schema, activity: activity };
+    }
+    
+    const analysisResults = Object.assign({
+        file_info: {
+            path: exportPath,
+            format: source.isZip ? 'zip' : 'json',
+            size_bytes: source.sizeBytes,
+            size_formatted: formatFileSize(source.sizeBytes),
+            export_timestamp: source.timestamp ? source.timestamp.toISOString() : null,
+            archive_members: archiveMembers,
+            analyzed_at: new Date().toISOString()
+        }
+    }, passResults);
+    
+    // Add conversion assessment
+    progress('✅ Assessing conversion readiness...');
+    analysisResults.conversion_assessment = assessConversionReadiness(analysisResults);
+    
+    return analysisResults;
+}
+
+/**
+ * Saves the activity analysis as JSON and CSV files for charting in other tools
+ * @param {Object} activity - Result of analyzeActivity()
+ * @param {string} outputDir - Directory to write to (created if needed)
+ * @returns {Array} - Paths of the files written
+ */
+function writeActivityFiles(activity, outputDir) {
+    const conversationColumns = ['uuid', 'name', 'created_at', 'messages', 'words', 'active_days'];
+    const files = {
+        'activity.json': JSON.stringify(activity, null, 2) + '\n',
+        'activity_by_month.csv': toCsv(['month', 'conversations', 'messages', 'human_messages', 'assistant_messages',
+            'human_words', 'assistant_words', 'attachments', 'artifacts'], activity.per_month),
+        'activity_by_weekday.csv': toCsv(['weekday', 'conversations', 'messages'], activity.per_weekday),
+        'activity_by_hour.csv': toCsv(['hour', 'conversations', 'messages'], activity.per_hour),
+        'longest_conversations.csv': toCsv(conversationColumns, activity.longest_conversations),
+        'most_active_conversations.csv': toCsv(conversationColumns, activity.most_active_conversations)
+    };
+    
+    fs.mkdirSync(outputDir, { recursive: true });
+    return Object.keys(files).map(name => {
+        const filePath = path.join(outputDir, name);
+        fs.writeFileSync(filePath, files[name], 'utf8');
+        return filePath;
+    });
+}
+
+/**
+ * Command-line analysis: analyzes an export, prints the report and saves the detailed JSON report
+ * @param {string} exportPath - Path to conversations.json or the export .zip
+ * @param {Object} options - { stream: true } to analyze conversations one at a time; analyticsDir to
+ *                           also save the activity analysis as JSON and CSV files there; reportFile to
+ *                           write a Markdown or HTML report; private: true to keep content out of saved files
+ */
+async function analyzeClaudeExport(exportPath, options = {}) {
+    console.log('🔄 Claude Export Analyzer Starting...\n');
+    
+    try {
+        const analysisResults = await analyzeExport(exportPath, {
+            stream: options.stream,
+            progress: message => console.log(message)
+        });
         
         // Generate console report
         generateConsoleReport(analysisResults);
         
+        // Everything saved to disk leaves out what was said when asked to
+        const savedResults = options.private ? makePrivateAnalysis(analysisResults) : analysisResults;
+        
         // Save detailed JSON report
-        fs.writeFileSync(OUTPUT_REPORT, JSON.stringify(analysisResults, null, 2));
-        console.log(`\n💾 Detailed analysis saved to: ${OUTPUT_REPORT}`);
+        fs.writeFileSync(OUTPUT_REPORT, JSON.stringify(savedResults, null, 2));
+        console.log(`\n💾 Detailed analysis saved to: ${OUTPUT_REPORT}${options.private ? ' (private)' : ''}`);
+        
+        if (options.analyticsDir) {
+            const files = writeActivityFiles(savedResults.activity, options.analyticsDir);
+            console.log(`📈 Activity analytics saved to: ${options.analyticsDir} (${files.length} files)`);
+        }
+        
+        if (options.reportFile) {
+            const report = getReportFormat(options.reportFile) === 'html'
+                ? renderAnalysisHtml(savedResults)
+                : renderAnalysisMarkdown(savedResults);
+            fs.writeFileSync(options.reportFile, report, 'utf8');
+            console.log(`📄 Report saved to: ${options.reportFile}`);
+        }
         
         console.log('\n🎉 Analysis complete!');
         
@@ -453,9 +972,20 @@ function generateConsoleReport(results) {
     
     // Artifacts
     console.log('\n🛠️  ARTIFACTS & CONTENT:');
-    console.log(`   Potential Artifacts: ${results.artifacts.potential_artifacts}`);
+    console.log(`   Artifacts: ${results.artifacts.total_artifacts} in ${results.artifacts.conversations_with_artifacts} conversations`);
+    console.log(`   Versions: ${results.artifacts.versions.total} (${results.artifacts.versions.multi_version_artifacts} artifacts with several, up to ${results.artifacts.versions.max_per_artifact})`);
+    console.log(`   Total Artifact Size: ${formatFileSize(results.artifacts.sizes.total_bytes)}`);
+    console.log(`   Failed Updates: ${results.artifacts.failed_update_count}`);
     console.log(`   Code Blocks: ${results.artifacts.code_blocks_found}`);
-    console.log(`   Long Content Blocks: ${results.artifacts.long_content_blocks}`);
+    
+    [['Commands', results.artifacts.commands], ['Artifact Types', results.artifacts.artifact_types],
+        ['Languages', results.artifacts.artifact_languages]].forEach(([label, counts]) => {
+        if (Object.keys(counts).length === 0) return;
+        console.log(`   ${label}:`);
+        Object.entries(counts).forEach(([name, count]) => {
+            console.log(`     ${name}: ${count}`);
+        });
+    });
     
     if (Object.keys(results.artifacts.content_types).length > 0) {
         console.log('   Content Types:');
@@ -472,6 +1002,30 @@ function generateConsoleReport(results) {
     console.log(`   Attachment Fields: ${results.schema.attachment_fields.length}`);
     console.log(`   Total Unique Fields: ${results.schema.total_unique_fields}`);
     
+    // Activity
+    const activity = results.activity;
+    console.log('\n📈 ACTIVITY:');
+    if (activity.per_month.length > 0) {
+        const busiestMonth = activity.per_month.reduce((best, month) => month.messages > best.messages ? month : best);
+        console.log(`   Active Months: ${activity.per_month.length} (busiest: ${busiestMonth.month}, ${busiestMonth.messages} messages)`);
+        const busiestDay = activity.per_weekday.reduce((best, day) => day.messages > best.messages ? day : best);
+        const peakHour = activity.per_hour.reduce((best, hour) => hour.messages > best.messages ? hour : best);
+        console.log(`   Busiest Weekday: ${busiestDay.weekday} (${busiestDay.messages} messages)`);
+        console.log(`   Peak Hour: ${String(peakHour.hour).padStart(2, '0')}:00-${String(peakHour.hour).padStart(2, '0')}:59 ${activity.timezone} (${peakHour.messages} messages)`);
+    }
+    console.log(`   Words: ${activity.words.human_words} from you, ${activity.words.assistant_words} from Claude` +
+        (activity.words.assistant_to_human_ratio !== null ? ` (${activity.words.assistant_to_human_ratio}x as many from Claude)` : ''));
+    if (activity.reply_latency.replies_measured > 0) {
+        console.log(`   Reply Time: median ${formatDuration(activity.reply_latency.median_seconds)}, ` +
+            `90% within ${formatDuration(activity.reply_latency.p90_seconds)} (${activity.reply_latency.replies_measured} replies)`);
+    }
+    if (activity.longest_conversations.length > 0) {
+        console.log('   Longest Conversations:');
+        activity.longest_conversations.slice(0, 3).forEach(conv => {
+            console.log(`     ${conv.name}: ${conv.words} words, ${conv.messages} messages`);
+        });
+    }
+    
     // Conversion Assessment
     console.log('\n✅ CONVERSION READINESS:');
     console.log(`   Feasibility: ${results.conversion_assessment.conversion_feasibility}`);
@@ -505,25 +1059,66 @@ function generateConsoleReport(results) {
  * Main entry point - handles command line arguments and starts analysis
  */
 function main() {
-    const args = process.argv.slice(2);
+    let parsed;
+    try {
+        parsed = parseArguments(process.argv.slice(2), ANALYZER_OPTION_DEFINITIONS);
+    } catch (error) {
+        console.log(`${error.message}\n`);
+        parsed = { options: {}, positionals: [] };
+    }
+    const { options, positionals } = parsed;
     
-    if (args.length === 0) {
+    if (options.help || positionals.length !== 1) {
         console.log('Claude Export Analyzer');
-        console.log('Usage: node analyze_claude_export.js <conversations.json>');
+        console.log('Usage: node analyze_claude_export.js [options] <conversations.json | export.zip>');
+        console.log('');
+        console.log('Options:');
+        formatOptionLines(ANALYZER_OPTION_DEFINITIONS).forEach(line => console.log(line));
         console.log('');
         console.log('Examples:');
         console.log('  node analyze_claude_export.js conversations.json');
         console.log('  node analyze_claude_export.js /path/to/my_export.json');
+        console.log('  node analyze_claude_export.js ~/Downloads/data-2025-09-13-10-15-00.zip');
+        console.log('  node analyze_claude_export.js --stream huge_export.json');
+        console.log('  node analyze_claude_export.js export.zip --analytics activity');
+        console.log('  node analyze_claude_export.js export.zip --report analysis.html --private');
         console.log('');
         console.log('This tool analyzes Claude conversation exports to understand');
         console.log('their structure, content, and conversion opportunities.');
-        process.exit(1);
+        process.exit(options.help ? 0 : 1);
     }
     
-    const jsonFilePath = args[0];
-    analyzeClaudeExport(jsonFilePath);
+    analyzeClaudeExport(positionals[0], {
+        stream: !!options.stream,
+        analyticsDir: options.analytics || null,
+        reportFile: options.report || null,
+        private: !!options.private
+    });
 }
 
+// ===== EXPORTS =====
+// For using the analyzer from other tools; requiring this file runs nothing
+
+module.exports = {
+    analyzeExport,
+    analyzeBasicStructure,
+    analyzeAttachments,
+    analyzeArtifacts,
+    analyzeSchema,
+    analyzeActivity,
+    analyzeStreamedConversations,
+    assessConversionReadiness,
+    runAnalysisPass,
+    createBasicStructurePass,
+    createAttachmentsPass,
+    createArtifactsPass,
+    createSchemaPass,
+    createActivityPass,
+    writeActivityFiles,
+    formatDuration,
+    generateConsoleReport
+};
+
 // Only run if this script is executed directly
 if (require.main === module) {
     main();
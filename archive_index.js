@@ -0,0 +1,70 @@
+/**
+ * Claude Archive Index
+ *
+ * DESCRIPTION: Reads and writes archive_index.json, the list of converted conversations that the converter
+ *              keeps in every output directory: each conversation's files, dates and counts. Tools working
+ *              on a converted archive (such as the site command) read it instead of parsing the Markdown.
+ * AUTHOR: EJ Makela
+ * ORIGINAL CREATION DATE: 2026-10-19
+ */
+
+// Import required Node.js modules
+const fs = require('fs');           // File system operations (reading/writing the index)
+const path = require('path');       // Path manipulation utilities for cross-platform file paths
+
+const ARCHIVE_INDEX_FILE = 'archive_index.json';   // Kept inside every output directory
+
+/**
+ * Loads the archive index from an output directory
+ *
+ * @param {string} outputDir - Archive directory
+ * @returns {Object} - Index ({ version, updated, conversations: { key: entry } }); empty if none exists yet
+ */
+function loadArchiveIndex(outputDir) {
+    const indexPath = path.join(outputDir, ARCHIVE_INDEX_FILE);
+    const emptyIndex = { version: 1, updated: null, conversations: {} };
+
+    if (!fs.existsSync(indexPath)) return emptyIndex;
+
+    const archiveIndex = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    if (!archiveIndex || typeof archiveIndex.conversations !== 'object') {
+        throw new Error(`Archive index ${indexPath} is not in the expected format`);
+    }
+    return archiveIndex;
+}
+
+/**
+ * Adds or replaces a conversation's entry in the archive index
+ * Entries are keyed by UUID, so a conversation written under a new filename replaces its old entry;
+ * conversations without a UUID are keyed by filename instead.
+ *
+ * @param {Object} archiveIndex - Archive index (modified in place)
+ * @param {Object} entry - { uuid, title, filename, extra_files, json_file, attachment_dir, artifact_dirs,
+ *                         created_at, updated_at, message_count, attachment_count, artifact_count, branch_count }
+ */
+function recordArchiveEntry(archiveIndex, entry) {
+    archiveIndex.conversations[entry.uuid || `file:${entry.filename}`] = entry;
+}
+
+/**
+ * Writes the archive index back to the output directory
+ * Written to a temporary file first so an interrupted run can't leave a half-written index
+ *
+ * @param {string} outputDir - Archive directory
+ * @param {Object} archiveIndex - Archive index to save
+ */
+function saveArchiveIndex(outputDir, archiveIndex) {
+    archiveIndex.updated = new Date().toISOString();
+
+    const indexPath = path.join(outputDir, ARCHIVE_INDEX_FILE);
+    const tempPath = `${indexPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(archiveIndex, null, 2), 'utf8');
+    fs.renameSync(tempPath, indexPath);
+}
+
+module.exports = {
+    ARCHIVE_INDEX_FILE,
+    loadArchiveIndex,
+    recordArchiveEntry,
+    saveArchiveIndex
+};
@@ -0,0 +1,156 @@
+/**
+ * Command-Line Helpers
+ *
+ * DESCRIPTION: Argument parsing, option value checks, usage errors, exit codes and progress logging shared by
+ *              the converter and its commands (such as "site"), so every command accepts options and reports
+ *              progress the same way.
+ * AUTHOR: EJ Makela
+ * ORIGINAL CREATION DATE: 2026-10-19
+ */
+
+// Exit codes reported to the shell so scripts and cron jobs can react to the outcome
+const EXIT_CODES = {
+    SUCCESS: 0,          // Everything converted
+    ERROR: 1,            // Fatal error (missing or unreadable input, invalid JSON, ...)
+    USAGE: 2,            // Invalid command-line arguments
+    CANCELLED: 3,        // Cancelled at the prompt, or the prompt could not be shown
+    PARTIAL_FAILURE: 4,  // Finished, but some conversations failed to convert
+    INVALID_EXPORT: 5    // The validate command found errors in the export
+};
+
+/**
+ * Error raised for invalid command-line arguments
+ * Reported with a short hint instead of the full troubleshooting text
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Parses command-line arguments against a list of option definitions
+ * Supports "--name value", "--name=value", "-n value", boolean flags and
+ * "--" to mark the end of options
+ *
+ * @param {Array} argv - Arguments without the node executable and script path (and command name)
+ * @param {Array} definitions - Option definitions: { name, flags, value (placeholder, if the option
+ *                              takes a value), description }
+ * @returns {Object} - { options, positionals } where options is keyed by definition name
+ */
+function parseArguments(argv, definitions) {
+    const options = {};
+    const positionals = [];
+
+    // Build a lookup table from every flag spelling to its definition
+    const flagLookup = new Map();
+    definitions.forEach(definition => {
+        definition.flags.forEach(flag => flagLookup.set(flag, definition));
+    });
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        // Everything after "--" is treated as a positional argument
+        if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+
+        // Plain arguments (and a lone "-") are positionals
+        if (!arg.startsWith('-') || arg === '-') {
+            positionals.push(arg);
+            continue;
+        }
+
+        // Split "--name=value" into its flag and inline value
+        const equalsIndex = arg.startsWith('--') ? arg.indexOf('=') : -1;
+        const flag = equalsIndex === -1 ? arg : arg.slice(0, equalsIndex);
+        const inlineValue = equalsIndex === -1 ? null : arg.slice(equalsIndex + 1);
+
+        const definition = flagLookup.get(flag);
+        if (!definition) {
+            throw new UsageError(`Unknown option: ${flag}`);
+        }
+
+        if (definition.value) {
+            // Options with values take the inline value or the next argument
+            let value = inlineValue;
+            if (value === null) {
+                if (i + 1 >= argv.length) {
+                    throw new UsageError(`Option ${flag} requires a value`);
+                }
+                value = argv[++i];
+            }
+            options[definition.name] = value;
+        } else {
+            if (inlineValue !== null) {
+                throw new UsageError(`Option ${flag} does not take a value`);
+            }
+            options[definition.name] = true;
+        }
+    }
+
+    return { options, positionals };
+}
+
+/**
+ * Formats option definitions as the "Options:" lines of a help text
+ *
+ * @param {Array} definitions - Option definitions (see parseArguments)
+ * @returns {Array} - One line per option
+ */
+function formatOptionLines(definitions) {
+    return definitions.map(definition => {
+        const flags = definition.flags.join(', ') + (definition.value ? ` <${definition.value}>` : '');
+        return `  ${flags.padEnd(28)} ${definition.description}`;
+    });
+}
+
+/**
+ * Checks a date option such as --from or --created-from
+ *
+ * @param {string|undefined} value - Date from the command line
+ * @param {string} flag - Option name for error messages
+ * @returns {string|null} - The date (YYYY-MM-DD), or null if not given
+ */
+function parseDateOption(value, flag) {
+    if (value === undefined) return null;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+        throw new UsageError(`${flag} must be a date like 2025-09-30, got "${value}"`);
+    }
+    return value;
+}
+
+/**
+ * Creates the progress logger of a command
+ * Progress is hidden by --quiet; warnings and errors are printed with console.warn or console.error
+ * directly, so they are never hidden.
+ *
+ * @param {Object} options - { stderr: print progress to stderr, so stdout carries only the results }
+ * @returns {Object} - { log(...args), setQuiet(quiet) }
+ */
+function createLogger(options = {}) {
+    let quiet = false;
+
+    return {
+        log(...args) {
+            if (quiet) return;
+            if (options.stderr) console.error(...args);
+            else console.log(...args);
+        },
+        setQuiet(value) {
+            quiet = !!value;
+        }
+    };
+}
+
+module.exports = {
+    EXIT_CODES,
+    UsageError,
+    parseArguments,
+    formatOptionLines,
+    parseDateOption,
+    createLogger
+};
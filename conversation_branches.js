@@ -0,0 +1,149 @@
+/**
+ * Claude Conversation Branches
+ *
+ * DESCRIPTION: Rebuilds the message tree of a conversation from its parent links and splits it into the
+ *              current branch and the alternate branches left by edited prompts and regenerated replies.
+ *              Used by the converter and by commands that number messages the same way (such as search).
+ * AUTHOR: EJ Makela
+ * ORIGINAL CREATION DATE: 2026-10-19
+ *
+ * Editing a prompt or regenerating a reply in Claude creates a sibling message instead of replacing
+ * the old one. Each message points at its parent through parent_message_uuid, so a conversation is
+ * really a tree; chat_messages lists every branch mixed together in the order messages were written.
+ */
+
+// Parent UUID Claude uses for the first message of a conversation
+const ROOT_MESSAGE_UUID = '00000000-0000-4000-8000-000000000000';
+
+/**
+ * Rebuilds the message tree and splits it into the current branch and its alternates
+ * The current branch ends at the conversation's current_leaf_message_uuid (the branch last shown
+ * in Claude), or at the most recent message when the export doesn't say. Every other branch
+ * continues from its fork point to its own most recent message.
+ * Exports without parent links (or with broken ones) are returned in array order as one branch.
+ *
+ * @param {Object} conversation - Conversation object from the export
+ * @returns {Object} - { mainPath: Array of messages, branches: Array of
+ *                     { number, parentBranch, forkIndex, prefix, messages } }, where forkIndex is the
+ *                     number of shared messages before the branch diverges and prefix holds them
+ */
+function buildConversationBranches(conversation) {
+    const messages = conversation.chat_messages || [];
+    const linear = { mainPath: messages, branches: [] };
+
+    // Older exports have no parent links; keep their order as it is
+    if (messages.length === 0 || messages.some(message => !message || !message.uuid || !message.parent_message_uuid)) {
+        return linear;
+    }
+
+    // Index messages by UUID and group them under their parents (in export order)
+    const byUuid = new Map();
+    messages.forEach(message => byUuid.set(message.uuid, message));
+    if (byUuid.size !== messages.length) return linear;
+
+    const children = new Map();   // Parent UUID (ROOT_MESSAGE_UUID for first messages) => child messages
+    messages.forEach(message => {
+        const parentUuid = byUuid.has(message.parent_message_uuid) ? message.parent_message_uuid : ROOT_MESSAGE_UUID;
+        if (!children.has(parentUuid)) children.set(parentUuid, []);
+        children.get(parentUuid).push(message);
+    });
+
+    const orderOf = new Map(messages.map((message, position) => [message, position]));
+    const isLater = (a, b) => {
+        const timeA = new Date(a.created_at).getTime() || 0;
+        const timeB = new Date(b.created_at).getTime() || 0;
+        return timeA !== timeB ? timeA > timeB : orderOf.get(a) > orderOf.get(b);
+    };
+
+    // Follows the most recently written line of messages down from a message to a leaf
+    const latestLeaf = new Map();
+    const findLatestLeaf = (message, depth) => {
+        if (latestLeaf.has(message)) return latestLeaf.get(message);
+        if (depth > messages.length) return null;   // Only reachable through a parent cycle
+        let leaf = message;
+        (children.get(message.uuid) || []).forEach(child => {
+            const childLeaf = findLatestLeaf(child, depth + 1);
+            if (childLeaf && isLater(childLeaf, leaf)) leaf = childLeaf;
+        });
+        latestLeaf.set(message, leaf);
+        return leaf;
+    };
+
+    // Path from the first message down to a leaf, found by walking parent links upwards
+    const pathTo = (leaf) => {
+        const path = [];
+        const seen = new Set();
+        let current = leaf;
+        while (current && !seen.has(current)) {
+            seen.add(current);
+            path.unshift(current);
+            current = byUuid.get(current.parent_message_uuid);
+        }
+        return path;
+    };
+
+    // The current branch: the leaf Claude was showing, or the most recent message overall
+    let mainLeaf = byUuid.get(conversation.current_leaf_message_uuid) || null;
+    if (!mainLeaf) {
+        (children.get(ROOT_MESSAGE_UUID) || []).forEach(root => {
+            const leaf = findLatestLeaf(root, 0);
+            if (leaf && (!mainLeaf || isLater(leaf, mainLeaf))) mainLeaf = leaf;
+        });
+    }
+    if (!mainLeaf) return linear;
+
+    const mainPath = pathTo(mainLeaf);
+    const covered = new Set(mainPath);
+    const branches = [];
+
+    // Walk every rendered path; each sibling not rendered yet starts a new branch, which is
+    // walked in turn so branches of branches are found too
+    const paths = [{ number: 1, path: mainPath }];
+    for (let p = 0; p < paths.length; p++) {
+        const current = paths[p];
+        for (let forkIndex = 0; forkIndex < current.path.length; forkIndex++) {
+            const parentUuid = forkIndex === 0 ? ROOT_MESSAGE_UUID : current.path[forkIndex - 1].uuid;
+            (children.get(parentUuid) || []).forEach(sibling => {
+                if (covered.has(sibling)) return;
+                const leaf = findLatestLeaf(sibling, 0) || sibling;
+                const fullPath = pathTo(leaf);
+                const branch = {
+                    number: paths.length + 1,
+                    parentBranch: current.number,
+                    forkIndex: forkIndex,
+                    prefix: fullPath.slice(0, forkIndex),
+                    messages: fullPath.slice(forkIndex)
+                };
+                branch.messages.forEach(message => covered.add(message));
+                branches.push(branch);
+                paths.push({ number: branch.number, path: fullPath });
+            });
+        }
+    }
+
+    // Messages cut off from the first message by a parent cycle can't be placed in any branch
+    if (covered.size !== messages.length) return linear;
+
+    return { mainPath: mainPath, branches: branches };
+}
+
+/**
+ * Describes where a branch comes from, e.g. "edited prompt after message 2"
+ * A branch starting with a human message comes from editing a prompt; one starting with an
+ * assistant message comes from regenerating a reply.
+ *
+ * @param {Object} branch - Branch from buildConversationBranches()
+ * @returns {string} - Short description for headings
+ */
+function describeBranch(branch) {
+    const kind = branch.messages[0].sender === 'human' ? 'Edited prompt' : 'Regenerated reply';
+    const where = branch.forkIndex === 0 ? 'at the start' : `after message ${branch.forkIndex}`;
+    const from = branch.parentBranch === 1 ? '' : ` of branch ${branch.parentBranch}`;
+    return `${kind} ${where}${from}`;
+}
+
+module.exports = {
+    ROOT_MESSAGE_UUID,
+    buildConversationBranches,
+    describeBranch
+};
@@ -0,0 +1,442 @@
+/**
+ * Claude Conversation Excerpt
+ *
+ * DESCRIPTION: The "excerpt" command: writes a slice of one conversation as Markdown or JSON for sharing.
+ *              The conversation is picked by UUID or title, and the messages by number ("5-12,20") or as
+ *              a window around the messages containing some text. The excerpt says clearly that it is
+ *              one, names the original conversation, marks every gap, and keeps the original message
+ *              numbers and timestamp footnotes.
+ * AUTHOR: EJ Makela
+ * ORIGINAL CREATION DATE: 2026-10-19
+ *
+ * Usage: node convert_conversations.js excerpt [options] <uuid or title>
+ *
+ * Messages are taken from the conversation's current branch, numbered as in the converted Markdown.
+ */
+
+// Import required Node.js modules
+const fs = require('fs');           // File system operations (writing the excerpt)
+const { EXIT_CODES, UsageError, parseArguments, formatOptionLines, createLogger } = require('./command_line');
+const { openExport, describeExport, streamConversations } = require('./export_loader');
+const { buildConversationBranches } = require('./conversation_branches');
+const {
+    sanitizeTitle,
+    buildArtifactHistory,
+    extractTextFromContent,
+    buildConversationMetadata,
+    buildMessageEntries,
+    formatConversationHeader,
+    formatMessages
+} = require('./convert_conversations');
+
+// ===== CONFIGURATION SECTION =====
+
+const DEFAULT_INPUT_FILE = 'conversations.json';   // Same default as the converter
+const DEFAULT_CONTEXT = 2;     // Messages kept on each side of a --around match
+
+// Command-line options of the excerpt command
+const EXCERPT_OPTION_DEFINITIONS = [
+    { name: 'input', flags: ['-i', '--input'], value: 'file', description: `Claude export: conversations.json or the export .zip (default: ${DEFAULT_INPUT_FILE})` },
+    { name: 'messages', flags: ['-m', '--messages'], value: 'ranges', description: 'Message numbers to include, e.g. "5-12", "3,7-9" or "30-" (to the end)' },
+    { name: 'around', flags: ['--around'], value: 'text', description: 'Include the messages containing this text (case-insensitive), with --context messages around each' },
+    { name: 'context', flags: ['--context'], value: 'count', description: `Messages kept before and after each --around match (default: ${DEFAULT_CONTEXT})` },
+    { name: 'format', flags: ['--format'], value: 'format', description: 'Output format: "markdown" (default) or "json"' },
+    { name: 'output', flags: ['-o', '--output'], value: 'file', description: 'File to write, or "-" for standard output (default: <Title>_excerpt_<messages>.md or .json)' },
+    { name: 'yes', flags: ['-y', '--yes', '--force'], description: 'Overwrite the output file if it already exists' },
+    { name: 'quiet', flags: ['-q', '--quiet'], description: 'Only print warnings and errors' },
+    { name: 'help', flags: ['-h', '--help'], description: 'Show this help and exit' }
+];
+
+// ===== UTILITY FUNCTIONS =====
+
+// --quiet hides progress messages but never warnings or errors; progress goes to stderr so that
+// "-o -" leaves only the excerpt on stdout
+const logger = createLogger({ stderr: true });
+const log = logger.log;
+
+/**
+ * Describes message numbers as ranges, e.g. [2, 3, 4, 7] => "2-4, 7"
+ *
+ * @param {Array} numbers - Message numbers in ascending order
+ * @returns {string} - Ranges separated by commas
+ */
+function formatRanges(numbers) {
+    return splitIntoRuns(numbers).map(run => run.length > 1 ? `${run[0]}-${run[run.length - 1]}` : `${run[0]}`).join(', ');
+}
+
+/**
+ * Splits ascending message numbers into runs of consecutive numbers
+ *
+ * @param {Array} numbers - Message numbers in ascending order
+ * @returns {Array} - Arrays of consecutive numbers
+ */
+function splitIntoRuns(numbers) {
+    const runs = [];
+    numbers.forEach(number => {
+        const run = runs[runs.length - 1];
+        if (run && run[run.length - 1] === number - 1) {
+            run.push(number);
+        } else {
+            runs.push([number]);
+        }
+    });
+    return runs;
+}
+
+// ===== SELECTION FUNCTIONS =====
+
+/**
+ * Parses a --messages value into ranges
+ *
+ * @param {string} value - e.g. "5-12,20" or "30-"
+ * @returns {Array} - Ranges as [first, last]; last is null for "to the end"
+ */
+function parseMessageRanges(value) {
+    return value.split(',').map(part => part.trim()).filter(part => part !== '').map(part => {
+        const match = /^(\d+)(?:\s*(-)\s*(\d*))?$/.exec(part);
+        if (!match || Number(match[1]) < 1 || (match[3] && Number(match[3]) < Number(match[1]))) {
+            throw new UsageError(`--messages: "${part}" is not a message number or range like 5-12`);
+        }
+        const first = Number(match[1]);
+        const last = !match[2] ? first : match[3] ? Number(match[3]) : null;
+        return [first, last];
+    });
+}
+
+/**
+ * Works out which messages go into the excerpt
+ *
+ * @param {Array} entries - { number, text } for every message of the current branch
+ * @param {Object} selection - { ranges } from --messages, or { around, context } from --around
+ * @returns {Array} - Selected message numbers in ascending order
+ */
+function selectMessageNumbers(entries, selection) {
+    const total = entries.length;
+    const selected = new Set();
+
+    if (selection.ranges) {
+        selection.ranges.forEach(([first, last]) => {
+            if (first > total) {
+                throw new UsageError(`--messages: the conversation has only ${total} messages, so it has no message ${first}`);
+            }
+            const end = last === null ? total : Math.min(last, total);
+            for (let number = first; number <= end; number++) selected.add(number);
+        });
+    } else {
+        const needle = selection.around.normalize('NFC').toLowerCase();
+        const matches = entries.filter(entry => entry.text.normalize('NFC').toLowerCase().includes(needle));
+        if (matches.length === 0) {
+            throw new Error(`No message in this conversation contains "${selection.around}"`);
+        }
+        matches.forEach(entry => {
+            const first = Math.max(1, entry.number - selection.context);
+            const last = Math.min(total, entry.number + selection.context);
+            for (let number = first; number <= last; number++) selected.add(number);
+        });
+    }
+
+    return Array.from(selected).sort((a, b) => a - b);
+}
+
+/**
+ * Finds the conversation to take the excerpt from
+ * A full UUID wins over a UUID prefix (such as the 8 characters in filenames), which wins over an exact
+ * title, which wins over a title containing the text. Several equally good matches are an error.
+ *
+ * @param {Object} source - Export source from openExport()
+ * @param {string} query - UUID, UUID prefix or title
+ * @returns {Promise<Object>} - The conversation
+ */
+async function findConversation(source, query) {
+    const needle = query.normalize('NFC').toLowerCase();
+    const looksLikeUuid = /^[0-9a-f-]{8,}$/.test(needle);
+    const tiers = [[], [], [], []];   // Full UUID, UUID prefix, exact title, title containing the text
+
+    for await (const conversation of streamConversations(source)) {
+        const uuid = (conversation.uuid || '').toLowerCase();
+        const title = (conversation.name || '').normalize('NFC').toLowerCase();
+        if (uuid && uuid === needle) tiers[0].push(conversation);
+        else if (looksLikeUuid && uuid.startsWith(needle)) tiers[1].push(conversation);
+        else if (title === needle) tiers[2].push(conversation);
+        else if (title.includes(needle)) tiers[3].push(conversation);
+    }
+
+    const matches = tiers.find(tier => tier.length > 0);
+    if (!matches) {
+        throw new Error(`No conversation has the UUID or title "${query}"`);
+    }
+    if (matches.length > 1) {
+        const listed = matches.slice(0, 10).map(conversation =>
+            `  ${conversation.uuid || '(no UUID)'}  ${(conversation.created_at || '').slice(0, 10)}  ${conversation.name || 'Untitled'}`);
+        if (matches.length > 10) listed.push(`  ... and ${matches.length - 10} more`);
+        throw new Error(`${matches.length} conversations match "${query}"; pass one of their UUIDs instead:\n${listed.join('\n')}`);
+    }
+    return matches[0];
+}
+
+// ===== EXCERPT FUNCTIONS =====
+
+/**
+ * Builds the excerpt: the chosen messages of the current branch and the gaps between them
+ * Artifact versions are worked out over the whole branch, so "Version 3" means the same as in the archive.
+ *
+ * @param {Object} conversation - Conversation from the export
+ * @param {Object} selection - { ranges } or { around, context }
+ * @returns {Object} - { conversation, title, total, numbers, items } where items are, in order,
+ *                     { type: 'messages', entries } and { type: 'omission', first, last }
+ */
+function buildExcerpt(conversation, selection) {
+    const title = conversation.name || 'Untitled conversation';
+    const { mainPath } = buildConversationBranches(conversation);
+    if (mainPath.length === 0) {
+        throw new Error(`"${title}" has no messages`);
+    }
+
+    const contentContext = { artifactHistory: buildArtifactHistory(mainPath), artifactWriter: null, blockTypes: null };
+    const searchable = mainPath.map((message, index) => ({
+        number: index + 1,
+        text: extractTextFromContent(message.content) || message.text || ''
+    }));
+    const numbers = selectMessageNumbers(searchable, selection);
+
+    const items = [];
+    let next = 1;
+    splitIntoRuns(numbers).forEach(run => {
+        if (run[0] > next) items.push({ type: 'omission', first: next, last: run[0] - 1 });
+
+        // Attachments are not copied into excerpts; they are listed by name under their message
+        const messages = mainPath.slice(run[0] - 1, run[run.length - 1]);
+        const entries = buildMessageEntries(messages, run[0] - 1, '', '', [], contentContext);
+        entries.forEach((entry, index) => {
+            entry.attachmentNames = (messages[index].attachments || []).map(attachment => attachment.file_name || 'attachment');
+        });
+        items.push({ type: 'messages', entries: entries });
+        next = run[run.length - 1] + 1;
+    });
+    if (next <= mainPath.length) items.push({ type: 'omission', first: next, last: mainPath.length });
+
+    return { conversation: conversation, title: title, total: mainPath.length, numbers: numbers, items: items };
+}
+
+/**
+ * Describes a gap in the excerpt
+ *
+ * @param {Object} item - { first, last } message numbers left out
+ * @returns {string} - e.g. "4 messages omitted (Messages 1-4)"
+ */
+function describeOmission(item) {
+    const count = item.last - item.first + 1;
+    return count === 1
+        ? `1 message omitted (Message ${item.first})`
+        : `${count} messages omitted (Messages ${item.first}-${item.last})`;
+}
+
+/**
+ * Writes an excerpt as Markdown, in the same layout as the archived conversation
+ *
+ * @param {Object} excerpt - Result of buildExcerpt()
+ * @returns {string} - Markdown file content
+ */
+function renderExcerptMarkdown(excerpt) {
+    const messageCount = excerpt.conversation.chat_messages ? excerpt.conversation.chat_messages.length : 0;
+    const metadata = buildConversationMetadata(excerpt.conversation, excerpt.title, messageCount, [{
+        label: 'Excerpt',
+        value: `Messages ${formatRanges(excerpt.numbers)} (${excerpt.numbers.length} of ${excerpt.total} in the current branch)`
+    }]);
+
+    let markdown = formatConversationHeader(metadata, 'Excerpt from an archived AI conversation');
+    markdown += `> **This is an excerpt, not the whole conversation.** Left-out messages are marked where they were; `;
+    markdown += `message numbers and timestamps are those of the original conversation.\n\n`;
+
+    excerpt.items.forEach(item => {
+        if (item.type === 'omission') {
+            markdown += `*[… ${describeOmission(item)} …]*\n\n`;
+            return;
+        }
+        markdown += formatMessages(item.entries.map(entry => entry.attachmentNames.length === 0 ? entry : Object.assign({}, entry, {
+            body: `${entry.body}\n\n*Attachments (not included in this excerpt): ${entry.attachmentNames.join(', ')}*`
+        })));
+    });
+
+    markdown += `---\n\n`;
+    markdown += `**End of Excerpt**\n\n`;
+    markdown += `*This excerpt was taken from a conversation exported from Claude.ai. `;
+    markdown += `Time zones reflect the system settings where this excerpt was created and may differ from `;
+    markdown += `where the original conversation occurred. Refer to UTC times for precision.*\n`;
+    return markdown;
+}
+
+/**
+ * Writes an excerpt as JSON for other tools
+ *
+ * @param {Object} excerpt - Result of buildExcerpt()
+ * @returns {string} - JSON file content
+ */
+function renderExcerptJson(excerpt) {
+    const conversation = excerpt.conversation;
+    return JSON.stringify({
+        excerpt: true,
+        created: new Date().toISOString(),
+        conversation: {
+            uuid: conversation.uuid || null,
+            title: conversation.name || null,
+            url: conversation.uuid ? `https://claude.ai/chat/${conversation.uuid}` : null,
+            created_at: conversation.created_at || null,
+            updated_at: conversation.updated_at || null,
+            message_count: excerpt.total
+        },
+        messages_included: excerpt.numbers,
+        items: excerpt.items.reduce((items, item) => {
+            if (item.type === 'omission') {
+                items.push({ type: 'omission', first: item.first, last: item.last, count: item.last - item.first + 1 });
+            } else {
+                item.entries.forEach(entry => items.push({
+                    type: 'message',
+                    number: entry.number,
+                    sender: entry.sender,
+                    created_at: entry.createdAt,
+                    timestamp: entry.timestamp,
+                    text: entry.body,
+                    attachments: entry.attachmentNames
+                }));
+            }
+            return items;
+        }, [])
+    }, null, 2) + '\n';
+}
+
+// ===== COMMAND-LINE FUNCTIONS =====
+
+/**
+ * Turns the excerpt command's arguments into options
+ *
+ * @param {Array} argv - Arguments after "excerpt"
+ * @returns {Object} - { help, query, inputFile, selection, format, outputFile, assumeYes, quiet }
+ */
+function resolveExcerptOptions(argv) {
+    const { options, positionals } = parseArguments(argv, EXCERPT_OPTION_DEFINITIONS);
+    if (options.help) return { help: true };
+
+    const query = positionals.join(' ').trim();
+    if (!query) {
+        throw new UsageError('Name the conversation by UUID or title, e.g. excerpt a61869be --messages 3-8');
+    }
+
+    if (options.messages !== undefined && options.around !== undefined) {
+        throw new UsageError('Use either --messages or --around, not both');
+    }
+    if (options.messages === undefined && options.around === undefined) {
+        throw new UsageError('Choose the messages with --messages (e.g. 5-12) or --around "some text"');
+    }
+    if (options.context !== undefined && options.around === undefined) {
+        throw new UsageError('--context only applies together with --around');
+    }
+
+    let selection;
+    if (options.messages !== undefined) {
+        const ranges = parseMessageRanges(options.messages);
+        if (ranges.length === 0) {
+            throw new UsageError('--messages did not list any messages');
+        }
+        selection = { ranges: ranges };
+    } else {
+        if (options.context !== undefined && !/^\d+$/.test(options.context)) {
+            throw new UsageError(`--context must be a whole number, got "${options.context}"`);
+        }
+        if (!options.around.trim()) {
+            throw new UsageError('--around needs some text to look for');
+        }
+        const context = options.context === undefined ? DEFAULT_CONTEXT : Number(options.context);
+        selection = { around: options.around.trim(), context: context };
+    }
+
+    const format = options.format || 'markdown';
+    if (!['markdown', 'json'].includes(format)) {
+        throw new UsageError(`--format must be "markdown" or "json", got "${format}"`);
+    }
+
+    return {
+        help: false,
+        query: query,
+        inputFile: options.input || DEFAULT_INPUT_FILE,
+        selection: selection,
+        format: format,
+        outputFile: options.output || null,   // Named after the conversation when not given
+        assumeYes: !!options.yes,
+        quiet: !!options.quiet
+    };
+}
+
+/**
+ * Builds the help text shown by "excerpt --help"
+ *
+ * @returns {string} - Usage and options
+ */
+function formatExcerptHelp() {
+    return [
+        'Write part of a conversation as a Markdown or JSON excerpt',
+        '',
+        'Usage: node convert_conversations.js excerpt [options] <uuid or title>',
+        '',
+        'The conversation can be named by its UUID, the first 8 characters of it (as in filenames),',
+        'or its title. Messages are numbered as in the converted Markdown (current branch only).',
+        '',
+        'Options:',
+        ...formatOptionLines(EXCERPT_OPTION_DEFINITIONS),
+        '',
+        'Examples:',
+        '  node convert_conversations.js excerpt a61869be --messages 3-8',
+        '  node convert_conversations.js excerpt -i export.zip "Folder Generator" --messages 1,5-7 -o share.md',
+        '  node convert_conversations.js excerpt a61869be --around "mkdir" --context 1 --format json -o -'
+    ].join('\n');
+}
+
+/**
+ * Runs the excerpt command
+ *
+ * @param {Array} argv - Arguments after "excerpt"
+ * @returns {Promise<number>} - Exit code (see EXIT_CODES)
+ */
+async function runCommand(argv) {
+    const options = resolveExcerptOptions(argv);
+    if (options.help) {
+        console.log(formatExcerptHelp());
+        return EXIT_CODES.SUCCESS;
+    }
+    logger.setQuiet(options.quiet);
+
+    try {
+        const source = await openExport(options.inputFile);
+        log(`Reading ${describeExport(source)}...`);
+        const conversation = await findConversation(source, options.query);
+        const excerpt = buildExcerpt(conversation, options.selection);
+
+        const content = options.format === 'json' ? renderExcerptJson(excerpt) : renderExcerptMarkdown(excerpt);
+        const extension = options.format === 'json' ? '.json' : '.md';
+        const outputFile = options.outputFile ||
+            `${sanitizeTitle(conversation.name)}_excerpt_${formatRanges(excerpt.numbers).replace(/, /g, '_')}${extension}`;
+
+        if (outputFile === '-') {
+            process.stdout.write(content);
+        } else {
+            if (fs.existsSync(outputFile) && !options.assumeYes) {
+                console.error(`Output file ${outputFile} already exists. Re-run with --yes to overwrite it.`);
+                return EXIT_CODES.CANCELLED;
+            }
+            fs.writeFileSync(outputFile, content, 'utf8');
+            log(`✓ ${outputFile} (messages ${formatRanges(excerpt.numbers)} of "${excerpt.title}")`);
+        }
+        return EXIT_CODES.SUCCESS;
+    } catch (error) {
+        if (error instanceof UsageError) throw error;
+        console.error('Fatal error:', error.message);
+        return EXIT_CODES.ERROR;
+    }
+}
+
+module.exports = {
+    buildExcerpt,
+    renderExcerptMarkdown,
+    renderExcerptJson,
+    runCommand
+};
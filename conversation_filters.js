@@ -0,0 +1,238 @@
+/**
+ * Claude Conversation Filters
+ *
+ * DESCRIPTION: Selects which conversations of an export to convert: by creation or update date, title,
+ *              UUID, message count, and whether a conversation has attachments or artifacts. Every filter
+ *              counts how many conversations it included and excluded, for the run summary.
+ * AUTHOR: EJ Makela
+ * ORIGINAL CREATION DATE: 2026-10-19
+ */
+
+// Import required Node.js modules
+const fs = require('fs');           // File system operations (reading --uuid-file)
+const { UsageError, parseDateOption } = require('./command_line');
+
+// Command-line options for the filters, added to the converter's own options
+const FILTER_OPTION_DEFINITIONS = [
+    { name: 'createdFrom', flags: ['--created-from'], value: 'date', description: 'Only conversations created on or after this date (YYYY-MM-DD, UTC)' },
+    { name: 'createdTo', flags: ['--created-to'], value: 'date', description: 'Only conversations created on or before this date' },
+    { name: 'updatedFrom', flags: ['--updated-from'], value: 'date', description: 'Only conversations last updated on or after this date' },
+    { name: 'updatedTo', flags: ['--updated-to'], value: 'date', description: 'Only conversations last updated on or before this date' },
+    { name: 'title', flags: ['--title'], value: 'regex', description: 'Only conversations whose title matches this regular expression (case-insensitive)' },
+    { name: 'uuid', flags: ['--uuid'], value: 'list', description: 'Only these conversations: comma-separated UUIDs' },
+    { name: 'uuidFile', flags: ['--uuid-file'], value: 'file', description: 'Only the conversations listed in this file (one UUID per line, # for comments)' },
+    { name: 'minMessages', flags: ['--min-messages'], value: 'count', description: 'Only conversations with at least this many messages' },
+    { name: 'maxMessages', flags: ['--max-messages'], value: 'count', description: 'Only conversations with at most this many messages' },
+    { name: 'hasAttachments', flags: ['--has-attachments'], description: 'Only conversations with attached files' },
+    { name: 'hasArtifacts', flags: ['--has-artifacts'], description: 'Only conversations in which Claude created artifacts' }
+];
+
+// ===== PARSING FUNCTIONS =====
+
+/**
+ * Checks a message count given to --min-messages or --max-messages
+ *
+ * @param {string|undefined} value - Count from the command line
+ * @param {string} flag - Option name for error messages
+ * @returns {number|null} - The count, or null if not given
+ */
+function parseFilterCount(value, flag) {
+    if (value === undefined) return null;
+    const count = Number(value);
+    if (!/^\d+$/.test(value) || !Number.isSafeInteger(count)) {
+        throw new UsageError(`${flag} must be a whole number, got "${value}"`);
+    }
+    return count;
+}
+
+/**
+ * Collects the UUIDs given with --uuid and --uuid-file
+ * UUIDs may be separated by commas, spaces or newlines; in the file, "#" starts a comment.
+ *
+ * @param {string|undefined} list - Value of --uuid
+ * @param {string|undefined} file - Value of --uuid-file
+ * @returns {Set|null} - Lowercased UUIDs, or null if neither option was given
+ */
+function collectUuids(list, file) {
+    if (list === undefined && file === undefined) return null;
+
+    const uuids = new Set();
+    const addAll = text => {
+        text.split(/[\s,]+/).filter(uuid => uuid !== '').forEach(uuid => uuids.add(uuid.toLowerCase()));
+    };
+
+    if (list !== undefined) addAll(list);
+    if (file !== undefined) {
+        let content;
+        try {
+            content = fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            throw new UsageError(`--uuid-file: cannot read "${file}" (${error.code || error.message})`);
+        }
+        content.split(/\r?\n/).forEach(line => addAll(line.replace(/#.*$/, '')));
+    }
+
+    if (uuids.size === 0) {
+        throw new UsageError('--uuid and --uuid-file did not list any UUIDs');
+    }
+    return uuids;
+}
+
+// ===== FILTER FUNCTIONS =====
+
+/**
+ * Gets the UTC calendar date of a timestamp, the date used in filenames
+ *
+ * @param {string} dateString - ISO format date string
+ * @returns {string|null} - YYYY-MM-DD, or null if missing or invalid
+ */
+function getUtcDate(dateString) {
+    if (!dateString) return null;
+    const date = new Date(dateString);
+    return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Lists the messages of a conversation, or none if chat_messages is missing or not a list
+ *
+ * @param {Object} conversation - Conversation from the export
+ * @returns {Array} - Messages (elements that aren't objects are left for the converter to report)
+ */
+function listMessages(conversation) {
+    return Array.isArray(conversation.chat_messages) ? conversation.chat_messages : [];
+}
+
+/**
+ * Checks whether any message of a conversation contains an artifact
+ *
+ * @param {Object} conversation - Conversation from the export
+ * @returns {boolean} - true if Claude created or edited an artifact in it
+ */
+function hasArtifacts(conversation) {
+    return listMessages(conversation).some(message => message && Array.isArray(message.content) &&
+        message.content.some(item => item && item.type === 'tool_use' && item.name === 'artifacts'));
+}
+
+/**
+ * Creates a filter that counts the conversations it includes and excludes
+ *
+ * @param {string} label - Description for the run summary, e.g. "created from 2025-01-01"
+ * @param {Function} test - Returns true for conversations to include
+ * @returns {Object} - Filter: { label, test, included, excluded }
+ */
+function createFilter(label, test) {
+    return { label: label, test: test, included: 0, excluded: 0 };
+}
+
+/**
+ * Builds the filters requested on the command line
+ *
+ * @param {Object} options - Parsed options (see FILTER_OPTION_DEFINITIONS)
+ * @returns {Array} - Filters in the order they are listed in the summary; empty if none were requested
+ */
+function resolveConversationFilters(options) {
+    const filters = [];
+
+    // Date ranges, compared by UTC date and inclusive at both ends
+    [['created', 'created_at'], ['updated', 'updated_at']].forEach(([name, field]) => {
+        const from = parseDateOption(options[`${name}From`], `--${name}-from`);
+        const to = parseDateOption(options[`${name}To`], `--${name}-to`);
+        if (from && to && from > to) {
+            throw new UsageError(`--${name}-from (${from}) is after --${name}-to (${to})`);
+        }
+        if (!from && !to) return;
+
+        const label = from && to ? `${name} ${from} to ${to}` : from ? `${name} from ${from}` : `${name} up to ${to}`;
+        filters.push(createFilter(label, conversation => {
+            const date = getUtcDate(conversation[field]);
+            return date !== null && (!from || date >= from) && (!to || date <= to);
+        }));
+    });
+
+    if (options.title !== undefined) {
+        let pattern;
+        try {
+            pattern = new RegExp(options.title, 'iu');
+        } catch (error) {
+            throw new UsageError(`--title is not a valid regular expression: ${error.message}`);
+        }
+        filters.push(createFilter(`title matches /${options.title}/`, conversation => pattern.test(conversation.name || '')));
+    }
+
+    const uuids = collectUuids(options.uuid, options.uuidFile);
+    if (uuids) {
+        const filter = createFilter(`UUID in list (${uuids.size})`, conversation => {
+            const uuid = (conversation.uuid || '').toLowerCase();
+            if (!uuids.has(uuid)) return false;
+            filter.found.add(uuid);
+            return true;
+        });
+        filter.requested = uuids;
+        filter.found = new Set();
+        filters.push(filter);
+    }
+
+    const minMessages = parseFilterCount(options.minMessages, '--min-messages');
+    const maxMessages = parseFilterCount(options.maxMessages, '--max-messages');
+    if (minMessages !== null && maxMessages !== null && minMessages > maxMessages) {
+        throw new UsageError(`--min-messages (${minMessages}) is more than --max-messages (${maxMessages})`);
+    }
+    if (minMessages !== null || maxMessages !== null) {
+        const label = minMessages !== null && maxMessages !== null ? `${minMessages} to ${maxMessages} messages`
+            : minMessages !== null ? `at least ${minMessages} messages` : `at most ${maxMessages} messages`;
+        filters.push(createFilter(label, conversation => {
+            const count = listMessages(conversation).length;
+            return (minMessages === null || count >= minMessages) && (maxMessages === null || count <= maxMessages);
+        }));
+    }
+
+    if (options.hasAttachments) {
+        filters.push(createFilter('has attachments', conversation => listMessages(conversation)
+            .some(message => message && Array.isArray(message.attachments) && message.attachments.length > 0)));
+    }
+    if (options.hasArtifacts) {
+        filters.push(createFilter('has artifacts', hasArtifacts));
+    }
+
+    return filters;
+}
+
+/**
+ * Decides whether a conversation passes every filter
+ * All filters are checked, even after one has excluded the conversation, so that each filter's
+ * counts show its own effect on the whole export.
+ *
+ * @param {Array} filters - Filters from resolveConversationFilters()
+ * @param {Object} conversation - Conversation from the export
+ * @returns {boolean} - true if the conversation should be converted
+ */
+function selectConversation(filters, conversation) {
+    let selected = true;
+    filters.forEach(filter => {
+        if (filter.test(conversation)) {
+            filter.included++;
+        } else {
+            filter.excluded++;
+            selected = false;
+        }
+    });
+    return selected;
+}
+
+/**
+ * Lists the UUIDs asked for with --uuid or --uuid-file that were not in the export
+ *
+ * @param {Array} filters - Filters from resolveConversationFilters(), after every conversation was checked
+ * @returns {Array} - Missing UUIDs, in the order given
+ */
+function findMissingUuids(filters) {
+    const filter = filters.find(candidate => candidate.requested);
+    return filter ? Array.from(filter.requested).filter(uuid => !filter.found.has(uuid)) : [];
+}
+
+module.exports = {
+    FILTER_OPTION_DEFINITIONS,
+    resolveConversationFilters,
+    selectConversation,
+    findMissingUuids
+};
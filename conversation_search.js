@@ -0,0 +1,446 @@
+/**
+ * Claude Conversation Search
+ *
+ * DESCRIPTION: The "search" command: ranked full-text search over a Claude export. Message text, artifact
+ *              content and the extracted text of attachments go into a persistent inverted index, which is
+ *              rebuilt automatically when the export changes. Queries return BM25-ranked hits with the
+ *              conversation title, message number, sender, date and a highlighted snippet.
+ * AUTHOR: EJ Makela
+ * ORIGINAL CREATION DATE: 2026-10-19
+ *
+ * Usage: node convert_conversations.js search [options] <query>
+ *
+ * Messages are numbered as in the converted Markdown ("Message 3", "Branch 2, Message 4"), so a hit
+ * can be looked up in the archive directly.
+ */
+
+// Import required Node.js modules
+const fs = require('fs');           // File system operations (reading/writing the index)
+const path = require('path');       // Path manipulation utilities for cross-platform file paths
+const { EXIT_CODES, UsageError, parseArguments, formatOptionLines, parseDateOption, createLogger } = require('./command_line');
+const { openExport, describeExport, streamConversations } = require('./export_loader');
+const { buildConversationBranches } = require('./conversation_branches');
+const { tokenize, buildInvertedIndex, rankDocuments } = require('./text_search');
+
+// ===== CONFIGURATION SECTION =====
+
+const DEFAULT_INPUT_FILE = 'conversations.json';           // Same default as the converter
+const DEFAULT_INDEX_FILE = 'claude_search_index.json';     // Kept next to claude_schema.json
+const SEARCH_INDEX_VERSION = 1;    // Bumped when the index layout changes, forcing a rebuild
+const DEFAULT_LIMIT = 10;
+const SNIPPET_RADIUS = 80;         // Characters shown on each side of the first match
+
+// What can be searched; --type picks from these
+const CONTENT_TYPES = ['message', 'artifact', 'attachment'];
+
+// Command-line options of the search command
+const SEARCH_OPTION_DEFINITIONS = [
+    { name: 'input', flags: ['-i', '--input'], value: 'file', description: `Claude export to search: conversations.json or the export .zip (default: ${DEFAULT_INPUT_FILE})` },
+    { name: 'index', flags: ['--index'], value: 'file', description: `Where to keep the search index (default: ${DEFAULT_INDEX_FILE})` },
+    { name: 'rebuild', flags: ['--rebuild'], description: 'Rebuild the index even if the export has not changed' },
+    { name: 'sender', flags: ['--sender'], value: 'sender', description: 'Only messages from "human" or "assistant"' },
+    { name: 'from', flags: ['--from'], value: 'date', description: 'Only messages sent on or after this date (YYYY-MM-DD, UTC)' },
+    { name: 'to', flags: ['--to'], value: 'date', description: 'Only messages sent on or before this date (YYYY-MM-DD, UTC)' },
+    { name: 'type', flags: ['--type'], value: 'list', description: 'Comma-separated content to search: message, artifact, attachment (default: all)' },
+    { name: 'limit', flags: ['-n', '--limit'], value: 'count', description: `Number of hits to show (default: ${DEFAULT_LIMIT})` },
+    { name: 'json', flags: ['--json'], description: 'Print the hits as JSON for scripts' },
+    { name: 'quiet', flags: ['-q', '--quiet'], description: 'Only print results, warnings and errors' },
+    { name: 'help', flags: ['-h', '--help'], description: 'Show this help and exit' }
+];
+
+// ===== UTILITY FUNCTIONS =====
+
+// --quiet hides progress messages but never warnings or errors; progress goes to stderr so that
+// stdout carries only the results (which may be JSON)
+const logger = createLogger({ stderr: true });
+const log = logger.log;
+
+/**
+ * Collects the text a message shows in Claude
+ * Text blocks are used when present; older exports only have the message's text field.
+ *
+ * @param {Object} message - Chat message from the export
+ * @returns {string} - Message text
+ */
+function getMessageText(message) {
+    if (Array.isArray(message.content)) {
+        const text = message.content
+            .filter(item => item && item.type === 'text' && item.text)
+            .map(item => item.text)
+            .join('\n\n');
+        if (text) return text;
+    }
+    return message.text || '';
+}
+
+// ===== INDEX FUNCTIONS =====
+
+/**
+ * Describes the export file an index was built from, to notice when it changes
+ *
+ * @param {string} inputPath - Path of the export
+ * @returns {Object} - { path, size, modified }
+ */
+function describeIndexSource(inputPath) {
+    const stats = fs.statSync(inputPath);
+    return { path: path.resolve(inputPath), size: stats.size, modified: stats.mtime.toISOString() };
+}
+
+/**
+ * Builds the search index for an export
+ * Every message, artifact and attachment becomes its own document. Messages are numbered along the
+ * branch they belong to, the same way the converter numbers them.
+ *
+ * @param {Object} source - Export source from openExport()
+ * @returns {Promise<Object>} - Index: { version, source, built, conversations, documents, lengths, terms }
+ */
+async function buildConversationIndex(source) {
+    const conversations = [];
+    const documents = [];
+
+    for await (const conversation of streamConversations(source)) {
+        const conversationIndex = conversations.length;
+        conversations.push({
+            uuid: conversation.uuid || null,
+            title: conversation.name || null,
+            created_at: conversation.created_at || null,
+            updated_at: conversation.updated_at || null
+        });
+
+        // Number the current branch first, then the messages only found in alternate branches
+        const { mainPath, branches } = buildConversationBranches(conversation);
+        const numbered = mainPath.map((message, position) => ({ message: message, number: position + 1, branch: null }));
+        branches.forEach(branch => {
+            branch.messages.forEach((message, position) => {
+                numbered.push({ message: message, number: branch.forkIndex + position + 1, branch: branch.number });
+            });
+        });
+
+        numbered.forEach(({ message, number, branch }) => {
+            const location = {
+                conversation: conversationIndex,
+                message: number,
+                branch: branch,
+                sender: message.sender || 'unknown',
+                date: message.created_at || conversation.created_at || null
+            };
+            const addDocument = (type, name, text) => {
+                if (!text || !text.trim()) return;
+                documents.push(Object.assign({ type: type, name: name || null, text: text }, location));
+            };
+
+            addDocument('message', null, getMessageText(message));
+            (Array.isArray(message.content) ? message.content : []).forEach(item => {
+                // Artifact text is the full content for create/rewrite, the replacement text for updates
+                if (item && item.type === 'tool_use' && item.name === 'artifacts' && item.input) {
+                    addDocument('artifact', item.input.title || item.input.id, item.input.content || item.input.new_str);
+                }
+            });
+            (message.attachments || []).forEach(attachment => {
+                addDocument('attachment', attachment.file_name, attachment.extracted_content);
+            });
+        });
+    }
+
+    // Artifact titles and attachment names are searchable along with their content
+    const inverted = buildInvertedIndex(documents.map(doc => doc.name ? `${doc.name}\n${doc.text}` : doc.text));
+
+    return {
+        version: SEARCH_INDEX_VERSION,
+        source: null,
+        built: new Date().toISOString(),
+        conversations: conversations,
+        documents: documents,
+        lengths: inverted.lengths,
+        terms: inverted.terms
+    };
+}
+
+/**
+ * Loads the saved index, or builds and saves a new one if the export changed since it was built
+ *
+ * @param {string} inputPath - Path of the export
+ * @param {string} indexPath - Path of the index file
+ * @param {boolean} rebuild - Build a new index even if the saved one is current
+ * @returns {Promise<Object>} - { index, rebuilt }
+ */
+async function loadOrBuildIndex(inputPath, indexPath, rebuild) {
+    const exportSource = await openExport(inputPath);
+    const indexSource = describeIndexSource(inputPath);
+
+    if (!rebuild && fs.existsSync(indexPath)) {
+        try {
+            const saved = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+            const current = saved.version === SEARCH_INDEX_VERSION && saved.source &&
+                saved.source.path === indexSource.path &&
+                saved.source.size === indexSource.size &&
+                saved.source.modified === indexSource.modified;
+            if (current) return { index: saved, rebuilt: false };
+        } catch (error) {
+            console.warn(`Warning: Could not read search index ${indexPath} (${error.message}); rebuilding it`);
+        }
+    }
+
+    log(`Indexing ${describeExport(exportSource)}...`);
+    const index = await buildConversationIndex(exportSource);
+    index.source = indexSource;
+
+    // Written to a temporary file first so an interrupted run can't leave a half-written index
+    const tempPath = `${indexPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(index), 'utf8');
+    fs.renameSync(tempPath, indexPath);
+    log(`Indexed ${index.documents.length} messages, artifacts and attachments from ${index.conversations.length} conversations`);
+
+    return { index: index, rebuilt: true };
+}
+
+// ===== QUERY FUNCTIONS =====
+
+/**
+ * Cuts a snippet around the first match and records which words to highlight
+ *
+ * @param {string} text - Document text
+ * @param {Array} queryTerms - Terms from tokenize(query)
+ * @returns {Object} - { text, highlights: Array of [start, end] offsets into text }
+ */
+function buildSnippet(text, queryTerms) {
+    const termSet = new Set(queryTerms);
+    const matches = [];
+    const wordPattern = /[\p{L}\p{N}]+/gu;
+    let match;
+    while ((match = wordPattern.exec(text)) !== null) {
+        if (tokenize(match[0]).some(term => termSet.has(term))) {
+            matches.push([match.index, match.index + match[0].length]);
+        }
+    }
+
+    // Show the text around the first match, starting and ending at word boundaries
+    const center = matches.length > 0 ? matches[0][0] : 0;
+    let start = Math.max(0, center - SNIPPET_RADIUS);
+    let end = Math.min(text.length, center + SNIPPET_RADIUS);
+    if (start > 0) {
+        const space = text.slice(start, center).search(/\s/);
+        if (space !== -1) start += space + 1;
+    }
+    if (end < text.length) {
+        const space = text.slice(center, end).search(/\s\S*$/);
+        if (space > 0) end = center + space;
+    }
+
+    // Collapse whitespace piece by piece so the highlight offsets stay right
+    let snippet = start > 0 ? '…' : '';
+    const highlights = [];
+    let position = start;
+    matches.filter(([matchStart, matchEnd]) => matchStart >= start && matchEnd <= end).forEach(([matchStart, matchEnd]) => {
+        snippet += text.slice(position, matchStart).replace(/\s+/g, ' ');
+        highlights.push([snippet.length, snippet.length + (matchEnd - matchStart)]);
+        snippet += text.slice(matchStart, matchEnd);
+        position = matchEnd;
+    });
+    snippet += text.slice(position, end).replace(/\s+/g, ' ');
+    if (end < text.length) snippet += '…';
+
+    return { text: snippet, highlights: highlights };
+}
+
+/**
+ * Runs a query against the index
+ *
+ * @param {Object} index - Index from loadOrBuildIndex()
+ * @param {string} query - Search words
+ * @param {Object} filters - { sender, from, to, types } (each optional)
+ * @param {number} [limit] - Most hits to return (all when omitted); total still counts every match
+ * @returns {Object} - { total, hits: Array of hit objects, most relevant first }
+ */
+function searchIndex(index, query, filters, limit) {
+    const queryTerms = tokenize(query);
+
+    const accept = documentIndex => {
+        const doc = index.documents[documentIndex];
+        if (filters.sender && doc.sender !== filters.sender) return false;
+        if (filters.types && !filters.types.includes(doc.type)) return false;
+        if (filters.from || filters.to) {
+            const day = doc.date ? doc.date.slice(0, 10) : null;
+            if (!day) return false;
+            if (filters.from && day < filters.from) return false;
+            if (filters.to && day > filters.to) return false;
+        }
+        return true;
+    };
+
+    const ranked = rankDocuments(index, queryTerms, accept);
+    // Snippets are only built for the hits that are returned
+    const kept = limit === undefined ? ranked : ranked.slice(0, limit);
+    const hits = kept.map(({ document, score }) => {
+        const doc = index.documents[document];
+        const conversation = index.conversations[doc.conversation];
+        return {
+            score: Math.round(score * 1000) / 1000,
+            conversation: {
+                uuid: conversation.uuid,
+                title: conversation.title,
+                url: conversation.uuid ? `https://claude.ai/chat/${conversation.uuid}` : null
+            },
+            message: doc.message,
+            branch: doc.branch,
+            label: doc.branch ? `Branch ${doc.branch}, Message ${doc.message}` : `Message ${doc.message}`,
+            sender: doc.sender,
+            date: doc.date,
+            type: doc.type,
+            name: doc.name,
+            snippet: buildSnippet(doc.text, queryTerms)
+        };
+    });
+
+    return { total: ranked.length, hits: hits };
+}
+
+/**
+ * Formats hits for the terminal, marking matched words in bold
+ * (with terminal colours when printing to a terminal, **Markdown bold** otherwise)
+ *
+ * @param {string} query - The query as typed
+ * @param {Object} result - Result of searchIndex()
+ * @param {boolean} useColor - Whether to highlight with terminal escape codes
+ * @returns {string} - Report text
+ */
+function formatHits(query, result, useColor) {
+    if (result.total === 0) return `No matches for "${query}"`;
+
+    const [open, close] = useColor ? ['\x1b[1;33m', '\x1b[0m'] : ['**', '**'];
+    const lines = [`Found ${result.total} match${result.total === 1 ? '' : 'es'} for "${query}"` +
+        (result.hits.length < result.total ? ` (showing ${result.hits.length})` : ''), ''];
+
+    result.hits.forEach((hit, position) => {
+        const date = hit.date ? hit.date.slice(0, 10) : 'unknown date';
+        lines.push(`${position + 1}. ${hit.conversation.title || 'Untitled conversation'} — ${hit.label} · ${hit.sender} · ${date}`);
+        if (hit.type !== 'message') lines.push(`   ${hit.type}: ${hit.name || '(unnamed)'}`);
+
+        // Insert the highlight markers from the end so earlier offsets stay valid
+        let snippet = hit.snippet.text;
+        hit.snippet.highlights.slice().reverse().forEach(([start, end]) => {
+            snippet = snippet.slice(0, start) + open + snippet.slice(start, end) + close + snippet.slice(end);
+        });
+        lines.push(`   ${snippet}`);
+        if (hit.conversation.url) lines.push(`   ${hit.conversation.url}`);
+        lines.push('');
+    });
+
+    return lines.join('\n').trimEnd();
+}
+
+// ===== COMMAND-LINE FUNCTIONS =====
+
+/**
+ * Turns the search command's arguments into options
+ *
+ * @param {Array} argv - Arguments after "search"
+ * @returns {Object} - { help, query, inputFile, indexFile, rebuild, filters, limit, json, quiet }
+ */
+function resolveSearchOptions(argv) {
+    const { options, positionals } = parseArguments(argv, SEARCH_OPTION_DEFINITIONS);
+    const query = positionals.join(' ').trim();
+
+    if (!options.help && tokenize(query).length === 0) {
+        throw new UsageError('Give the words to search for, e.g. search "python asyncio"');
+    }
+
+    if (options.sender && !['human', 'assistant'].includes(options.sender)) {
+        throw new UsageError(`--sender must be "human" or "assistant", got "${options.sender}"`);
+    }
+
+    const from = parseDateOption(options.from, '--from');
+    const to = parseDateOption(options.to, '--to');
+    if (from && to && from > to) {
+        throw new UsageError(`--from (${from}) is after --to (${to})`);
+    }
+
+    let types = null;
+    if (options.type) {
+        types = options.type.split(',').map(type => type.trim()).filter(type => type !== '');
+        const unknown = types.filter(type => !CONTENT_TYPES.includes(type));
+        if (unknown.length > 0 || types.length === 0) {
+            throw new UsageError(`--type must list ${CONTENT_TYPES.join(', ')}; got "${options.type}"`);
+        }
+    }
+
+    const limit = options.limit === undefined ? DEFAULT_LIMIT : Number(options.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new UsageError(`--limit must be a positive whole number, got "${options.limit}"`);
+    }
+
+    return {
+        help: !!options.help,
+        query: query,
+        inputFile: options.input || DEFAULT_INPUT_FILE,
+        indexFile: options.index || DEFAULT_INDEX_FILE,
+        rebuild: !!options.rebuild,
+        filters: { sender: options.sender || null, from: from, to: to, types: types },
+        limit: limit,
+        json: !!options.json,
+        quiet: !!options.quiet
+    };
+}
+
+/**
+ * Builds the help text shown by "search --help"
+ *
+ * @returns {string} - Usage and options
+ */
+function formatSearchHelp() {
+    return [
+        'Search messages, artifacts and attachments of a Claude export',
+        '',
+        'Usage: node convert_conversations.js search [options] <query>',
+        '',
+        'Hits must contain every word of the query and are ranked by relevance (BM25).',
+        `The index is saved in ${DEFAULT_INDEX_FILE} and rebuilt automatically when the export changes.`,
+        '',
+        'Options:',
+        ...formatOptionLines(SEARCH_OPTION_DEFINITIONS),
+        '',
+        'Examples:',
+        '  node convert_conversations.js search python asyncio timeout',
+        '  node convert_conversations.js search -i export.zip --sender human --from 2025-01-01 "folder script"',
+        '  node convert_conversations.js search --type artifact,attachment --json invoice'
+    ].join('\n');
+}
+
+/**
+ * Runs the search command
+ *
+ * @param {Array} argv - Arguments after "search"
+ * @returns {Promise<number>} - Exit code (see EXIT_CODES)
+ */
+async function runCommand(argv) {
+    const options = resolveSearchOptions(argv);
+    if (options.help) {
+        console.log(formatSearchHelp());
+        return EXIT_CODES.SUCCESS;
+    }
+    logger.setQuiet(options.quiet);
+
+    try {
+        const { index } = await loadOrBuildIndex(options.inputFile, options.indexFile, options.rebuild);
+        const shown = searchIndex(index, options.query, options.filters, options.limit);
+
+        if (options.json) {
+            console.log(JSON.stringify({ query: options.query, filters: options.filters, total: shown.total, hits: shown.hits }, null, 2));
+        } else {
+            const useColor = !!process.stdout.isTTY && !process.env.NO_COLOR;
+            console.log(formatHits(options.query, shown, useColor));
+        }
+        return EXIT_CODES.SUCCESS;
+    } catch (error) {
+        console.error('Fatal error:', error.message);
+        return EXIT_CODES.ERROR;
+    }
+}
+
+module.exports = {
+    CONTENT_TYPES,
+    buildConversationIndex,
+    loadOrBuildIndex,
+    searchIndex,
+    runCommand
+};
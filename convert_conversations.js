@@ -11,41 +11,109 @@
 // Import required Node.js modules
 const fs = require('fs');           // File system operations (reading/writing files)
 const path = require('path');       // Path manipulation utilities for cross-platform file paths
+const crypto = require('crypto');   // Content hashes for incremental sync
+const { openExport, describeExport, loadConversations, streamConversations } = require('./export_loader');   // Reads conversations.json or the export .zip
+const { HTML_THEMES, renderHtmlDocument } = require('./html_renderer');   // Self-contained HTML pages
+const { EXIT_CODES, UsageError, parseArguments, formatOptionLines, createLogger } = require('./command_line');   // Shared option parsing
+const { loadArchiveIndex, recordArchiveEntry, saveArchiveIndex } = require('./archive_index');   // Conversation list of an output directory
+const { buildConversationBranches, describeBranch } = require('./conversation_branches');   // Edited prompts and regenerated replies
+const { FILTER_OPTION_DEFINITIONS, resolveConversationFilters, selectConversation, findMissingUuids } = require('./conversation_filters');   // --created-from, --title, ...
+const { REDACTION_STYLES, createRedactor, createRedactionReport, recordRedactions, saveRedactionReport } = require('./redaction');   // --redact
+const { createTemplateSet, loadTemplateSet } = require('./output_templates');   // Layout of the Markdown files
+const { createSchemaCollector, loadLatestSchema, saveSchemaSnapshot, diffSchemas, hasStructuralChanges, formatSchemaDiff } = require('./schema_tracking');   // Schema history
 
 // ===== CONFIGURATION SECTION =====
 // These constants control how the conversion works - modify as needed
+// (most of them can also be overridden from the command line, see --help)
 
-const INPUT_FILE = 'conversations.json';           // Name of the input JSON file from Claude export
-// Create output directory with timestamp from conversations.json modification date
-function getOutputDirWithTimestamp() {
-    // Get the modification date of the input file
-    try {
-        const stats = fs.statSync(INPUT_FILE);
-        const modDate = stats.mtime;
-        
-        // Format the timestamp as YYYY-MM-DD_HHMMSS
-        const year = modDate.getFullYear();
-        const month = String(modDate.getMonth() + 1).padStart(2, '0');
-        const day = String(modDate.getDate()).padStart(2, '0');
-        const hours = String(modDate.getHours()).padStart(2, '0');
-        const minutes = String(modDate.getMinutes()).padStart(2, '0');
-        const seconds = String(modDate.getSeconds()).padStart(2, '0');
-        
-        const timestamp = `${year}-${month}-${day}_${hours}${minutes}${seconds}`;
-        return `claude_conversations_markdown_${timestamp}`;
-    } catch (error) {
+const DEFAULT_INPUT_FILE = 'conversations.json';   // Default input JSON file from Claude export
+const SCHEMA_HISTORY_DIR = 'claude_schema_history';   // Versions of the export's JSON structure, to notice changes
+const DEFAULT_SYNC_OUTPUT_DIR = 'claude_conversations_markdown';   // Stable archive directory used by --sync
+const SYNC_MANIFEST_FILE = 'sync_manifest.json';   // Kept inside the output directory in sync mode
+
+// Command-line options understood by the converter
+// Each entry lists its flags, whether it takes a value, and the help text shown by --help
+const OPTION_DEFINITIONS = [
+    { name: 'input', flags: ['-i', '--input'], value: 'file', description: `Claude export to convert: conversations.json or the export .zip (default: ${DEFAULT_INPUT_FILE})` },
+    { name: 'output', flags: ['-o', '--output'], value: 'dir', description: 'Output directory (default: claude_conversations_markdown_<export timestamp>)' },
+    { name: 'yes', flags: ['-y', '--yes', '--force'], description: 'Continue without prompting when the output directory already exists' },
+    { name: 'artifacts', flags: ['--artifacts'], value: 'mode', description: 'Where artifacts go: "inline" code blocks (default) or "folder" (separate files in <conversation>_artifacts/)' },
+    { name: 'filenamePattern', flags: ['--filename-pattern'], value: 'pattern', description: 'Filename pattern using {created}, {updated}, {title}, {uuid8} and {uuid} (default: {created}_{title}_{updated})' },
+    { name: 'maxFilenameLength', flags: ['--max-filename-length'], value: 'bytes', description: 'Longest filename allowed (without extension) in UTF-8 bytes; long titles are shortened (default: 120)' },
+    { name: 'frontMatter', flags: ['--front-matter'], description: 'Start each file with YAML front matter (title, uuid, dates, attachments, tags, ...) instead of the plain header' },
+    { name: 'tags', flags: ['--tags'], value: 'list', description: 'Comma-separated tags to add to the front matter, e.g. "archive,work"' },
+    { name: 'branches', flags: ['--branches'], value: 'mode', description: 'Alternate branches from edits and regenerations: "append" after the main transcript (default), "separate" files, or "none"' },
+    { name: 'format', flags: ['--format'], value: 'format', description: 'Output format: "markdown" (default), "html" (self-contained pages) or "both"' },
+    { name: 'htmlTheme', flags: ['--html-theme'], value: 'theme', description: 'Colour theme of HTML pages: "auto" follows the system setting (default), "light" or "dark"' },
+    { name: 'template', flags: ['--template'], value: 'dir', description: 'Directory with your own document.md, message.md, attachments.md or artifact.md templates for the Markdown layout' },
+    { name: 'json', flags: ['--json'], description: 'Also save each conversation\'s own object from the export as <name>.json next to its Markdown file' },
+    { name: 'jsonStyle', flags: ['--json-style'], value: 'style', description: 'Layout of the --json files: "original" key order (default) or "normalized" (keys sorted, for stable diffs)' },
+    { name: 'jsonPrune', flags: ['--json-prune'], value: 'fields', description: 'Comma-separated fields to leave out of the --json files, e.g. "account" or "chat_messages.files"' },
+    { name: 'includeBlocks', flags: ['--include-blocks'], value: 'list', description: 'Comma-separated content blocks to render: text, artifacts, thinking, tool_use, tool_result, image (default: all)' },
+    { name: 'excludeBlocks', flags: ['--exclude-blocks'], value: 'list', description: 'Comma-separated content blocks to leave out, e.g. "thinking,tool_result"' },
+    ...FILTER_OPTION_DEFINITIONS,
+    { name: 'redact', flags: ['--redact'], description: 'Mask API keys, email addresses, phone numbers, IP addresses and card numbers before writing anything' },
+    { name: 'redactRules', flags: ['--redact-rules'], value: 'file', description: 'JSON file with your own redaction patterns and settings (turns on --redact)' },
+    { name: 'redactStyle', flags: ['--redact-style'], value: 'style', description: 'How redacted values appear: "label" ([REDACTED:email], default), "mask" (*****) or "hash" ([email:1a2b3c4d])' },
+    { name: 'sync', flags: ['--sync'], description: `Update an existing archive in place, rewriting only changed conversations (default directory: ${DEFAULT_SYNC_OUTPUT_DIR})` },
+    { name: 'stream', flags: ['--stream'], description: 'Read conversations one at a time to keep memory low on very large exports' },
+    { name: 'quiet', flags: ['-q', '--quiet'], description: 'Only print warnings and errors' },
+    { name: 'help', flags: ['-h', '--help'], description: 'Show this help and exit' }
+];
+
+// Commands run instead of a conversion when named as the first argument, e.g. "site"
+// Each lives in its own module, loaded only when the command is used
+const COMMANDS = {
+    site: { module: './site_builder', description: 'Build a browsable static site with offline search from a converted archive' },
+    search: { module: './conversation_search', description: 'Search messages, artifacts and attachments of an export, ranked by relevance' },
+    validate: { module: './export_validation', description: 'Check an export for invalid JSON, missing fields and duplicate UUIDs before converting it' },
+    excerpt: { module: './conversation_excerpt', description: 'Write part of a conversation as a Markdown or JSON excerpt for sharing' },
+    templates: { module: './output_templates', description: 'Write the built-in output templates to a directory, as a starting point for --template' },
+    schema: { module: './schema_tracking', description: 'List the schema history of your exports or show what changed between two versions' },
+    diff: { module: './export_diff', description: 'Compare two exports, or a snapshot and an export: added, deleted, renamed and grown conversations' }
+};
+
+/**
+ * Builds the default output directory name from the export's timestamp
+ * For a ZIP export this is the time stored in the archive; for plain JSON, the file's modification time
+ * 
+ * @param {Date|null} exportDate - Timestamp from openExport(), or null if it could not be determined
+ * @returns {string} - Directory name like claude_conversations_markdown_2025-09-13_101500
+ */
+function getOutputDirWithTimestamp(exportDate) {
+    if (!exportDate || isNaN(exportDate.getTime())) {
         // Fall back to error indicator when timestamp can't be obtained
-        console.log(`Warning: Could not get modification time from ${INPUT_FILE}: ${error.message}`);
+        warn('Warning: Could not determine the export timestamp');
         return 'claude_conversations_markdown_TIMESTAMP-ERROR';
     }
+    
+    // Format the timestamp as YYYY-MM-DD_HHMMSS
+    const year = exportDate.getFullYear();
+    const month = String(exportDate.getMonth() + 1).padStart(2, '0');
+    const day = String(exportDate.getDate()).padStart(2, '0');
+    const hours = String(exportDate.getHours()).padStart(2, '0');
+    const minutes = String(exportDate.getMinutes()).padStart(2, '0');
+    const seconds = String(exportDate.getSeconds()).padStart(2, '0');
+    
+    const timestamp = `${year}-${month}-${day}_${hours}${minutes}${seconds}`;
+    return `claude_conversations_markdown_${timestamp}`;
 }
 
-const OUTPUT_DIR = getOutputDirWithTimestamp(); // Directory where converted Markdown files will be saved
-const SCHEMA_FILE = 'claude_schema.json';          // File to track JSON structure changes over time
-
 // ===== UTILITY FUNCTIONS =====
 // These helper functions handle common tasks throughout the script
 
+const logger = createLogger();   // --quiet hides progress messages but never warnings or errors
+const log = logger.log;
+
+/**
+ * Prints a warning to stderr (shown even in quiet mode)
+ * 
+ * @param {...*} args - Values to print, same as console.warn
+ */
+function warn(...args) {
+    console.warn(...args);
+}
+
 /**
  * Formats a UTC timestamp into a human-readable local time
  * Automatically detects the system's timezone and adjusts for daylight saving time
@@ -114,62 +182,84 @@ function formatDateWithDay(dateString) {
 
 /**
  * Extracts text content from Claude's message content array
- * UPDATED: Now also extracts artifact code from tool_use blocks
+ * UPDATED: Now renders every content block type, not just text and artifacts
  * 
  * Claude stores messages in a complex nested structure with multiple content types:
  * - type: "text" - Regular conversation text
- * - type: "tool_use" - When Claude uses tools (like creating artifacts)
+ * - type: "thinking" - Extended thinking before a reply
+ * - type: "tool_use" - When Claude uses tools (artifacts, web search, analysis, ...)
  * - type: "tool_result" - Results returned from tools
  * 
  * This function extracts all relevant content and formats it appropriately.
+ * Which kinds of blocks are included is controlled by context.blockTypes (see BLOCK_TYPES).
  * 
  * @param {Array} content - The content array from a chat message
+ * @param {Object} context - Optional settings for this conversation:
+ *                           artifactHistory - from buildArtifactHistory(); lets updates be shown as
+ *                           the full reconstructed version, labelled "Version 1", "Version 2", ...
+ *                           artifactWriter - from createArtifactWriter(); when given, artifacts are
+ *                           saved as separate files and replaced by a linked stub
+ *                           blockTypes - Set of block kinds to include (default: all of BLOCK_TYPES)
+ *                           templates - Template set whose artifact part lays out artifacts
+ *                           unknownBlocks - Set that collects blocks nobody knows how to render
  * @returns {string} - Plain text and formatted code blocks
  */
-function extractTextFromContent(content) {
+function extractTextFromContent(content, context = {}) {
     // Handle cases where content might be missing or malformed
     if (!content || !Array.isArray(content)) return '';
     
     const parts = [];
     
     content.forEach(item => {
-        // Extract regular text blocks
-        if (item.type === 'text' && item.text) {
-            parts.push(item.text);
-        }
+        if (!item || typeof item !== 'object') return;
         
-        // Extract artifact code from tool_use blocks
-        // Artifacts contain code, documents, or other structured content
-        if (item.type === 'tool_use' && item.name === 'artifacts') {
-            if (item.input && item.input.content) {
-                // Get the language for proper syntax highlighting
-                const language = item.input.language || '';
-                const title = item.input.title || 'Artifact';
-                
-                // Format as a code block with title
-                parts.push(`\n**${title}**\n\n\`\`\`${language}\n${item.input.content}\n\`\`\`\n`);
-            }
+        const blockKind = getBlockKind(item);
+        const renderer = CONTENT_BLOCK_RENDERERS[blockKind];
+        if (!renderer) {
+            // Report instead of silently dropping content we don't understand yet
+            if (context.unknownBlocks) context.unknownBlocks.add(item);
+            parts.push(`*[Unsupported content block: ${item.type || 'no type'}]*`);
+            return;
         }
         
-        // Optionally extract tool results (for debugging or completeness)
-        // Uncomment if you want to see tool execution results in the archive
-        /*
-        if (item.type === 'tool_result' && item.content) {
-            const resultText = Array.isArray(item.content) 
-                ? item.content.map(c => c.text).join('\n')
-                : item.content;
-            parts.push(`\n*[Tool result: ${resultText}]*\n`);
-        }
-        */
+        // Skip kinds of blocks the user chose not to include
+        if (context.blockTypes && !context.blockTypes.has(blockKind)) return;
+        
+        const formatted = renderer(item, context);
+        if (formatted) parts.push(formatted);
     });
     
     // Join all parts with double newlines for readability
     return parts.join('\n\n');
 }
 
+// Letters that Unicode normalization doesn't split into a base letter and an accent
+const TRANSLITERATIONS = {
+    'ß': 'ss', 'æ': 'ae', 'Æ': 'Ae', 'œ': 'oe', 'Œ': 'Oe', 'ø': 'o', 'Ø': 'O', 'đ': 'd', 'Đ': 'D',
+    'ð': 'd', 'Ð': 'D', 'þ': 'th', 'Þ': 'Th', 'ł': 'l', 'Ł': 'L', 'ı': 'i'
+};
+
+/**
+ * Replaces accented Latin letters with their plain ASCII equivalents ("Hyvää" => "Hyvaa")
+ * Only Latin letters are changed: other scripts (Japanese, Cyrillic, Greek, ...) are kept as they
+ * are, since removing their marks would change the meaning (e.g. が would become か).
+ * 
+ * @param {string} text - Text to transliterate
+ * @returns {string} - Text with Latin accents removed
+ */
+function transliterate(text) {
+    return text.normalize('NFC').replace(/[^\x00-\x7f]/gu, character => {
+        if (TRANSLITERATIONS[character]) return TRANSLITERATIONS[character];
+        if (!/\p{Script=Latin}/u.test(character)) return character;
+        // NFKD splits "ä" into "a" + combining diaeresis, and "ﬁ" or "Ａ" into plain "fi" and "A"
+        return character.normalize('NFKD').replace(/\p{M}/gu, '');
+    });
+}
+
 /**
  * Sanitizes conversation titles for use in filenames
- * Removes special characters and converts to CamelCase for filesystem safety
+ * Removes punctuation, symbols and emoji and converts to CamelCase for filesystem safety.
+ * Letters and digits of every script are kept, with Latin accents transliterated to ASCII.
  * 
  * @param {string} title - Original conversation title
  * @returns {string} - Sanitized CamelCase title safe for filenames
@@ -180,10 +270,10 @@ function sanitizeTitle(title) {
     }
     
     // Remove special characters, keep only letters, numbers, and spaces
-    const cleaned = title
-        .replace(/[^a-zA-Z0-9\s]/g, '')  // Remove special characters
-        .trim()                          // Remove leading/trailing whitespace
-        .replace(/\s+/g, ' ');          // Normalize multiple spaces to single spaces
+    const cleaned = transliterate(title)
+        .replace(/[^\p{L}\p{N}\s]/gu, '')  // Remove punctuation, symbols and emoji
+        .trim()                            // Remove leading/trailing whitespace
+        .replace(/\s+/g, ' ');            // Normalize multiple spaces to single spaces
     
     if (!cleaned) {
         return 'UntitledConversation';
@@ -195,11 +285,33 @@ function sanitizeTitle(title) {
         .map((word, index) => {
             if (word.length === 0) return '';
             // Capitalize first letter of each word, lowercase the rest
+            // (scripts without upper and lower case, such as Japanese, are unaffected)
             return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
         })
         .join('');
 }
 
+/**
+ * Makes an attachment's file name from the export safe to use in the attachment folder
+ * Only what could cause harm is changed: folder parts are dropped (so "../" or "/" can't lead
+ * outside the folder), control characters and characters Windows doesn't allow are removed, and
+ * names Windows reserves for devices get a leading underscore. Case, spaces and dots are kept.
+ * 
+ * @param {string} fileName - file_name from the export
+ * @param {string} fallback - Name to use when nothing usable is left
+ * @returns {string} - Safe file name, e.g. "../notes v2.txt" becomes "notes v2.txt"
+ */
+function sanitizeAttachmentName(fileName, fallback) {
+    const name = String(fileName)
+        .split(/[\\/]/).pop()                    // Last part of either kind of path
+        .replace(/[\x00-\x1f\x7f<>:"|?*]/g, '')   // Control characters and characters Windows reserves
+        .replace(/[. ]+$/, '');                    // Windows drops trailing dots and spaces ("." and ".." too)
+    
+    if (name === '') return fallback;
+    // CON, PRN, AUX, NUL, COM1-9 and LPT1-9 name devices on Windows, with any extension
+    return /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\.|$)/i.test(name) ? `_${name}` : name;
+}
+
 /**
  * Generates a content hash for duplicate detection
  * Creates a simple hash based on file content to identify duplicates
@@ -223,14 +335,16 @@ function generateContentHash(content) {
 }
 
 /**
- * Extracts attachments from a conversation and saves them as separate files
- * Creates a subdirectory for each conversation's attachments
+ * Extracts attachments from a conversation as separate files for its attachment folder
+ * Nothing is written here; each attachment's content is returned for writeConversionFiles().
  * 
  * @param {Object} conversation - Conversation object containing attachments
  * @param {string} conversationFileName - Base filename for the conversation (without extension)
- * @returns {Array} - Array of attachment info objects for markdown references
+ * @param {Array} warnings - Collects messages about attachments that could not be extracted
+ * @returns {Array} - Array of attachment info objects for markdown references, each with the
+ *                    file's path (relative to the output directory) and content
  */
-function extractAttachments(conversation, conversationFileName) {
+function extractAttachments(conversation, conversationFileName, warnings) {
     const attachmentInfo = [];
     
     if (!conversation.chat_messages) return attachmentInfo;
@@ -246,12 +360,6 @@ function extractAttachments(conversation, conversationFileName) {
     
     if (!hasAttachments) return attachmentInfo;
     
-    // Create attachment directory
-    const attachmentDir = path.join(OUTPUT_DIR, `${conversationFileName}_attachments`);
-    if (!fs.existsSync(attachmentDir)) {
-        fs.mkdirSync(attachmentDir, { recursive: true });
-    }
-    
     // Track used filenames to handle collisions
     const usedFilenames = new Set();
     
@@ -266,7 +374,7 @@ function extractAttachments(conversation, conversationFileName) {
                     const fileSize = attachment.file_size || content.length;
                     
                     // Preserve original extension, add one if missing
-                    let fileName = originalName;
+                    let fileName = sanitizeAttachmentName(originalName, `attachment_${messageIndex}_${attachmentIndex}`);
                     if (!path.extname(fileName) && attachment.file_type) {
                         // Map common MIME types to extensions
                         const extensionMap = {
@@ -290,21 +398,20 @@ function extractAttachments(conversation, conversationFileName) {
                     }
                     usedFilenames.add(finalFileName);
                     
-                    // Write attachment file
-                    const attachmentPath = path.join(attachmentDir, finalFileName);
-                    fs.writeFileSync(attachmentPath, content, 'utf8');
-                    
-                    // Store info for markdown reference
+                    // Store info for markdown reference, with the file to write
                     attachmentInfo.push({
                         originalName: originalName,
                         fileName: finalFileName,
                         relativePath: `./${conversationFileName}_attachments/${finalFileName}`,
+                        path: `${conversationFileName}_attachments/${finalFileName}`,
+                        content: content,
                         fileSize: fileSize,
-                        messageIndex: messageIndex + 1
+                        messageIndex: messageIndex + 1,
+                        message: message
                     });
                     
                 } catch (error) {
-                    console.log(`Warning: Error extracting attachment from message ${messageIndex + 1}: ${error.message}`);
+                    warnings.push(`Warning: Error extracting attachment from message ${messageIndex + 1}: ${error.message}`);
                 }
             });
         }
@@ -313,38 +420,495 @@ function extractAttachments(conversation, conversationFileName) {
     return attachmentInfo;
 }
 
-// ===== SCHEMA TRACKING FUNCTIONS =====
-// These functions monitor changes in the JSON file structure over time
+// ===== ARTIFACT FUNCTIONS =====
+// Artifacts (code, documents, diagrams Claude created in the side panel) can be saved as
+// separate files so they open directly in editors and browsers
+
+// File extensions for artifact types (input.type in the artifacts tool_use block)
+const ARTIFACT_TYPE_EXTENSIONS = {
+    'text/html': '.html',
+    'image/svg+xml': '.svg',
+    'application/vnd.ant.mermaid': '.mmd',
+    'application/vnd.ant.react': '.jsx',
+    'text/markdown': '.md',
+    'text/plain': '.txt'
+};
+
+// File extensions for code artifact languages (input.language), used for application/vnd.ant.code
+const ARTIFACT_LANGUAGE_EXTENSIONS = {
+    python: '.py', javascript: '.js', js: '.js', typescript: '.ts', ts: '.ts',
+    jsx: '.jsx', tsx: '.tsx', html: '.html', css: '.css', scss: '.scss', json: '.json',
+    bash: '.sh', shell: '.sh', sh: '.sh', zsh: '.zsh', powershell: '.ps1',
+    sql: '.sql', java: '.java', c: '.c', cpp: '.cpp', 'c++': '.cpp', csharp: '.cs', 'c#': '.cs',
+    go: '.go', rust: '.rs', ruby: '.rb', php: '.php', swift: '.swift', kotlin: '.kt',
+    r: '.r', yaml: '.yaml', yml: '.yaml', xml: '.xml', markdown: '.md', toml: '.toml',
+    mermaid: '.mmd', svg: '.svg', applescript: '.applescript', lua: '.lua', perl: '.pl'
+};
+
+/**
+ * Chooses a file extension for an artifact from its type and language
+ * 
+ * @param {Object} input - The input of an artifacts tool_use block
+ * @returns {string} - Extension including the dot, e.g. ".py"
+ */
+function getArtifactExtension(input) {
+    const language = (input.language || '').toLowerCase();
+    
+    // Code artifacts are identified by their language; other types by the type itself
+    if (input.type !== 'application/vnd.ant.code' && ARTIFACT_TYPE_EXTENSIONS[input.type]) {
+        return ARTIFACT_TYPE_EXTENSIONS[input.type];
+    }
+    if (ARTIFACT_LANGUAGE_EXTENSIONS[language]) {
+        return ARTIFACT_LANGUAGE_EXTENSIONS[language];
+    }
+    return '.txt';
+}
+
+/**
+ * Applies an artifact "update" command: replaces old_str with new_str
+ * Claude's update command replaces exactly one occurrence of the old text
+ * 
+ * @param {string} content - Artifact content before the update
+ * @param {string} oldStr - Text to replace
+ * @param {string} newStr - Replacement text
+ * @returns {string|null} - Updated content, or null if old_str was not found
+ */
+function applyArtifactUpdate(content, oldStr, newStr) {
+    if (typeof oldStr !== 'string' || oldStr === '') return null;
+    
+    const position = content.indexOf(oldStr);
+    if (position === -1) return null;
+    
+    // Splice instead of String.replace so "$" sequences in the new text are kept literally
+    return content.slice(0, position) + (newStr || '') + content.slice(position + oldStr.length);
+}
+
+/**
+ * Rebuilds every version of every artifact in a conversation
+ * Artifact tool_use inputs carry a command: "create" and "rewrite" provide the full content,
+ * while "update" only carries old_str/new_str and has to be applied to the previous version.
+ * Artifacts are tracked by input.id across all messages, in message order.
+ * 
+ * @param {Array} messages - Chat messages in conversation order
+ * @returns {Object} - { records: Map(tool_use block => version record), artifacts: Array of artifact states }
+ *                     A version record is { artifact, command, version, content, versionUuid, error }
+ *                     An artifact state is { id, title, type, language, content, versions: [records] }
+ */
+function buildArtifactHistory(messages) {
+    const records = new Map();
+    const artifactsById = new Map();
+    const artifacts = [];
+    
+    (messages || []).forEach((message, messageIndex) => {
+        if (!Array.isArray(message.content)) return;
+        
+        message.content.forEach(item => {
+            if (item.type !== 'tool_use' || item.name !== 'artifacts' || !item.input) return;
+            
+            const input = item.input;
+            // Very old exports have no id; treat each of those blocks as its own artifact
+            const id = input.id || `artifact-${artifacts.length + 1}`;
+            const command = input.command || (input.content !== undefined ? 'create' : 'update');
+            
+            let artifact = artifactsById.get(id);
+            if (!artifact) {
+                artifact = { id: id, title: null, type: null, language: null, content: null, versions: [] };
+                artifactsById.set(id, artifact);
+                artifacts.push(artifact);
+            }
+            
+            // Later commands may omit metadata, so keep whatever was last provided
+            if (input.title) artifact.title = input.title;
+            if (input.type) artifact.type = input.type;
+            if (input.language) artifact.language = input.language;
+            
+            const record = {
+                artifact: artifact,
+                command: command,
+                version: null,
+                content: null,
+                versionUuid: input.version_uuid || null,
+                messageNumber: messageIndex + 1,
+                oldStr: command === 'update' ? input.old_str : undefined,
+                newStr: command === 'update' ? input.new_str : undefined,
+                error: null
+            };
+            
+            if (command === 'update') {
+                if (artifact.content === null) {
+                    record.error = 'there is no earlier version of this artifact to update';
+                } else {
+                    const updated = applyArtifactUpdate(artifact.content, input.old_str, input.new_str);
+                    if (updated === null) {
+                        record.error = 'the text to replace was not found in the previous version';
+                    } else {
+                        artifact.content = updated;
+                    }
+                }
+            } else {
+                // create, rewrite (and any unknown command carrying content) replace the whole artifact
+                artifact.content = typeof input.content === 'string' ? input.content : '';
+            }
+            
+            if (!record.error) {
+                artifact.versions.push(record);
+                record.version = artifact.versions.length;
+                record.content = artifact.content;
+            }
+            records.set(item, record);
+        });
+    });
+    
+    return { records: records, artifacts: artifacts };
+}
+
+/**
+ * Rebuilds the artifact versions of a whole conversation, branch by branch
+ * Commands are replayed along the current branch and along each alternate branch (with the messages
+ * it shares), as the converter renders them, so updates from sibling branches never stack up.
+ * A block shared by several branches is recorded once, and each artifact id is listed once.
+ * 
+ * @param {Object} conversation - Conversation object from the export
+ * @returns {Object} - { records: Map(tool_use block => version record), artifacts: Array of
+ *                     { id, title, type, language, content, versions: [records] } }, where content
+ *                     is the latest state on the current branch (or the first branch that has it)
+ */
+function buildConversationArtifactHistory(conversation) {
+    const { mainPath, branches } = buildConversationBranches(conversation);
+    const histories = [buildArtifactHistory(mainPath)]
+        .concat(branches.map(branch => buildArtifactHistory(branch.prefix.concat(branch.messages))));
+    const records = new Map();
+    const artifactsById = new Map();
+    
+    histories.forEach(history => {
+        history.artifacts.forEach(artifact => {
+            if (!artifactsById.has(artifact.id)) {
+                artifactsById.set(artifact.id, Object.assign({}, artifact, { versions: [] }));
+            }
+        });
+        history.records.forEach((record, block) => {
+            if (records.has(block)) return;
+            records.set(block, record);
+            if (record.version !== null) artifactsById.get(record.artifact.id).versions.push(record);
+        });
+    });
+    
+    return { records: records, artifacts: Array.from(artifactsById.values()) };
+}
+
+/**
+ * Formats one artifact version for the Markdown output
+ * Artifacts with several versions are labelled "Version N"; single-version artifacts look as before
+ * 
+ * @param {Object} record - Version record from buildArtifactHistory()
+ * @param {Object} context - Content context (artifactWriter and templates are used when set)
+ * @returns {string} - Markdown for this artifact block
+ */
+function formatArtifactVersion(record, context) {
+    const artifact = record.artifact;
+    const isMultiVersion = artifact.versions.length > 1;
+    
+    const artifactContext = {
+        id: artifact.id || null,
+        title: artifact.title || 'Artifact',
+        type: artifact.type || null,
+        language: artifact.language || '',
+        command: record.command,
+        version: record.version,
+        version_count: artifact.versions.length,
+        version_label: isMultiVersion ? `Version ${record.version}${record.command === 'update' ? ', updated' : ''}` : '',
+        content: record.content,
+        // Updates that could not be applied are reported with the attempted change
+        error: record.error || null,
+        removed: record.error ? prefixLines(record.oldStr || '', '- ') : '',
+        added: record.error ? prefixLines(record.newStr || '', '+ ') : '',
+        file_name: null,
+        path: null,
+        size: ''
+    };
+    
+    if (!record.error && context.artifactWriter) {
+        // Save the artifact as its own file and link to it instead
+        const saved = context.artifactWriter.write(record);
+        artifactContext.file_name = saved.fileName;
+        artifactContext.path = saved.relativePath;
+        artifactContext.size = `(${Math.round(saved.fileSize / 1024 * 10) / 10} KB)`;
+    }
+    
+    return (context.templates || DEFAULT_TEMPLATES).render('artifact', artifactContext);
+}
+
+/**
+ * Formats an artifact block on its own, without conversation history
+ * Only blocks that carry their full content can be shown this way
+ * 
+ * @param {Object} input - The input of an artifacts tool_use block
+ * @param {Object} context - Content context (artifactWriter is used when set)
+ * @returns {string} - Markdown for this artifact block, or '' if it has no content
+ */
+function formatStandaloneArtifact(input, context) {
+    if (!input.content) return '';
+    
+    const record = {
+        artifact: { id: input.id || null, title: input.title || null, type: input.type || null,
+            language: input.language || null, versions: [null] },
+        command: input.command || 'create',
+        version: 1,
+        content: input.content,
+        error: null
+    };
+    return formatArtifactVersion(record, context);
+}
+
+/**
+ * Prefixes every line of a text, e.g. to show removed/added lines in a diff block
+ * 
+ * @param {string} text - Text to prefix
+ * @param {string} prefix - Prefix for each line
+ * @returns {string} - Prefixed text
+ */
+function prefixLines(text, prefix) {
+    return text.split('\n').map(line => prefix + line).join('\n');
+}
 
 /**
- * Recursively collects all unique keys from the JSON structure
- * This helps us detect when Anthropic changes their export format
+ * Builds the closing section listing the final state of artifacts that changed over the conversation
+ * Artifacts with a single version are already shown in full where they appear, so they are skipped
  * 
- * @param {Object} obj - Object to scan for keys
- * @param {string} prefix - Current path prefix for nested objects
- * @param {Set} keySet - Set to collect all found keys
+ * @param {Object} artifactHistory - Result of buildArtifactHistory()
+ * @param {Object} context - Content context (artifactWriter is used when set)
+ * @returns {string} - Markdown section, or '' if no artifact has more than one version
  */
-function collectKeys(obj, prefix = '', keySet = new Set()) {
-    if (typeof obj !== 'object' || obj === null) return;
+function formatFinalArtifactVersions(artifactHistory, context) {
+    const evolved = artifactHistory.artifacts.filter(artifact => artifact.versions.length > 1);
+    if (evolved.length === 0) return '';
     
-    // Handle arrays by examining their first element (if it exists)
-    if (Array.isArray(obj)) {
-        if (obj.length > 0) {
-            collectKeys(obj[0], prefix, keySet);
+    let markdown = `# 📦 Final Artifact Versions\n\n`;
+    evolved.forEach(artifact => {
+        const title = artifact.title || 'Artifact';
+        const label = `(Version ${artifact.versions.length}, final)`;
+        
+        if (context.artifactWriter) {
+            const saved = context.artifactWriter.writeFinal(artifact);
+            const sizeFormatted = `(${Math.round(saved.fileSize / 1024 * 10) / 10} KB)`;
+            markdown += `- **${title}** ${label}: [${saved.fileName}](${saved.relativePath}) ${sizeFormatted}\n`;
+        } else {
+            markdown += `**${title}** ${label}\n\n\`\`\`${artifact.language || ''}\n${artifact.content}\n\`\`\`\n\n`;
         }
-        return;
+    });
+    
+    return markdown.endsWith('\n\n') ? markdown : markdown + '\n';
+}
+
+/**
+ * Creates a writer that files a conversation's artifacts under <conversation>_artifacts/
+ * Files are kept in memory until writeConversionFiles(), so the folder only appears once an
+ * artifact is written. Every version of an artifact with several versions is saved as
+ * <name>_v1.ext, <name>_v2.ext, ... and its final state as <name>.ext.
+ * 
+ * @param {string} conversationFileName - Base filename for the conversation (without extension)
+ * @param {string} nameSuffix - Added to every filename, e.g. "_branch2" for an appended branch's artifacts
+ * @returns {Object} - { folderName, write(record), writeFinal(artifact), count(), files() }
+ *                     where write/writeFinal return { fileName, relativePath, fileSize } and
+ *                     files() lists { path, content } for every file written
+ */
+function createArtifactWriter(conversationFileName, nameSuffix = '') {
+    const folderName = `${conversationFileName}_artifacts`;
+    const usedFilenames = new Set();  // Names taken, including base names reserved for final versions
+    const writtenFiles = new Map();   // Names actually written => content
+    const baseNames = new Map();      // Artifact state => base filename, so all its versions share a name
+    
+    // Picks a base filename for an artifact, avoiding names already taken by other artifacts
+    function getBaseName(artifact, content) {
+        if (baseNames.has(artifact)) return baseNames.get(artifact);
+        
+        const extension = getArtifactExtension(artifact);
+        let baseName = artifact.title ? sanitizeTitle(artifact.title) : (artifact.id || 'Artifact');
+        
+        // Handle filename collisions with content hash, as extractAttachments() does
+        if (usedFilenames.has(`${baseName}${extension}`)) {
+            baseName = `${baseName}_${generateContentHash(content)}`;
+        }
+        usedFilenames.add(`${baseName}${extension}`);
+        baseNames.set(artifact, baseName);
+        return baseName;
+    }
+    
+    function saveFile(fileName, content) {
+        usedFilenames.add(fileName);
+        writtenFiles.set(fileName, content);
+        
+        return {
+            fileName: fileName,
+            relativePath: `./${folderName}/${fileName}`,
+            fileSize: Buffer.byteLength(content, 'utf8')
+        };
     }
     
-    // Collect keys from the current object
-    Object.keys(obj).forEach(key => {
-        const fullKey = prefix ? `${prefix}.${key}` : key;
-        keySet.add(fullKey);
+    return {
+        folderName: folderName,
+        
+        write(record) {
+            const artifact = record.artifact;
+            const content = record.content || '';
+            const baseName = getBaseName(artifact, content);
+            const extension = getArtifactExtension(artifact);
+            const versionSuffix = artifact.versions.length > 1 ? `_v${record.version}` : '';
+            return saveFile(`${baseName}${nameSuffix}${versionSuffix}${extension}`, content);
+        },
+        
+        writeFinal(artifact) {
+            const content = artifact.content || '';
+            return saveFile(`${getBaseName(artifact, content)}${nameSuffix}${getArtifactExtension(artifact)}`, content);
+        },
+        
+        count() {
+            return writtenFiles.size;
+        },
         
-        // Recursively examine nested objects
-        collectKeys(obj[key], fullKey, keySet);
+        files() {
+            return Array.from(writtenFiles, ([fileName, content]) => ({ path: `${folderName}/${fileName}`, content: content }));
+        }
+    };
+}
+
+// ===== CONTENT BLOCK FUNCTIONS =====
+// Each kind of content block gets its own renderer. Thinking and tool input/output are
+// wrapped in collapsible <details> sections so they don't drown out the conversation.
+
+// Kinds of content blocks that can be included or excluded from the command line
+// ("artifacts" are tool_use blocks for the artifacts tool, kept separate from other tool calls)
+const BLOCK_TYPES = ['text', 'artifacts', 'thinking', 'tool_use', 'tool_result', 'image'];
+
+/**
+ * Works out which kind of block a content item is, for filtering and rendering
+ * 
+ * @param {Object} item - Content block from a message's content array
+ * @returns {string} - One of BLOCK_TYPES, or the block's own type if it is not a known kind
+ */
+function getBlockKind(item) {
+    if (item.type === 'tool_use' && item.name === 'artifacts') return 'artifacts';
+    if (item.type === 'redacted_thinking') return 'thinking';
+    return item.type;
+}
+
+/**
+ * Counts content blocks by type, for reporting blocks that could not be rendered
+ * 
+ * @param {Set} blocks - Content blocks
+ * @returns {Map} - Block type => number of blocks
+ */
+function countBlockTypes(blocks) {
+    const counts = new Map();
+    blocks.forEach(item => {
+        const type = item.type || 'no type';
+        counts.set(type, (counts.get(type) || 0) + 1);
     });
+    return counts;
+}
+
+/**
+ * Wraps text in a Markdown code fence that can't be closed early by backticks inside the text
+ * 
+ * @param {string} text - Code or data to show
+ * @param {string} language - Language for syntax highlighting ('' for none)
+ * @returns {string} - Fenced code block
+ */
+function codeFence(text, language = '') {
+    const longestRun = (text.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return `${fence}${language}\n${text}\n${fence}`;
+}
+
+/**
+ * Wraps Markdown in a collapsible <details> section
+ * The blank lines let Markdown renderers format the content inside the HTML element
+ * 
+ * @param {string} summary - Text shown while collapsed
+ * @param {string} body - Markdown content
+ * @returns {string} - <details> block
+ */
+function collapsible(summary, body) {
+    return `<details>\n<summary>${summary}</summary>\n\n${body}\n\n</details>`;
 }
 
+/**
+ * Collects the text of a tool_result's content, which may be a string or an array of items
+ * 
+ * @param {string|Array} content - tool_result content
+ * @returns {string} - Markdown for the result
+ */
+function formatToolResultContent(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return content ? codeFence(JSON.stringify(content, null, 2), 'json') : '';
+    
+    return content.map(part => {
+        if (!part || typeof part !== 'object') return String(part);
+        if (part.type === 'text') return part.text || '';
+        // Web search and similar tools return documents with a title and URL
+        if (part.type === 'knowledge' || part.url) {
+            const title = part.title || part.url || 'Result';
+            return part.url ? `- [${title}](${part.url})` : `- ${title}`;
+        }
+        return codeFence(JSON.stringify(part, null, 2), 'json');
+    }).join('\n');
+}
+
+// Renderers for each kind of content block; each returns Markdown or '' to skip the block
+const CONTENT_BLOCK_RENDERERS = {
+    text(item) {
+        return item.text || '';
+    },
+    
+    artifacts(item, context) {
+        if (!item.input) return '';
+        // Use the reconstructed version when the conversation's history was built,
+        // otherwise fall back to the block's own content
+        const record = context.artifactHistory ? context.artifactHistory.records.get(item) : null;
+        return record
+            ? formatArtifactVersion(record, context)
+            : formatStandaloneArtifact(item.input, context);
+    },
+    
+    thinking(item) {
+        if (item.type === 'redacted_thinking') {
+            return collapsible('💭 Thinking', '*[Thinking was redacted in the export]*');
+        }
+        if (!item.thinking) return '';
+        return collapsible('💭 Thinking', item.thinking);
+    },
+    
+    tool_use(item) {
+        const name = item.name || 'unknown tool';
+        const input = item.input || {};
+        
+        // Show code-running tools' code as code, and search queries in the summary line
+        if (typeof input.code === 'string') {
+            return collapsible(`🔧 Tool call: ${name}`, codeFence(input.code, input.language || 'javascript'));
+        }
+        if (typeof input.query === 'string' && Object.keys(input).length === 1) {
+            return collapsible(`🔧 Tool call: ${name} — “${input.query}”`, codeFence(JSON.stringify(input, null, 2), 'json'));
+        }
+        return collapsible(`🔧 Tool call: ${name}`, codeFence(JSON.stringify(input, null, 2), 'json'));
+    },
+    
+    tool_result(item) {
+        const name = item.name ? `: ${item.name}` : '';
+        const label = item.is_error ? `❌ Tool error${name}` : `📋 Tool result${name}`;
+        const body = formatToolResultContent(item.content);
+        return collapsible(label, body || '*(empty result)*');
+    },
+    
+    image(item) {
+        const description = item.file_name || (item.source && item.source.media_type) || 'image';
+        return `*[Image: ${description} — image data is not included in the export]*`;
+    }
+};
+
+// ===== SCHEMA TRACKING FUNCTIONS =====
+// These functions monitor changes in the JSON file structure over time
+// (inference, the history and diffs live in schema_tracking.js)
+
 /**
  * Analyzes the JSON structure and compares it to previous runs
  * Alerts the user if the structure has changed significantly
@@ -352,329 +916,1792 @@ function collectKeys(obj, prefix = '', keySet = new Set()) {
  * @param {Array} conversations - Array of conversation objects to analyze
  */
 function trackSchemaChanges(conversations) {
-    console.log('Analyzing JSON structure...');
-    
-    // Collect all unique keys from the conversation data
-    const currentKeys = new Set();
-    conversations.forEach(conv => collectKeys(conv, '', currentKeys));
-    
-    const currentSchema = {
-        keys: Array.from(currentKeys).sort(),    // Convert Set to sorted Array
-        last_updated: new Date().toISOString(),
-        total_conversations_analyzed: conversations.length,
-        sample_conversation_keys: conversations.length > 0 ? Object.keys(conversations[0]).sort() : []
-    };
+    log('Analyzing JSON structure...');
     
+    // Infer types and frequencies of every field, looking at every message and content block
+    const collector = createSchemaCollector();
+    conversations.forEach(conv => collector.add(conv));
+    recordSchemaSnapshot(collector.finish());
+}
+
+/**
+ * Compares an inferred schema with the latest version in the schema history, reports
+ * differences and saves it as a new version if the structure changed
+ * Split out of trackSchemaChanges() so streaming mode can collect the schema as it goes
+ * 
+ * @param {Object} snapshot - Result of createSchemaCollector().finish()
+ */
+function recordSchemaSnapshot(snapshot) {
     // Check if we have a previous schema to compare against
-    let previousSchema = null;
-    if (fs.existsSync(SCHEMA_FILE)) {
-        try {
-            const schemaData = fs.readFileSync(SCHEMA_FILE, 'utf8');
-            previousSchema = JSON.parse(schemaData);
-        } catch (error) {
-            console.log('Warning: Could not read previous schema file:', error.message);
-        }
+    let previous = null;
+    try {
+        previous = loadLatestSchema(SCHEMA_HISTORY_DIR);
+    } catch (error) {
+        warn('Warning: Could not read previous schema:', error.message);
     }
     
     // Compare schemas if we have a previous one
-    if (previousSchema) {
-        const oldKeys = new Set(previousSchema.keys);
-        const newKeys = new Set(currentSchema.keys);
-        
-        // Find keys that were added or removed
-        const addedKeys = [...newKeys].filter(key => !oldKeys.has(key));
-        const removedKeys = [...oldKeys].filter(key => !newKeys.has(key));
+    if (previous) {
+        const diff = diffSchemas(previous.snapshot, snapshot);
         
         // Alert user to significant changes
-        if (addedKeys.length > 0 || removedKeys.length > 0) {
-            console.log('\n*** JSON STRUCTURE HAS CHANGED! ***');
-            
-            if (addedKeys.length > 0) {
-                console.log('New keys found:');
-                addedKeys.forEach(key => console.log(`   + ${key}`));
-            }
-            
-            if (removedKeys.length > 0) {
-                console.log('Keys no longer present:');
-                removedKeys.forEach(key => console.log(`   - ${key}`));
-            }
+        if (hasStructuralChanges(diff)) {
+            log('\n*** JSON STRUCTURE HAS CHANGED! ***');
+            formatSchemaDiff(diff).forEach(line => log(line));
             
-            console.log('\nThis might mean:');
-            console.log('   - Anthropic added new features (like model version info!)');
-            console.log('   - The export format changed');
-            console.log('   - This script might need updates\n');
+            log('\nThis might mean:');
+            log('   - Anthropic added new features (like model version info!)');
+            log('   - The export format changed');
+            log('   - This script might need updates\n');
         } else {
-            console.log('JSON structure unchanged since last run');
+            log('JSON structure unchanged since last run');
+            formatSchemaDiff(diff).forEach(line => log(line));
+            // A schema from before the history existed is still turned into the first version
+            if (!previous.snapshot.legacy) return;
         }
     } else {
-        console.log('First run - saving current JSON structure for future comparison');
+        log('First run - saving current JSON structure for future comparison');
     }
     
-    // Save the current schema for next time
+    // Save the schema as a new version; earlier versions stay for "schema diff"
     try {
-        fs.writeFileSync(SCHEMA_FILE, JSON.stringify(currentSchema, null, 2));
-        console.log(`Schema saved to ${SCHEMA_FILE}`);
+        const saved = saveSchemaSnapshot(SCHEMA_HISTORY_DIR, snapshot);
+        log(`Schema saved to ${saved.file} (version ${saved.version})`);
     } catch (error) {
-        console.log('Warning: Could not save schema file:', error.message);
+        warn('Warning: Could not save schema file:', error.message);
     }
 }
 
-// ===== MARKDOWN CONVERSION FUNCTIONS =====
-// These functions handle the actual conversion from JSON to Markdown
+// ===== FILENAME FUNCTIONS =====
+// Conversation files are named from a pattern of tokens. Names are kept within a length limit
+// and checked against everything written in this run and already on disk, so two conversations
+// never end up with the same file.
+
+const DEFAULT_FILENAME_PATTERN = '{created}_{title}_{updated}';
+const DEFAULT_MAX_FILENAME_BYTES = 120;   // Leaves room for "_attachments", "_branch2" and ".md" within 255 bytes
+const FILENAME_TOKENS = ['created', 'updated', 'title', 'uuid8', 'uuid'];
+
+// Names Windows reserves for devices, which can't be used as filenames there
+const RESERVED_FILENAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])$/i;
 
 /**
- * Converts a single conversation object into a formatted Markdown string
- * This is the core function that transforms Claude's JSON into readable archives
+ * Checks a filename pattern given on the command line
  * 
- * @param {Object} conversation - A single conversation object from the JSON
- * @param {number} index - Index of conversation (for fallback naming)
- * @returns {Object} - Object containing markdown content and filename info
+ * @param {string} pattern - Pattern such as "{created}_{title}"
+ * @returns {string|null} - Description of the problem, or null if the pattern is usable
  */
-function convertConversationToMarkdown(conversation, index) {
-    // Extract basic conversation metadata
-    const title = conversation.name || `Conversation_${index + 1}`;
-    const sanitizedTitle = sanitizeTitle(title);
-    const conversationId = conversation.uuid;
-    const createdDate = formatDateWithDay(conversation.created_at);
-    const updatedDate = formatDateWithDay(conversation.updated_at);
-    const messageCount = conversation.chat_messages ? conversation.chat_messages.length : 0;
-    const archiveDate = formatDateWithDay(new Date().toISOString());
-    
-    // Generate filename with dual-date pattern
-    const createdDateShort = conversation.created_at ? 
-        formatShortDate(conversation.created_at) : 'unknown-date';
-    const modifiedDateShort = conversation.updated_at ? 
-        formatShortDate(conversation.updated_at) : createdDateShort;
+function findFilenamePatternProblem(pattern) {
+    const tokens = (pattern.match(/\{[^}]*\}/g) || []).map(token => token.slice(1, -1));
+    const unknown = tokens.filter(token => !FILENAME_TOKENS.includes(token));
+    if (unknown.length > 0) {
+        return `unknown token {${unknown[0]}} (available: ${FILENAME_TOKENS.map(token => `{${token}}`).join(', ')})`;
+    }
     
-    // Base filename with creation and modification dates
-    let filename = `${createdDateShort}_${sanitizedTitle}_${modifiedDateShort}.md`;
-    let conversationFileName = `${createdDateShort}_${sanitizedTitle}_${modifiedDateShort}`;
+    const literalText = pattern.replace(/\{[^}]*\}/g, '');
+    if (/[\/\\:*?"<>|{}\x00-\x1f]/.test(literalText)) {
+        return 'contains characters that are not allowed in filenames';
+    }
+    if (tokens.length === 0) {
+        return 'must contain at least one token';
+    }
+    return null;
+}
+
+/**
+ * Builds a conversation's base filename (without extension) from the filename pattern
+ * When the result is longer than the limit, the title is shortened first, a whole character
+ * at a time, so the dates and UUID stay intact.
+ * 
+ * @param {Object} conversation - Conversation object from the export
+ * @param {string} title - Conversation title (with fallback for untitled conversations)
+ * @param {string} pattern - Filename pattern (default: DEFAULT_FILENAME_PATTERN)
+ * @param {number} maxBytes - Maximum length of the name in UTF-8 bytes (default: DEFAULT_MAX_FILENAME_BYTES)
+ * @returns {string} - Base filename, e.g. "2025-09-06_FolderScript_2025-09-07"
+ */
+function buildConversationBaseName(conversation, title, pattern = DEFAULT_FILENAME_PATTERN, maxBytes = DEFAULT_MAX_FILENAME_BYTES) {
+    const created = conversation.created_at ? formatShortDate(conversation.created_at) : 'unknown-date';
+    const uuid = conversation.uuid || 'no-uuid';
+    const fields = {
+        created: created,
+        updated: conversation.updated_at ? formatShortDate(conversation.updated_at) : created,
+        uuid8: uuid.slice(0, 8),
+        uuid: uuid
+    };
+    const byteLength = text => Buffer.byteLength(text, 'utf8');
+    const fill = titleText => pattern.replace(/\{(\w+)\}/g, (match, token) => token === 'title' ? titleText : fields[token]);
     
-    // Handle same-day conflicts with ISO 8601 time disambiguation
-    const filepath = path.join(OUTPUT_DIR, filename);
-    if (fs.existsSync(filepath)) {
-        const timestamp = new Date().toISOString().slice(11, 16).replace(':', '');
-        filename = `${createdDateShort}_${sanitizedTitle}_${modifiedDateShort}T${timestamp}.md`;
-        conversationFileName = `${createdDateShort}_${sanitizedTitle}_${modifiedDateShort}T${timestamp}`;
+    // Shorten the title until the name fits; Array.from keeps emoji and other surrogate pairs whole
+    const titleCharacters = Array.from(sanitizeTitle(title));
+    let name = fill(titleCharacters.join(''));
+    while (byteLength(name) > maxBytes && titleCharacters.length > 1) {
+        titleCharacters.pop();
+        name = fill(titleCharacters.join(''));
     }
     
-    // Extract attachments before building markdown
-    const attachments = extractAttachments(conversation, conversationFileName);
-    
-    // Start building the Markdown content
-    let markdown = `Title: Archived AI conversation\n`;
-    markdown += `Conversation name: "${title}"\n`;
-    markdown += `Conversation began: ${createdDate}\n`;
-    markdown += `Conversation last updated: ${updatedDate}\n`;
-    markdown += `Conversation URL: https://claude.ai/chat/${conversationId}\n`;
-    markdown += `Conversation ID: ${conversationId}\n`;
-    markdown += `Total messages in conversation: ${messageCount}\n`;
-    markdown += `AI model: Claude (version unknown)\n`;
-    markdown += `Archive file creation date: ${archiveDate}\n\n`;
-    markdown += `---\n\n`;
-    
-    // Process each message in the conversation
-    if (conversation.chat_messages && conversation.chat_messages.length > 0) {
-        conversation.chat_messages.forEach((message, index) => {
-            const messageNumber = index + 1;
-            const isHuman = message.sender === 'human';
-            const senderIcon = isHuman ? '👤' : '🤖';
-            const senderName = isHuman ? 'Human' : 'Assistant';
-            const timestamp = formatLocalTime(message.created_at);
-            
-            // Extract the message text (handle both old 'text' field and new 'content' array)
-            const messageText = extractTextFromContent(message.content) || message.text || '';
-            
-            // Create the message header with emoji and footnote reference
-            markdown += `# ${senderIcon} ${senderName} [^${messageNumber}]\n\n`;
-            
-            // Add the message content
-            markdown += `${messageText}\n\n`;
-            
-            // Add attachment references for this message
-            const messageAttachments = attachments.filter(att => att.messageIndex === messageNumber);
-            if (messageAttachments.length > 0) {
-                markdown += `**Attachments:**\n`;
-                messageAttachments.forEach(att => {
-                    const sizeFormatted = att.fileSize ? `(${Math.round(att.fileSize / 1024 * 10) / 10} KB)` : '';
-                    markdown += `- [${att.originalName}](${att.relativePath}) ${sizeFormatted}\n`;
-                });
-                markdown += `\n`;
-            }
-            
-            // Create the footnote with timestamp and message number
-            markdown += `[^${messageNumber}]: *${timestamp}, Message ${messageNumber}*\n\n`;
-        });
-    } else {
-        // Handle edge case of conversations with no messages
-        markdown += `*No messages found in this conversation.*\n\n`;
+    // A pattern that is too long even without the title is cut at the limit
+    if (byteLength(name) > maxBytes) {
+        const characters = Array.from(name);
+        while (byteLength(characters.join('')) > maxBytes) characters.pop();
+        name = characters.join('');
     }
     
-    // Add the footer with disclaimer about timezone conversion and file portability
-    markdown += `---\n\n`;
-    markdown += `**End of Conversation**\n\n`;
-    markdown += `*This conversation was exported from Claude.ai and converted to Markdown for archival purposes. `;
-    markdown += `Time zones reflect the system settings where this archive was created and may differ from `;
-    markdown += `where the original conversation occurred. Refer to UTC times for precision.*\n\n`;
+    return RESERVED_FILENAMES.test(name) ? `${name}_` : name;
+}
+
+/**
+ * Creates a registry of the conversation filenames used in one run
+ * A name is taken if it was handed out earlier in the run (compared case-insensitively, as
+ * macOS and Windows filesystems do) or a file with that name already exists in the output
+ * directory. Taken names get the conversation's short UUID appended, then a counter, so the
+ * result is the same on every run and never repeats.
+ * 
+ * @param {string|null} outputDir - Directory the conversations are written to, or null to only
+ *                                  avoid names handed out earlier in the run
+ * @returns {Object} - { claim(baseName, ownedFilename, uuid) } returning the base name to use
+ */
+function createFilenameRegistry(outputDir) {
+    const claimed = new Set();   // Lowercased base names handed out in this run
     
-    if (attachments.length > 0) {
-        markdown += `*Note: This conversation includes ${attachments.length} attachment(s) in the companion folder. `;
-        markdown += `Keep the markdown file and attachment folder together when moving or sharing this archive.*\n`;
-    }
+    const isTaken = (name, ownedFilename) => {
+        if (claimed.has(name.toLowerCase())) return true;
+        // In sync mode the files a conversation already owns are not a conflict
+        if (ownedFilename && path.parse(ownedFilename).name === name) return false;
+        return !!outputDir && ['.md', '.html'].some(extension => fs.existsSync(path.join(outputDir, `${name}${extension}`)));
+    };
     
     return {
-        content: markdown,
-        filename: filename,
-        attachmentCount: attachments.length
+        claim(baseName, ownedFilename, uuid) {
+            const uniqueBase = uuid ? `${baseName}_${uuid.slice(0, 8)}` : baseName;
+            let name = baseName;
+            if (isTaken(name, ownedFilename)) name = uniqueBase;
+            for (let counter = 2; isTaken(name, ownedFilename); counter++) {
+                name = `${uniqueBase}_${counter}`;
+            }
+            claimed.add(name.toLowerCase());
+            return name;
+        }
     };
 }
 
-// ===== MAIN PROCESSING FUNCTION =====
-// This is the primary function that orchestrates the entire conversion process
+// ===== FRONT MATTER FUNCTIONS =====
+// With --front-matter the free-form header is replaced by a YAML block that static-site
+// generators and notes tools (Jekyll, Hugo, Obsidian Dataview, Pandoc) read as structured data.
+
+const DEFAULT_TAGS = ['claude', 'ai-conversation'];
 
 /**
- * Main function that handles the complete conversion process
- * Reads the JSON file, processes all conversations, and creates Markdown files
+ * Formats a string as a double-quoted YAML scalar
+ * JSON strings are valid YAML double-quoted strings, except that YAML also forbids raw DEL,
+ * C1 control characters and the Unicode line/paragraph separators, so those are escaped too.
+ * Quoting every string keeps titles like `Re: "draft"`, `yes`, `123` or `- note` from being
+ * read as something else.
+ * 
+ * @param {string} value - Text to quote
+ * @returns {string} - Quoted, escaped YAML scalar
+ */
+function yamlString(value) {
+    return JSON.stringify(String(value)).replace(/[\u007f-\u009f\u2028\u2029\ufeff]/g, character =>
+        `\\u${character.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+/**
+ * Formats a single value as a YAML scalar
+ * Dates become unquoted ISO 8601 timestamps, which YAML tools read as dates.
+ * 
+ * @param {*} value - String, number, boolean, Date or null
+ * @returns {string} - YAML scalar
+ */
+function yamlScalar(value) {
+    if (value === null || value === undefined) return 'null';
+    if (value instanceof Date) return isNaN(value.getTime()) ? 'null' : value.toISOString();
+    if (typeof value === 'number') return isFinite(value) ? String(value) : 'null';
+    if (typeof value === 'boolean') return String(value);
+    return yamlString(value);
+}
+
+/**
+ * Formats fields as a YAML front matter block
+ * Supports scalars, lists of scalars and lists of flat objects, which is all the archive needs.
+ * 
+ * @param {Object} fields - Field name => value, in output order
+ * @returns {string} - Front matter between --- lines, followed by a blank line
  */
-async function main() {
-    console.log('Claude Conversations Converter Starting...\n');
+function formatFrontMatter(fields) {
+    const lines = ['---'];
     
-    try {
-        // Step 1: Read and parse the JSON file
-        console.log(`Reading ${INPUT_FILE}...`);
-        
-        // Check if the input file exists before trying to read it
-        if (!fs.existsSync(INPUT_FILE)) {
-            throw new Error(`Input file "${INPUT_FILE}" not found. Please ensure the file exists in the current directory.`);
+    Object.keys(fields).forEach(key => {
+        const value = fields[key];
+        if (!Array.isArray(value)) {
+            lines.push(`${key}: ${yamlScalar(value)}`);
+            return;
         }
-        
-        const jsonData = fs.readFileSync(INPUT_FILE, 'utf8');
-        const conversations = JSON.parse(jsonData);
-        
-        // Validate that we got an array of conversations
-        if (!Array.isArray(conversations)) {
-            throw new Error('JSON file does not contain an array of conversations. Please check the file format.');
+        if (value.length === 0) {
+            lines.push(`${key}: []`);
+            return;
         }
-        
-        console.log(`Found ${conversations.length} conversations`);
-        
-        // Step 2: Analyze the JSON structure for changes
-        trackSchemaChanges(conversations);
-        
-        // Step 3: Check if the output directory already exists and prompt user
-        if (fs.existsSync(OUTPUT_DIR)) {
-            const readline = require('readline');
-            const rl = readline.createInterface({
-                input: process.stdin,
-                output: process.stdout
+        lines.push(`${key}:`);
+        value.forEach(item => {
+            if (item === null || typeof item !== 'object' || item instanceof Date) {
+                lines.push(`  - ${yamlScalar(item)}`);
+                return;
+            }
+            // Objects in a list: the first field goes after the dash, the rest line up under it
+            Object.keys(item).forEach((itemKey, index) => {
+                lines.push(`${index === 0 ? '  - ' : '    '}${itemKey}: ${yamlScalar(item[itemKey])}`);
+            });
+        });
+    });
+    
+    lines.push('---');
+    return lines.join('\n') + '\n\n';
+}
+
+/**
+ * Collects the front matter fields for an archived conversation
+ * 
+ * @param {Object} conversation - Conversation object from the export
+ * @param {string} title - Conversation title (with fallback for untitled conversations)
+ * @param {Object} details - { messageCount, attachments, branchCount, tags, exportDate, branch, mainFilename }
+ *                           (branch and mainFilename only for the separate file of an alternate branch;
+ *                           without exportDate there is no "archived" field)
+ * @returns {Object} - Fields for formatFrontMatter()
+ */
+function buildFrontMatterFields(conversation, title, details) {
+    const toDate = value => value ? new Date(value) : null;
+    
+    const fields = {
+        title: title,
+        uuid: conversation.uuid || null,
+        url: conversation.uuid ? `https://claude.ai/chat/${conversation.uuid}` : null,
+        // "date" is what Jekyll and Hugo sort posts by
+        date: toDate(conversation.created_at),
+        created: toDate(conversation.created_at),
+        updated: toDate(conversation.updated_at),
+        // When the export was made, so converting the same export again gives the same files
+        archived: details.exportDate || null,
+        message_count: details.messageCount,
+        model: conversation.model || null,   // Not included in exports yet
+        tags: DEFAULT_TAGS.concat(details.tags || []),
+        attachments: details.attachments.map(att => ({
+            name: att.originalName,
+            path: att.relativePath,
+            size: att.fileSize || 0
+        }))
+    };
+    
+    if (!fields.archived) delete fields.archived;
+    if (details.branchCount > 1) fields.branches = details.branchCount;
+    if (details.branch) {
+        fields.branch = details.branch;
+        fields.main_file = details.mainFilename;
+    }
+    
+    return fields;
+}
+
+// ===== JSON COPY FUNCTIONS =====
+// With --json every conversation is also saved as <name>.json, holding its own object from the export.
+// Single conversations can then be shared, diffed in git, or converted again later on their own
+// (the converter accepts such a file as its input) without keeping the whole export around.
+
+const JSON_COPY_STYLES = ['original', 'normalized'];
+
+/**
+ * Copies a JSON value with the keys of every object in alphabetical order
+ * Exports don't promise a key order, so sorting keeps re-exported conversations diffable.
+ * 
+ * @param {*} value - Parsed JSON value
+ * @returns {*} - Copy with sorted keys
+ */
+function sortKeysDeep(value) {
+    if (Array.isArray(value)) return value.map(sortKeysDeep);
+    if (!value || typeof value !== 'object') return value;
+    
+    const sorted = {};
+    Object.keys(value).sort().forEach(key => {
+        sorted[key] = sortKeysDeep(value[key]);
+    });
+    return sorted;
+}
+
+/**
+ * Removes a field from a JSON value, looking inside arrays along the way
+ * "chat_messages.files" removes the files of every message.
+ * 
+ * @param {*} value - Parsed JSON value (modified in place)
+ * @param {Array} fieldPath - Field names leading to the field, e.g. ['chat_messages', 'files']
+ */
+function pruneField(value, fieldPath) {
+    if (Array.isArray(value)) {
+        value.forEach(item => pruneField(item, fieldPath));
+        return;
+    }
+    if (!value || typeof value !== 'object' || !(fieldPath[0] in value)) return;
+    
+    if (fieldPath.length === 1) {
+        delete value[fieldPath[0]];
+    } else {
+        pruneField(value[fieldPath[0]], fieldPath.slice(1));
+    }
+}
+
+/**
+ * Builds the content of a conversation's .json file
+ * 
+ * @param {Object} conversation - Conversation object from the export
+ * @param {Object} jsonCopy - { style: 'original' or 'normalized', prune: Array of field paths }
+ * @returns {string} - JSON text ending with a newline
+ */
+function formatConversationJson(conversation, jsonCopy) {
+    let copy = conversation;
+    if (jsonCopy.prune.length > 0) {
+        // Work on a copy: the conversation is still needed whole for the Markdown and the sync hash
+        copy = JSON.parse(JSON.stringify(conversation));
+        jsonCopy.prune.forEach(field => pruneField(copy, field.split('.')));
+    }
+    if (jsonCopy.style === 'normalized') copy = sortKeysDeep(copy);
+    
+    return `${JSON.stringify(copy, null, 2)}\n`;
+}
+
+/**
+ * Describes the --json settings, so sync can tell when the .json files need rewriting
+ * 
+ * @param {Object|null} jsonCopy - { style, prune }, or null without --json
+ * @returns {string|null} - e.g. "normalized without account", or null without --json
+ */
+function describeJsonCopy(jsonCopy) {
+    if (!jsonCopy) return null;
+    return jsonCopy.prune.length > 0 ? `${jsonCopy.style} without ${jsonCopy.prune.join(', ')}` : jsonCopy.style;
+}
+
+/**
+ * Describes the other settings that change what a conversation's files contain, so sync can tell
+ * when an unchanged conversation still needs rewriting (format, --json and --template are kept apart)
+ * 
+ * @param {Object} options - Conversion options
+ * @returns {string|null} - e.g. "artifacts=folder front-matter tags=work,ai", or null with the default settings
+ */
+function describeOutputSettings(options) {
+    const settings = [];
+    const blockTypes = options.blockTypes ? BLOCK_TYPES.filter(type => options.blockTypes.has(type)) : BLOCK_TYPES;
+    if ((options.artifacts || 'inline') !== 'inline') settings.push(`artifacts=${options.artifacts}`);
+    if ((options.branches || 'append') !== 'append') settings.push(`branches=${options.branches}`);
+    if (blockTypes.length !== BLOCK_TYPES.length) settings.push(`blocks=${blockTypes.join(',')}`);
+    if ((options.filenamePattern || DEFAULT_FILENAME_PATTERN) !== DEFAULT_FILENAME_PATTERN) {
+        settings.push(`filename-pattern=${options.filenamePattern}`);
+    }
+    if ((options.maxFilenameLength || DEFAULT_MAX_FILENAME_BYTES) !== DEFAULT_MAX_FILENAME_BYTES) {
+        settings.push(`max-filename-length=${options.maxFilenameLength}`);
+    }
+    if ((options.htmlTheme || 'auto') !== 'auto') settings.push(`html-theme=${options.htmlTheme}`);
+    if (options.frontMatter) settings.push('front-matter');
+    if (options.tags && options.tags.length > 0) settings.push(`tags=${options.tags.join(',')}`);
+    return settings.length > 0 ? settings.join(' ') : null;
+}
+
+// ===== MARKDOWN CONVERSION FUNCTIONS =====
+// These functions handle the actual conversion from JSON to Markdown.
+// A conversation is first turned into a document (metadata plus rendered messages), which is
+// then written out as Markdown, as HTML (see html_renderer.js), or both.
+
+const OUTPUT_FORMATS = {
+    markdown: ['markdown'],
+    html: ['html'],
+    both: ['markdown', 'html']
+};
+const FORMAT_EXTENSIONS = { markdown: '.md', html: '.html' };
+const DEFAULT_TEMPLATES = createTemplateSet();   // Built-in layout, used unless --template is given
+
+/**
+ * Converts a single conversation object into a formatted Markdown string
+ * This is the core function that transforms Claude's JSON into readable archives
+ * 
+ * @param {Object} conversation - A single conversation object from the JSON
+ * @param {number} index - Index of conversation (for fallback naming)
+ * @param {Object} options - Conversion options (outputDir, if given, is checked for existing files so
+ *                           names don't clash; artifacts is 'inline' or 'folder'; ownedFilename names a file this conversation may overwrite,
+ *                           used by sync mode; filenamePattern and maxFilenameLength control the
+ *                           filename; filenameRegistry keeps names unique across a run; format is
+ *                           'markdown' (default), 'html' or 'both' and htmlTheme picks the HTML theme;
+ *                           jsonCopy ({ style, prune }) also saves the conversation as .json;
+ *                           templates, from loadTemplateSet(), replaces the built-in Markdown layout;
+ *                           exportDate, the Date the export was made, is the front matter's "archived")
+ * @returns {Object} - Object containing the content and filename of the main file, plus
+ *                     extraFiles (HTML copy, branch files, .json copy) as { filename, content, artifactDir },
+ *                     files (every file to write, see writeConversionFiles()), warnings, attachments,
+ *                     artifactFiles and archiveEntry, the conversation's entry for the archive index
+ */
+function convertConversationToMarkdown(conversation, index, options) {
+    // Extract basic conversation metadata
+    const title = conversation.name || `Conversation_${index + 1}`;
+    const messageCount = conversation.chat_messages ? conversation.chat_messages.length : 0;
+    const formats = OUTPUT_FORMATS[options.format || 'markdown'];
+    
+    // Generate the filename from the pattern (creation date, title and last-updated date by default),
+    // adding the conversation's short UUID if another conversation already has that name
+    const filenameRegistry = options.filenameRegistry || createFilenameRegistry(options.outputDir || null);
+    const conversationFileName = filenameRegistry.claim(
+        buildConversationBaseName(conversation, title, options.filenamePattern, options.maxFilenameLength),
+        options.ownedFilename,
+        conversation.uuid
+    );
+    const filename = `${conversationFileName}${FORMAT_EXTENSIONS[formats[0]]}`;
+    
+    // Extract attachments before building markdown
+    const warnings = [];
+    const attachments = extractAttachments(conversation, conversationFileName, warnings);
+    
+    // Rebuild the message tree: the current branch is the main transcript, other branches
+    // (from edited prompts and regenerated replies) are appended, written separately or left out
+    const branchMode = options.branches || 'append';
+    const { mainPath, branches } = buildConversationBranches(conversation);
+    
+    // Artifacts are written to a companion folder as they are encountered, if requested
+    const artifactWriter = options.artifacts === 'folder'
+        ? createArtifactWriter(conversationFileName)
+        : null;
+    const artifactWriters = artifactWriter ? [artifactWriter] : [];
+    
+    // Rebuild artifact versions along the rendered messages before rendering any of them,
+    // so "update" commands can be shown as the full updated artifact
+    const artifactHistory = buildArtifactHistory(mainPath);
+    const contentContext = {
+        artifactHistory: artifactHistory,
+        artifactWriter: artifactWriter,
+        blockTypes: options.blockTypes || null,
+        templates: options.templates || null,
+        unknownBlocks: new Set()   // Shared by every branch so a block is only reported once
+    };
+    
+    // Describe the branches in the header
+    const headerNotes = [];
+    if (branches.length > 0) {
+        const placement = {
+            append: 'alternate branches follow the main transcript',
+            separate: 'alternate branches are in separate files',
+            none: 'only the current branch is included'
+        }[branchMode];
+        headerNotes.push({ label: 'Conversation branches', value: `${branches.length + 1} (${placement})` });
+    }
+    
+    const document = {
+        title: title,
+        conversation: conversation,
+        metadata: buildConversationMetadata(conversation, title, messageCount, headerNotes),
+        frontMatter: options.frontMatter
+            ? buildFrontMatterFields(conversation, title, {
+                messageCount: messageCount,
+                attachments: attachments,
+                branchCount: branches.length + 1,
+                tags: options.tags,
+                exportDate: options.exportDate || null
+            })
+            : null,
+        // Each message of the current branch
+        messages: buildMessageEntries(mainPath, 0, '', '', attachments, contentContext),
+        // The final state of artifacts that changed during the conversation
+        finalArtifacts: formatFinalArtifactVersions(artifactHistory, contentContext),
+        branches: [],
+        branchLinks: [],
+        attachmentCount: attachments.length,
+        artifactCount: 0
+    };
+    
+    // Add the alternate branches
+    const branchDocuments = [];
+    if (branchMode === 'append') {
+        branches.forEach(branch => {
+            // Version numbers continue from the shared messages, so replay those too
+            const branchWriter = artifactWriter
+                ? createArtifactWriter(conversationFileName, `_branch${branch.number}`)
+                : null;
+            if (branchWriter) artifactWriters.push(branchWriter);
+            const branchContext = Object.assign({}, contentContext, {
+                artifactHistory: buildArtifactHistory(branch.prefix.concat(branch.messages)),
+                artifactWriter: branchWriter
             });
             
-            // Add ANSI color codes for better visibility
-            const colors = {
-                reset: '\x1b[0m',
-                bright: '\x1b[1m',
-                red: '\x1b[31m',
-                yellow: '\x1b[33m',
-                cyan: '\x1b[36m',
-                bgRed: '\x1b[41m',
-                bgYellow: '\x1b[43;30m' // Yellow background with black text
-            };
-            
-            console.log(`\n${colors.bgRed}${colors.bright} ⚠️  WARNING ${colors.reset}`);
-            console.log(`${colors.red}${colors.bright}It appears that an output directory for the current conversation.js file already exists.${colors.reset}`);
-            console.log(`${colors.red}${colors.bright}If you continue to run this script, it may output duplicate data.${colors.reset}`);
-            
-            console.log(`\n${colors.cyan}💡 TIP: Unless you are intentionally trying to analyze an older set of conversations again,`);
-            console.log(`you should cancel this process. If you are expecting to analyze a new set of conversations`);
-            console.log(`you should still cancel the process and try again with a different conversations.json file.${colors.reset}\n`);
+            const source = branch.parentBranch === 1 ? 'the main transcript' : `branch ${branch.parentBranch}`;
+            document.branches.push({
+                number: branch.number,
+                heading: `Branch ${branch.number}: ${describeBranch(branch)}`,
+                note: branch.forkIndex === 0
+                    ? 'This branch starts over from the first message.'
+                    : `Messages 1–${branch.forkIndex} are the same as in ${source} and are not repeated here.`,
+                messages: buildMessageEntries(branch.messages, branch.forkIndex, `b${branch.number}-`,
+                    `Branch ${branch.number}, `, attachments, branchContext)
+            });
+        });
+    } else if (branchMode === 'separate') {
+        branches.forEach(branch => {
+            const branchDocument = buildBranchDocument(conversation, title, messageCount, branch, branches.length + 1, {
+                conversationFileName: conversationFileName,
+                mainFilename: filename,
+                attachments: attachments,
+                contentContext: contentContext,
+                frontMatter: options.frontMatter,
+                tags: options.tags,
+                exportDate: options.exportDate || null
+            });
+            branchDocuments.push(branchDocument);
+            document.branchLinks.push({
+                label: `Branch ${branch.number}: ${describeBranch(branch)}`,
+                baseName: branchDocument.baseName
+            });
+        });
+    }
+    
+    // Appended branches save their artifacts in the main artifact folder, under their own names
+    document.artifactCount = artifactWriters.reduce((sum, writer) => sum + writer.count(), 0);
+    
+    // Write every document in every requested format
+    const files = [];
+    [{ baseName: conversationFileName, document: document, artifactDir: null }].concat(branchDocuments).forEach(item => {
+        formats.forEach(format => {
+            files.push({
+                filename: `${item.baseName}${FORMAT_EXTENSIONS[format]}`,
+                content: format === 'html'
+                    ? renderHtmlDocument(item.document, { theme: options.htmlTheme, linkExtension: FORMAT_EXTENSIONS.html })
+                    : renderMarkdownDocument(item.document, options.templates),
+                artifactDir: item.artifactDir
+            });
+        });
+    });
+    
+    // The conversation's own export object goes next to the Markdown file (--json)
+    const jsonFilename = options.jsonCopy ? `${conversationFileName}.json` : null;
+    if (jsonFilename) {
+        files.push({
+            filename: jsonFilename,
+            content: formatConversationJson(conversation, options.jsonCopy),
+            artifactDir: null
+        });
+    }
+    
+    // Everything to write, relative to the output directory: documents, attachments, then artifacts
+    const artifactFiles = [].concat(...artifactWriters.map(writer => writer.files()), ...branchDocuments.map(item => item.artifactFiles));
+    const outputFiles = files.map(file => ({ path: file.filename, content: file.content }))
+        .concat(attachments.map(att => ({ path: att.path, content: att.content })), artifactFiles);
+    
+    return {
+        content: files[0].content,
+        filename: filename,
+        files: outputFiles,
+        attachments: attachments,
+        artifactFiles: artifactFiles,
+        warnings: warnings,
+        archiveEntry: {
+            uuid: conversation.uuid || null,
+            title: conversation.name || null,
+            filename: filename,
+            extra_files: files.slice(1).map(file => file.filename).filter(name => name !== jsonFilename),
+            json_file: jsonFilename,
+            attachment_dir: attachments.length > 0 ? `${conversationFileName}_attachments` : null,
+            artifact_dirs: [document.artifactCount > 0 ? artifactWriter.folderName : null]
+                .concat(branchDocuments.map(item => item.artifactDir))
+                .filter(Boolean),
+            created_at: conversation.created_at || null,
+            updated_at: conversation.updated_at || null,
+            message_count: messageCount,
+            attachment_count: attachments.length,
+            // Distinct artifacts across all branches, however they were written out
+            artifact_count: buildConversationArtifactHistory(conversation).artifacts.length,
+            branch_count: branches.length + 1
+        },
+        attachmentDir: attachments.length > 0 ? `${conversationFileName}_attachments` : null,
+        attachmentCount: attachments.length,
+        artifactDir: document.artifactCount > 0 ? artifactWriter.folderName : null,
+        artifactCount: document.artifactCount + branchDocuments.reduce((sum, item) => sum + item.document.artifactCount, 0),
+        extraFiles: files.slice(1),
+        unknownBlockTypes: countBlockTypes(contentContext.unknownBlocks)
+    };
+}
+
+/**
+ * Collects the metadata shown at the top of an archived conversation
+ * 
+ * @param {Object} conversation - Conversation object from the export
+ * @param {string} title - Conversation title (with fallback for untitled conversations)
+ * @param {number} messageCount - Number of messages in the export, across all branches
+ * @param {Array} notes - Extra { label, value } entries, e.g. about branches
+ * @returns {Array} - { label, value } entries in display order
+ */
+function buildConversationMetadata(conversation, title, messageCount, notes) {
+    const conversationId = conversation.uuid;
+    
+    return [
+        { label: 'Conversation name', value: title, quoted: true },
+        { label: 'Conversation began', value: formatDateWithDay(conversation.created_at) },
+        { label: 'Conversation last updated', value: formatDateWithDay(conversation.updated_at) },
+        { label: 'Conversation URL', value: `https://claude.ai/chat/${conversationId}` },
+        { label: 'Conversation ID', value: `${conversationId}` },
+        { label: 'Total messages in conversation', value: `${messageCount}` }
+    ].concat(notes, [
+        { label: 'AI model', value: 'Claude (version unknown)' },
+        { label: 'Archive file creation date', value: formatDateWithDay(new Date().toISOString()) }
+    ]);
+}
+
+/**
+ * Renders the messages of a run of consecutive messages, ready for any output format
+ * Rendering happens here, once, so artifact files are only written once however many
+ * formats the document is written in.
+ * 
+ * @param {Array} messages - Messages to render, in order
+ * @param {number} firstIndex - Number of messages before the first one (for message numbering)
+ * @param {string} footnotePrefix - Prefix keeping footnote labels unique, e.g. "b2-" for branch 2
+ * @param {string} labelPrefix - Prefix for "Message N" in the footnote text, e.g. "Branch 2, "
+ * @param {Array} attachments - Extracted attachments from extractAttachments()
+ * @param {Object} contentContext - Content context for extractTextFromContent()
+ * @returns {Array} - Message entries: { number, footnote, label, sender, createdAt, timestamp, body, attachments,
+ *                    message } where message is the message object from the export
+ */
+function buildMessageEntries(messages, firstIndex, footnotePrefix, labelPrefix, attachments, contentContext) {
+    return messages.map((message, index) => {
+        const messageNumber = firstIndex + index + 1;
+        return {
+            number: messageNumber,
+            footnote: `${footnotePrefix}${messageNumber}`,
+            label: `${labelPrefix}Message ${messageNumber}`,
+            sender: message.sender === 'human' ? 'human' : 'assistant',
+            createdAt: message.created_at || null,
+            timestamp: formatLocalTime(message.created_at),
+            // Extract the message text (handle both old 'text' field and new 'content' array)
+            body: extractTextFromContent(message.content, contentContext) || message.text || '',
+            attachments: attachments.filter(att => att.message === message),
+            message: message
+        };
+    });
+}
+
+/**
+ * Writes a conversation document as Markdown
+ * 
+ * @param {Object} document - Document built by convertConversationToMarkdown()
+ * @param {Object|null} templates - Template set from loadTemplateSet(), or null for the built-in layout
+ * @returns {string} - Markdown file content
+ */
+function renderMarkdownDocument(document, templates = null) {
+    return (templates || DEFAULT_TEMPLATES).render('document', buildDocumentContext(document));
+}
+
+/**
+ * Collects everything the document template can show
+ * Blocks that are already Markdown (front matter, final artifact versions) come without their
+ * trailing blank lines, so templates decide the spacing around them.
+ * 
+ * @param {Object} document - Document built by convertConversationToMarkdown()
+ * @returns {Object} - Template context (see the README for the full list of fields)
+ */
+function buildDocumentContext(document) {
+    const conversation = document.conversation || {};
+    
+    return {
+        heading: 'Archived AI conversation',
+        title: document.title,
+        uuid: conversation.uuid || null,
+        url: conversation.uuid ? `https://claude.ai/chat/${conversation.uuid}` : null,
+        created: formatDateWithDay(conversation.created_at),
+        updated: formatDateWithDay(conversation.updated_at),
+        message_count: conversation.chat_messages ? conversation.chat_messages.length : 0,
+        metadata: document.metadata,
+        front_matter: document.frontMatter ? formatFrontMatter(document.frontMatter).replace(/\n+$/, '') : '',
+        messages: document.messages.map(buildMessageContext),
+        final_artifacts: document.finalArtifacts.replace(/\n+$/, ''),
+        branches: document.branches.map(branch => ({
+            number: branch.number,
+            heading: branch.heading,
+            note: branch.note,
+            messages: branch.messages.map(buildMessageContext)
+        })),
+        branch_links: document.branchLinks.map(link => ({
+            label: link.label,
+            href: `./${link.baseName}${FORMAT_EXTENSIONS.markdown}`
+        })),
+        attachment_count: document.attachmentCount,
+        artifact_count: document.artifactCount,
+        // The conversation object from the export, for anything not listed above
+        conversation: conversation
+    };
+}
+
+/**
+ * Collects everything the message and attachments templates can show for one message
+ * 
+ * @param {Object} entry - Message entry from buildMessageEntries()
+ * @returns {Object} - Template context (see the README for the full list of fields)
+ */
+function buildMessageContext(entry) {
+    const isHuman = entry.sender === 'human';
+    
+    return {
+        number: entry.number,
+        footnote: entry.footnote,
+        label: entry.label,
+        sender: entry.sender,
+        is_human: isHuman,
+        is_assistant: !isHuman,
+        sender_icon: isHuman ? '👤' : '🤖',
+        sender_name: isHuman ? 'Human' : 'Assistant',
+        created_at: entry.createdAt,
+        timestamp: entry.timestamp,
+        body: entry.body,
+        attachments: entry.attachments.map(att => ({
+            name: att.originalName,
+            file_name: att.fileName,
+            path: att.relativePath,
+            size_bytes: att.fileSize || 0,
+            size: att.fileSize ? `(${Math.round(att.fileSize / 1024 * 10) / 10} KB)` : ''
+        })),
+        // The message object from the export, for anything not listed above
+        message: entry.message || null
+    };
+}
+
+/**
+ * Builds the metadata block at the top of an archived conversation
+ * 
+ * @param {Array} metadata - { label, value } entries from buildConversationMetadata()
+ * @param {string} heading - What the file is, shown on the first line
+ * @returns {string} - Markdown header ending with a horizontal rule
+ */
+function formatConversationHeader(metadata, heading = 'Archived AI conversation') {
+    let markdown = `Title: ${heading}\n`;
+    metadata.forEach(entry => {
+        markdown += entry.quoted ? `${entry.label}: "${entry.value}"\n` : `${entry.label}: ${entry.value}\n`;
+    });
+    markdown += `\n---\n\n`;
+    return markdown;
+}
+
+/**
+ * Formats message entries with headers, attachments and timestamp footnotes
+ * 
+ * @param {Array} entries - Message entries from buildMessageEntries()
+ * @param {Object|null} templates - Template set from loadTemplateSet(), or null for the built-in layout
+ * @returns {string} - Markdown for the messages
+ */
+function formatMessages(entries, templates = null) {
+    return entries.map(entry => (templates || DEFAULT_TEMPLATES).render('message', buildMessageContext(entry))).join('');
+}
+
+/**
+ * Builds the separate document for one alternate branch (--branches separate)
+ * The document holds the complete branch from the first message, so it reads on its own; artifacts
+ * go in the branch's own companion folder and attachments link to the conversation's folder.
+ * 
+ * @param {Object} conversation - Conversation object from the export
+ * @param {string} title - Conversation title
+ * @param {number} messageCount - Number of messages in the export, across all branches
+ * @param {Object} branch - Branch from buildConversationBranches()
+ * @param {number} branchTotal - Number of branches including the main one
+ * @param {Object} shared - { conversationFileName, mainFilename, attachments, contentContext, frontMatter, tags, exportDate }
+ * @returns {Object} - { baseName, document, artifactDir, artifactFiles }
+ */
+function buildBranchDocument(conversation, title, messageCount, branch, branchTotal, shared) {
+    const branchFileName = `${shared.conversationFileName}_branch${branch.number}`;
+    const messages = branch.prefix.concat(branch.messages);
+    
+    const artifactWriter = shared.contentContext.artifactWriter
+        ? createArtifactWriter(branchFileName)
+        : null;
+    const artifactHistory = buildArtifactHistory(messages);
+    const contentContext = Object.assign({}, shared.contentContext, {
+        artifactHistory: artifactHistory,
+        artifactWriter: artifactWriter
+    });
+    
+    const branchAttachments = shared.attachments.filter(att => messages.includes(att.message));
+    const document = {
+        title: title,
+        conversation: conversation,
+        metadata: buildConversationMetadata(conversation, title, messageCount, [{
+            label: 'Conversation branch',
+            value: `${branch.number} of ${branchTotal}, ${describeBranch(branch).toLowerCase()} ` +
+                `(current branch: ${shared.mainFilename})`
+        }]),
+        frontMatter: shared.frontMatter
+            ? buildFrontMatterFields(conversation, title, {
+                messageCount: messageCount,
+                attachments: branchAttachments,
+                branchCount: branchTotal,
+                tags: shared.tags,
+                exportDate: shared.exportDate,
+                branch: branch.number,
+                mainFilename: shared.mainFilename
+            })
+            : null,
+        messages: buildMessageEntries(messages, 0, '', '', shared.attachments, contentContext),
+        finalArtifacts: formatFinalArtifactVersions(artifactHistory, contentContext),
+        branches: [],
+        branchLinks: [],
+        attachmentCount: branchAttachments.length,
+        artifactCount: artifactWriter ? artifactWriter.count() : 0
+    };
+    
+    return {
+        baseName: branchFileName,
+        document: document,
+        artifactDir: document.artifactCount > 0 ? artifactWriter.folderName : null,
+        artifactFiles: artifactWriter ? artifactWriter.files() : []
+    };
+}
+
+// ===== WRITER FUNCTIONS =====
+// Conversion only builds files in memory; these functions put them on disk.
+
+/**
+ * Writes every file of a converted conversation into the output directory
+ * Companion folders for attachments and artifacts are created as needed.
+ * 
+ * @param {Object} result - Result of convertConversationToMarkdown() or convertConversation()
+ * @param {string} outputDir - Directory to write to
+ */
+function writeConversionFiles(result, outputDir) {
+    const root = path.resolve(outputDir);
+    result.files.forEach(file => {
+        const filePath = path.join(outputDir, file.path);
+        // Names come from the export, so never write anywhere but inside the output directory
+        const relative = path.relative(root, path.resolve(filePath));
+        if (relative === '' || relative.startsWith('..') || path.isAbsolute(relative)) {
+            throw new Error(`Refusing to write "${file.path}" outside the output directory`);
+        }
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, file.content, 'utf8');
+    });
+}
+
+/**
+ * Writes a converted export into an output directory and updates its archive index
+ * 
+ * @param {Object} exportResult - Result of convertExport()
+ * @param {string} outputDir - Directory to write to (created if needed)
+ * @returns {number} - Number of files written
+ */
+function writeExport(exportResult, outputDir) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    const archiveIndex = loadArchiveIndex(outputDir);
+    
+    let fileCount = 0;
+    exportResult.conversations.forEach(result => {
+        writeConversionFiles(result, outputDir);
+        recordArchiveEntry(archiveIndex, result.archiveEntry);
+        fileCount += result.files.length;
+    });
+    
+    saveArchiveIndex(outputDir, archiveIndex);
+    return fileCount;
+}
+
+// ===== LIBRARY API FUNCTIONS =====
+// For using the converter from other tools: require('./convert_conversations') runs nothing,
+// and these functions neither read nor write files (except to check outputDir for existing
+// names when it is given). Write their results with writeConversionFiles() or writeExport().
+
+/**
+ * Checks the options given to the library functions and fills in defaults
+ * 
+ * @param {Object} options - Options of convertConversation() or convertExport()
+ * @returns {Object} - Options for convertConversationToMarkdown()
+ */
+function resolveLibraryOptions(options) {
+    const choices = { format: Object.keys(OUTPUT_FORMATS), artifacts: ['inline', 'folder'], branches: ['append', 'separate', 'none'] };
+    Object.keys(choices).forEach(name => {
+        if (options[name] !== undefined && !choices[name].includes(options[name])) {
+            throw new Error(`Unknown ${name} "${options[name]}" (expected ${choices[name].join(', ')})`);
+        }
+    });
+    
+    return Object.assign({}, options, {
+        blockTypes: options.blockTypes ? new Set(options.blockTypes) : null
+    });
+}
+
+/**
+ * Converts one conversation in memory
+ * 
+ * @param {Object} conversation - Conversation object from the export
+ * @param {Object} options - Same as the command-line options: format ('markdown', 'html' or 'both'),
+ *                           artifacts ('inline' or 'folder'), branches ('append', 'separate' or 'none'),
+ *                           frontMatter, tags, exportDate, filenamePattern, maxFilenameLength, htmlTheme,
+ *                           jsonCopy ({ style, prune }), blockTypes (Array of BLOCK_TYPES),
+ *                           templates (from output_templates.js), plus index (position in the export,
+ *                           for untitled conversations), outputDir and filenameRegistry
+ * @returns {Object} - { filename, markdown, html, files, attachments, artifacts, warnings,
+ *                     unknownBlockTypes, archiveEntry }; markdown and html are the main file's
+ *                     content (null if not requested) and files lists every file as { path, content }
+ */
+function convertConversation(conversation, options = {}) {
+    const result = convertConversationToMarkdown(conversation, options.index || 0, resolveLibraryOptions(options));
+    const baseName = path.parse(result.filename).name;
+    const findFile = extension => {
+        const file = result.files.find(candidate => candidate.path === `${baseName}${extension}`);
+        return file ? file.content : null;
+    };
+    
+    const warnings = result.warnings.slice();
+    if (result.unknownBlockTypes.size > 0) {
+        const described = Array.from(result.unknownBlockTypes.entries()).map(([type, count]) => `${type} (${count})`);
+        warnings.push(`Warning: Unsupported content block types were left as placeholders: ${described.join(', ')}`);
+    }
+    
+    return {
+        filename: result.filename,
+        markdown: findFile(FORMAT_EXTENSIONS.markdown),
+        html: findFile(FORMAT_EXTENSIONS.html),
+        files: result.files,
+        attachments: result.attachments.map(att => ({
+            name: att.originalName,
+            path: att.path,
+            size: att.fileSize,
+            messageIndex: att.messageIndex,
+            content: att.content
+        })),
+        artifacts: result.artifactFiles,
+        warnings: warnings,
+        unknownBlockTypes: Object.fromEntries(result.unknownBlockTypes),
+        archiveEntry: result.archiveEntry
+    };
+}
+
+/**
+ * Converts every conversation of an export in memory
+ * Filenames are kept unique across the export, as in a command-line run.
+ * 
+ * @param {Array|Object|string} data - Parsed conversations.json, a single conversation, or the JSON text
+ * @param {Object} options - Options of convertConversation(), plus filter (conversation => boolean)
+ *                           and redactor (from createRedactor() in redaction.js)
+ * @returns {Object} - { conversations, failed, skipped, warnings } where conversations holds the
+ *                     results of convertConversation() (with redactions when a redactor is given)
+ *                     and failed lists { index, uuid, title, error } for conversations that could
+ *                     not be converted
+ */
+function convertExport(data, options = {}) {
+    let conversations = typeof data === 'string' ? JSON.parse(data) : data;
+    if (conversations && !Array.isArray(conversations) && Array.isArray(conversations.chat_messages)) {
+        conversations = [conversations];
+    }
+    if (!Array.isArray(conversations)) {
+        throw new Error('Expected an array of conversations, a single conversation, or their JSON text');
+    }
+    
+    const sharedOptions = Object.assign({}, options, {
+        filenameRegistry: options.filenameRegistry || createFilenameRegistry(options.outputDir || null)
+    });
+    const exportResult = { conversations: [], failed: [], skipped: 0, warnings: [] };
+    
+    conversations.forEach((conversation, index) => {
+        if (options.filter && !options.filter(conversation)) {
+            exportResult.skipped++;
+            return;
+        }
+        try {
+            let source = conversation;
+            let redactions = null;
+            if (options.redactor) {
+                const redacted = options.redactor.redactConversation(conversation);
+                source = redacted.conversation;
+                redactions = redacted.findings;
+            }
             
-            // Use a Promise to make the asynchronous readline operation work with the flow
-            const shouldCancel = await new Promise((resolve) => {
-                rl.question(`❓ Cancel? [Y]/N (Default is Y to cancel, N to continue): `, (answer) => {
-                    rl.close();
-                    // If answer is empty or starts with 'y', treat as yes (cancel)
-                    // Only continue if user explicitly types 'n'
-                    const normalizedAnswer = answer.trim().toLowerCase();
-                    resolve(normalizedAnswer === '' || normalizedAnswer.startsWith('y'));
-                });
+            const result = convertConversation(source, Object.assign({}, sharedOptions, { index: index }));
+            if (redactions) result.redactions = redactions;
+            exportResult.conversations.push(result);
+            result.warnings.forEach(message => exportResult.warnings.push(`${result.filename}: ${message}`));
+        } catch (error) {
+            exportResult.failed.push({
+                index: index,
+                uuid: (conversation && conversation.uuid) || null,
+                title: (conversation && conversation.name) || null,
+                error: error.message
             });
+            exportResult.warnings.push(`✗ Error processing conversation ${index + 1}: ${error.message}`);
+        }
+    });
+    
+    return exportResult;
+}
+
+// ===== SYNC FUNCTIONS =====
+// Incremental sync keeps one stable archive directory up to date across exports.
+// A manifest in the output directory maps each conversation UUID to the files written
+// for it, so later runs only rewrite conversations whose content actually changed.
+
+/**
+ * Computes a content hash of a conversation as it appears in the export
+ * Any change to messages, attachments or metadata produces a different hash
+ * 
+ * @param {Object} conversation - Conversation object from the export
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashConversation(conversation) {
+    return crypto.createHash('sha256').update(JSON.stringify(conversation)).digest('hex');
+}
+
+/**
+ * Loads the sync manifest from an output directory
+ * 
+ * @param {string} outputDir - Archive directory
+ * @returns {Object} - Manifest ({ version, last_synced, conversations: { uuid: entry } }); empty if none exists yet
+ */
+function loadSyncManifest(outputDir) {
+    const manifestPath = path.join(outputDir, SYNC_MANIFEST_FILE);
+    const emptyManifest = { version: 1, last_synced: null, conversations: {} };
+    
+    if (!fs.existsSync(manifestPath)) return emptyManifest;
+    
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    if (!manifest || typeof manifest.conversations !== 'object') {
+        throw new Error(`Sync manifest ${manifestPath} is not in the expected format`);
+    }
+    return manifest;
+}
+
+/**
+ * Writes the sync manifest back to the output directory
+ * Written to a temporary file first so an interrupted run can't leave a half-written manifest
+ * 
+ * @param {string} outputDir - Archive directory
+ * @param {Object} manifest - Manifest to save
+ */
+function saveSyncManifest(outputDir, manifest) {
+    const manifestPath = path.join(outputDir, SYNC_MANIFEST_FILE);
+    const tempPath = `${manifestPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2), 'utf8');
+    fs.renameSync(tempPath, manifestPath);
+}
+
+/**
+ * Removes files previously written for a conversation (Markdown file and/or attachment folder)
+ * 
+ * @param {string} outputDir - Archive directory
+ * @param {string|null} filename - Markdown filename to remove, if any
+ * @param {string|null} attachmentDir - Attachment folder to remove, if any
+ */
+function removeConversationFiles(outputDir, filename, attachmentDir) {
+    if (filename) {
+        const filepath = path.join(outputDir, filename);
+        if (fs.existsSync(filepath)) fs.unlinkSync(filepath);
+    }
+    if (attachmentDir) {
+        const dirPath = path.join(outputDir, attachmentDir);
+        if (fs.existsSync(dirPath)) {
+            // fs.rmSync is the modern API (Node 14.14+); fall back to recursive rmdir on older versions
+            if (fs.rmSync) fs.rmSync(dirPath, { recursive: true });
+            else fs.rmdirSync(dirPath, { recursive: true });
+        }
+    }
+}
+
+/**
+ * Converts one conversation in sync mode, skipping it if nothing changed since the last run
+ * Updates the manifest entry and the archive index, and returns what happened so main() can
+ * summarize the run
+ * 
+ * @param {Object} conversation - Conversation object from the export
+ * @param {number} index - Index of conversation (for fallback naming)
+ * @param {Object} options - Conversion options (outputDir is required)
+ * @param {Object} manifest - Sync manifest (modified in place)
+ * @param {Object} archiveIndex - Archive index from loadArchiveIndex() (modified in place)
+ * @returns {Object} - { status, filename, attachmentCount, artifactCount, unknownBlockTypes, warnings }
+ *                     where status is 'new', 'updated', 'renamed', 'restored' or 'unchanged'
+ */
+function syncConversation(conversation, index, options, manifest, archiveIndex) {
+    const uuid = conversation.uuid;
+    const entry = manifest.conversations[uuid];
+    const contentHash = hashConversation(conversation);
+    const now = new Date().toISOString();
+    const wasMissing = !!(entry && entry.missing_from_export);
+    const format = options.format || 'markdown';
+    const jsonCopy = describeJsonCopy(options.jsonCopy || null);
+    const template = options.templates ? options.templates.fingerprint : null;
+    const outputSettings = describeOutputSettings(options);
+    
+    // Unchanged content in the same format and layout and the file is still there: nothing to write
+    // (archives from before --format existed are Markdown; archives from before the archive
+    // index existed are rewritten once so the index lists every conversation)
+    if (entry && entry.content_hash === contentHash && (entry.format || 'markdown') === format &&
+        (entry.json_copy || null) === jsonCopy && (entry.template || null) === template &&
+        (entry.output_settings || null) === outputSettings &&
+        archiveIndex.conversations[uuid] && fs.existsSync(path.join(options.outputDir, entry.filename))) {
+        entry.missing_from_export = false;
+        entry.missing_since = null;
+        entry.last_seen = now;
+        return {
+            status: wasMissing ? 'restored' : 'unchanged',
+            filename: entry.filename,
+            attachmentCount: 0,
+            artifactCount: 0,
+            unknownBlockTypes: new Map(),
+            warnings: []
+        };
+    }
+    
+    // Attachments, artifacts, HTML copies, branch files and .json copies are re-created from the export,
+    // so clear the old ones first
+    if (entry) {
+        removeConversationFiles(options.outputDir, null, entry.attachment_dir);
+        removeConversationFiles(options.outputDir, null, entry.artifact_dir);
+        (entry.extra_files || []).forEach(extraFile => {
+            removeConversationFiles(options.outputDir, extraFile.filename, extraFile.artifact_dir);
+        });
+    }
+    
+    const result = convertConversationToMarkdown(conversation, index, Object.assign({}, options, {
+        ownedFilename: entry ? entry.filename : null
+    }));
+    writeConversionFiles(result, options.outputDir);
+    recordArchiveEntry(archiveIndex, result.archiveEntry);
+    
+    // The filename contains the title and the last-updated date, so it changes when either does;
+    // remove the old file so the archive keeps exactly one copy per conversation
+    if (entry && entry.filename !== result.filename) {
+        removeConversationFiles(options.outputDir, entry.filename, null);
+    }
+    
+    const title = conversation.name || null;
+    let status = 'new';
+    if (entry) {
+        if (wasMissing) status = 'restored';
+        else if (entry.title !== title) status = 'renamed';
+        else status = 'updated';
+    }
+    
+    manifest.conversations[uuid] = {
+        filename: result.filename,
+        format: format,
+        json_copy: jsonCopy,
+        template: template,
+        output_settings: outputSettings,
+        attachment_dir: result.attachmentDir,
+        artifact_dir: result.artifactDir,
+        extra_files: result.extraFiles.map(extraFile => ({
+            filename: extraFile.filename,
+            artifact_dir: extraFile.artifactDir
+        })),
+        title: title,
+        created_at: conversation.created_at || null,
+        updated_at: conversation.updated_at || null,
+        content_hash: contentHash,
+        first_synced: entry ? entry.first_synced : now,
+        last_synced: now,
+        last_seen: now,
+        previous_titles: entry && entry.title !== title
+            ? (entry.previous_titles || []).concat([entry.title])
+            : (entry ? entry.previous_titles || [] : []),
+        missing_from_export: false,
+        missing_since: null
+    };
+    
+    return {
+        status: status,
+        filename: result.filename,
+        attachmentCount: result.attachmentCount,
+        artifactCount: result.artifactCount,
+        unknownBlockTypes: result.unknownBlockTypes,
+        warnings: result.warnings
+    };
+}
+
+/**
+ * Flags manifest entries for conversations that are no longer in the export
+ * Their files are kept in the archive; only the manifest records that they went missing
+ * 
+ * @param {Object} manifest - Sync manifest (modified in place)
+ * @param {Set} seenUuids - UUIDs of all conversations in the current export
+ * @returns {Array} - Manifest entries (with uuid) that are missing from this export
+ */
+function flagMissingConversations(manifest, seenUuids) {
+    const now = new Date().toISOString();
+    const missing = [];
+    
+    Object.keys(manifest.conversations).forEach(uuid => {
+        if (seenUuids.has(uuid)) return;
+        
+        const entry = manifest.conversations[uuid];
+        if (!entry.missing_from_export) {
+            entry.missing_from_export = true;
+            entry.missing_since = now;
+        }
+        missing.push(Object.assign({ uuid: uuid }, entry));
+    });
+    
+    return missing;
+}
+
+// ===== COMMAND-LINE FUNCTIONS =====
+// These functions turn the command-line arguments into conversion options
+
+/**
+ * Builds the help text shown by --help
+ * 
+ * @returns {string} - Usage, options and exit codes
+ */
+function formatHelp() {
+    const lines = [
+        'Claude Conversations JSON to Markdown Converter',
+        '',
+        'Usage: node convert_conversations.js [options] [input]',
+        '       node convert_conversations.js <command> [options] (see "<command> --help")',
+        '',
+        'Commands:'
+    ];
+    
+    Object.keys(COMMANDS).forEach(name => {
+        lines.push(`  ${name.padEnd(28)} ${COMMANDS[name].description}`);
+    });
+    
+    lines.push('');
+    lines.push('Options:');
+    
+    lines.push(...formatOptionLines(OPTION_DEFINITIONS));
+    
+    lines.push('');
+    lines.push('Exit codes:');
+    lines.push(`  ${EXIT_CODES.SUCCESS}  All conversations converted`);
+    lines.push(`  ${EXIT_CODES.ERROR}  Fatal error (input missing or unreadable, invalid JSON, ...)`);
+    lines.push(`  ${EXIT_CODES.USAGE}  Invalid command-line arguments`);
+    lines.push(`  ${EXIT_CODES.CANCELLED}  Cancelled, or the output directory exists and no prompt is possible (use --yes)`);
+    lines.push(`  ${EXIT_CODES.PARTIAL_FAILURE}  Finished, but some conversations failed to convert`);
+    lines.push('');
+    lines.push('Examples:');
+    lines.push('  node convert_conversations.js');
+    lines.push('  node convert_conversations.js ~/Downloads/conversations.json -o ~/archive/claude --yes');
+    lines.push('  node convert_conversations.js ~/Downloads/data-2025-09-13-10-15-00.zip');
+    lines.push('  node convert_conversations.js --input export.json --quiet --force');
+    lines.push('  node convert_conversations.js export.zip --created-from 2025-09-01 --title "report|invoice" --has-artifacts');
+    
+    return lines.join('\n');
+}
+
+/**
+ * Parses a comma-separated list of content block kinds from the command line
+ * 
+ * @param {string} value - e.g. "text,artifacts"
+ * @param {string} flag - Option name for error messages
+ * @returns {Array} - Block kinds, all members of BLOCK_TYPES
+ */
+function parseBlockList(value, flag) {
+    const types = value.split(',').map(type => type.trim()).filter(type => type !== '');
+    const unknown = types.filter(type => !BLOCK_TYPES.includes(type));
+    if (unknown.length > 0) {
+        throw new UsageError(`${flag}: unknown block type "${unknown[0]}" (choose from ${BLOCK_TYPES.join(', ')})`);
+    }
+    return types;
+}
+
+/**
+ * Turns parsed arguments into the options object used by main()
+ * Fills in defaults and rejects conflicting arguments
+ * 
+ * @param {Array} argv - Arguments without the node executable and script path
+ * @returns {Object} - Conversion options
+ */
+function resolveOptions(argv) {
+    const { options, positionals } = parseArguments(argv, OPTION_DEFINITIONS);
+    
+    if (positionals.length > 1) {
+        throw new UsageError(`Expected at most one input file, got ${positionals.length}: ${positionals.join(' ')}`);
+    }
+    if (positionals.length === 1 && options.input) {
+        throw new UsageError('Give the input file either as an argument or with --input, not both');
+    }
+    
+    const inputFile = options.input || positionals[0] || DEFAULT_INPUT_FILE;
+    
+    const artifactsMode = options.artifacts || 'inline';
+    if (!['inline', 'folder'].includes(artifactsMode)) {
+        throw new UsageError(`--artifacts must be "inline" or "folder", got "${artifactsMode}"`);
+    }
+    
+    const filenamePattern = options.filenamePattern || DEFAULT_FILENAME_PATTERN;
+    const patternProblem = findFilenamePatternProblem(filenamePattern);
+    if (patternProblem) {
+        throw new UsageError(`--filename-pattern ${patternProblem}`);
+    }
+    
+    // Filenames need room for the companion-folder suffixes within the usual 255-byte limit
+    const maxFilenameLength = options.maxFilenameLength ? Number(options.maxFilenameLength) : DEFAULT_MAX_FILENAME_BYTES;
+    if (!Number.isInteger(maxFilenameLength) || maxFilenameLength < 16 || maxFilenameLength > 220) {
+        throw new UsageError(`--max-filename-length must be a whole number from 16 to 220, got "${options.maxFilenameLength}"`);
+    }
+    
+    const tags = options.tags ? options.tags.split(',').map(tag => tag.trim()).filter(tag => tag !== '') : [];
+    if (tags.length > 0 && !options.frontMatter) {
+        throw new UsageError('--tags only applies together with --front-matter');
+    }
+    
+    const branchMode = options.branches || 'append';
+    if (!['append', 'separate', 'none'].includes(branchMode)) {
+        throw new UsageError(`--branches must be "append", "separate" or "none", got "${branchMode}"`);
+    }
+    
+    const format = options.format || 'markdown';
+    if (!OUTPUT_FORMATS[format]) {
+        throw new UsageError(`--format must be "markdown", "html" or "both", got "${format}"`);
+    }
+    
+    const htmlTheme = options.htmlTheme || 'auto';
+    if (!HTML_THEMES.includes(htmlTheme)) {
+        throw new UsageError(`--html-theme must be "auto", "light" or "dark", got "${htmlTheme}"`);
+    }
+    if (options.htmlTheme && format === 'markdown') {
+        throw new UsageError('--html-theme only applies together with --format html or --format both');
+    }
+    
+    const jsonStyle = options.jsonStyle || 'original';
+    if (!JSON_COPY_STYLES.includes(jsonStyle)) {
+        throw new UsageError(`--json-style must be "original" or "normalized", got "${jsonStyle}"`);
+    }
+    const jsonPrune = options.jsonPrune ? options.jsonPrune.split(',').map(field => field.trim()).filter(field => field !== '') : [];
+    const badField = jsonPrune.find(field => !/^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/.test(field));
+    if (badField !== undefined) {
+        throw new UsageError(`--json-prune: "${badField}" is not a field name or dotted path like chat_messages.files`);
+    }
+    if ((options.jsonStyle || options.jsonPrune) && !options.json) {
+        throw new UsageError('--json-style and --json-prune only apply together with --json');
+    }
+    
+    const redactStyle = options.redactStyle || null;
+    if (redactStyle && !REDACTION_STYLES.includes(redactStyle)) {
+        throw new UsageError(`--redact-style must be "label", "mask" or "hash", got "${redactStyle}"`);
+    }
+    if (redactStyle && !options.redact && !options.redactRules) {
+        throw new UsageError('--redact-style only applies together with --redact or --redact-rules');
+    }
+    
+    // Start from every block kind (or just the included ones) and take away the excluded ones
+    const includedBlocks = options.includeBlocks ? parseBlockList(options.includeBlocks, '--include-blocks') : BLOCK_TYPES;
+    const excludedBlocks = options.excludeBlocks ? parseBlockList(options.excludeBlocks, '--exclude-blocks') : [];
+    const blockTypes = includedBlocks.filter(type => !excludedBlocks.includes(type));
+    if (blockTypes.length === 0) {
+        throw new UsageError('--include-blocks and --exclude-blocks leave no content blocks to render');
+    }
+    
+    return {
+        help: !!options.help,
+        inputFile: inputFile,
+        outputDir: options.output || null,   // Worked out from the input file in main() when not given
+        assumeYes: !!options.yes,
+        artifacts: artifactsMode,
+        filenamePattern: filenamePattern,
+        maxFilenameLength: maxFilenameLength,
+        frontMatter: !!options.frontMatter,
+        tags: tags,
+        branches: branchMode,
+        format: format,
+        htmlTheme: htmlTheme,
+        jsonCopy: options.json ? { style: jsonStyle, prune: jsonPrune } : null,
+        // Template files are read (and checked) here, so mistakes in them are reported before converting
+        templates: options.template ? loadTemplateSet(options.template) : null,
+        blockTypes: blockTypes,
+        filters: resolveConversationFilters(options),
+        // The rules file is read (and checked) here, so mistakes in it are reported before converting
+        redactor: options.redact || options.redactRules
+            ? createRedactor({ rulesFile: options.redactRules || null, style: redactStyle, requireHashKey: !!options.sync })
+            : null,
+        sync: !!options.sync,
+        stream: !!options.stream,
+        quiet: !!options.quiet
+    };
+}
+
+/**
+ * Asks whether to cancel because the output directory already exists
+ * 
+ * @param {string} outputDir - The existing output directory
+ * @returns {Promise<boolean>} - true if the user chose to cancel
+ */
+async function confirmExistingOutputDir(outputDir) {
+    const readline = require('readline');
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
+    
+    // Add ANSI color codes for better visibility
+    const colors = {
+        reset: '\x1b[0m',
+        bright: '\x1b[1m',
+        red: '\x1b[31m',
+        yellow: '\x1b[33m',
+        cyan: '\x1b[36m',
+        bgRed: '\x1b[41m',
+        bgYellow: '\x1b[43;30m' // Yellow background with black text
+    };
+    
+    console.log(`\n${colors.bgRed}${colors.bright} ⚠️  WARNING ${colors.reset}`);
+    console.log(`${colors.red}${colors.bright}The output directory ${outputDir} already exists.${colors.reset}`);
+    console.log(`${colors.red}${colors.bright}If you continue to run this script, it may output duplicate data.${colors.reset}`);
+    
+    console.log(`\n${colors.cyan}💡 TIP: Unless you are intentionally trying to analyze an older set of conversations again,`);
+    console.log(`you should cancel this process. If you are expecting to analyze a new set of conversations`);
+    console.log(`you should still cancel the process and try again with a different conversations.json file.${colors.reset}\n`);
+    
+    // Use a Promise to make the asynchronous readline operation work with the flow
+    return new Promise((resolve) => {
+        rl.question(`❓ Cancel? [Y]/N (Default is Y to cancel, N to continue): `, (answer) => {
+            rl.close();
+            // If answer is empty or starts with 'y', treat as yes (cancel)
+            // Only continue if user explicitly types 'n'
+            const normalizedAnswer = answer.trim().toLowerCase();
+            resolve(normalizedAnswer === '' || normalizedAnswer.startsWith('y'));
+        });
+    });
+}
+
+/**
+ * Describes the companion files written for a conversation, for the progress log
+ * 
+ * @param {Object} result - Result with attachmentCount and artifactCount
+ * @returns {string} - e.g. " (2 attachments, 3 artifacts)", or '' if there are none
+ */
+function formatExtractedNote(result) {
+    const notes = [];
+    if (result.attachmentCount > 0) notes.push(`${result.attachmentCount} attachments`);
+    if (result.artifactCount > 0) notes.push(`${result.artifactCount} artifacts`);
+    return notes.length > 0 ? ` (${notes.join(', ')})` : '';
+}
+
+// ===== MAIN PROCESSING FUNCTION =====
+// This is the primary function that orchestrates the entire conversion process
+
+/**
+ * Main function that handles the complete conversion process
+ * Reads the export (JSON or ZIP), processes all conversations, and creates Markdown files
+ * 
+ * @param {Object} options - Conversion options from resolveOptions()
+ * @returns {Promise<number>} - Exit code (see EXIT_CODES)
+ */
+async function main(options) {
+    logger.setQuiet(options.quiet);
+    log('Claude Conversations Converter Starting...\n');
+    
+    try {
+        // Step 1: Open the export (plain JSON or the .zip from Claude) and parse the conversations
+        const source = await openExport(options.inputFile);
+        log(`Reading ${describeExport(source)}...`);
+        if (options.templates) {
+            log(`Using your own templates for: ${options.templates.custom.join(', ')}`);
+        }
+        
+        // In streaming mode conversations are parsed later, one at a time, while converting
+        let conversations = null;
+        if (options.stream) {
+            log('Streaming mode: conversations will be read one at a time');
+        } else {
+            conversations = await loadConversations(source);
+            log(`Found ${conversations.length} conversations`);
             
-            if (shouldCancel) {
-                console.log('Operation cancelled by user.');
-                process.exit(0);
+            // Step 2: Analyze the JSON structure for changes
+            // (streaming mode collects the keys during conversion instead)
+            trackSchemaChanges(conversations);
+        }
+        
+        // Step 3: Check if the output directory already exists and prompt user
+        // Sync mode updates one stable directory in place, so an existing directory is expected there
+        const defaultOutputDir = options.sync ? DEFAULT_SYNC_OUTPUT_DIR : getOutputDirWithTimestamp(source.timestamp);
+        const outputDir = options.outputDir || defaultOutputDir;
+        if (fs.existsSync(outputDir)) {
+            if (options.sync) {
+                log(`Syncing into existing archive: ${outputDir}`);
+            } else if (options.assumeYes) {
+                log(`Output directory ${outputDir} already exists - continuing (--yes)`);
+            } else if (!process.stdin.isTTY) {
+                // Nobody can answer the prompt (cron, pipes, CI), so refuse rather than hang
+                warn(`Output directory ${outputDir} already exists. Re-run with --yes to write into it anyway.`);
+                return EXIT_CODES.CANCELLED;
+            } else {
+                const shouldCancel = await confirmExistingOutputDir(outputDir);
+                if (shouldCancel) {
+                    log('Operation cancelled by user.');
+                    return EXIT_CODES.CANCELLED;
+                }
+                log('Continuing with conversion...');
             }
-            
-            console.log('Continuing with conversion...');
         } else {
             // Create the output directory if it doesn't exist
-            fs.mkdirSync(OUTPUT_DIR);
-            console.log(`Created output directory: ${OUTPUT_DIR}`);
+            fs.mkdirSync(outputDir, { recursive: true });
+            log(`Created output directory: ${outputDir}`);
         }
         
+        const conversionOptions = {
+            outputDir: outputDir,
+            artifacts: options.artifacts,
+            branches: options.branches,
+            filenamePattern: options.filenamePattern,
+            maxFilenameLength: options.maxFilenameLength,
+            filenameRegistry: createFilenameRegistry(outputDir),
+            frontMatter: options.frontMatter,
+            tags: options.tags,
+            exportDate: source.timestamp && !isNaN(source.timestamp.getTime()) ? source.timestamp : null,
+            format: options.format,
+            htmlTheme: options.htmlTheme,
+            jsonCopy: options.jsonCopy,
+            templates: options.templates,
+            // null means render everything, which is also what the library default does
+            blockTypes: options.blockTypes.length === BLOCK_TYPES.length ? null : new Set(options.blockTypes)
+        };
+        
+        // In sync mode the manifest tells us what earlier runs already wrote
+        const manifest = options.sync ? loadSyncManifest(outputDir) : null;
+        const archiveIndex = loadArchiveIndex(outputDir);
+        const redactionReport = options.redactor ? createRedactionReport(options.redactor, options.inputFile) : null;
+        let redactionReportPath = null;
+        const seenUuids = new Set();
+        const syncCounts = { new: 0, updated: 0, renamed: 0, restored: 0, unchanged: 0 };
+        let missingConversations = [];
+        
         // Step 4: Process each conversation
-        console.log('\nConverting conversations...');
+        log(options.sync ? '\nSyncing conversations...' : '\nConverting conversations...');
         let successCount = 0;
         let errorCount = 0;
+        let skippedCount = 0;   // Left out by --created-from, --title and the other filters
         let totalAttachments = 0;
+        let totalArtifacts = 0;
+        const unknownBlockTypes = new Map();   // Block type => number of blocks that could not be rendered
         
-        conversations.forEach((conversation, index) => {
+        // Adds one conversation's unrenderable block counts to the run totals
+        const recordUnknownBlocks = (result) => {
+            result.unknownBlockTypes.forEach((count, type) => {
+                unknownBlockTypes.set(type, (unknownBlockTypes.get(type) || 0) + count);
+            });
+        };
+        
+        // Converts and writes one conversation, recording the outcome in the counters above
+        const convertAndWrite = (conversation, index) => {
             try {
+                // Selecting is part of the attempt, so a malformed conversation fails on its own
+                if (!selectConversation(options.filters, conversation)) {
+                    // Still part of the export, so sync must not flag it as missing from the archive
+                    if (conversation.uuid) seenUuids.add(conversation.uuid);
+                    skippedCount++;
+                    return;
+                }
+                
+                // Redact a copy first, so no output (including --json copies) ever holds the original values
+                // (in sync mode the redacted copy is what gets hashed, so changed rules rewrite the files)
+                let redactions = [];
+                if (options.redactor) {
+                    const redacted = options.redactor.redactConversation(conversation);
+                    conversation = redacted.conversation;
+                    redactions = redacted.findings;
+                }
+                
+                // Sync mode: only rewrite what changed since the last run
+                if (manifest && conversation.uuid && !seenUuids.has(conversation.uuid)) {
+                    seenUuids.add(conversation.uuid);
+                    const result = syncConversation(conversation, index, conversionOptions, manifest, archiveIndex);
+                    result.warnings.forEach(message => warn(message));
+                    if (redactionReport) recordRedactions(redactionReport, conversation, result.filename, redactions);
+                    
+                    successCount++;
+                    totalAttachments += result.attachmentCount;
+                    totalArtifacts += result.artifactCount;
+                    recordUnknownBlocks(result);
+                    syncCounts[result.status]++;
+                    
+                    if (result.status !== 'unchanged') {
+                        log(`✓ [${result.status}] ${result.filename}${formatExtractedNote(result)}`);
+                    }
+                    return;
+                }
+                if (manifest) {
+                    warn(`Warning: Conversation ${index + 1} has ${conversation.uuid ? 'a duplicate' : 'no'} UUID - converted but not tracked by sync`);
+                }
+                
                 // Convert this conversation to Markdown
-                const result = convertConversationToMarkdown(conversation, index);
+                const result = convertConversationToMarkdown(conversation, index, conversionOptions);
                 
-                // Write the Markdown file
-                const filepath = path.join(OUTPUT_DIR, result.filename);
-                fs.writeFileSync(filepath, result.content, 'utf8');
+                // Write the Markdown file with its attachments and artifacts, and the HTML copy and
+                // alternate branch files if requested
+                result.warnings.forEach(message => warn(message));
+                writeConversionFiles(result, outputDir);
+                recordArchiveEntry(archiveIndex, result.archiveEntry);
+                if (redactionReport) recordRedactions(redactionReport, conversation, result.filename, redactions);
                 
                 // Track statistics
                 successCount++;
                 totalAttachments += result.attachmentCount;
+                totalArtifacts += result.artifactCount;
+                recordUnknownBlocks(result);
                 
-                // Log with attachment info if present
-                const attachmentNote = result.attachmentCount > 0 ? ` (${result.attachmentCount} attachments)` : '';
-                console.log(`✓ ${result.filename}${attachmentNote}`);
+                // Log with attachment and artifact info if present
+                log(`✓ ${result.filename}${formatExtractedNote(result)}`);
                 
             } catch (error) {
-                console.log(`✗ Error processing conversation ${index + 1}: ${error.message}`);
+                warn(`✗ Error processing conversation ${index + 1}: ${error.message}`);
                 errorCount++;
             }
-        });
+        };
+        
+        let readAllConversations = false;
+        try {
+            if (conversations) {
+                conversations.forEach(convertAndWrite);
+            } else {
+                // Streaming: each conversation is parsed, converted and released before the next one is read
+                const schemaCollector = createSchemaCollector();
+                let index = 0;
+                
+                for await (const conversation of streamConversations(source)) {
+                    schemaCollector.add(conversation);
+                    convertAndWrite(conversation, index);
+                    index++;
+                }
+                
+                log(`\nStreamed ${index} conversations`);
+                log('Analyzing JSON structure...');
+                recordSchemaSnapshot(schemaCollector.finish());
+            }
+            readAllConversations = true;
+        } finally {
+            // Save what was synced even if reading the export failed part-way, but only
+            // flag conversations as missing when the whole export was actually read
+            saveArchiveIndex(outputDir, archiveIndex);
+            if (redactionReport) {
+                redactionReportPath = saveRedactionReport(outputDir, redactionReport);
+            }
+            if (manifest) {
+                if (readAllConversations) {
+                    missingConversations = flagMissingConversations(manifest, seenUuids);
+                }
+                manifest.last_synced = new Date().toISOString();
+                manifest.source = options.inputFile;
+                saveSyncManifest(outputDir, manifest);
+            }
+        }
         
         // Step 5: Report final results
-        console.log('\nConversion Summary:');
-        console.log(`   Successfully converted: ${successCount} conversations`);
-        console.log(`   Extracted attachments: ${totalAttachments} files`);
+        log('\nConversion Summary:');
+        if (options.filters.length > 0) {
+            log(`   Selected by filters: ${successCount + errorCount} of ${successCount + errorCount + skippedCount} conversations`);
+            options.filters.forEach(filter => {
+                log(`     ${filter.label}: ${filter.included} included, ${filter.excluded} excluded`);
+            });
+            const missingUuids = findMissingUuids(options.filters);
+            if (missingUuids.length > 0) {
+                warn(`Warning: ${missingUuids.length} requested UUIDs are not in this export: ${missingUuids.join(', ')}`);
+            }
+        }
+        log(`   Successfully converted: ${successCount} conversations`);
+        log(`   Extracted attachments: ${totalAttachments} files`);
+        if (options.artifacts === 'folder') {
+            log(`   Extracted artifacts: ${totalArtifacts} files`);
+        }
         if (errorCount > 0) {
-            console.log(`   Failed to convert: ${errorCount} conversations`);
+            log(`   Failed to convert: ${errorCount} conversations`);
         }
-        console.log(`   Output directory: ${OUTPUT_DIR}`);
-        console.log(`   Schema tracking: ${SCHEMA_FILE}`);
+        if (redactionReport) {
+            const rules = Object.keys(redactionReport.totals);
+            const total = rules.reduce((sum, rule) => sum + redactionReport.totals[rule], 0);
+            const perRule = rules.length > 0 ? ` (${rules.map(rule => `${rule} ${redactionReport.totals[rule]}`).join(', ')})` : '';
+            log(`   Redacted: ${total} values in ${redactionReport.conversations.length} conversations${perRule}`);
+            log(`   Redaction report: ${redactionReportPath}`);
+        }
+        if (unknownBlockTypes.size > 0) {
+            // New block types appear as Claude gains features; make them visible so they can be supported
+            const described = Array.from(unknownBlockTypes.entries()).map(([type, count]) => `${type} (${count})`);
+            warn(`Warning: Unsupported content block types were left as placeholders: ${described.join(', ')}`);
+        }
+        if (manifest) {
+            log(`   Sync: ${syncCounts.new} new, ${syncCounts.updated} updated, ${syncCounts.renamed} renamed, ` +
+                `${syncCounts.restored} restored, ${syncCounts.unchanged} unchanged`);
+            if (missingConversations.length > 0) {
+                log(`   Missing from this export (kept in archive): ${missingConversations.length}`);
+                missingConversations.forEach(entry => {
+                    log(`     ! ${entry.filename} (missing since ${formatShortDate(entry.missing_since)})`);
+                });
+            }
+            log(`   Sync manifest: ${path.join(outputDir, SYNC_MANIFEST_FILE)}`);
+        }
+        log(`   Output directory: ${outputDir}`);
+        log(`   Schema history: ${SCHEMA_HISTORY_DIR}`);
+        
+        log('\nConversion complete!');
         
-        console.log('\nConversion complete!');
+        return errorCount > 0 ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.SUCCESS;
         
     } catch (error) {
         // Handle any major errors that prevent the script from running
         console.error('Fatal error:', error.message);
-        console.log('\nUsage Instructions:');
-        console.log('1. Place your exported conversations.json file in the same directory as this script');
-        console.log('2. Run the script: node convert_conversations.js');
-        console.log('3. Find your converted files in the output directory');
-        console.log('\nTroubleshooting:');
-        console.log('- Ensure conversations.json is valid JSON');
-        console.log('- Check file permissions in the current directory');
-        console.log('- Make sure you have Node.js installed');
+        console.error('\nUsage Instructions:');
+        console.error('1. Export your conversations from Claude.ai');
+        console.error('2. Run the script: node convert_conversations.js path/to/conversations.json');
+        console.error('3. Find your converted files in the output directory');
+        console.error('   (run with --help for all options)');
+        console.error('\nTroubleshooting:');
+        console.error('- Ensure conversations.json (or the export .zip) is valid and complete');
+        console.error('- Run "node convert_conversations.js validate <input>" to find where an export is broken');
+        console.error('- Check file permissions in the current directory');
+        console.error('- Make sure you have Node.js installed');
         
-        // Exit with error code to indicate failure
-        process.exit(1);
+        // Exit code indicating failure
+        return EXIT_CODES.ERROR;
     }
 }
 
+// ===== EXPORTS =====
+// The library API and writer functions, and rendering functions shared with commands such as excerpt
+
+module.exports = {
+    // Library API
+    convertConversation,
+    convertExport,
+    writeConversionFiles,
+    writeExport,
+    BLOCK_TYPES,
+    // Rendering functions
+    formatLocalTime,
+    sanitizeTitle,
+    sanitizeAttachmentName,
+    buildArtifactHistory,
+    buildConversationArtifactHistory,
+    extractTextFromContent,
+    buildConversationMetadata,
+    buildMessageEntries,
+    formatConversationHeader,
+    formatMessages
+};
+
 // ===== SCRIPT EXECUTION =====
 // Only run the main function if this script is executed directly (not imported)
 
+/**
+ * Runs a command or a conversion from command-line arguments
+ * 
+ * @param {Array} argv - Arguments without the node executable and script path
+ * @returns {Promise<number>} - Exit code (see EXIT_CODES)
+ */
+async function runFromCommandLine(argv) {
+    const command = COMMANDS[argv[0]];
+    if (command) {
+        return require(command.module).runCommand(argv.slice(1));
+    }
+    
+    const options = resolveOptions(argv);
+    if (options.help) {
+        console.log(formatHelp());
+        return EXIT_CODES.SUCCESS;
+    }
+    return main(options);
+}
+
 if (require.main === module) {
-    main().catch(error => {
+    const argv = process.argv.slice(2);
+    
+    runFromCommandLine(argv).then(exitCode => {
+        // Setting exitCode (instead of calling process.exit) lets pending output flush
+        process.exitCode = exitCode;
+    }).catch(error => {
+        if (error instanceof UsageError) {
+            const helpCommand = COMMANDS[argv[0]] ? `${argv[0]} --help` : '--help';
+            console.error(`Error: ${error.message}`);
+            console.error(`Run "node convert_conversations.js ${helpCommand}" for usage.`);
+            process.exit(EXIT_CODES.USAGE);
+        }
         console.error('Error during execution:', error.message);
-        process.exit(1);
+        process.exit(EXIT_CODES.ERROR);
     });
-}
\ No newline at end of file
+}
@@ -0,0 +1,426 @@
+/**
+ * Claude Export Comparison
+ *
+ * DESCRIPTION: The "diff" command: compares two exports, or a saved snapshot and an export, by conversation
+ *              UUID. Reports conversations that were added, deleted, renamed or grew, and attachments that
+ *              came or went, as Markdown or JSON. A snapshot holds the metadata of every conversation
+ *              (not the messages), so it is small, and keeps the last-known metadata of deleted
+ *              conversations as evidence of what vanished.
+ * AUTHOR: EJ Makela
+ * ORIGINAL CREATION DATE: 2026-10-19
+ *
+ * Usage: node convert_conversations.js diff [options] <older export or snapshot> <newer export>
+ *        node convert_conversations.js diff --save-snapshot <file> <export>
+ */
+
+// Import required Node.js modules
+const fs = require('fs');           // File system operations (snapshots and the report)
+const { EXIT_CODES, UsageError, parseArguments, formatOptionLines } = require('./command_line');
+const { openExport, describeExport, isSingleConversationFile, streamConversations } = require('./export_loader');
+
+// ===== CONFIGURATION SECTION =====
+
+const SNAPSHOT_VERSION = 1;    // Layout of the snapshot files
+const DIFF_FORMATS = ['markdown', 'json'];
+
+// Command-line options of the diff command
+const DIFF_OPTION_DEFINITIONS = [
+    { name: 'format', flags: ['--format'], value: 'format', description: `Report format: ${DIFF_FORMATS.join(' or ')} (default: markdown)` },
+    { name: 'output', flags: ['-o', '--output'], value: 'file', description: 'Write the report to a file instead of printing it' },
+    { name: 'saveSnapshot', flags: ['--save-snapshot'], value: 'file', description: 'Save a snapshot of the newer export, with the deleted conversations, for the next comparison' },
+    { name: 'help', flags: ['-h', '--help'], description: 'Show this help and exit' }
+];
+
+// ===== SNAPSHOT FUNCTIONS =====
+
+/**
+ * Collects the metadata of one conversation that a snapshot keeps
+ *
+ * @param {Object} conversation - Conversation object from the export
+ * @returns {Object} - { uuid, name, created_at, updated_at, message_count, last_message_at, attachments }
+ */
+function summarizeConversation(conversation) {
+    const messages = Array.isArray(conversation.chat_messages) ? conversation.chat_messages : [];
+    const attachments = [];
+    let lastMessageAt = null;
+
+    messages.forEach(message => {
+        if (!message) return;
+        if (message.created_at && (!lastMessageAt || message.created_at > lastMessageAt)) {
+            lastMessageAt = message.created_at;
+        }
+        // Attachments carry extracted text; files are uploads such as images
+        (message.attachments || []).concat(message.files || []).forEach(file => {
+            if (file && file.file_name) attachments.push(file.file_name);
+        });
+    });
+
+    return {
+        uuid: conversation.uuid,
+        name: conversation.name || '',
+        created_at: conversation.created_at || null,
+        updated_at: conversation.updated_at || null,
+        message_count: messages.length,
+        last_message_at: lastMessageAt,
+        attachments: attachments.sort()
+    };
+}
+
+/**
+ * Reads the older or newer side of a comparison: an export, or a snapshot saved by --save-snapshot
+ *
+ * @param {string} inputPath - Export (conversations.json or .zip) or snapshot file
+ * @returns {Promise<Object>} - Snapshot: { snapshot_version, source, export_timestamp, created,
+ *                              conversations: { uuid: summary }, deleted: { uuid: summary }, skipped }
+ */
+async function loadSnapshot(inputPath) {
+    const source = await openExport(inputPath);
+    let conversations = null;
+
+    // Snapshots are JSON objects; so is a single conversation saved by --json. Both are small,
+    // while an export (an array) is streamed and never read whole
+    if (isSingleConversationFile(source)) {
+        const data = JSON.parse(fs.readFileSync(inputPath, 'utf8').replace(/^\uFEFF/, ''));
+        if (data.snapshot_version !== undefined) {
+            if (data.snapshot_version > SNAPSHOT_VERSION || typeof data.conversations !== 'object') {
+                throw new Error(`${inputPath} is a snapshot in a format this version doesn't know`);
+            }
+            return Object.assign({ deleted: {}, skipped: 0 }, data);
+        }
+        conversations = [data];
+    }
+
+    const snapshot = {
+        snapshot_version: SNAPSHOT_VERSION,
+        source: describeExport(source),
+        export_timestamp: source.timestamp ? source.timestamp.toISOString() : null,
+        created: new Date().toISOString(),
+        conversations: {},
+        deleted: {},
+        skipped: 0
+    };
+    for await (const conversation of conversations || streamConversations(source)) {
+        // Without a UUID a conversation can't be matched between exports
+        if (!conversation || !conversation.uuid) {
+            snapshot.skipped++;
+            continue;
+        }
+        snapshot.conversations[conversation.uuid] = summarizeConversation(conversation);
+    }
+    return snapshot;
+}
+
+// ===== COMPARISON FUNCTIONS =====
+
+/**
+ * Lists the file names in one list but not the other, keeping duplicates
+ *
+ * @param {Array} names - File names
+ * @param {Array} others - File names to take away
+ * @returns {Array} - Names left over
+ */
+function subtractNames(names, others) {
+    const remaining = others.slice();
+    return names.filter(name => {
+        const index = remaining.indexOf(name);
+        if (index === -1) return true;
+        remaining.splice(index, 1);
+        return false;
+    });
+}
+
+/**
+ * Compares two snapshots by conversation UUID
+ *
+ * @param {Object} older - Snapshot of the older export (from loadSnapshot())
+ * @param {Object} newer - Snapshot of the newer export
+ * @returns {Object} - { older, newer, summary, added, deleted, restored, renamed, grown, shrunk,
+ *                     attachment_changes, previously_deleted }
+ */
+function compareSnapshots(older, newer) {
+    const describe = snapshot => ({
+        source: snapshot.source,
+        export_timestamp: snapshot.export_timestamp,
+        conversations: Object.keys(snapshot.conversations).length
+    });
+    const seenAt = snapshot => snapshot.export_timestamp || snapshot.created;
+    const byCreation = (a, b) => String(a.created_at || '').localeCompare(String(b.created_at || ''));
+    const diff = {
+        older: describe(older),
+        newer: describe(newer),
+        added: [],
+        deleted: [],
+        restored: [],
+        renamed: [],
+        grown: [],
+        shrunk: [],
+        attachment_changes: [],
+        previously_deleted: []
+    };
+
+    Object.keys(newer.conversations).forEach(uuid => {
+        const current = newer.conversations[uuid];
+        const previous = older.conversations[uuid];
+        if (!previous) {
+            // Back after being missing from an earlier export, or new
+            if (older.deleted && older.deleted[uuid]) {
+                diff.restored.push(Object.assign({}, current, { missing_since: older.deleted[uuid].missing_since }));
+            } else {
+                diff.added.push(current);
+            }
+            return;
+        }
+
+        if (previous.name !== current.name) {
+            diff.renamed.push({ uuid: uuid, old_name: previous.name, new_name: current.name });
+        }
+        if (current.message_count !== previous.message_count) {
+            (current.message_count > previous.message_count ? diff.grown : diff.shrunk).push({
+                uuid: uuid,
+                name: current.name,
+                old_message_count: previous.message_count,
+                new_message_count: current.message_count,
+                change: current.message_count - previous.message_count,
+                last_message_at: current.last_message_at
+            });
+        }
+        const addedFiles = subtractNames(current.attachments, previous.attachments);
+        const removedFiles = subtractNames(previous.attachments, current.attachments);
+        if (addedFiles.length > 0 || removedFiles.length > 0) {
+            diff.attachment_changes.push({ uuid: uuid, name: current.name, added: addedFiles, removed: removedFiles });
+        }
+    });
+
+    // Deleted conversations keep their last-known metadata as evidence of what vanished
+    Object.keys(older.conversations).forEach(uuid => {
+        if (newer.conversations[uuid]) return;
+        diff.deleted.push(Object.assign({}, older.conversations[uuid], {
+            last_seen: seenAt(older),
+            missing_since: seenAt(newer)
+        }));
+    });
+    Object.keys(older.deleted || {}).forEach(uuid => {
+        if (!newer.conversations[uuid]) diff.previously_deleted.push(older.deleted[uuid]);
+    });
+
+    ['added', 'deleted', 'restored', 'previously_deleted'].forEach(key => diff[key].sort(byCreation));
+    diff.summary = {
+        added: diff.added.length,
+        deleted: diff.deleted.length,
+        restored: diff.restored.length,
+        renamed: diff.renamed.length,
+        grown: diff.grown.length,
+        shrunk: diff.shrunk.length,
+        new_messages: diff.grown.reduce((sum, entry) => sum + entry.change, 0)
+            + diff.added.reduce((sum, entry) => sum + entry.message_count, 0),
+        attachments_added: diff.attachment_changes.reduce((sum, entry) => sum + entry.added.length, 0)
+            + diff.added.reduce((sum, entry) => sum + entry.attachments.length, 0),
+        attachments_removed: diff.attachment_changes.reduce((sum, entry) => sum + entry.removed.length, 0),
+        previously_deleted: diff.previously_deleted.length
+    };
+    return diff;
+}
+
+/**
+ * Builds the snapshot to save after a comparison: the newer export plus every deleted
+ * conversation's last-known metadata, including those deleted before the older export
+ *
+ * @param {Object} newer - Snapshot of the newer export
+ * @param {Object} diff - Result of compareSnapshots(), or null when there was nothing to compare with
+ * @returns {Object} - Snapshot to write
+ */
+function buildNextSnapshot(newer, diff) {
+    const snapshot = Object.assign({}, newer, { created: new Date().toISOString(), deleted: {} });
+    delete snapshot.skipped;
+    if (diff) {
+        diff.previously_deleted.concat(diff.deleted).forEach(entry => {
+            snapshot.deleted[entry.uuid] = entry;
+        });
+    }
+    return snapshot;
+}
+
+// ===== REPORT FUNCTIONS =====
+
+/**
+ * Escapes text for a Markdown table cell
+ *
+ * @param {*} value - Cell value
+ * @returns {string} - Text with Markdown characters escaped
+ */
+function cell(value) {
+    if (value === null || value === undefined || value === '') return '–';
+    return String(value).replace(/[\\`*_\[\]<>|~]/g, '\\$&').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Builds a Markdown table
+ *
+ * @param {Array} headers - Column headings
+ * @param {Array} rows - Arrays of cell values
+ * @returns {Array} - Table lines
+ */
+function table(headers, rows) {
+    return [`| ${headers.join(' | ')} |`, `|${headers.map(() => '---').join('|')}|`]
+        .concat(rows.map(row => `| ${row.map(cell).join(' | ')} |`));
+}
+
+/**
+ * Shortens an ISO timestamp to its date
+ *
+ * @param {string|null} timestamp - ISO timestamp
+ * @returns {string|null} - Date like 2025-09-13
+ */
+function shortDate(timestamp) {
+    return timestamp ? String(timestamp).slice(0, 10) : null;
+}
+
+/**
+ * Renders a comparison as a Markdown change report
+ *
+ * @param {Object} diff - Result of compareSnapshots()
+ * @returns {string} - Markdown document
+ */
+function renderDiffMarkdown(diff) {
+    const lines = ['# Export Comparison', ''];
+    const side = (label, info) => `- **${label}:** ${cell(info.source)}` +
+        `${info.export_timestamp ? `, exported ${shortDate(info.export_timestamp)}` : ''} (${info.conversations} conversations)`;
+    lines.push(side('Older', diff.older), side('Newer', diff.newer), '');
+
+    const summary = diff.summary;
+    lines.push(...table(['Change', 'Count'], [
+        ['Added conversations', summary.added],
+        ['Deleted conversations', summary.deleted],
+        ['Restored conversations', summary.restored],
+        ['Renamed conversations', summary.renamed],
+        ['Conversations with new messages', summary.grown],
+        ['Conversations with fewer messages', summary.shrunk],
+        ['New messages', summary.new_messages],
+        ['Attachments added', summary.attachments_added],
+        ['Attachments removed', summary.attachments_removed]
+    ]));
+
+    const section = (title, entries, headers, toRow, note) => {
+        if (entries.length === 0) return;
+        lines.push('', `## ${title} (${entries.length})`, '');
+        if (note) lines.push(note, '');
+        lines.push(...table(headers, entries.map(toRow)));
+    };
+
+    section('Added', diff.added, ['Title', 'UUID', 'Created', 'Messages', 'Attachments'],
+        entry => [entry.name, entry.uuid, shortDate(entry.created_at), entry.message_count, entry.attachments.length]);
+    section('Deleted', diff.deleted, ['Title', 'UUID', 'Created', 'Last message', 'Messages', 'Attachments', 'Last seen'],
+        entry => [entry.name, entry.uuid, shortDate(entry.created_at), shortDate(entry.last_message_at),
+            entry.message_count, entry.attachments.join(', '), shortDate(entry.last_seen)],
+        'Last-known metadata from the older export.');
+    section('Restored', diff.restored, ['Title', 'UUID', 'Missing since', 'Messages'],
+        entry => [entry.name, entry.uuid, shortDate(entry.missing_since), entry.message_count],
+        'Missing from an earlier export, present again in the newer one.');
+    section('Renamed', diff.renamed, ['Old title', 'New title', 'UUID'],
+        entry => [entry.old_name, entry.new_name, entry.uuid]);
+    section('New Messages', diff.grown, ['Title', 'UUID', 'Messages', 'Last message'],
+        entry => [entry.name, entry.uuid, `${entry.old_message_count} → ${entry.new_message_count} (+${entry.change})`, shortDate(entry.last_message_at)]);
+    section('Fewer Messages', diff.shrunk, ['Title', 'UUID', 'Messages'],
+        entry => [entry.name, entry.uuid, `${entry.old_message_count} → ${entry.new_message_count} (${entry.change})`]);
+    section('Attachment Changes', diff.attachment_changes, ['Title', 'UUID', 'Added', 'Removed'],
+        entry => [entry.name, entry.uuid, entry.added.join(', '), entry.removed.join(', ')]);
+    section('Deleted Before', diff.previously_deleted, ['Title', 'UUID', 'Messages', 'Missing since'],
+        entry => [entry.name, entry.uuid, entry.message_count, shortDate(entry.missing_since)],
+        'Kept in the snapshot from earlier comparisons; still missing.');
+
+    const unchanged = Object.values(diff.summary).every(count => count === 0);
+    if (unchanged) lines.push('', 'No conversations were added, deleted, renamed or changed.');
+    return lines.join('\n') + '\n';
+}
+
+// ===== COMMAND FUNCTIONS =====
+
+/**
+ * Builds the help text of the diff command
+ *
+ * @returns {string} - Usage, options and examples
+ */
+function formatDiffHelp() {
+    return [
+        'Compare two Claude exports: added, deleted, renamed and grown conversations, and attachment changes',
+        '',
+        'Usage: node convert_conversations.js diff [options] <older export or snapshot> <newer export>',
+        '       node convert_conversations.js diff --save-snapshot <file> <export>',
+        '',
+        'Exports are conversations.json files or export .zip archives. A snapshot (--save-snapshot) keeps the',
+        'metadata of each conversation, and of every conversation deleted so far, for the next comparison.',
+        '',
+        'Options:',
+        ...formatOptionLines(DIFF_OPTION_DEFINITIONS),
+        '',
+        'Examples:',
+        '  node convert_conversations.js diff data-2025-08-01.zip data-2025-09-13.zip',
+        '  node convert_conversations.js diff claude_export_snapshot.json data-2025-09-13.zip --save-snapshot claude_export_snapshot.json',
+        '  node convert_conversations.js diff old.json new.json --format json -o changes.json'
+    ].join('\n');
+}
+
+/**
+ * Runs the diff command
+ *
+ * @param {Array} argv - Arguments after the command name
+ * @returns {Promise<number>} - Exit code
+ */
+async function runCommand(argv) {
+    const { options, positionals } = parseArguments(argv, DIFF_OPTION_DEFINITIONS);
+    if (options.help) {
+        console.log(formatDiffHelp());
+        return EXIT_CODES.SUCCESS;
+    }
+
+    const format = options.format || 'markdown';
+    if (!DIFF_FORMATS.includes(format)) {
+        throw new UsageError(`--format must be ${DIFF_FORMATS.join(' or ')}, got "${options.format}"`);
+    }
+    if (positionals.length === 1 && !options.saveSnapshot) {
+        throw new UsageError('Give two exports to compare, or use --save-snapshot to save a snapshot of one export');
+    }
+    if (positionals.length === 0 || positionals.length > 2) {
+        throw new UsageError('Give the older export (or snapshot) and the newer export');
+    }
+
+    try {
+        const snapshots = [];
+        for (const inputPath of positionals) {
+            const snapshot = await loadSnapshot(inputPath);
+            if (snapshot.skipped > 0) {
+                console.error(`Warning: ${snapshot.skipped} conversations in ${inputPath} have no uuid and were left out`);
+            }
+            snapshots.push(snapshot);
+        }
+        const newer = snapshots[snapshots.length - 1];
+        const diff = snapshots.length === 2 ? compareSnapshots(snapshots[0], newer) : null;
+
+        if (options.saveSnapshot) {
+            fs.writeFileSync(options.saveSnapshot, JSON.stringify(buildNextSnapshot(newer, diff), null, 2) + '\n', 'utf8');
+            console.error(`Snapshot saved to ${options.saveSnapshot} (${Object.keys(newer.conversations).length} conversations)`);
+        }
+        if (!diff) return EXIT_CODES.SUCCESS;
+
+        const report = format === 'json' ? JSON.stringify(diff, null, 2) + '\n' : renderDiffMarkdown(diff);
+        if (options.output) {
+            fs.writeFileSync(options.output, report, 'utf8');
+            console.error(`Change report saved to ${options.output}`);
+        } else {
+            process.stdout.write(report);
+        }
+        return EXIT_CODES.SUCCESS;
+    } catch (error) {
+        console.error('Fatal error:', error.message);
+        return EXIT_CODES.ERROR;
+    }
+}
+
+module.exports = {
+    summarizeConversation,
+    loadSnapshot,
+    compareSnapshots,
+    buildNextSnapshot,
+    renderDiffMarkdown,
+    runCommand
+};
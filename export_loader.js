@@ -0,0 +1,186 @@
+/**
+ * Claude Export Loader
+ *
+ * DESCRIPTION: Opens a Claude data export for the converter and analyzer. Accepts either an unzipped
+ *              conversations.json or the .zip archive Claude sends (conversations.json, projects.json,
+ *              users.json), reading archive members straight from the ZIP without extracting them.
+ * AUTHOR: EJ Makela
+ * ORIGINAL CREATION DATE: 2026-10-19
+ */
+
+// Import required Node.js modules
+const fs = require('fs');           // File system operations (stat, reading plain JSON files)
+const zipReader = require('./zip_reader');   // Reading members of the export ZIP archive
+const { parseJsonArrayStream } = require('./json_stream');   // Element-by-element parsing of large arrays
+
+// Members of the official export archive, keyed by the name we use for them in code
+const EXPORT_MEMBERS = {
+    conversations: 'conversations.json',
+    projects: 'projects.json',
+    users: 'users.json'
+};
+
+/**
+ * Opens an export and works out what it contains
+ * For a ZIP archive the timestamp is the one stored for conversations.json inside the archive
+ * (when Claude produced the export); for a plain JSON file it is the file's modification time.
+ *
+ * @param {string} inputPath - Path to conversations.json or to the export .zip
+ * @returns {Promise<Object>} - Export source: { path, isZip, sizeBytes, timestamp, members }
+ */
+async function openExport(inputPath) {
+    if (!fs.existsSync(inputPath)) {
+        throw new Error(`Input file "${inputPath}" not found. Please check the path or pass it with --input.`);
+    }
+
+    const stats = fs.statSync(inputPath);
+    if (stats.isDirectory()) {
+        throw new Error(`Input "${inputPath}" is a directory. Pass the conversations.json file or the export .zip instead.`);
+    }
+
+    if (!zipReader.isZipFile(inputPath)) {
+        return {
+            path: inputPath,
+            isZip: false,
+            sizeBytes: stats.size,
+            timestamp: stats.mtime,
+            members: {}
+        };
+    }
+
+    // Locate the known members inside the archive
+    const entries = await zipReader.readZipEntries(inputPath);
+    const members = {};
+    Object.keys(EXPORT_MEMBERS).forEach(key => {
+        members[key] = zipReader.findZipEntry(entries, EXPORT_MEMBERS[key]);
+    });
+
+    if (!members.conversations) {
+        throw new Error(`ZIP archive "${inputPath}" does not contain ${EXPORT_MEMBERS.conversations}. Is it a Claude data export?`);
+    }
+
+    return {
+        path: inputPath,
+        isZip: true,
+        sizeBytes: stats.size,
+        timestamp: members.conversations.modified || stats.mtime,
+        members: members
+    };
+}
+
+/**
+ * Describes where the conversations are read from, for progress messages
+ *
+ * @param {Object} source - Export source from openExport()
+ * @returns {string} - e.g. "export.zip (conversations.json)" or "conversations.json"
+ */
+function describeExport(source) {
+    return source.isZip ? `${source.path} (${source.members.conversations.name})` : source.path;
+}
+
+/**
+ * Reads and parses one member of the export
+ * For a plain JSON input only the conversations member exists.
+ *
+ * @param {Object} source - Export source from openExport()
+ * @param {string} memberKey - 'conversations', 'projects' or 'users'
+ * @returns {Promise<*>} - Parsed JSON, or null if the export does not include that member
+ */
+async function readExportMember(source, memberKey) {
+    let jsonData;
+
+    if (source.isZip) {
+        const entry = source.members[memberKey];
+        if (!entry) return null;
+        jsonData = await zipReader.readZipEntryText(source.path, entry);
+    } else {
+        if (memberKey !== 'conversations') return null;
+        jsonData = fs.readFileSync(source.path, 'utf8');
+    }
+
+    return JSON.parse(jsonData);
+}
+
+/**
+ * Checks whether a plain JSON input holds one conversation (as saved by the converter's --json)
+ * rather than the export's array of conversations
+ *
+ * @param {Object} source - Export source from openExport()
+ * @returns {boolean} - true if the file starts with an object
+ */
+function isSingleConversationFile(source) {
+    if (source.isZip) return false;
+
+    // The first non-whitespace character (after an optional byte order mark) tells them apart
+    const fd = fs.openSync(source.path, 'r');
+    try {
+        const buffer = Buffer.alloc(1024);
+        const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+        const start = buffer.toString('utf8', 0, bytesRead).replace(/^\uFEFF/, '').trimStart();
+        return start.startsWith('{');
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Reads the conversations array from an export
+ * A file holding a single conversation is read as an export of just that conversation.
+ *
+ * @param {Object} source - Export source from openExport()
+ * @returns {Promise<Array>} - Array of conversation objects
+ */
+async function loadConversations(source) {
+    let conversations = await readExportMember(source, 'conversations');
+    if (conversations && !Array.isArray(conversations) && Array.isArray(conversations.chat_messages)) {
+        conversations = [conversations];
+    }
+
+    // Validate that we got an array of conversations
+    if (!Array.isArray(conversations)) {
+        throw new Error('JSON file does not contain an array of conversations. Please check the file format.');
+    }
+
+    return conversations;
+}
+
+/**
+ * Streams the conversations of an export one at a time
+ * Only the conversation currently being processed is held in memory, so this works for
+ * exports far larger than would fit through readFileSync + JSON.parse.
+ *
+ * @param {Object} source - Export source from openExport()
+ * @returns {AsyncGenerator<Object>} - Yields each conversation object in export order
+ */
+async function* streamConversations(source) {
+    // A single conversation is small enough to read in one go
+    if (isSingleConversationFile(source)) {
+        yield* await loadConversations(source);
+        return;
+    }
+
+    yield* parseJsonArrayStream(await openConversationsStream(source));
+}
+
+/**
+ * Opens the raw text of the conversations of an export as a stream
+ *
+ * @param {Object} source - Export source from openExport()
+ * @returns {Promise<stream.Readable>} - Stream of conversations.json (from the ZIP archive if needed)
+ */
+async function openConversationsStream(source) {
+    return source.isZip
+        ? zipReader.openZipEntryStream(source.path, source.members.conversations)
+        : fs.createReadStream(source.path);
+}
+
+module.exports = {
+    EXPORT_MEMBERS,
+    openExport,
+    describeExport,
+    readExportMember,
+    loadConversations,
+    isSingleConversationFile,
+    streamConversations,
+    openConversationsStream
+};
@@ -0,0 +1,422 @@
+/**
+ * Claude Export Validation
+ *
+ * DESCRIPTION: The "validate" command: checks an export before converting it. Reports where the JSON is
+ *              invalid or cut off, conversations without a UUID or creation date, messages from unknown
+ *              senders or without any content, attachments without their text, and UUIDs used twice.
+ *              Every finding is a diagnostic with a severity, printed for people or as JSON for scripts.
+ * AUTHOR: EJ Makela
+ * ORIGINAL CREATION DATE: 2026-10-19
+ *
+ * Usage: node convert_conversations.js validate [options] [input]
+ *
+ * The export is read one conversation at a time, so everything before a broken spot is still checked.
+ */
+
+// Import required Node.js modules
+const { EXIT_CODES, UsageError, parseArguments, formatOptionLines } = require('./command_line');
+const { openExport, describeExport, readExportMember, isSingleConversationFile, streamConversations, openConversationsStream } = require('./export_loader');
+const { JsonStreamError } = require('./json_stream');
+
+// ===== CONFIGURATION SECTION =====
+
+const DEFAULT_INPUT_FILE = 'conversations.json';   // Same default as the converter
+const DEFAULT_LIMIT = 20;      // Diagnostics of one kind shown before the rest are summarized
+const KNOWN_SENDERS = ['human', 'assistant'];
+
+// Severities, most serious first
+// error   - the converter fails, stops early or mixes up conversations
+// warning - the converter runs, but the output has gaps or guesses
+// info    - worth knowing, nothing is lost
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Every kind of diagnostic with its severity
+const DIAGNOSTIC_CODES = {
+    'invalid-json': 'error',
+    'not-an-array': 'error',
+    'not-a-conversation': 'error',
+    'invalid-messages': 'error',
+    'not-a-message': 'error',
+    'missing-uuid': 'error',
+    'duplicate-conversation-uuid': 'error',
+    'missing-created-at': 'warning',
+    'missing-messages': 'warning',
+    'unknown-sender': 'warning',
+    'empty-message': 'warning',
+    'missing-extracted-content': 'warning',
+    'duplicate-message-uuid': 'warning',
+    'empty-conversation': 'info'
+};
+
+// Command-line options of the validate command
+const VALIDATE_OPTION_DEFINITIONS = [
+    { name: 'input', flags: ['-i', '--input'], value: 'file', description: `Claude export to check: conversations.json or the export .zip (default: ${DEFAULT_INPUT_FILE})` },
+    { name: 'json', flags: ['--json'], description: 'Print the diagnostics as JSON for scripts' },
+    { name: 'strict', flags: ['--strict'], description: 'Fail on warnings too, not only on errors' },
+    { name: 'limit', flags: ['-n', '--limit'], value: 'count', description: `Diagnostics of each kind to list (default: ${DEFAULT_LIMIT}); the rest are counted` },
+    { name: 'quiet', flags: ['-q', '--quiet'], description: 'Only print the summary' },
+    { name: 'help', flags: ['-h', '--help'], description: 'Show this help and exit' }
+];
+
+// ===== CHECK FUNCTIONS =====
+
+/**
+ * Checks whether a value is missing or an empty string
+ *
+ * @param {*} value - Field value
+ * @returns {boolean} - true for undefined, null and ''
+ */
+function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Creates a validator that checks conversations added one at a time
+ * Only the UUIDs seen so far are kept, to find duplicates.
+ *
+ * @returns {Object} - { add(conversation, index), fail(diagnostic), finish() } where finish() returns the report
+ */
+function createExportValidator() {
+    const diagnostics = [];
+    const conversationUuids = new Map();   // UUID => number of the first conversation using it
+    const messageUuids = new Map();        // UUID => { conversation, message } where it was first used
+    let conversationCount = 0;
+    let messageCount = 0;
+
+    function report(code, message, location = {}) {
+        diagnostics.push(Object.assign({ severity: DIAGNOSTIC_CODES[code], code: code, message: message }, location));
+    }
+
+    function checkMessage(message, conversationLocation, messageNumber) {
+        const location = Object.assign({}, conversationLocation, { message_number: messageNumber });
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            report('not-a-message', `Message is ${message === null ? 'null' : `a ${Array.isArray(message) ? 'list' : typeof message}`}, not a message object; the converter fails on this conversation`, location);
+            return;
+        }
+        if (message.uuid) location.message_uuid = message.uuid;
+
+        if (!KNOWN_SENDERS.includes(message.sender)) {
+            report('unknown-sender', `Unknown sender ${JSON.stringify(message.sender === undefined ? null : message.sender)}; shown as Assistant`, location);
+        }
+
+        const hasContent = Array.isArray(message.content) && message.content.length > 0;
+        if (!hasContent && isBlank(message.text)) {
+            report('empty-message', 'Message has no content blocks and no text; it is converted empty', location);
+        }
+
+        (Array.isArray(message.attachments) ? message.attachments : []).forEach((attachment, index) => {
+            if (attachment && typeof attachment.extracted_content !== 'string') {
+                const name = attachment.file_name || `attachment ${index + 1}`;
+                report('missing-extracted-content', `Attachment "${name}" has no extracted_content; its extracted file is empty`, location);
+            }
+        });
+
+        if (message.uuid) {
+            const first = messageUuids.get(message.uuid);
+            if (first) {
+                report('duplicate-message-uuid', `Message UUID ${message.uuid} is also used by message ${first.message} of conversation ${first.conversation}`, location);
+            } else {
+                messageUuids.set(message.uuid, { conversation: conversationLocation.conversation_number, message: messageNumber });
+            }
+        }
+    }
+
+    return {
+        add(conversation, index) {
+            conversationCount++;
+            const location = { conversation_number: index + 1 };
+
+            if (!conversation || typeof conversation !== 'object' || Array.isArray(conversation)) {
+                report('not-a-conversation', `Element is ${conversation === null ? 'null' : Array.isArray(conversation) ? 'an array' : `a ${typeof conversation}`}, not a conversation object`, location);
+                return;
+            }
+            if (conversation.uuid) location.conversation_uuid = conversation.uuid;
+            if (conversation.name) location.title = conversation.name;
+
+            if (isBlank(conversation.uuid)) {
+                report('missing-uuid', 'Conversation has no uuid; its ID and URL show "undefined" and sync cannot track it', location);
+            } else if (conversationUuids.has(conversation.uuid)) {
+                report('duplicate-conversation-uuid', `UUID is also used by conversation ${conversationUuids.get(conversation.uuid)}; sync keeps only one of them`, location);
+            } else {
+                conversationUuids.set(conversation.uuid, index + 1);
+            }
+
+            if (isBlank(conversation.created_at)) {
+                report('missing-created-at', 'Conversation has no created_at; its file name and dates fall back to placeholders', location);
+            } else if (isNaN(new Date(conversation.created_at).getTime())) {
+                report('missing-created-at', `created_at "${conversation.created_at}" is not a valid date`, location);
+            }
+
+            if (!conversation.chat_messages) {
+                report('missing-messages', 'Conversation has no chat_messages list; it is converted without messages', location);
+                return;
+            }
+            if (!Array.isArray(conversation.chat_messages)) {
+                report('invalid-messages', 'chat_messages is not a list; the converter fails on this conversation', location);
+                return;
+            }
+            if (conversation.chat_messages.length === 0) {
+                report('empty-conversation', 'Conversation has no messages', location);
+            }
+            conversation.chat_messages.forEach((message, messageIndex) => {
+                messageCount++;
+                checkMessage(message, location, messageIndex + 1);
+            });
+        },
+
+        fail(diagnostic) {
+            diagnostics.push(diagnostic);
+        },
+
+        finish() {
+            const counts = {};
+            SEVERITIES.forEach(severity => {
+                counts[severity] = diagnostics.filter(diagnostic => diagnostic.severity === severity).length;
+            });
+            return {
+                conversations: conversationCount,
+                messages: messageCount,
+                counts: counts,
+                diagnostics: diagnostics
+            };
+        }
+    };
+}
+
+/**
+ * Works out the line and column of a character offset in the export's conversations.json
+ *
+ * @param {Object} source - Export source from openExport()
+ * @param {number} offset - Character offset from a JsonStreamError
+ * @returns {Promise<Object|null>} - { line, column } (both from 1), or null if it can't be read
+ */
+async function locateOffset(source, offset) {
+    try {
+        const readable = await openConversationsStream(source);
+        readable.setEncoding('utf8');
+        let line = 1;
+        let lineStart = 0;
+        let consumed = 0;
+        for await (const chunk of readable) {
+            const end = Math.min(chunk.length, offset - consumed);
+            for (let i = 0; i < end; i++) {
+                if (chunk.charCodeAt(i) === 0x0a) {
+                    line++;
+                    lineStart = consumed + i + 1;
+                }
+            }
+            consumed += chunk.length;
+            if (consumed >= offset) {
+                readable.destroy();
+                break;
+            }
+        }
+        return { line: line, column: offset - lineStart + 1 };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Validates an export
+ * JSON errors stop the reading; they are reported as an error diagnostic with their position,
+ * after the diagnostics of every conversation read before them.
+ *
+ * @param {Object} source - Export source from openExport()
+ * @returns {Promise<Object>} - { conversations, messages, counts, diagnostics }
+ */
+async function validateExport(source) {
+    const validator = createExportValidator();
+    let index = 0;
+
+    try {
+        if (isSingleConversationFile(source)) {
+            // An object is only accepted as one conversation, as saved by the converter's --json
+            const data = await readExportMember(source, 'conversations');
+            if (Array.isArray(data.chat_messages)) {
+                validator.add(data, index);
+                index++;
+            } else {
+                validator.fail({
+                    severity: DIAGNOSTIC_CODES['not-an-array'],
+                    code: 'not-an-array',
+                    message: 'The file holds a JSON object, not an array of conversations or a single conversation ' +
+                        'with chat_messages; the converter stops without converting anything'
+                });
+            }
+        } else {
+            for await (const conversation of streamConversations(source)) {
+                validator.add(conversation, index);
+                index++;
+            }
+        }
+    } catch (error) {
+        if (!(error instanceof JsonStreamError) && !(error instanceof SyntaxError)) throw error;
+
+        const diagnostic = { severity: 'error', code: 'invalid-json', message: error.message };
+        // JSON.parse() errors give the position within the text they were given (on most Node versions)
+        const position = /at position (\d+)/.exec(error.message);
+        const offset = error instanceof JsonStreamError ? error.offset : null;
+        if (offset !== null || position) {
+            diagnostic.offset = (offset || 0) + (position ? Number(position[1]) : 0);
+            Object.assign(diagnostic, await locateOffset(source, diagnostic.offset));
+        }
+        if (error.elementIndex !== undefined && error.elementIndex !== null) {
+            diagnostic.conversation_number = error.elementIndex + 1;
+        }
+        diagnostic.message += `; ${plural(index, 'conversation')} before it ${index === 1 ? 'was' : 'were'} checked`;
+        validator.fail(diagnostic);
+    }
+
+    return validator.finish();
+}
+
+// ===== OUTPUT FUNCTIONS =====
+
+/**
+ * Formats a count with a noun, e.g. "1 error" or "3 errors"
+ *
+ * @param {number} count - Number of things
+ * @param {string} noun - Singular noun
+ * @returns {string} - Count and noun
+ */
+function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Describes where a diagnostic points, e.g. 'conversation 12 (1a2b3c4d "Title"), message 4'
+ *
+ * @param {Object} diagnostic - Diagnostic from validateExport()
+ * @returns {string} - Location text, or '' if the diagnostic has none
+ */
+function describeLocation(diagnostic) {
+    const parts = [];
+    if (diagnostic.line) parts.push(`line ${diagnostic.line}, column ${diagnostic.column}`);
+    else if (diagnostic.offset !== undefined) parts.push(`character ${diagnostic.offset}`);
+    if (diagnostic.conversation_number) {
+        const details = [diagnostic.conversation_uuid ? diagnostic.conversation_uuid.slice(0, 8) : null,
+            diagnostic.title ? `"${diagnostic.title}"` : null].filter(Boolean).join(' ');
+        parts.push(`conversation ${diagnostic.conversation_number}${details ? ` (${details})` : ''}`);
+    }
+    if (diagnostic.message_number) parts.push(`message ${diagnostic.message_number}`);
+    return parts.join(', ');
+}
+
+/**
+ * Formats a validation report for the terminal, grouped by kind, most serious first
+ *
+ * @param {Object} report - Result of validateExport()
+ * @param {Object} options - { limit, quiet }
+ * @returns {Array} - Lines without trailing newlines
+ */
+function formatValidationReport(report, options) {
+    const lines = [];
+
+    if (!options.quiet) {
+        const codes = Object.keys(DIAGNOSTIC_CODES)
+            .sort((a, b) => SEVERITIES.indexOf(DIAGNOSTIC_CODES[a]) - SEVERITIES.indexOf(DIAGNOSTIC_CODES[b]));
+        codes.forEach(code => {
+            const matching = report.diagnostics.filter(diagnostic => diagnostic.code === code);
+            if (matching.length === 0) return;
+            lines.push(`${DIAGNOSTIC_CODES[code]} ${code} (${matching.length})`);
+            matching.slice(0, options.limit).forEach(diagnostic => {
+                const location = describeLocation(diagnostic);
+                lines.push(`   ${location ? `${location}: ` : ''}${diagnostic.message}`);
+            });
+            if (matching.length > options.limit) {
+                lines.push(`   ... and ${matching.length - options.limit} more (use --json for all)`);
+            }
+            lines.push('');
+        });
+    }
+
+    const { error, warning, info } = report.counts;
+    lines.push(`Checked ${plural(report.conversations, 'conversation')} and ${plural(report.messages, 'message')}: ` +
+        `${plural(error, 'error')}, ${plural(warning, 'warning')}, ${info} info`);
+    if (error === 0 && warning === 0) lines.push('The export looks complete.');
+    return lines;
+}
+
+/**
+ * Builds the help text of the validate command
+ *
+ * @returns {string} - Usage, checks, options and exit codes
+ */
+function formatValidateHelp() {
+    const lines = [
+        'Check a Claude export for problems before converting it',
+        '',
+        'Usage: node convert_conversations.js validate [options] [input]',
+        '',
+        'Checks:'
+    ];
+    Object.keys(DIAGNOSTIC_CODES).forEach(code => {
+        lines.push(`  ${code.padEnd(28)} ${DIAGNOSTIC_CODES[code]}`);
+    });
+    lines.push('');
+    lines.push('Options:');
+    lines.push(...formatOptionLines(VALIDATE_OPTION_DEFINITIONS));
+    lines.push('');
+    lines.push('Exit codes:');
+    lines.push(`  ${EXIT_CODES.SUCCESS}  No errors (and no warnings with --strict)`);
+    lines.push(`  ${EXIT_CODES.ERROR}  The export could not be opened`);
+    lines.push(`  ${EXIT_CODES.USAGE}  Invalid command-line arguments`);
+    lines.push(`  ${EXIT_CODES.INVALID_EXPORT}  Errors found (or warnings, with --strict)`);
+    lines.push('');
+    lines.push('Examples:');
+    lines.push('  node convert_conversations.js validate ~/Downloads/data-2025-09-13-10-15-00.zip');
+    lines.push('  node convert_conversations.js validate conversations.json --json --strict');
+    return lines.join('\n');
+}
+
+// ===== COMMAND FUNCTIONS =====
+
+/**
+ * Runs the validate command
+ *
+ * @param {Array} argv - Arguments after the command name
+ * @returns {Promise<number>} - Exit code
+ */
+async function runCommand(argv) {
+    const { options, positionals } = parseArguments(argv, VALIDATE_OPTION_DEFINITIONS);
+    if (options.help) {
+        console.log(formatValidateHelp());
+        return EXIT_CODES.SUCCESS;
+    }
+    if (positionals.length > 1 || (positionals.length === 1 && options.input)) {
+        throw new UsageError('Give one export to check, either as an argument or with --input');
+    }
+    const limit = options.limit === undefined ? DEFAULT_LIMIT : Number(options.limit);
+    if (!Number.isInteger(limit) || limit < 0) {
+        throw new UsageError(`--limit must be a whole number, got "${options.limit}"`);
+    }
+    const inputFile = positionals[0] || options.input || DEFAULT_INPUT_FILE;
+
+    let source;
+    try {
+        source = await openExport(inputFile);
+    } catch (error) {
+        console.error('Fatal error:', error.message);
+        return EXIT_CODES.ERROR;
+    }
+
+    const report = await validateExport(source);
+    const failed = report.counts.error > 0 || (options.strict && report.counts.warning > 0);
+
+    if (options.json) {
+        console.log(JSON.stringify(Object.assign({ input: describeExport(source), valid: !failed }, report), null, 2));
+    } else {
+        if (!options.quiet) console.log(`Checking ${describeExport(source)}\n`);
+        formatValidationReport(report, { limit: limit, quiet: !!options.quiet }).forEach(line => console.log(line));
+    }
+    return failed ? EXIT_CODES.INVALID_EXPORT : EXIT_CODES.SUCCESS;
+}
+
+module.exports = {
+    DIAGNOSTIC_CODES,
+    createExportValidator,
+    validateExport,
+    formatValidationReport,
+    runCommand
+};
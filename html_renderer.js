@@ -0,0 +1,844 @@
+/**
+ * Claude Conversation HTML Renderer
+ *
+ * DESCRIPTION: Writes an archived conversation as one self-contained HTML page: inline CSS with screen,
+ *              print and dark themes, syntax-highlighted code, styled senders, timestamps as hover titles
+ *              and linked attachments. Message text arrives as Markdown, so the page is built with a
+ *              small Markdown converter covering what Claude writes (headings, lists, tables, code blocks,
+ *              quotes, links and emphasis).
+ * AUTHOR: EJ Makela
+ * ORIGINAL CREATION DATE: 2026-10-19
+ *
+ * No external packages are used, so the output looks the same wherever the converter runs and the
+ * pages open from disk without network access.
+ */
+
+// Themes understood by --html-theme; "auto" follows the reader's system light/dark setting
+const HTML_THEMES = ['auto', 'light', 'dark'];
+
+// ===== HTML HELPERS =====
+
+/**
+ * Escapes text for use in HTML content and attribute values
+ *
+ * @param {string} text - Plain text
+ * @returns {string} - Text with &, <, >, " and ' escaped
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Checks a link target from message text before putting it in an href
+ * Web, mail and relative links are allowed; javascript:, data: and other schemes are not,
+ * since archived text is not trusted.
+ *
+ * @param {string} url - Link target from Markdown
+ * @returns {string|null} - Escaped URL for an attribute, or null if the link should not be made
+ */
+function safeUrl(url) {
+    const trimmed = url.trim();
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(trimmed);
+    if (scheme && !['http', 'https', 'mailto'].includes(scheme[1].toLowerCase())) return null;
+    return escapeHtml(trimmed);
+}
+
+// ===== SYNTAX HIGHLIGHTING =====
+// A small tokenizer that colours comments, strings, numbers and keywords. It doesn't parse the
+// languages, so it is forgiving of the partial or broken code found in conversations.
+
+// Code block languages mapped to the family of rules used to highlight them
+const LANGUAGE_FAMILIES = {
+    javascript: 'js', js: 'js', jsx: 'js', mjs: 'js', cjs: 'js', typescript: 'js', ts: 'js', tsx: 'js', node: 'js',
+    json: 'json', jsonc: 'json',
+    python: 'python', py: 'python', python3: 'python',
+    bash: 'shell', sh: 'shell', shell: 'shell', zsh: 'shell', console: 'shell', powershell: 'shell', ps1: 'shell',
+    yaml: 'config', yml: 'config', toml: 'config', ini: 'config', dockerfile: 'shell', makefile: 'shell',
+    c: 'c', h: 'c', cpp: 'c', 'c++': 'c', cc: 'c', hpp: 'c', java: 'c', csharp: 'c', cs: 'c', go: 'c', golang: 'c',
+    rust: 'c', rs: 'c', swift: 'c', kotlin: 'c', kt: 'c', php: 'c', scala: 'c', dart: 'c',
+    sql: 'sql', mysql: 'sql', postgresql: 'sql', sqlite: 'sql',
+    html: 'markup', xml: 'markup', svg: 'markup', vue: 'markup', xhtml: 'markup',
+    css: 'css', scss: 'css', less: 'css',
+    diff: 'diff', patch: 'diff'
+};
+
+// Keywords per family (SQL keywords are matched case-insensitively)
+const KEYWORDS = {
+    js: 'async await break case catch class const continue debugger default delete do else enum export extends ' +
+        'false finally for from function if implements import in instanceof interface let new null of return ' +
+        'static super switch this throw true try type typeof undefined var void while with yield',
+    json: 'true false null',
+    python: 'and as assert async await break class continue def del elif else except False finally for from ' +
+        'global if import in is lambda None nonlocal not or pass raise return self True try while with yield',
+    shell: 'case do done elif else esac exit export fi for function if in local return set source then unset ' +
+        'until while echo cd',
+    config: 'true false null yes no on off',
+    c: 'abstract auto bool break case catch char class const continue default defer delete do double else enum ' +
+        'extends extern false final fn float for func go goto if impl import int interface let long match mod mut ' +
+        'namespace new nil null nullptr override package private protected pub public return self short signed ' +
+        'sizeof static struct super switch template this throw throws trait true try type typedef typename union ' +
+        'unsigned use using val var virtual void volatile when where while',
+    sql: 'add alter and as asc between by case create delete desc distinct drop else end exists false from full ' +
+        'group having if in index inner insert into is join key left like limit not null offset on or order outer ' +
+        'primary references right select set table then true union unique update values view when where with',
+    css: 'important inherit initial none auto'
+};
+
+// Which comment and string syntax each family uses
+const TOKEN_SYNTAX = {
+    js: { comments: ['\\/\\/[^\\n]*', '\\/\\*[\\s\\S]*?(?:\\*\\/|$)'], strings: ['"', "'", '`'] },
+    json: { comments: [], strings: ['"'] },
+    python: { comments: ['#[^\\n]*'], strings: ['"""', "'''", '"', "'"] },
+    shell: { comments: ['(?:^|(?<=\\s))#[^\\n]*'], strings: ['"', "'"] },
+    config: { comments: ['(?:^|(?<=\\s))[#;][^\\n]*'], strings: ['"', "'"] },
+    c: { comments: ['\\/\\/[^\\n]*', '\\/\\*[\\s\\S]*?(?:\\*\\/|$)'], strings: ['"', "'", '`'] },
+    sql: { comments: ['--[^\\n]*', '\\/\\*[\\s\\S]*?(?:\\*\\/|$)'], strings: ["'", '"'] },
+    css: { comments: ['\\/\\*[\\s\\S]*?(?:\\*\\/|$)'], strings: ['"', "'"] }
+};
+
+/**
+ * Builds the pattern for a string literal with the given quote
+ * Unterminated strings end at the end of the line (or of the code, for multi-line quotes).
+ *
+ * @param {string} quote - Quote characters, e.g. '"', '`' or '"""'
+ * @returns {string} - Regular expression source
+ */
+function stringPattern(quote) {
+    const q = quote.replace(/[`'"]/g, character => `\\${character}`);
+    if (quote.length === 3) return `${q}[\\s\\S]*?(?:${q}|$)`;
+    // Backtick template literals may span lines; other quotes stop at the end of the line
+    const body = quote === '`' ? `(?:\\\\[\\s\\S]|[^\\\\${q}])*` : `(?:\\\\.|[^\\\\${q}\\n])*`;
+    return `${q}${body}(?:${q}|$)`;
+}
+
+// Compiled tokenizers per family, built on first use
+const tokenizers = {};
+
+/**
+ * Returns the tokenizer regular expression and keyword set for a language family
+ * Capture groups: 1 comment, 2 string, 3 number, 4 word
+ *
+ * @param {string} family - Key of TOKEN_SYNTAX
+ * @returns {Object} - { pattern, keywords }
+ */
+function getTokenizer(family) {
+    if (tokenizers[family]) return tokenizers[family];
+
+    const syntax = TOKEN_SYNTAX[family];
+    const comments = syntax.comments.length > 0 ? syntax.comments.join('|') : '(?!)';
+    const strings = syntax.strings.map(stringPattern).join('|');
+    const numbers = '\\b(?:0[xX][\\da-fA-F_]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b';
+    const words = family === 'css' ? '[A-Za-z_-][\\w-]*' : '[A-Za-z_$][\\w$]*';
+
+    const caseInsensitive = family === 'sql';
+    const keywordList = (KEYWORDS[family] || '').split(' ').filter(Boolean);
+    tokenizers[family] = {
+        pattern: new RegExp(`(${comments})|(${strings})|(${numbers})|(${words})`, 'gm'),
+        keywords: new Set(caseInsensitive ? keywordList.map(word => word.toLowerCase()) : keywordList),
+        caseInsensitive: caseInsensitive
+    };
+    return tokenizers[family];
+}
+
+/**
+ * Wraps text in a highlighting span
+ *
+ * @param {string} kind - Token kind (keyword, string, comment, number, tag, attr, ins, del, meta)
+ * @param {string} text - Raw token text
+ * @returns {string} - HTML
+ */
+function token(kind, text) {
+    return `<span class="tok-${kind}">${escapeHtml(text)}</span>`;
+}
+
+/**
+ * Highlights HTML, XML and SVG: comments, tag names, attribute names and attribute values
+ *
+ * @param {string} code - Markup source
+ * @returns {string} - HTML
+ */
+function highlightMarkup(code) {
+    const pattern = /(<!--[\s\S]*?(?:-->|$))|(<\/?[A-Za-z][\w:.-]*|\/?>)|("[^"]*"|'[^']*')|([\w:.-]+)(?==)/g;
+    let html = '';
+    let last = 0;
+    let insideTag = false;
+    let match;
+
+    while ((match = pattern.exec(code)) !== null) {
+        // Strings and attribute names only count inside a tag; elsewhere they are plain text
+        if ((match[3] || match[4]) && !insideTag) continue;
+        html += escapeHtml(code.slice(last, match.index));
+        if (match[1]) html += token('comment', match[1]);
+        else if (match[2]) {
+            insideTag = match[2].charAt(0) === '<';
+            html += token('tag', match[2]);
+        } else if (match[3]) html += token('string', match[3]);
+        else html += token('attr', match[4]);
+        last = pattern.lastIndex;
+    }
+
+    return html + escapeHtml(code.slice(last));
+}
+
+/**
+ * Highlights a unified diff line by line
+ *
+ * @param {string} code - Diff text
+ * @returns {string} - HTML
+ */
+function highlightDiff(code) {
+    return code.split('\n').map(line => {
+        if (/^(\+\+\+|---|@@)/.test(line)) return token('meta', line);
+        if (line.charAt(0) === '+') return token('ins', line);
+        if (line.charAt(0) === '-') return token('del', line);
+        return escapeHtml(line);
+    }).join('\n');
+}
+
+/**
+ * Syntax-highlights a code block
+ * Unknown languages are escaped without highlighting.
+ *
+ * @param {string} code - Source code
+ * @param {string} language - Language from the code fence (case-insensitive)
+ * @returns {string} - HTML for inside <code>
+ */
+function highlightCode(code, language) {
+    const family = LANGUAGE_FAMILIES[(language || '').toLowerCase()];
+    if (!family) return escapeHtml(code);
+    if (family === 'markup') return highlightMarkup(code);
+    if (family === 'diff') return highlightDiff(code);
+
+    const { pattern, keywords, caseInsensitive } = getTokenizer(family);
+    pattern.lastIndex = 0;
+    let html = '';
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(code)) !== null) {
+        if (match[0] === '') {
+            // Guard against zero-length matches looping forever
+            pattern.lastIndex++;
+            continue;
+        }
+        html += escapeHtml(code.slice(last, match.index));
+        if (match[1]) html += token('comment', match[1]);
+        else if (match[2]) html += token('string', match[2]);
+        else if (match[3]) html += token('number', match[3]);
+        else {
+            const word = caseInsensitive ? match[4].toLowerCase() : match[4];
+            html += keywords.has(word) ? token('keyword', match[4]) : escapeHtml(match[4]);
+        }
+        last = pattern.lastIndex;
+    }
+
+    return html + escapeHtml(code.slice(last));
+}
+
+// ===== MARKDOWN TO HTML =====
+
+// Patterns for the start of each kind of Markdown block
+const FENCE_OPEN = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)[^`]*$/;
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?\s*#*\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}>\s?(.*)$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])(\s+|$)(.*)$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const DETAILS_LINE = /^\s*(<details>|<\/details>|<summary>(.*)<\/summary>)\s*$/;
+const FOOTNOTE_DEFINITION = /^\[\^([^\]\s]+)\]:\s*(.*)$/;
+
+/**
+ * Measures a line's indentation, counting a tab as four spaces
+ *
+ * @param {string} line - Line of text
+ * @returns {number} - Indentation width
+ */
+function indentOf(line) {
+    const leading = /^[ \t]*/.exec(line)[0];
+    return leading.replace(/\t/g, '    ').length;
+}
+
+/**
+ * Removes up to a given amount of indentation from a line
+ *
+ * @param {string} line - Line of text
+ * @param {number} width - Indentation to remove
+ * @returns {string} - Line without that indentation
+ */
+function dedent(line, width) {
+    const expanded = line.replace(/^[ \t]+/, leading => leading.replace(/\t/g, '    '));
+    const remove = Math.min(width, indentOf(expanded));
+    return expanded.slice(remove);
+}
+
+/**
+ * Checks whether a line starts a block other than a paragraph
+ *
+ * @param {string} line - Line of text
+ * @returns {boolean} - true if the line ends a paragraph
+ */
+function startsBlock(line) {
+    return FENCE_OPEN.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) ||
+        DETAILS_LINE.test(line) || LIST_ITEM.test(line) || FOOTNOTE_DEFINITION.test(line);
+}
+
+/**
+ * Renders inline Markdown: code spans, links, emphasis, strikethrough and line breaks
+ * Everything else is escaped, so raw HTML in message text is shown rather than interpreted.
+ *
+ * @param {string} text - Inline Markdown
+ * @returns {string} - HTML
+ */
+function renderInline(text) {
+    // Finished pieces of HTML are set aside and replaced by placeholders until the end,
+    // so later steps don't escape or re-format them
+    const stash = [];
+    const keep = html => `\u0000${stash.push(html) - 1}\u0000`;
+    let out = text.replace(/\u0000/g, '');
+
+    // Code spans first: nothing inside them is formatted (an escaped backtick can't open one)
+    out = out.replace(/(?<!\\)(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+        keep(`<code>${escapeHtml(code.replace(/^ ([\s\S]*) $/, '$1'))}</code>`));
+
+    // Backslash escapes
+    out = out.replace(/\\([\\`*_{}\[\]()#+\-.!|~<>])/g, (match, character) => keep(escapeHtml(character)));
+
+    // Footnote references like [^1]
+    out = out.replace(/\[\^([^\]\s]+)\]/g, (match, label) => {
+        const id = escapeHtml(label);
+        return keep(`<sup class="footnote-ref"><a href="#fn-${id}" id="fnref-${id}">${id}</a></sup>`);
+    });
+
+    // Links and images (images are linked rather than embedded, as their files aren't in the export);
+    // URLs may contain one level of balanced parentheses, as in Wikipedia links
+    out = out.replace(/(!?)\[([^\]]*)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))+)>?(?:\s+"[^"]*")?\s*\)/g, (match, bang, label, url) => {
+        const href = safeUrl(url);
+        const labelHtml = renderInline(label || url);
+        if (!href) return keep(labelHtml);
+        return keep(bang ? `<a class="image-link" href="${href}">🖼 ${labelHtml}</a>` : `<a href="${href}">${labelHtml}</a>`);
+    });
+
+    // Autolinks like <https://example.com>
+    out = out.replace(/<(https?:\/\/[^\s>]+)>/g, (match, url) => keep(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`));
+
+    out = escapeHtml(out);
+
+    // Bare URLs (already escaped, so they can go straight into the attribute); a closing parenthesis
+    // only belongs to the URL when it closes one opened inside it
+    out = out.replace(/\bhttps?:\/\/[^\s<\u0000]*[^\s<\u0000.,:;!?\]'"&]/g, match => {
+        let url = match;
+        while (url.endsWith(')') && (url.match(/\)/g) || []).length > (url.match(/\(/g) || []).length) {
+            url = url.slice(0, -1);
+        }
+        return keep(`<a href="${url}">${url}</a>`) + match.slice(url.length);
+    });
+
+    // Emphasis; underscores only count at word boundaries so snake_case names are left alone
+    out = out
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+        .replace(/(^|[^*\w])\*(?=[^\s*])([^*]*?[^\s*])\*(?!\*)/g, '$1<em>$2</em>')
+        .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+    // Hard line breaks: two trailing spaces or a backslash at the end of a line
+    out = out.replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+    // Placeholders can be nested (a code span inside a link label), so restore until none are left
+    while (/\u0000\d+\u0000/.test(out)) {
+        out = out.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[Number(index)]);
+    }
+    return out;
+}
+
+/**
+ * Splits a table row into cells, ignoring the outer pipes and escaped pipes
+ *
+ * @param {string} line - Table row
+ * @returns {Array} - Cell texts
+ */
+function splitTableRow(line) {
+    const trimmed = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+    return trimmed.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Renders a GitHub-style pipe table
+ *
+ * @param {Array} lines - Header row, separator row and body rows
+ * @returns {string} - HTML table
+ */
+function renderTable(lines) {
+    const alignments = splitTableRow(lines[1]).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        return left && right ? 'center' : (right ? 'right' : (left ? 'left' : null));
+    });
+    const renderRow = (line, cellTag) => {
+        const cells = splitTableRow(line);
+        return '<tr>' + alignments.map((alignment, index) => {
+            const style = alignment ? ` style="text-align: ${alignment}"` : '';
+            return `<${cellTag}${style}>${renderInline(cells[index] || '')}</${cellTag}>`;
+        }).join('') + '</tr>';
+    };
+
+    let html = '<div class="table-wrapper"><table>\n<thead>' + renderRow(lines[0], 'th') + '</thead>\n';
+    if (lines.length > 2) {
+        html += '<tbody>\n' + lines.slice(2).map(line => renderRow(line, 'td')).join('\n') + '\n</tbody>\n';
+    }
+    return html + '</table></div>';
+}
+
+/**
+ * Collects one list (with its nested content) starting at a list item line
+ *
+ * @param {Array} lines - All lines
+ * @param {number} start - Index of the first item
+ * @returns {Object} - { ordered, startNumber, items: Array of line arrays, loose, end }
+ */
+function collectList(lines, start) {
+    const first = LIST_ITEM.exec(lines[start]);
+    const baseIndent = indentOf(first[1]);
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+        const match = LIST_ITEM.exec(lines[i]);
+        if (!match || indentOf(match[1]) !== baseIndent || /\d/.test(match[2]) !== ordered) break;
+
+        // Continuation lines are indented to where the item's text starts
+        const contentIndent = baseIndent + match[2].length + Math.min(match[3].length || 1, 4);
+        const itemLines = [match[4]];
+        i++;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            if (line.trim() === '') {
+                // A blank line continues the item only if more indented content follows
+                let next = i + 1;
+                while (next < lines.length && lines[next].trim() === '') next++;
+                if (next < lines.length && indentOf(lines[next]) > baseIndent) {
+                    for (; i < next; i++) itemLines.push('');
+                    loose = true;
+                    continue;
+                }
+                // A blank line between two items of the same list makes the list loose
+                if (next < lines.length && LIST_ITEM.test(lines[next])) {
+                    const nextMatch = LIST_ITEM.exec(lines[next]);
+                    if (indentOf(nextMatch[1]) === baseIndent && /\d/.test(nextMatch[2]) === ordered) {
+                        loose = true;
+                        i = next;
+                    }
+                }
+                break;
+            }
+            if (indentOf(line) > baseIndent) {
+                itemLines.push(dedent(line, contentIndent));
+                i++;
+                continue;
+            }
+            // Lazy continuation of the item's paragraph
+            if (!startsBlock(line)) {
+                itemLines.push(line.trim());
+                i++;
+                continue;
+            }
+            break;
+        }
+
+        items.push(itemLines);
+    }
+
+    return { ordered: ordered, startNumber: ordered ? parseInt(first[2], 10) : 1, items: items, loose: loose, end: i };
+}
+
+/**
+ * Renders a sequence of Markdown lines as HTML blocks
+ *
+ * @param {Array} lines - Markdown lines
+ * @param {Object} options - { headingOffset: levels to add to headings, tight: omit <p> around paragraphs }
+ * @returns {string} - HTML
+ */
+function renderBlocks(lines, options) {
+    const headingOffset = options.headingOffset || 0;
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (line.trim() === '') {
+            i++;
+            continue;
+        }
+
+        // Fenced code block; an unclosed fence runs to the end, as in other Markdown renderers
+        const fence = FENCE_OPEN.exec(line);
+        if (fence) {
+            const fenceIndent = indentOf(line);
+            const codeLines = [];
+            i++;
+            while (i < lines.length) {
+                const closing = /^ {0,3}(`{3,}|~{3,})\s*$/.exec(lines[i]);
+                if (closing && closing[1].charAt(0) === fence[1].charAt(0) && closing[1].length >= fence[1].length) {
+                    i++;
+                    break;
+                }
+                codeLines.push(dedent(lines[i], fenceIndent));
+                i++;
+            }
+            const language = fence[2];
+            const languageClass = language ? ` class="language-${escapeHtml(language)}"` : '';
+            const label = language ? `<span class="code-language">${escapeHtml(language)}</span>` : '';
+            html.push(`<pre>${label}<code${languageClass}>${highlightCode(codeLines.join('\n'), language)}</code></pre>`);
+            continue;
+        }
+
+        // Collapsible sections written by the converter for thinking and tool calls
+        const details = DETAILS_LINE.exec(line);
+        if (details) {
+            if (details[1] === '<details>') html.push('<details>');
+            else if (details[1] === '</details>') html.push('</details>');
+            else html.push(`<summary>${renderInline(details[2])}</summary>`);
+            i++;
+            continue;
+        }
+
+        // Footnotes are shown where they are defined; the converter puts each one right after its message
+        const footnote = FOOTNOTE_DEFINITION.exec(line);
+        if (footnote) {
+            const id = escapeHtml(footnote[1]);
+            html.push(`<p class="footnote" id="fn-${id}"><a href="#fnref-${id}">${id}</a>: ${renderInline(footnote[2])}</p>`);
+            i++;
+            continue;
+        }
+
+        const heading = HEADING.exec(line);
+        if (heading) {
+            const level = Math.min(heading[1].length + headingOffset, 6);
+            html.push(`<h${level}>${renderInline(heading[2] || '')}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (RULE.test(line)) {
+            html.push('<hr>');
+            i++;
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            const quoteLines = [];
+            while (i < lines.length && lines[i].trim() !== '') {
+                const quote = QUOTE.exec(lines[i]);
+                quoteLines.push(quote ? quote[1] : lines[i]);
+                i++;
+            }
+            html.push(`<blockquote>\n${renderBlocks(quoteLines, { headingOffset: headingOffset })}\n</blockquote>`);
+            continue;
+        }
+
+        if (LIST_ITEM.test(line)) {
+            const list = collectList(lines, i);
+            const tag = list.ordered ? 'ol' : 'ul';
+            const startAttribute = list.ordered && list.startNumber !== 1 ? ` start="${list.startNumber}"` : '';
+            const items = list.items.map(itemLines => {
+                // Task list items: "- [ ] todo" and "- [x] done"
+                const task = /^\[([ xX])\]\s+/.exec(itemLines[0]);
+                let checkbox = '';
+                if (task) {
+                    checkbox = `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> `;
+                    itemLines = [itemLines[0].slice(task[0].length)].concat(itemLines.slice(1));
+                }
+                const content = renderBlocks(itemLines, { headingOffset: headingOffset, tight: !list.loose });
+                return `<li>${checkbox}${content}</li>`;
+            });
+            html.push(`<${tag}${startAttribute}>\n${items.join('\n')}\n</${tag}>`);
+            i = list.end;
+            continue;
+        }
+
+        // Pipe table: a row with pipes followed by a separator row
+        if (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+            const tableLines = [line, lines[i + 1]];
+            i += 2;
+            while (i < lines.length && lines[i].trim() !== '' && lines[i].includes('|')) {
+                tableLines.push(lines[i]);
+                i++;
+            }
+            html.push(renderTable(tableLines));
+            continue;
+        }
+
+        // Paragraph: runs until a blank line or the start of another block
+        const paragraph = [line.replace(/^\s+/, '')];
+        i++;
+        while (i < lines.length && lines[i].trim() !== '' && !startsBlock(lines[i])) {
+            paragraph.push(lines[i].replace(/^\s+/, ''));
+            i++;
+        }
+        const text = renderInline(paragraph.join('\n'));
+        html.push(options.tight ? text : `<p>${text}</p>`);
+    }
+
+    return html.join('\n');
+}
+
+/**
+ * Converts Markdown to HTML
+ *
+ * @param {string} markdown - Markdown text
+ * @param {Object} options - { headingOffset: levels to add to headings (e.g. 2 turns # into <h3>) }
+ * @returns {string} - HTML
+ */
+function markdownToHtml(markdown, options = {}) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    return renderBlocks(lines, { headingOffset: options.headingOffset || 0 });
+}
+
+// ===== PAGE RENDERING =====
+
+// Colours for the light theme and the dark theme; everything else in the stylesheet uses these
+const LIGHT_COLORS = `
+    --bg: #ffffff; --fg: #1f2328; --muted: #656d76; --border: #d0d7de; --link: #0969da;
+    --human-bg: #eef4ff; --human-accent: #4f7fd9; --assistant-bg: #f7f7f5; --assistant-accent: #c96a3a;
+    --code-bg: #f6f8fa; --details-bg: #fafbfc;
+    --tok-keyword: #cf222e; --tok-string: #0a3069; --tok-comment: #6e7781; --tok-number: #0550ae;
+    --tok-tag: #116329; --tok-attr: #8250df; --tok-ins: #116329; --tok-del: #82071e; --tok-meta: #8250df;`;
+const DARK_COLORS = `
+    --bg: #0d1117; --fg: #e6edf3; --muted: #8d96a0; --border: #30363d; --link: #4493f8;
+    --human-bg: #132036; --human-accent: #6f9ceb; --assistant-bg: #161b22; --assistant-accent: #e08a5c;
+    --code-bg: #161b22; --details-bg: #11161d;
+    --tok-keyword: #ff7b72; --tok-string: #a5d6ff; --tok-comment: #8b949e; --tok-number: #79c0ff;
+    --tok-tag: #7ee787; --tok-attr: #d2a8ff; --tok-ins: #7ee787; --tok-del: #ffa198; --tok-meta: #d2a8ff;`;
+
+const PAGE_STYLES = `
+:root {${LIGHT_COLORS} }
+:root[data-theme="dark"] {${DARK_COLORS} }
+@media (prefers-color-scheme: dark) {
+    :root[data-theme="auto"] {${DARK_COLORS} }
+}
+* { box-sizing: border-box; }
+body {
+    margin: 0 auto; max-width: 52rem; padding: 2rem 1.25rem 4rem;
+    background: var(--bg); color: var(--fg);
+    font: 16px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+}
+a { color: var(--link); }
+h1 { font-size: 1.8rem; line-height: 1.25; margin: 0.25rem 0 1rem; }
+h2 { font-size: 1.35rem; margin: 2.5rem 0 1rem; }
+h3, h4, h5, h6 { font-size: 1.05rem; margin: 1.25rem 0 0.5rem; }
+.archive-label { margin: 0; color: var(--muted); font-size: 0.85rem; text-transform: uppercase; letter-spacing: 0.06em; }
+.metadata { display: grid; grid-template-columns: max-content 1fr; gap: 0.2rem 1rem; margin: 0 0 2rem; font-size: 0.9rem; }
+.metadata dt { color: var(--muted); }
+.metadata dd { margin: 0; overflow-wrap: anywhere; }
+.message { margin: 1.25rem 0; padding: 0.9rem 1.1rem; border-radius: 10px; border-left: 4px solid; }
+.message.human { background: var(--human-bg); border-color: var(--human-accent); }
+.message.assistant { background: var(--assistant-bg); border-color: var(--assistant-accent); }
+.message-header { display: flex; justify-content: space-between; align-items: baseline; gap: 1rem; margin-bottom: 0.4rem; }
+.sender { font-weight: 600; }
+.human .sender { color: var(--human-accent); }
+.assistant .sender { color: var(--assistant-accent); }
+.timestamp { color: var(--muted); font-size: 0.8rem; text-decoration: none; }
+.timestamp:hover { text-decoration: underline; }
+.message-body > :first-child { margin-top: 0; }
+.message-body > :last-child { margin-bottom: 0; }
+pre { position: relative; background: var(--code-bg); border: 1px solid var(--border); border-radius: 6px; padding: 0.8rem 1rem; overflow-x: auto; }
+code { font: 0.875em/1.5 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+:not(pre) > code { background: var(--code-bg); border: 1px solid var(--border); border-radius: 4px; padding: 0.05em 0.3em; }
+.code-language { position: absolute; top: 0.2rem; right: 0.5rem; color: var(--muted); font-size: 0.7rem; }
+.tok-keyword { color: var(--tok-keyword); }
+.tok-string { color: var(--tok-string); }
+.tok-comment { color: var(--tok-comment); font-style: italic; }
+.tok-number { color: var(--tok-number); }
+.tok-tag { color: var(--tok-tag); }
+.tok-attr { color: var(--tok-attr); }
+.tok-ins { color: var(--tok-ins); }
+.tok-del { color: var(--tok-del); }
+.tok-meta { color: var(--tok-meta); }
+details { margin: 0.75rem 0; padding: 0.4rem 0.8rem; background: var(--details-bg); border: 1px solid var(--border); border-radius: 6px; }
+summary { cursor: pointer; color: var(--muted); font-size: 0.9rem; }
+details[open] > summary { margin-bottom: 0.5rem; }
+blockquote { margin: 0.75rem 0; padding: 0 1rem; border-left: 3px solid var(--border); color: var(--muted); }
+.table-wrapper { overflow-x: auto; }
+table { border-collapse: collapse; margin: 0.75rem 0; }
+th, td { border: 1px solid var(--border); padding: 0.3rem 0.7rem; }
+th { background: var(--code-bg); }
+hr { border: 0; border-top: 1px solid var(--border); margin: 2rem 0; }
+.attachments { margin-top: 0.75rem; font-size: 0.9rem; }
+.attachments ul { margin: 0.25rem 0 0; }
+.size { color: var(--muted); }
+.footnote { color: var(--muted); font-size: 0.85rem; }
+.footnote-ref a { text-decoration: none; }
+.branch { margin-top: 3rem; padding-top: 1rem; border-top: 2px dashed var(--border); }
+.branch-note, .empty { color: var(--muted); font-style: italic; }
+footer { margin-top: 3rem; padding-top: 1rem; border-top: 1px solid var(--border); color: var(--muted); font-size: 0.85rem; }
+@media print {
+    :root {${LIGHT_COLORS} }
+    body { max-width: none; padding: 0; font-size: 11pt; }
+    .message { break-inside: avoid-page; border-left-width: 2px; }
+    pre { white-space: pre-wrap; overflow-wrap: anywhere; }
+    a { color: inherit; }
+    .timestamp::after { content: " · " attr(title); }
+}
+`;
+
+// Opens every collapsed section before printing, so thinking and tool output appear on paper
+const PRINT_SCRIPT = `window.addEventListener('beforeprint', function () {
+    document.querySelectorAll('details').forEach(function (element) { element.open = true; });
+});`;
+
+/**
+ * Renders message entries as <article> elements
+ * The timestamp and message number appear as the hover title of the message link.
+ *
+ * @param {Array} entries - Message entries from the converter
+ * @returns {string} - HTML
+ */
+function renderMessages(entries) {
+    return entries.map(entry => {
+        const isHuman = entry.sender === 'human';
+        const id = `m${entry.footnote}`;
+        const sender = isHuman ? '👤 Human' : '🤖 Assistant';
+        const datetime = entry.createdAt ? ` datetime="${escapeHtml(entry.createdAt)}"` : '';
+
+        let html = `<article class="message ${entry.sender}" id="${escapeHtml(id)}">\n`;
+        html += `<header class="message-header"><span class="sender">${sender}</span>`;
+        html += `<a class="timestamp" href="#${escapeHtml(id)}" title="${escapeHtml(`${entry.timestamp}, ${entry.label}`)}">`;
+        html += `<time${datetime}>${escapeHtml(entry.label)}</time></a></header>\n`;
+        html += `<div class="message-body">\n${markdownToHtml(entry.body, { headingOffset: 2 })}\n</div>\n`;
+
+        if (entry.attachments.length > 0) {
+            html += `<div class="attachments"><strong>Attachments:</strong>\n<ul>\n`;
+            entry.attachments.forEach(att => {
+                const size = att.fileSize ? ` <span class="size">(${Math.round(att.fileSize / 1024 * 10) / 10} KB)</span>` : '';
+                html += `<li><a href="${escapeHtml(encodeURI(att.relativePath))}">${escapeHtml(att.originalName)}</a>${size}</li>\n`;
+            });
+            html += `</ul></div>\n`;
+        }
+
+        return html + `</article>`;
+    }).join('\n');
+}
+
+/**
+ * Wraps page content in a complete HTML document with the inline stylesheet
+ *
+ * @param {string} title - Page title
+ * @param {Array} bodyParts - HTML fragments making up the <body>, joined with newlines
+ * @param {Object} options - { theme: 'auto' (default), 'light' or 'dark'; styles: extra CSS for the page }
+ * @returns {string} - HTML page
+ */
+function renderHtmlPage(title, bodyParts, options = {}) {
+    const theme = HTML_THEMES.includes(options.theme) ? options.theme : 'auto';
+
+    const parts = [];
+    parts.push('<!DOCTYPE html>');
+    parts.push(`<html lang="en" data-theme="${theme}">`);
+    parts.push('<head>');
+    parts.push('<meta charset="utf-8">');
+    parts.push('<meta name="viewport" content="width=device-width, initial-scale=1">');
+    parts.push(`<title>${escapeHtml(title)}</title>`);
+    parts.push(`<style>${PAGE_STYLES}${options.styles || ''}</style>`);
+    parts.push('</head>');
+    parts.push('<body>');
+    parts.push(...bodyParts);
+    parts.push(`<script>${PRINT_SCRIPT}</script>`);
+    parts.push('</body>');
+    parts.push('</html>');
+
+    return parts.join('\n') + '\n';
+}
+
+/**
+ * Renders a conversation document as a complete, self-contained HTML page
+ *
+ * @param {Object} document - Document built by the converter: { title, metadata, messages, finalArtifacts,
+ *                            branches, branchLinks, attachmentCount, artifactCount }
+ * @param {Object} options - { theme: 'auto' (default), 'light' or 'dark'; linkExtension for branch files }
+ * @returns {string} - HTML page
+ */
+function renderHtmlDocument(document, options = {}) {
+    const linkExtension = options.linkExtension || '.html';
+
+    const parts = [];
+
+    // Header with the conversation's metadata; the name is the page heading
+    parts.push('<header class="conversation-header">');
+    parts.push('<p class="archive-label">Archived AI conversation</p>');
+    parts.push(`<h1>${escapeHtml(document.title)}</h1>`);
+    parts.push('<dl class="metadata">');
+    document.metadata.forEach(entry => {
+        if (entry.label === 'Conversation name') return;
+        const value = /^https?:\/\//.test(entry.value)
+            ? `<a href="${escapeHtml(entry.value)}">${escapeHtml(entry.value)}</a>`
+            : escapeHtml(entry.value);
+        parts.push(`<dt>${escapeHtml(entry.label)}</dt><dd>${value}</dd>`);
+    });
+    parts.push('</dl>');
+    parts.push('</header>');
+
+    parts.push('<main>');
+    parts.push(document.messages.length > 0
+        ? renderMessages(document.messages)
+        : '<p class="empty">No messages found in this conversation.</p>');
+
+    if (document.finalArtifacts) {
+        parts.push(`<section class="final-artifacts">\n${markdownToHtml(document.finalArtifacts, { headingOffset: 1 })}\n</section>`);
+    }
+
+    document.branches.forEach(branch => {
+        parts.push(`<section class="branch" id="branch-${branch.number}">`);
+        parts.push(`<h2>🌿 ${escapeHtml(branch.heading)}</h2>`);
+        parts.push(`<p class="branch-note">${escapeHtml(branch.note)}</p>`);
+        parts.push(renderMessages(branch.messages));
+        parts.push('</section>');
+    });
+
+    if (document.branchLinks.length > 0) {
+        parts.push('<nav class="branch-links">');
+        parts.push('<h2>🌿 Alternate Branches</h2>');
+        parts.push('<ul>');
+        document.branchLinks.forEach(link => {
+            const href = encodeURI(`./${link.baseName}${linkExtension}`);
+            parts.push(`<li><a href="${escapeHtml(href)}">${escapeHtml(link.label)}</a></li>`);
+        });
+        parts.push('</ul>');
+        parts.push('</nav>');
+    }
+    parts.push('</main>');
+
+    // Footer with disclaimer about timezone conversion and file portability
+    parts.push('<footer>');
+    parts.push('<p><strong>End of Conversation</strong></p>');
+    parts.push('<p>This conversation was exported from Claude.ai and converted to HTML for archival purposes. ' +
+        'Time zones reflect the system settings where this archive was created and may differ from ' +
+        'where the original conversation occurred. Hover over a message number to see when it was sent.</p>');
+    if (document.attachmentCount > 0) {
+        parts.push(`<p>This conversation includes ${document.attachmentCount} attachment(s) in the companion folder. ` +
+            'Keep the HTML file and attachment folder together when moving or sharing this archive.</p>');
+    }
+    if (document.artifactCount > 0) {
+        parts.push(`<p>This conversation includes ${document.artifactCount} artifact file(s) in the companion folder. ` +
+            'Keep the HTML file and artifact folder together when moving or sharing this archive.</p>');
+    }
+    parts.push('</footer>');
+
+    return renderHtmlPage(document.title, parts, { theme: options.theme });
+}
+
+module.exports = {
+    HTML_THEMES,
+    escapeHtml,
+    highlightCode,
+    markdownToHtml,
+    renderHtmlPage,
+    renderHtmlDocument
+};
@@ -0,0 +1,226 @@
+/**
+ * Streaming JSON Array Parser
+ *
+ * DESCRIPTION: Reads a top-level JSON array (such as conversations.json) one element at a time, so that
+ *              exports of any size can be processed with memory bounded by the largest single conversation.
+ * AUTHOR: EJ Makela
+ * ORIGINAL CREATION DATE: 2026-10-19
+ *
+ * The scanner only tracks enough state (nesting depth, strings, escapes) to find where each element
+ * starts and ends; each element's text is then handed to JSON.parse on its own.
+ */
+
+// Character codes used by the scanner
+const CHAR = {
+    OPEN_BRACKET: 0x5b,    // [
+    CLOSE_BRACKET: 0x5d,   // ]
+    OPEN_BRACE: 0x7b,      // {
+    CLOSE_BRACE: 0x7d,     // }
+    QUOTE: 0x22,           // "
+    BACKSLASH: 0x5c,       // \
+    COMMA: 0x2c,           // ,
+    BOM: 0xfeff            // Byte order mark some editors put at the start of a file
+};
+
+/**
+ * Checks for JSON whitespace (space, tab, line feed, carriage return)
+ *
+ * @param {number} code - Character code
+ * @returns {boolean} - true for whitespace
+ */
+function isWhitespace(code) {
+    return code === 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+}
+
+/**
+ * Error raised when the streamed input is not a valid JSON array
+ * Carries the character offset (and element index, when known) so the problem can be located
+ */
+class JsonStreamError extends Error {
+    constructor(message, offset, elementIndex = null) {
+        super(message);
+        this.name = 'JsonStreamError';
+        this.offset = offset;
+        this.elementIndex = elementIndex;
+    }
+}
+
+/**
+ * Creates a scanner that splits a JSON array into the raw text of its elements
+ * Feed it string chunks with write(); it returns the elements completed by each chunk.
+ *
+ * @returns {Object} - { write(chunk) => Array<{ text, index, offset }>, end() }
+ */
+function createJsonArrayScanner() {
+    // Scanner states
+    // 'start'   - before the opening [
+    // 'value'   - expecting an element (or ] right after the opening [)
+    // 'element' - inside an element
+    // 'after'   - after an element, expecting , or ]
+    // 'done'    - after the closing ], only whitespace may follow
+    let state = 'start';
+    let offset = 0;               // Characters consumed before the current chunk
+    let depth = 0;                // Nesting depth inside the current element
+    let inString = false;
+    let escaped = false;
+    let allowClose = true;        // ] is only valid as the first token or after an element
+    let elementParts = [];        // Text of the current element gathered across chunks
+    let elementStart = 0;         // Absolute offset where the current element began
+    let elementIndex = 0;
+
+    function fail(message, position) {
+        throw new JsonStreamError(`${message} at character ${position}`, position, state === 'element' ? elementIndex : null);
+    }
+
+    function write(chunk) {
+        const completed = [];
+        let sliceStart = 0;       // Start of the current element's text within this chunk
+
+        for (let i = 0; i < chunk.length; i++) {
+            const code = chunk.charCodeAt(i);
+
+            if (state === 'element') {
+                if (inString) {
+                    if (escaped) {
+                        escaped = false;
+                    } else if (code === CHAR.BACKSLASH) {
+                        escaped = true;
+                    } else if (code === CHAR.QUOTE) {
+                        inString = false;
+                        // A top-level string element ends with its closing quote
+                        if (depth === 0) finishElement(i + 1);
+                    }
+                    continue;
+                }
+
+                if (code === CHAR.QUOTE) {
+                    inString = true;
+                } else if (code === CHAR.OPEN_BRACE || code === CHAR.OPEN_BRACKET) {
+                    depth++;
+                } else if (code === CHAR.CLOSE_BRACE || code === CHAR.CLOSE_BRACKET) {
+                    if (depth === 0) {
+                        // End of a number/literal element directly followed by the closing ]
+                        finishElement(i);
+                        i--;                      // Re-read the ] in the 'after' state
+                    } else {
+                        depth--;
+                        if (depth === 0) finishElement(i + 1);
+                    }
+                } else if (depth === 0 && (code === CHAR.COMMA || isWhitespace(code))) {
+                    // End of a number/literal element
+                    finishElement(i);
+                    i--;                          // Re-read the separator in the 'after' state
+                }
+                continue;
+            }
+
+            if (isWhitespace(code)) continue;
+
+            if (state === 'start') {
+                if (code === CHAR.BOM && offset + i === 0) continue;
+                if (code !== CHAR.OPEN_BRACKET) {
+                    fail('Expected the export to start with an array "["', offset + i);
+                }
+                state = 'value';
+                allowClose = true;
+            } else if (state === 'value') {
+                if (code === CHAR.CLOSE_BRACKET) {
+                    if (!allowClose) fail('Unexpected "]" after ","', offset + i);
+                    state = 'done';
+                    continue;
+                }
+                if (code === CHAR.COMMA) fail('Unexpected ","', offset + i);
+                // Start of a new element
+                state = 'element';
+                depth = 0;
+                inString = false;
+                escaped = false;
+                elementParts = [];
+                elementStart = offset + i;
+                sliceStart = i;
+                i--;                              // Let the element state see its first character
+            } else if (state === 'after') {
+                if (code === CHAR.COMMA) {
+                    state = 'value';
+                    allowClose = false;
+                } else if (code === CHAR.CLOSE_BRACKET) {
+                    state = 'done';
+                } else {
+                    fail('Expected "," or "]" between array elements', offset + i);
+                }
+            } else if (state === 'done') {
+                fail('Unexpected data after the end of the array', offset + i);
+            }
+        }
+
+        // Keep the unfinished part of the current element for the next chunk
+        if (state === 'element') {
+            elementParts.push(chunk.slice(sliceStart));
+        }
+        offset += chunk.length;
+        return completed;
+
+        function finishElement(endIndex) {
+            elementParts.push(chunk.slice(sliceStart, endIndex));
+            completed.push({
+                text: elementParts.join(''),
+                index: elementIndex,
+                offset: elementStart
+            });
+            elementParts = [];
+            elementIndex++;
+            state = 'after';
+        }
+    }
+
+    function end() {
+        if (state === 'start') {
+            fail('Input is empty; expected a JSON array', offset);
+        }
+        if (state !== 'done') {
+            fail(`Input ended before the array was closed (truncated after ${elementIndex} complete elements)`, offset);
+        }
+    }
+
+    return { write, end };
+}
+
+/**
+ * Parses the elements of a top-level JSON array from a stream, one at a time
+ *
+ * @param {stream.Readable} readable - Stream of the JSON text (Buffer or string chunks)
+ * @returns {AsyncGenerator<*>} - Yields each parsed element in order
+ */
+async function* parseJsonArrayStream(readable) {
+    // setEncoding decodes UTF-8 safely across chunk boundaries
+    if (typeof readable.setEncoding === 'function') {
+        readable.setEncoding('utf8');
+    }
+
+    const scanner = createJsonArrayScanner();
+
+    for await (const chunk of readable) {
+        const elements = scanner.write(chunk);
+        for (const element of elements) {
+            let value;
+            try {
+                value = JSON.parse(element.text);
+            } catch (error) {
+                throw new JsonStreamError(
+                    `Invalid JSON in array element ${element.index + 1} (starting at character ${element.offset}): ${error.message}`,
+                    element.offset,
+                    element.index
+                );
+            }
+            yield value;
+        }
+    }
+
+    scanner.end();
+}
+
+module.exports = {
+    JsonStreamError,
+    createJsonArrayScanner,
+    parseJsonArrayStream
+};
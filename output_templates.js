@@ -0,0 +1,497 @@
+/**
+ * Claude Output Templates
+ *
+ * DESCRIPTION: Templates for the layout of the converted Markdown files: the document (header, branches,
+ *              footer), each message, a message's attachment list and each artifact. The built-in
+ *              templates give the converter's standard layout; any part can be replaced by a file of
+ *              your own (--template <dir>). Also the "templates" command, which writes the built-in
+ *              templates to a directory as a starting point.
+ * AUTHOR: EJ Makela
+ * ORIGINAL CREATION DATE: 2026-10-19
+ *
+ * Usage: node convert_conversations.js templates [options] [dir]
+ *
+ * Template syntax (a small subset of Mustache; nothing is HTML-escaped):
+ *   {{name}}               Value from the context; dotted paths like {{conversation.uuid}} work too
+ *   {{name | filter}}      Value passed through filters: blockquote, indent, trim, upper, lower, json
+ *   {{#name}}...{{/name}}  Repeated for each item of a list, or shown once if the value is set;
+ *                          within a list, {{#first}}, {{#last}} and {{index}} describe the item
+ *   {{^name}}...{{/name}}  Shown if the value is empty, false, zero or missing
+ *   {{> part}}             Another template part, e.g. {{> message}}
+ *   {{! comment }}         Left out of the output
+ * A line holding nothing but a section, partial or comment tag is dropped entirely, newline included.
+ */
+
+// Import required Node.js modules
+const fs = require('fs');           // File system operations (reading and writing template files)
+const path = require('path');       // Path manipulation utilities for cross-platform file paths
+const crypto = require('crypto');   // Fingerprint of custom templates, so sync notices template changes
+const { EXIT_CODES, UsageError, parseArguments, formatOptionLines } = require('./command_line');
+
+// ===== CONFIGURATION SECTION =====
+
+const DEFAULT_TEMPLATE_DIR = 'templates';   // Where the templates command writes by default
+const TEMPLATE_EXTENSION = '.md';
+const MAX_PARTIAL_DEPTH = 20;               // Stops a part that includes itself from looping forever
+
+// The parts of a template set, in the order they are documented
+const TEMPLATE_PARTS = ['document', 'message', 'attachments', 'artifact'];
+
+// The converter's standard layout. Changing these changes every converted file.
+const BUILT_IN_TEMPLATES = {
+    document: [
+        '{{#front_matter}}',
+        '{{front_matter}}',
+        '',
+        '{{/front_matter}}',
+        '{{^front_matter}}',
+        'Title: {{heading}}',
+        '{{#metadata}}',
+        '{{label}}: {{#quoted}}"{{value}}"{{/quoted}}{{^quoted}}{{value}}{{/quoted}}',
+        '{{/metadata}}',
+        '',
+        '---',
+        '',
+        '{{/front_matter}}',
+        '{{#messages}}',
+        '{{> message}}',
+        '{{/messages}}',
+        '{{^messages}}',
+        '*No messages found in this conversation.*',
+        '',
+        '{{/messages}}',
+        '{{#final_artifacts}}',
+        '{{final_artifacts}}',
+        '',
+        '{{/final_artifacts}}',
+        '{{#branches}}',
+        '---',
+        '',
+        '# 🌿 {{heading}}',
+        '',
+        '*{{note}}*',
+        '',
+        '{{#messages}}',
+        '{{> message}}',
+        '{{/messages}}',
+        '{{/branches}}',
+        '{{#branch_links.length}}',
+        '# 🌿 Alternate Branches',
+        '',
+        '{{#branch_links}}',
+        '- [{{label}}]({{href}})',
+        '{{/branch_links}}',
+        '',
+        '{{/branch_links.length}}',
+        '---',
+        '',
+        '**End of Conversation**',
+        '',
+        '*This conversation was exported from Claude.ai and converted to Markdown for archival purposes. ' +
+            'Time zones reflect the system settings where this archive was created and may differ from ' +
+            'where the original conversation occurred. Refer to UTC times for precision.*',
+        '',
+        '{{#attachment_count}}',
+        '*Note: This conversation includes {{attachment_count}} attachment(s) in the companion folder. ' +
+            'Keep the markdown file and attachment folder together when moving or sharing this archive.*',
+        '{{/attachment_count}}',
+        '{{#artifact_count}}',
+        '*Note: This conversation includes {{artifact_count}} artifact file(s) in the companion folder. ' +
+            'Keep the markdown file and artifact folder together when moving or sharing this archive.*',
+        '{{/artifact_count}}',
+        ''
+    ].join('\n'),
+
+    message: [
+        '# {{sender_icon}} {{sender_name}} [^{{footnote}}]',
+        '',
+        '{{body}}',
+        '',
+        '{{> attachments}}',
+        '[^{{footnote}}]: *{{timestamp}}, {{label}}*',
+        '',
+        ''
+    ].join('\n'),
+
+    attachments: [
+        '{{#attachments.length}}',
+        '**Attachments:**',
+        '{{#attachments}}',
+        '- [{{name}}]({{path}}) {{size}}',
+        '{{/attachments}}',
+        '',
+        '{{/attachments.length}}',
+        ''
+    ].join('\n'),
+
+    artifact: [
+        '{{#error}}',
+        '',
+        '**{{title}}** *(update could not be applied: {{error}})*',
+        '',
+        '```diff',
+        '{{removed}}',
+        '{{added}}',
+        '```',
+        '{{/error}}',
+        '{{^error}}',
+        '',
+        '**{{title}}**{{#version_label}} ({{version_label}}){{/version_label}}',
+        '',
+        '{{#file_name}}',
+        '📄 Artifact: [{{file_name}}]({{path}}) {{size}}',
+        '{{/file_name}}',
+        '{{^file_name}}',
+        '```{{language}}',
+        '{{content}}',
+        '```',
+        '{{/file_name}}',
+        '{{/error}}',
+        ''
+    ].join('\n')
+};
+
+// Filters for {{value | filter}}; each gets the value and returns the text to insert
+const TEMPLATE_FILTERS = {
+    // Every line as a Markdown blockquote line
+    blockquote: value => String(value).split('\n').map(line => line ? `> ${line}` : '>').join('\n'),
+    // Every non-empty line indented by four spaces
+    indent: value => String(value).split('\n').map(line => line ? `    ${line}` : line).join('\n'),
+    trim: value => String(value).trim(),
+    upper: value => String(value).toUpperCase(),
+    lower: value => String(value).toLowerCase(),
+    json: value => JSON.stringify(value === undefined ? null : value, null, 2)
+};
+
+// Command-line options of the templates command
+const TEMPLATES_OPTION_DEFINITIONS = [
+    { name: 'yes', flags: ['-y', '--yes', '--force'], description: 'Overwrite template files that already exist' },
+    { name: 'quiet', flags: ['-q', '--quiet'], description: 'Only print warnings and errors' },
+    { name: 'help', flags: ['-h', '--help'], description: 'Show this help and exit' }
+];
+
+// ===== PARSING FUNCTIONS =====
+
+/**
+ * Parses template text into a tree of text, value, section and partial nodes
+ * Tags cannot span lines. A line whose only tag is a section, partial or comment tag, with
+ * nothing but whitespace around it, is "standalone" and leaves no trace in the output.
+ *
+ * @param {string} source - Template text
+ * @param {string} name - Template name for error messages, e.g. "message.md"
+ * @returns {Array} - Nodes: { type: 'text', text }, { type: 'value', name, filters },
+ *                    { type: 'section' or 'inverted', name, children }, { type: 'partial', name, indent }
+ */
+function parseTemplate(source, name) {
+    const root = [];
+    const open = [];   // Sections not yet closed, innermost last
+    let nodes = root;
+    const fail = (lineNumber, message) => {
+        throw new UsageError(`Template ${name}, line ${lineNumber}: ${message}`);
+    };
+
+    const lines = source.replace(/\r\n?/g, '\n').match(/[^\n]*\n|[^\n]+$/g) || [];
+    lines.forEach((line, index) => {
+        const lineNumber = index + 1;
+        const tagPattern = /\{\{([\s\S]*?)\}\}/g;
+        const tags = [];
+        let match;
+        while ((match = tagPattern.exec(line)) !== null) {
+            const inner = match[1].trim();
+            const sigil = /^[#^/>!]/.test(inner) ? inner[0] : '';
+            tags.push({ start: match.index, end: tagPattern.lastIndex, sigil: sigil, body: inner.slice(sigil.length).trim() });
+        }
+        if (line.slice(tags.length > 0 ? tags[tags.length - 1].end : 0).includes('{{')) {
+            fail(lineNumber, 'tag is not closed with "}}" on the same line');
+        }
+
+        const standalone = tags.length === 1 && tags[0].sigil !== '' &&
+            line.slice(0, tags[0].start).trim() === '' && line.slice(tags[0].end).trim() === '';
+        let position = 0;
+        tags.forEach(tag => {
+            if (!standalone && tag.start > position) nodes.push({ type: 'text', text: line.slice(position, tag.start) });
+            position = tag.end;
+
+            if (tag.sigil === '!') return;
+            if (tag.body === '') fail(lineNumber, 'tag has no name');
+
+            if (tag.sigil === '#' || tag.sigil === '^') {
+                const section = { type: tag.sigil === '#' ? 'section' : 'inverted', name: tag.body, children: [], line: lineNumber };
+                nodes.push(section);
+                open.push({ section: section, parent: nodes });
+                nodes = section.children;
+            } else if (tag.sigil === '/') {
+                const current = open.pop();
+                if (!current) fail(lineNumber, `{{/${tag.body}}} closes a section that was never opened`);
+                if (current.section.name !== tag.body) {
+                    fail(lineNumber, `{{/${tag.body}}} closes {{#${current.section.name}}} from line ${current.section.line}`);
+                }
+                nodes = current.parent;
+            } else if (tag.sigil === '>') {
+                nodes.push({ type: 'partial', name: tag.body, indent: standalone ? line.slice(0, tag.start) : '' });
+            } else {
+                const [valueName, ...filters] = tag.body.split('|').map(part => part.trim());
+                filters.forEach(filter => {
+                    if (!TEMPLATE_FILTERS[filter]) {
+                        fail(lineNumber, `unknown filter "${filter}" (available: ${Object.keys(TEMPLATE_FILTERS).join(', ')})`);
+                    }
+                });
+                nodes.push({ type: 'value', name: valueName, filters: filters });
+            }
+        });
+        if (!standalone && position < line.length) nodes.push({ type: 'text', text: line.slice(position) });
+    });
+
+    if (open.length > 0) {
+        const unclosed = open[open.length - 1].section;
+        fail(unclosed.line, `{{#${unclosed.name}}} is never closed`);
+    }
+    return root;
+}
+
+/**
+ * Lists the parts a template includes with {{> part}}, at any depth
+ *
+ * @param {Array} nodes - Parsed template
+ * @param {Set} names - Collects the part names
+ * @returns {Set} - The part names
+ */
+function collectPartials(nodes, names = new Set()) {
+    nodes.forEach(node => {
+        if (node.type === 'partial') names.add(node.name);
+        if (node.children) collectPartials(node.children, names);
+    });
+    return names;
+}
+
+// ===== RENDERING FUNCTIONS =====
+
+/**
+ * Looks up a name in the context stack, innermost context first
+ * Only the first segment of a dotted path is searched for; the rest is followed from there.
+ *
+ * @param {Array} stack - Contexts, outermost first
+ * @param {string} name - Name like "body", "conversation.uuid" or "." (the current item)
+ * @returns {*} - The value, or undefined if not found
+ */
+function lookupValue(stack, name) {
+    if (name === '.') return stack[stack.length - 1];
+
+    const segments = name.split('.');
+    for (let index = stack.length - 1; index >= 0; index--) {
+        const context = stack[index];
+        if (context !== null && typeof context === 'object' && segments[0] in context) {
+            return segments.slice(1).reduce((value, segment) => value === null || value === undefined ? undefined : value[segment],
+                context[segments[0]]);
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Decides whether a section is shown; empty lists, empty text and zero count as empty
+ *
+ * @param {*} value - Looked-up value
+ * @returns {boolean} - true if the value counts as set
+ */
+function isPresent(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== undefined && value !== null && value !== false && value !== '' && value !== 0;
+}
+
+/**
+ * Renders parsed template nodes
+ *
+ * @param {Array} nodes - Parsed template
+ * @param {Array} stack - Contexts, outermost first
+ * @param {Object} parts - Parsed template parts by name, for {{> part}}
+ * @param {number} depth - How many partials deep this is
+ * @returns {string} - Rendered text
+ */
+function renderNodes(nodes, stack, parts, depth) {
+    let output = '';
+
+    nodes.forEach(node => {
+        if (node.type === 'text') {
+            output += node.text;
+        } else if (node.type === 'value') {
+            const value = lookupValue(stack, node.name);
+            const filtered = node.filters.reduce((result, filter) => TEMPLATE_FILTERS[filter](result), value);
+            if (filtered !== undefined && filtered !== null) output += String(filtered);
+        } else if (node.type === 'section') {
+            const value = lookupValue(stack, node.name);
+            if (!isPresent(value)) return;
+            // Lists repeat the section for each item, with first/last flags for separators
+            const items = Array.isArray(value)
+                ? value.map((item, index) => [item, { first: index === 0, last: index === value.length - 1, index: index + 1 }])
+                : [[value]];
+            items.forEach(contexts => {
+                output += renderNodes(node.children, stack.concat(contexts.reverse()), parts, depth);
+            });
+        } else if (node.type === 'inverted') {
+            if (!isPresent(lookupValue(stack, node.name))) output += renderNodes(node.children, stack, parts, depth);
+        } else if (node.type === 'partial') {
+            if (depth >= MAX_PARTIAL_DEPTH) {
+                throw new Error(`Template part "${node.name}" includes itself too many times`);
+            }
+            const rendered = renderNodes(parts[node.name], stack, parts, depth + 1);
+            output += node.indent ? rendered.replace(/^(?=[^\n])/gm, node.indent) : rendered;
+        }
+    });
+
+    return output;
+}
+
+// ===== TEMPLATE SET FUNCTIONS =====
+
+/**
+ * Creates a template set from the built-in templates and any replacements
+ *
+ * @param {Object} sources - Part name => template text for the parts to replace (default: none)
+ * @param {string} origin - Where the replacements come from, for error messages
+ * @returns {Object} - { custom, fingerprint, render(part, context) } where custom lists the replaced
+ *                     parts and fingerprint identifies them (null for the built-in templates)
+ */
+function createTemplateSet(sources = {}, origin = '') {
+    const parts = {};
+    TEMPLATE_PARTS.forEach(part => {
+        const source = sources[part] !== undefined ? sources[part] : BUILT_IN_TEMPLATES[part];
+        parts[part] = parseTemplate(source, sources[part] !== undefined ? path.join(origin, `${part}${TEMPLATE_EXTENSION}`) : `${part} (built-in)`);
+    });
+
+    TEMPLATE_PARTS.forEach(part => {
+        collectPartials(parts[part]).forEach(name => {
+            if (!parts[name]) {
+                throw new UsageError(`Template ${part}${TEMPLATE_EXTENSION} includes unknown part "{{> ${name}}}" ` +
+                    `(parts: ${TEMPLATE_PARTS.join(', ')})`);
+            }
+        });
+    });
+
+    const custom = TEMPLATE_PARTS.filter(part => sources[part] !== undefined);
+    const hash = crypto.createHash('sha256');
+    custom.forEach(part => hash.update(`${part}\0${sources[part]}\0`));
+
+    return {
+        custom: custom,
+        fingerprint: custom.length > 0 ? hash.digest('hex').slice(0, 16) : null,
+
+        render(part, context) {
+            return renderNodes(parts[part], [context], parts, 0);
+        }
+    };
+}
+
+/**
+ * Reads a directory of template files (document.md, message.md, attachments.md, artifact.md)
+ * Parts without a file keep the built-in template.
+ *
+ * @param {string} dir - Template directory given with --template
+ * @returns {Object} - Template set from createTemplateSet()
+ */
+function loadTemplateSet(dir) {
+    let entries;
+    try {
+        entries = fs.readdirSync(dir);
+    } catch (error) {
+        throw new UsageError(`--template: cannot read directory "${dir}" (${error.code || error.message})`);
+    }
+
+    const expected = TEMPLATE_PARTS.map(part => `${part}${TEMPLATE_EXTENSION}`);
+    const unknown = entries.filter(entry => entry.endsWith(TEMPLATE_EXTENSION) && !expected.includes(entry));
+    if (unknown.length > 0) {
+        throw new UsageError(`--template: unknown template file(s) ${unknown.join(', ')} in "${dir}" ` +
+            `(expected ${expected.join(', ')})`);
+    }
+
+    const sources = {};
+    TEMPLATE_PARTS.forEach(part => {
+        if (entries.includes(`${part}${TEMPLATE_EXTENSION}`)) {
+            sources[part] = fs.readFileSync(path.join(dir, `${part}${TEMPLATE_EXTENSION}`), 'utf8');
+        }
+    });
+    if (Object.keys(sources).length === 0) {
+        throw new UsageError(`--template: "${dir}" contains none of ${expected.join(', ')}`);
+    }
+
+    return createTemplateSet(sources, dir);
+}
+
+// ===== COMMAND FUNCTIONS =====
+
+/**
+ * Builds the help text of the templates command
+ *
+ * @returns {string} - Usage and options
+ */
+function formatTemplatesHelp() {
+    return [
+        'Write the built-in output templates to a directory, to adapt and use with --template',
+        '',
+        `Usage: node convert_conversations.js templates [options] [dir]   (default dir: ${DEFAULT_TEMPLATE_DIR})`,
+        '',
+        'Options:',
+        ...formatOptionLines(TEMPLATES_OPTION_DEFINITIONS),
+        '',
+        'Files written:',
+        '  document.md      The whole file: header, messages, final artifact versions, branches and footer',
+        '  message.md       One message with its heading, body, attachments and timestamp footnote',
+        '  attachments.md   The attachment list of a message',
+        '  artifact.md      One artifact in a message, inline or linked to its file',
+        '',
+        'Delete the files you do not want to change; those parts keep the built-in layout.',
+        '',
+        'Example:',
+        '  node convert_conversations.js templates my_layout',
+        '  node convert_conversations.js export.zip --template my_layout'
+    ].join('\n');
+}
+
+/**
+ * Runs the templates command
+ *
+ * @param {Array} argv - Arguments after the command name
+ * @returns {Promise<number>} - Exit code
+ */
+async function runCommand(argv) {
+    const { options, positionals } = parseArguments(argv, TEMPLATES_OPTION_DEFINITIONS);
+    if (options.help) {
+        console.log(formatTemplatesHelp());
+        return EXIT_CODES.SUCCESS;
+    }
+    if (positionals.length > 1) {
+        throw new UsageError(`Expected at most one directory, got: ${positionals.join(' ')}`);
+    }
+
+    const dir = positionals[0] || DEFAULT_TEMPLATE_DIR;
+    const files = TEMPLATE_PARTS.map(part => path.join(dir, `${part}${TEMPLATE_EXTENSION}`));
+    const existing = files.filter(file => fs.existsSync(file));
+    if (existing.length > 0 && !options.yes) {
+        console.error(`${existing.join(', ')} already exist${existing.length === 1 ? 's' : ''}. Re-run with --yes to overwrite.`);
+        return EXIT_CODES.CANCELLED;
+    }
+
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        TEMPLATE_PARTS.forEach((part, index) => {
+            fs.writeFileSync(files[index], BUILT_IN_TEMPLATES[part], 'utf8');
+        });
+    } catch (error) {
+        console.error('Fatal error:', error.message);
+        return EXIT_CODES.ERROR;
+    }
+
+    if (!options.quiet) {
+        console.log(`✓ Wrote ${TEMPLATE_PARTS.length} templates to ${dir}`);
+        console.log(`  Use them with: node convert_conversations.js --template ${dir}`);
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+module.exports = {
+    TEMPLATE_PARTS,
+    BUILT_IN_TEMPLATES,
+    createTemplateSet,
+    loadTemplateSet,
+    runCommand
+};
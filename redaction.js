@@ -0,0 +1,381 @@
+/**
+ * Claude Conversation Redaction
+ *
+ * DESCRIPTION: Masks secrets and personal data in conversations before anything is written: API keys,
+ *              email addresses, phone numbers, IP addresses and credit card numbers, plus custom patterns
+ *              from a rules file. Titles and summaries, message text, thinking, artifact content, tool calls
+ *              and results, and the extracted text of attachments are covered. Every replacement is counted by rule and place
+ *              for the redaction report, which never contains the values themselves.
+ * AUTHOR: EJ Makela
+ * ORIGINAL CREATION DATE: 2026-10-19
+ */
+
+// Import required Node.js modules
+const fs = require('fs');           // File system operations (rules file, report)
+const path = require('path');       // Path manipulation utilities for cross-platform file paths
+const crypto = require('crypto');   // Keyed hashes for the "hash" replacement style
+const { UsageError } = require('./command_line');
+
+const REDACTION_REPORT_FILE = 'redaction_report.json';   // Written into the output directory
+
+// How a match is replaced:
+//   label - [REDACTED:email]
+//   mask  - the same number of * characters
+//   hash  - [email:1a2b3c4d], the same for every occurrence of a value, so they can still be told apart
+const REDACTION_STYLES = ['label', 'mask', 'hash'];
+
+/**
+ * Checks a card number with the Luhn checksum, to skip long numbers that are not card numbers
+ *
+ * @param {string} digits - Digits only
+ * @returns {boolean} - true if the checksum is valid
+ */
+function passesLuhnCheck(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// Built-in detectors, applied in this order (after any custom rules). Each has a pattern and may
+// have an accept() check that rejects look-alikes.
+const BUILT_IN_DETECTORS = {
+    private_key: {
+        pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g
+    },
+    api_key: {
+        // Anthropic, OpenAI, AWS, GitHub, GitLab, Slack, Google, Stripe keys and JSON Web Tokens
+        pattern: new RegExp([
+            'sk-ant-[A-Za-z0-9_-]{20,}',
+            'sk-(?:proj-)?[A-Za-z0-9_-]{20,}',
+            'AKIA[0-9A-Z]{16}',
+            'gh[pousr]_[A-Za-z0-9]{36,}',
+            'github_pat_[A-Za-z0-9_]{22,}',
+            'glpat-[A-Za-z0-9_-]{20,}',
+            'xox[abposr]-[A-Za-z0-9-]{10,}',
+            'AIza[0-9A-Za-z_-]{35}',
+            '(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}',
+            'eyJ[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}'
+        ].map(alternative => `(?<![A-Za-z0-9_-])${alternative}`).join('|'), 'g')
+    },
+    email: {
+        pattern: /(?<![\w.%+-])[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g
+    },
+    credit_card: {
+        pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+        accept: match => passesLuhnCheck(match.replace(/\D/g, ''))
+    },
+    phone: {
+        // International or grouped numbers such as +358 40 123 4567, (555) 123-4567, 555-123-4567
+        pattern: /(?<![\w+-]|\d[ .])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?|\d{2,4}[ .-])\d{2,4}[ .-]\d{3,4}(?![\w-]|[ .]\d)/g,
+        accept: match => match.replace(/\D/g, '').length >= 7
+    },
+    ip_address: {
+        // IPv4, and IPv6 written in full or with "::"
+        pattern: /(?<![\w.])(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?![\w.])|(?<![\w:])(?:(?:[0-9A-Fa-f]{1,4}:){7}[0-9A-Fa-f]{1,4}|(?:[0-9A-Fa-f]{1,4}:){1,6}(?::[0-9A-Fa-f]{1,4}){1,6}|(?:[0-9A-Fa-f]{1,4}:){1,7}:|::(?:[0-9A-Fa-f]{1,4}:){0,5}[0-9A-Fa-f]{1,4})(?![\w:])/g,
+        // Short forms like "a::b" are far more often code (C++ scopes, Ruby constants) than addresses
+        accept: match => match.includes('.') || match.split(':').filter(group => group !== '').length >= 3
+    }
+};
+
+// Fields of content blocks that describe the block rather than hold text, left as they are
+const STRUCTURAL_FIELDS = new Set([
+    'type', 'id', 'uuid', 'name', 'command', 'language', 'version_uuid', 'tool_use_id',
+    'start_timestamp', 'stop_timestamp', 'created_at', 'updated_at', 'is_error', 'media_type'
+]);
+
+// ===== RULES FUNCTIONS =====
+
+/**
+ * Reads and checks a redaction rules file
+ *
+ * The file is JSON:
+ *   {
+ *     "style": "label",                          (optional: default replacement style)
+ *     "detectors": ["email", "api_key"],         (optional: built-in detectors to use; default all)
+ *     "hash_key": "any secret text",             (optional: keeps "hash" replacements the same across runs)
+ *     "rules": [
+ *       { "name": "internal_host", "pattern": "\\b[\\w-]+\\.corp\\.example\\.com\\b", "flags": "i", "style": "hash" },
+ *       { "name": "codename", "pattern": "Project Falcon", "replacement": "Project X" }
+ *     ]
+ *   }
+ *
+ * @param {string} rulesFile - Path of the rules file
+ * @returns {Object} - { style, detectors, hashKey, rules: [{ name, pattern, style, replacement }] }
+ */
+function loadRedactionRules(rulesFile) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+    } catch (error) {
+        throw new UsageError(`--redact-rules: cannot read "${rulesFile}" (${error.code || error.message})`);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new UsageError(`--redact-rules: "${rulesFile}" must contain a JSON object`);
+    }
+
+    const problem = message => new UsageError(`--redact-rules: ${rulesFile}: ${message}`);
+
+    if (config.style !== undefined && !REDACTION_STYLES.includes(config.style)) {
+        throw problem(`"style" must be "label", "mask" or "hash", got "${config.style}"`);
+    }
+    if (config.detectors !== undefined) {
+        if (!Array.isArray(config.detectors)) throw problem('"detectors" must be a list of detector names');
+        const unknown = config.detectors.filter(name => !BUILT_IN_DETECTORS[name]);
+        if (unknown.length > 0) {
+            throw problem(`unknown detector "${unknown[0]}" (choose from ${Object.keys(BUILT_IN_DETECTORS).join(', ')})`);
+        }
+    }
+    if (config.rules !== undefined && !Array.isArray(config.rules)) {
+        throw problem('"rules" must be a list');
+    }
+
+    const rules = (config.rules || []).map((rule, index) => {
+        const label = rule && rule.name ? `rule "${rule.name}"` : `rule ${index + 1}`;
+        if (!rule || typeof rule.name !== 'string' || !/^[\w-]+$/.test(rule.name)) {
+            throw problem(`${label} needs a "name" made of letters, digits, _ and -`);
+        }
+        if (BUILT_IN_DETECTORS[rule.name]) {
+            throw problem(`${label} has the same name as a built-in detector`);
+        }
+        if (typeof rule.pattern !== 'string' || rule.pattern === '') {
+            throw problem(`${label} needs a "pattern" (a regular expression)`);
+        }
+        if (rule.style !== undefined && !REDACTION_STYLES.includes(rule.style)) {
+            throw problem(`${label}: "style" must be "label", "mask" or "hash", got "${rule.style}"`);
+        }
+        if (rule.replacement !== undefined && typeof rule.replacement !== 'string') {
+            throw problem(`${label}: "replacement" must be text`);
+        }
+
+        let pattern;
+        try {
+            // Always global, so every occurrence is replaced
+            pattern = new RegExp(rule.pattern, `${(rule.flags || '').replace(/g/g, '')}g`);
+        } catch (error) {
+            throw problem(`${label} has an invalid pattern: ${error.message}`);
+        }
+        return { name: rule.name, pattern: pattern, style: rule.style || null, replacement: rule.replacement };
+    });
+
+    return {
+        style: config.style || null,
+        detectors: config.detectors || null,
+        hashKey: typeof config.hash_key === 'string' ? config.hash_key : null,
+        rules: rules
+    };
+}
+
+// ===== REDACTION FUNCTIONS =====
+
+/**
+ * Creates a redactor for one run
+ * Custom rules run first, so that they can claim text a built-in detector would also match.
+ *
+ * @param {Object} options - { rulesFile (optional), style (optional, default "label"),
+ *                           requireHashKey (optional: "hash" replacements need the rules file's hash_key) }
+ * @returns {Object} - { rules, redactConversation(conversation) }
+ */
+function createRedactor(options) {
+    const config = options.rulesFile
+        ? loadRedactionRules(options.rulesFile)
+        : { style: null, detectors: null, hashKey: null, rules: [] };
+    const defaultStyle = options.style || config.style || 'label';
+
+    // Without a configured key, hashes are only comparable within this run
+    const hashKey = config.hashKey || crypto.randomBytes(16).toString('hex');
+
+    const rules = config.rules.map(rule => Object.assign({ source: 'rules file' }, rule, { style: rule.style || defaultStyle }))
+        .concat(Object.keys(BUILT_IN_DETECTORS)
+            .filter(name => !config.detectors || config.detectors.includes(name))
+            .map(name => ({
+                name: name,
+                source: 'built-in',
+                pattern: BUILT_IN_DETECTORS[name].pattern,
+                accept: BUILT_IN_DETECTORS[name].accept || null,
+                style: defaultStyle,
+                replacement: undefined
+            })));
+
+    // Sync compares the redacted copy with the last run, so a random key would rewrite every
+    // conversation with a hashed value on each run (and change the hashes in the archive)
+    if (options.requireHashKey && !config.hashKey &&
+        rules.some(rule => rule.style === 'hash' && rule.replacement === undefined)) {
+        throw new UsageError('"hash" redaction with --sync needs a "hash_key" in the --redact-rules file, ' +
+            'so the hashes stay the same from run to run');
+    }
+
+    /**
+     * Builds the replacement for one match
+     *
+     * @param {Object} rule - The rule that matched
+     * @param {string} value - The matched text
+     * @returns {string} - Replacement text
+     */
+    const replace = (rule, value) => {
+        if (rule.replacement !== undefined) return rule.replacement;
+        if (rule.style === 'mask') return '*'.repeat(Array.from(value).length);
+        if (rule.style === 'hash') {
+            return `[${rule.name}:${crypto.createHmac('sha256', hashKey).update(value).digest('hex').slice(0, 8)}]`;
+        }
+        return `[REDACTED:${rule.name}]`;
+    };
+
+    /**
+     * Redacts a copy of a conversation
+     *
+     * @param {Object} conversation - Conversation from the export (not modified)
+     * @returns {Object} - { conversation: redacted copy, findings: [{ rule, location, count }] }
+     */
+    const redactConversation = (conversation) => {
+        const copy = JSON.parse(JSON.stringify(conversation));
+        const counts = new Map();   // "location\u0000rule" => count
+
+        const redactText = (text, location) => {
+            let result = text;
+            rules.forEach(rule => {
+                rule.pattern.lastIndex = 0;
+                result = result.replace(rule.pattern, match => {
+                    if (match === '' || (rule.accept && !rule.accept(match))) return match;
+                    const key = `${location}\u0000${rule.name}`;
+                    counts.set(key, (counts.get(key) || 0) + 1);
+                    return replace(rule, match);
+                });
+            });
+            return result;
+        };
+
+        // Redacts every text field of a content block (nested tool inputs and results included)
+        const redactFields = (value, location) => {
+            if (typeof value === 'string') return redactText(value, location);
+            if (Array.isArray(value)) return value.map(item => redactFields(item, location));
+            if (!value || typeof value !== 'object') return value;
+            Object.keys(value).forEach(key => {
+                if (!STRUCTURAL_FIELDS.has(key)) value[key] = redactFields(value[key], location);
+            });
+            return value;
+        };
+
+        // The title also ends up in the filename, front matter, archive index and site index
+        if (typeof copy.name === 'string') copy.name = redactText(copy.name, 'title');
+        if (typeof copy.summary === 'string') copy.summary = redactText(copy.summary, 'summary');
+
+        (copy.chat_messages || []).forEach((message, index) => {
+            const where = `message ${index + 1} (${message.sender || 'unknown'})`;
+
+            if (typeof message.text === 'string') {
+                message.text = redactText(message.text, `${where}, text`);
+            }
+            (Array.isArray(message.content) ? message.content : []).forEach(block => {
+                if (!block || typeof block !== 'object') return;
+                redactFields(block, `${where}, ${describeBlock(block)}`);
+            });
+            (message.attachments || []).forEach(attachment => {
+                if (attachment && typeof attachment.extracted_content === 'string') {
+                    attachment.extracted_content = redactText(attachment.extracted_content,
+                        `${where}, attachment "${attachment.file_name || 'unnamed'}"`);
+                }
+            });
+        });
+
+        const findings = Array.from(counts.entries()).map(([key, count]) => {
+            const [location, rule] = key.split('\u0000');
+            return { rule: rule, location: location, count: count };
+        });
+        return { conversation: copy, findings: findings };
+    };
+
+    return { rules: rules, redactConversation: redactConversation };
+}
+
+/**
+ * Names a content block for the report, e.g. 'artifact "Folder script"' or "tool call web_search"
+ *
+ * @param {Object} block - Content block of a message
+ * @returns {string} - Description of where in the message the block is
+ */
+function describeBlock(block) {
+    if (block.type === 'tool_use' && block.name === 'artifacts') {
+        return `artifact "${(block.input && (block.input.title || block.input.id)) || 'untitled'}"`;
+    }
+    if (block.type === 'tool_use') return `tool call ${block.name || 'unknown'}`;
+    if (block.type === 'tool_result') return `tool result ${block.name || 'unknown'}`;
+    if (block.type === 'thinking') return 'thinking';
+    return block.type === 'text' ? 'text' : `${block.type || 'unknown'} block`;
+}
+
+// ===== REPORT FUNCTIONS =====
+
+/**
+ * Creates an empty redaction report for a run
+ *
+ * @param {Object} redactor - Redactor from createRedactor()
+ * @param {string} source - Input file of the run
+ * @returns {Object} - Report: { version, generated, source, rules, totals, conversations }
+ */
+function createRedactionReport(redactor, source) {
+    return {
+        version: 1,
+        generated: new Date().toISOString(),
+        source: source,
+        rules: redactor.rules.map(rule => ({
+            name: rule.name,
+            source: rule.source,
+            style: rule.replacement !== undefined ? 'replacement' : rule.style
+        })),
+        totals: {},
+        conversations: []
+    };
+}
+
+/**
+ * Adds one conversation's findings to the report (conversations without findings are not listed)
+ *
+ * @param {Object} report - Report from createRedactionReport() (modified in place)
+ * @param {Object} conversation - The redacted copy from redactConversation() (for its UUID and title,
+ *                                so the report never repeats a secret found in the title)
+ * @param {string} filename - File the conversation was written to
+ * @param {Array} findings - Findings from redactConversation()
+ */
+function recordRedactions(report, conversation, filename, findings) {
+    if (findings.length === 0) return;
+
+    findings.forEach(finding => {
+        report.totals[finding.rule] = (report.totals[finding.rule] || 0) + finding.count;
+    });
+    report.conversations.push({
+        uuid: conversation.uuid || null,
+        title: conversation.name || null,
+        filename: filename,
+        redactions: findings
+    });
+}
+
+/**
+ * Writes the redaction report into the output directory
+ *
+ * @param {string} outputDir - Output directory
+ * @param {Object} report - Report to save
+ * @returns {string} - Path of the report
+ */
+function saveRedactionReport(outputDir, report) {
+    const reportPath = path.join(outputDir, REDACTION_REPORT_FILE);
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf8');
+    return reportPath;
+}
+
+module.exports = {
+    REDACTION_STYLES,
+    BUILT_IN_DETECTORS,
+    loadRedactionRules,
+    createRedactor,
+    createRedactionReport,
+    recordRedactions,
+    saveRedactionReport
+};
@@ -0,0 +1,566 @@
+/**
+ * Claude Export Schema Tracking
+ *
+ * DESCRIPTION: Infers the structure of an export: every field path with its value types, how often it
+ *              appears, and the variants of typed blocks such as message content. Each converter run
+ *              compares the structure with the latest snapshot in the schema history and saves a new
+ *              version when it changed. Also the "schema" command, which lists the history and shows
+ *              the differences between any two versions.
+ * AUTHOR: EJ Makela
+ * ORIGINAL CREATION DATE: 2026-10-19
+ *
+ * Usage: node convert_conversations.js schema [options] [list | show <version> | diff [<old> [<new>]]]
+ *
+ * Field paths are dotted and step through lists, so "chat_messages.content.type" is the type of every
+ * content block of every message.
+ */
+
+// Import required Node.js modules
+const fs = require('fs');           // File system operations (reading and writing snapshots)
+const path = require('path');       // Path manipulation utilities for cross-platform file paths
+const { EXIT_CODES, UsageError, parseArguments, formatOptionLines } = require('./command_line');
+
+// ===== CONFIGURATION SECTION =====
+
+const DEFAULT_SCHEMA_HISTORY_DIR = 'claude_schema_history';   // Same default as the converter
+const LEGACY_SCHEMA_FILE = 'claude_schema.json';             // Single schema kept by earlier versions
+const SCHEMA_FORMAT = 2;                                      // Layout of the snapshot files
+const SNAPSHOT_PATTERN = /^schema_v(\d+)_.*\.json$/;
+
+// Strings that all look alike get a format, so a date turning into free text is noticed
+const STRING_FORMATS = {
+    'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})$/,
+    uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+};
+
+// Command-line options of the schema command
+const SCHEMA_OPTION_DEFINITIONS = [
+    { name: 'history', flags: ['--history'], value: 'dir', description: `Schema history directory (default: ${DEFAULT_SCHEMA_HISTORY_DIR})` },
+    { name: 'json', flags: ['--json'], description: 'Print the result as JSON' },
+    { name: 'help', flags: ['-h', '--help'], description: 'Show this help and exit' }
+];
+
+// ===== INFERENCE FUNCTIONS =====
+
+/**
+ * Names the type of a JSON value
+ *
+ * @param {*} value - Any parsed JSON value
+ * @returns {string} - 'string', 'number', 'boolean', 'null', 'object' or 'array'
+ */
+function getValueType(value) {
+    if (value === null || value === undefined) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Adds one to a counter in a plain object
+ *
+ * @param {Object} counts - Name => count
+ * @param {string} name - Counter to increase
+ */
+function increment(counts, name) {
+    counts[name] = (counts[name] || 0) + 1;
+}
+
+/**
+ * Creates a collector that infers the schema of conversations added one at a time
+ * Only counters are kept, so memory use doesn't grow with the export (streaming mode relies on this).
+ * Every element of every list is looked at, so fields that only appear in later messages or
+ * content blocks are found too.
+ *
+ * @returns {Object} - { add(conversation), finish() } where finish() returns the snapshot
+ */
+function createSchemaCollector() {
+    const fields = new Map();     // Field path => { count, types, itemTypes, formats, strings }
+    const objects = new Map();    // Path => objects seen there ('' for the conversations themselves)
+    const variants = new Map();   // List path => block type => { count, fields: key => count }
+    let conversationCount = 0;
+
+    function getField(fieldPath) {
+        if (!fields.has(fieldPath)) {
+            fields.set(fieldPath, { count: 0, types: {}, itemTypes: {}, formats: {}, strings: 0 });
+        }
+        return fields.get(fieldPath);
+    }
+
+    function visitObject(object, objectPath) {
+        objects.set(objectPath, (objects.get(objectPath) || 0) + 1);
+        Object.keys(object).forEach(key => {
+            recordValue(object[key], objectPath ? `${objectPath}.${key}` : key);
+        });
+    }
+
+    function recordValue(value, fieldPath) {
+        const field = getField(fieldPath);
+        const type = getValueType(value);
+        field.count++;
+        increment(field.types, type);
+
+        if (type === 'string') {
+            field.strings++;
+            Object.keys(STRING_FORMATS).forEach(format => {
+                if (STRING_FORMATS[format].test(value)) increment(field.formats, format);
+            });
+        } else if (type === 'object') {
+            visitObject(value, fieldPath);
+        } else if (type === 'array') {
+            value.forEach(item => {
+                const itemType = getValueType(item);
+                increment(field.itemTypes, itemType);
+                if (itemType !== 'object') return;
+
+                visitObject(item, fieldPath);
+                // Blocks with a "type" are variants (text, tool_use, ...), each with its own fields
+                if (typeof item.type === 'string') {
+                    if (!variants.has(fieldPath)) variants.set(fieldPath, new Map());
+                    const byType = variants.get(fieldPath);
+                    if (!byType.has(item.type)) byType.set(item.type, { count: 0, fields: {} });
+                    const variant = byType.get(item.type);
+                    variant.count++;
+                    Object.keys(item).forEach(key => increment(variant.fields, key));
+                }
+            });
+        }
+    }
+
+    return {
+        add(conversation) {
+            conversationCount++;
+            if (conversation && typeof conversation === 'object' && !Array.isArray(conversation)) {
+                visitObject(conversation, '');
+            }
+        },
+
+        finish() {
+            const snapshot = {
+                format: SCHEMA_FORMAT,
+                created: new Date().toISOString(),
+                conversations: conversationCount,
+                fields: {},
+                variants: {}
+            };
+
+            Array.from(fields.keys()).sort().forEach(fieldPath => {
+                const field = fields.get(fieldPath);
+                const parentPath = fieldPath.includes('.') ? fieldPath.slice(0, fieldPath.lastIndexOf('.')) : '';
+                const parentCount = objects.get(parentPath) || conversationCount;
+                const entry = {
+                    types: sortKeys(field.types),
+                    count: field.count,
+                    frequency: toPercent(field.count, parentCount)
+                };
+                if (Object.keys(field.itemTypes).length > 0) entry.item_types = sortKeys(field.itemTypes);
+                const formats = Object.keys(field.formats).filter(format => field.formats[format] === field.strings);
+                if (formats.length > 0) entry.format = formats[0];
+                snapshot.fields[fieldPath] = entry;
+            });
+
+            Array.from(variants.keys()).sort().forEach(listPath => {
+                const byType = variants.get(listPath);
+                snapshot.variants[listPath] = {};
+                Array.from(byType.keys()).sort().forEach(type => {
+                    const variant = byType.get(type);
+                    const variantFields = {};
+                    Object.keys(variant.fields).sort().forEach(key => {
+                        variantFields[key] = toPercent(variant.fields[key], variant.count);
+                    });
+                    snapshot.variants[listPath][type] = { count: variant.count, fields: variantFields };
+                });
+            });
+
+            return snapshot;
+        }
+    };
+}
+
+/**
+ * Turns a count into a percentage with one decimal
+ *
+ * @param {number} count - Times something was seen
+ * @param {number} total - Times it could have been seen
+ * @returns {number} - Percentage, e.g. 87.5
+ */
+function toPercent(count, total) {
+    return total > 0 ? Math.round(count / total * 1000) / 10 : 0;
+}
+
+/**
+ * Copies a plain object with its keys in sorted order, for stable snapshot files
+ *
+ * @param {Object} object - Object to copy
+ * @returns {Object} - Copy with sorted keys
+ */
+function sortKeys(object) {
+    const sorted = {};
+    Object.keys(object).sort().forEach(key => {
+        sorted[key] = object[key];
+    });
+    return sorted;
+}
+
+/**
+ * Describes the types of a field in one word, e.g. "string", "string|null" or "array<object>"
+ *
+ * @param {Object} field - Field entry of a snapshot
+ * @returns {string|null} - Type description, or null for fields from a legacy snapshot
+ */
+function describeFieldType(field) {
+    if (!field.types) return null;
+    return Object.keys(field.types).sort().map(type => {
+        if (type === 'array' && field.item_types) return `array<${Object.keys(field.item_types).sort().join('|')}>`;
+        if (type === 'string' && field.format) return `string(${field.format})`;
+        return type;
+    }).join('|');
+}
+
+// ===== HISTORY FUNCTIONS =====
+
+/**
+ * Lists the snapshots in a schema history directory, oldest first
+ *
+ * @param {string} historyDir - Schema history directory
+ * @returns {Array} - { version, file } for each snapshot; empty if the directory doesn't exist
+ */
+function listSchemaHistory(historyDir) {
+    if (!fs.existsSync(historyDir)) return [];
+    return fs.readdirSync(historyDir)
+        .map(name => {
+            const match = SNAPSHOT_PATTERN.exec(name);
+            return match ? { version: Number(match[1]), file: path.join(historyDir, name) } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Reads a snapshot file
+ *
+ * @param {string} file - Snapshot file
+ * @returns {Object} - The snapshot
+ */
+function readSchemaSnapshot(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Turns the single schema file of earlier versions into a snapshot
+ * It only has field names, collected from the first element of each list.
+ *
+ * @param {Object} legacy - Content of claude_schema.json
+ * @returns {Object} - Snapshot without types or frequencies, marked legacy
+ */
+function convertLegacySchema(legacy) {
+    const fields = {};
+    (legacy.keys || []).forEach(key => {
+        fields[key] = {};
+    });
+    return {
+        format: SCHEMA_FORMAT,
+        legacy: true,
+        created: legacy.last_updated || null,
+        conversations: legacy.total_conversations_analyzed || 0,
+        fields: fields,
+        variants: {}
+    };
+}
+
+/**
+ * Finds the latest snapshot of a schema history
+ * A history that doesn't exist yet starts from claude_schema.json of earlier versions, if there is one.
+ *
+ * @param {string} historyDir - Schema history directory
+ * @param {string} legacyFile - Schema file of earlier versions
+ * @returns {Object|null} - { version, snapshot } or null if there is nothing to compare with
+ */
+function loadLatestSchema(historyDir, legacyFile = LEGACY_SCHEMA_FILE) {
+    const history = listSchemaHistory(historyDir);
+    if (history.length > 0) {
+        const latest = history[history.length - 1];
+        return { version: latest.version, snapshot: readSchemaSnapshot(latest.file) };
+    }
+    if (legacyFile && fs.existsSync(legacyFile)) {
+        return { version: 0, snapshot: convertLegacySchema(JSON.parse(fs.readFileSync(legacyFile, 'utf8'))) };
+    }
+    return null;
+}
+
+/**
+ * Saves a snapshot as the next version of the schema history
+ *
+ * @param {string} historyDir - Schema history directory (created if needed)
+ * @param {Object} snapshot - Snapshot from createSchemaCollector().finish()
+ * @returns {Object} - { version, file }
+ */
+function saveSchemaSnapshot(historyDir, snapshot) {
+    const history = listSchemaHistory(historyDir);
+    const version = history.length > 0 ? history[history.length - 1].version + 1 : 1;
+    const stamp = snapshot.created.replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+    const file = path.join(historyDir, `schema_v${String(version).padStart(3, '0')}_${stamp}.json`);
+
+    fs.mkdirSync(historyDir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(Object.assign({ version: version }, snapshot), null, 2) + '\n', 'utf8');
+    return { version: version, file: file };
+}
+
+// ===== DIFF FUNCTIONS =====
+
+/**
+ * Compares two snapshots
+ * Frequencies always drift a little between exports, so only a field becoming optional or
+ * required is reported, not every change in its percentage.
+ *
+ * @param {Object} older - Earlier snapshot
+ * @param {Object} newer - Later snapshot
+ * @returns {Object} - { added, removed, typeChanges, optionalityChanges, addedVariants, removedVariants,
+ *                     legacy } where legacy is true if the older snapshot has no types
+ */
+function diffSchemas(older, newer) {
+    const oldFields = older.fields || {};
+    const newFields = newer.fields || {};
+    const diff = {
+        added: [],
+        removed: [],
+        typeChanges: [],
+        optionalityChanges: [],
+        addedVariants: [],
+        removedVariants: [],
+        legacy: !!(older.legacy || newer.legacy)
+    };
+
+    Object.keys(newFields).sort().forEach(fieldPath => {
+        const field = newFields[fieldPath];
+        const previous = oldFields[fieldPath];
+        if (!previous) {
+            diff.added.push({ path: fieldPath, type: describeFieldType(field), frequency: field.frequency });
+            return;
+        }
+        const fromType = describeFieldType(previous);
+        const toType = describeFieldType(field);
+        if (fromType && toType && fromType !== toType) {
+            diff.typeChanges.push({ path: fieldPath, from: fromType, to: toType });
+        }
+        if (previous.frequency !== undefined && field.frequency !== undefined &&
+            (previous.frequency === 100) !== (field.frequency === 100)) {
+            diff.optionalityChanges.push({ path: fieldPath, from: previous.frequency, to: field.frequency });
+        }
+    });
+    Object.keys(oldFields).sort().forEach(fieldPath => {
+        if (!newFields[fieldPath]) diff.removed.push({ path: fieldPath, type: describeFieldType(oldFields[fieldPath]) });
+    });
+
+    const oldVariants = older.variants || {};
+    const newVariants = newer.variants || {};
+    Object.keys(newVariants).sort().forEach(listPath => {
+        Object.keys(newVariants[listPath]).forEach(type => {
+            if (!oldVariants[listPath] || !oldVariants[listPath][type]) {
+                diff.addedVariants.push({ path: listPath, type: type, fields: Object.keys(newVariants[listPath][type].fields) });
+            }
+        });
+    });
+    Object.keys(oldVariants).sort().forEach(listPath => {
+        Object.keys(oldVariants[listPath]).forEach(type => {
+            if (!newVariants[listPath] || !newVariants[listPath][type]) {
+                diff.removedVariants.push({ path: listPath, type: type });
+            }
+        });
+    });
+
+    return diff;
+}
+
+/**
+ * Decides whether a diff shows a change in structure worth a new schema version
+ * Optionality changes alone don't count; they depend too much on which conversations are in an export.
+ *
+ * @param {Object} diff - Result of diffSchemas()
+ * @returns {boolean} - true if fields, types or block variants changed
+ */
+function hasStructuralChanges(diff) {
+    return diff.added.length > 0 || diff.removed.length > 0 || diff.typeChanges.length > 0 ||
+        diff.addedVariants.length > 0 || diff.removedVariants.length > 0;
+}
+
+/**
+ * Formats a diff as readable lines
+ *
+ * @param {Object} diff - Result of diffSchemas()
+ * @returns {Array} - Lines without trailing newlines; empty if nothing changed
+ */
+function formatSchemaDiff(diff) {
+    const lines = [];
+    const section = (title, items, format) => {
+        if (items.length === 0) return;
+        lines.push(`${title}:`);
+        items.forEach(item => lines.push(`   ${format(item)}`));
+    };
+    const typeNote = type => type ? ` (${type})` : '';
+
+    section('New fields', diff.added, item => `+ ${item.path}${typeNote(item.type)}` +
+        (item.frequency !== undefined && item.frequency < 100 ? `, in ${item.frequency}%` : ''));
+    section('Fields no longer present', diff.removed, item => `- ${item.path}${typeNote(item.type)}`);
+    section('Type changes', diff.typeChanges, item => `~ ${item.path}: ${item.from} -> ${item.to}`);
+    section('New block types', diff.addedVariants, item => `+ ${item.path}: "${item.type}" (fields: ${item.fields.join(', ')})`);
+    section('Block types no longer present', diff.removedVariants, item => `- ${item.path}: "${item.type}"`);
+    section('Optional/required changes', diff.optionalityChanges, item =>
+        `~ ${item.path}: in ${item.from}% -> ${item.to}% (${item.to === 100 ? 'now always present' : 'now optional'})`);
+
+    if (lines.length > 0 && diff.legacy) {
+        lines.push('Note: the earlier schema was saved by an older version that only looked at the first item');
+        lines.push('of each list and recorded no types, so some "new" fields may have been there all along.');
+    }
+    return lines;
+}
+
+// ===== COMMAND FUNCTIONS =====
+
+/**
+ * Builds the help text of the schema command
+ *
+ * @returns {string} - Usage, actions and options
+ */
+function formatSchemaHelp() {
+    return [
+        'List the schema history written by the converter, or compare two versions',
+        '',
+        'Usage: node convert_conversations.js schema [options] [action]',
+        '',
+        'Actions:',
+        '  list                         Every saved version with its date and size (default)',
+        '  show <version>               The fields of one version with their types and frequencies',
+        '  diff [<old> [<new>]]         Differences between two versions (default: the last two)',
+        '',
+        'Versions are numbers from the list or paths to snapshot files.',
+        '',
+        'Options:',
+        ...formatOptionLines(SCHEMA_OPTION_DEFINITIONS),
+        '',
+        'Examples:',
+        '  node convert_conversations.js schema',
+        '  node convert_conversations.js schema diff 1 3',
+        '  node convert_conversations.js schema show 2 --json'
+    ].join('\n');
+}
+
+/**
+ * Finds a snapshot given on the command line by version number or file path
+ *
+ * @param {string} reference - Version number or file path
+ * @param {Array} history - Result of listSchemaHistory()
+ * @returns {Object} - { label, snapshot }
+ */
+function resolveSnapshot(reference, history) {
+    if (/^\d+$/.test(reference)) {
+        const entry = history.find(candidate => candidate.version === Number(reference));
+        if (!entry) throw new UsageError(`There is no schema version ${reference} (versions: ${history.map(item => item.version).join(', ') || 'none'})`);
+        return { label: `version ${entry.version}`, snapshot: readSchemaSnapshot(entry.file) };
+    }
+    if (!fs.existsSync(reference)) throw new UsageError(`Snapshot not found: ${reference}`);
+    const snapshot = JSON.parse(fs.readFileSync(reference, 'utf8'));
+    return { label: reference, snapshot: snapshot.fields ? snapshot : convertLegacySchema(snapshot) };
+}
+
+/**
+ * Runs the schema command
+ *
+ * @param {Array} argv - Arguments after the command name
+ * @returns {Promise<number>} - Exit code
+ */
+async function runCommand(argv) {
+    const { options, positionals } = parseArguments(argv, SCHEMA_OPTION_DEFINITIONS);
+    if (options.help) {
+        console.log(formatSchemaHelp());
+        return EXIT_CODES.SUCCESS;
+    }
+
+    const action = positionals[0] || 'list';
+    const args = positionals.slice(1);
+    const historyDir = options.history || DEFAULT_SCHEMA_HISTORY_DIR;
+    const history = listSchemaHistory(historyDir);
+
+    if (action === 'list') {
+        if (args.length > 0) throw new UsageError('"list" takes no arguments');
+        const entries = history.map(entry => {
+            const snapshot = readSchemaSnapshot(entry.file);
+            return { version: entry.version, created: snapshot.created, conversations: snapshot.conversations,
+                fields: Object.keys(snapshot.fields || {}).length, file: entry.file };
+        });
+        if (options.json) {
+            console.log(JSON.stringify(entries, null, 2));
+        } else if (entries.length === 0) {
+            console.log(`No schema history in ${historyDir} yet; it is written when conversations are converted.`);
+        } else {
+            entries.forEach(entry => {
+                console.log(`  v${entry.version}  ${entry.created}  ${entry.fields} fields, ${entry.conversations} conversations  ${entry.file}`);
+            });
+        }
+        return EXIT_CODES.SUCCESS;
+    }
+
+    if (action === 'show') {
+        if (args.length !== 1) throw new UsageError('"show" needs one version, e.g. "schema show 2"');
+        const { snapshot } = resolveSnapshot(args[0], history);
+        if (options.json) {
+            console.log(JSON.stringify(snapshot, null, 2));
+            return EXIT_CODES.SUCCESS;
+        }
+        Object.keys(snapshot.fields).forEach(fieldPath => {
+            const field = snapshot.fields[fieldPath];
+            const type = describeFieldType(field);
+            console.log(`  ${fieldPath}${type ? `  ${type}` : ''}${field.frequency !== undefined ? `  ${field.frequency}%` : ''}`);
+        });
+        Object.keys(snapshot.variants || {}).forEach(listPath => {
+            console.log(`\n  Block types in ${listPath}:`);
+            Object.keys(snapshot.variants[listPath]).forEach(type => {
+                const variant = snapshot.variants[listPath][type];
+                console.log(`    ${type} (${variant.count}): ${Object.keys(variant.fields).join(', ')}`);
+            });
+        });
+        return EXIT_CODES.SUCCESS;
+    }
+
+    if (action === 'diff') {
+        if (args.length > 2) throw new UsageError('"diff" takes at most two versions');
+        let older;
+        let newer;
+        if (args.length === 2) {
+            older = resolveSnapshot(args[0], history);
+            newer = resolveSnapshot(args[1], history);
+        } else if (args.length === 1) {
+            older = resolveSnapshot(args[0], history);
+            if (history.length === 0) throw new UsageError(`No schema history in ${historyDir} to compare with`);
+            newer = resolveSnapshot(String(history[history.length - 1].version), history);
+        } else {
+            if (history.length < 2) throw new UsageError(`The schema history in ${historyDir} has fewer than two versions`);
+            older = resolveSnapshot(String(history[history.length - 2].version), history);
+            newer = resolveSnapshot(String(history[history.length - 1].version), history);
+        }
+
+        const diff = diffSchemas(older.snapshot, newer.snapshot);
+        if (options.json) {
+            console.log(JSON.stringify(Object.assign({ from: older.label, to: newer.label }, diff), null, 2));
+            return EXIT_CODES.SUCCESS;
+        }
+        console.log(`Schema changes from ${older.label} to ${newer.label}:`);
+        const lines = formatSchemaDiff(diff);
+        (lines.length > 0 ? lines : ['No differences']).forEach(line => console.log(line));
+        return EXIT_CODES.SUCCESS;
+    }
+
+    throw new UsageError(`Unknown action "${action}" (use list, show or diff)`);
+}
+
+module.exports = {
+    LEGACY_SCHEMA_FILE,
+    createSchemaCollector,
+    describeFieldType,
+    listSchemaHistory,
+    readSchemaSnapshot,
+    loadLatestSchema,
+    saveSchemaSnapshot,
+    diffSchemas,
+    hasStructuralChanges,
+    formatSchemaDiff,
+    runCommand
+};
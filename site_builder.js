@@ -0,0 +1,585 @@
+/**
+ * Claude Archive Site Builder
+ *
+ * DESCRIPTION: Builds a browsable static website from a converted archive: an index page listing every
+ *              conversation (sortable by date, title and message count, filterable by attachments and
+ *              artifacts), one page per conversation, and a prebuilt search index so full-text search
+ *              works in the browser straight from disk, with no server.
+ * AUTHOR: EJ Makela
+ * ORIGINAL CREATION DATE: 2026-10-19
+ *
+ * Usage: node convert_conversations.js site [archive directory] [-o site directory]
+ *
+ * The archive is read through its archive_index.json, which the converter keeps up to date in every
+ * output directory; the site is written to a separate directory and never modifies the archive.
+ */
+
+// Import required Node.js modules
+const fs = require('fs');           // File system operations (reading the archive, writing the site)
+const path = require('path');       // Path manipulation utilities for cross-platform file paths
+const { EXIT_CODES, UsageError, parseArguments, formatOptionLines, createLogger } = require('./command_line');
+const { ARCHIVE_INDEX_FILE, loadArchiveIndex } = require('./archive_index');
+const { HTML_THEMES, escapeHtml, markdownToHtml, renderHtmlPage } = require('./html_renderer');
+const { tokenize, buildInvertedIndex } = require('./text_search');
+
+// ===== CONFIGURATION SECTION =====
+
+const DEFAULT_ARCHIVE_DIR = 'claude_conversations_markdown';   // The converter's --sync directory
+const DEFAULT_SITE_TITLE = 'Claude Conversation Archive';
+const SITE_INDEX_PAGE = 'index.html';
+// Loaded with a <script> tag rather than fetched, since browsers block fetching local files
+const SEARCH_INDEX_FILE = 'search_index.js';
+const PREVIEW_LENGTH = 160;   // Characters of the first message shown under each title
+
+// Command-line options of the site command
+const SITE_OPTION_DEFINITIONS = [
+    { name: 'output', flags: ['-o', '--output'], value: 'dir', description: 'Directory to write the site to (default: <archive directory>_site)' },
+    { name: 'title', flags: ['--title'], value: 'text', description: `Title of the index page (default: "${DEFAULT_SITE_TITLE}")` },
+    { name: 'htmlTheme', flags: ['--html-theme'], value: 'theme', description: 'Colour theme: "auto" follows the system setting (default), "light" or "dark"' },
+    { name: 'quiet', flags: ['-q', '--quiet'], description: 'Only print warnings and errors' },
+    { name: 'help', flags: ['-h', '--help'], description: 'Show this help and exit' }
+];
+
+// ===== UTILITY FUNCTIONS =====
+
+const logger = createLogger();   // --quiet hides progress messages but never warnings or errors
+const log = logger.log;
+
+/**
+ * Copies a directory and everything in it
+ * (fs.cpSync would do this, but only exists from Node 16.7)
+ *
+ * @param {string} source - Directory to copy
+ * @param {string} target - Where to put the copy
+ */
+function copyDirectory(source, target) {
+    fs.mkdirSync(target, { recursive: true });
+    fs.readdirSync(source, { withFileTypes: true }).forEach(item => {
+        const sourcePath = path.join(source, item.name);
+        const targetPath = path.join(target, item.name);
+        if (item.isDirectory()) copyDirectory(sourcePath, targetPath);
+        else fs.copyFileSync(sourcePath, targetPath);
+    });
+}
+
+/**
+ * Shortens text to a preview, cutting at a word boundary where possible
+ *
+ * @param {string} text - Plain text
+ * @param {number} maxLength - Longest preview in characters
+ * @returns {string} - Preview, ending in "…" if shortened
+ */
+function makePreview(text, maxLength) {
+    const collapsed = text.replace(/\s+/g, ' ').trim();
+    if (collapsed.length <= maxLength) return collapsed;
+
+    const cut = collapsed.slice(0, maxLength);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+// ===== ARCHIVE READING FUNCTIONS =====
+
+/**
+ * Takes the transcript out of a converted Markdown file
+ * The header (plain lines or YAML front matter) and the closing disclaimer are left out,
+ * since the site shows that information itself.
+ *
+ * @param {string} markdown - Content of a converted .md file
+ * @returns {string} - Messages, final artifact versions and branches
+ */
+function extractTranscript(markdown) {
+    let text = markdown.replace(/\r\n?/g, '\n');
+
+    // Both kinds of header end with a "---" line
+    if (text.startsWith('---\n') || text.startsWith('Title: ')) {
+        const headerEnd = text.indexOf('\n---\n', text.startsWith('---\n') ? 4 : 0);
+        if (headerEnd !== -1) text = text.slice(headerEnd + 5);
+    }
+
+    const footerStart = text.lastIndexOf('---\n\n**End of Conversation**');
+    if (footerStart !== -1) text = text.slice(0, footerStart);
+
+    return text.trim();
+}
+
+/**
+ * Reduces converted Markdown to plain text for searching and previews
+ * Timestamps, sender headings, link targets and code fence markers are left out.
+ *
+ * @param {string} markdown - Transcript Markdown
+ * @returns {string} - Plain text
+ */
+function markdownToPlainText(markdown) {
+    return markdown
+        .replace(/^\[\^[^\]]+\]:.*$/gm, '')
+        .replace(/\[\^[^\]]+\]/g, '')
+        .replace(/^#\s+(👤 Human|🤖 Assistant)\s*$/gm, '')
+        .replace(/^\s*(`{3,}|~{3,}).*$/gm, '')
+        .replace(/<\/?(details|summary)>/g, '')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/[*_~`>#|]+/g, ' ');
+}
+
+/**
+ * Reduces an HTML page written by the converter to plain text for searching
+ *
+ * @param {string} html - HTML page
+ * @returns {string} - Text content of the page body
+ */
+function htmlToPlainText(html) {
+    return html
+        .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Points links between archive files at the site's pages instead (branch files, mainly)
+ *
+ * @param {string} markdown - Transcript Markdown
+ * @param {Map} pageNames - Archive filename => site page filename
+ * @returns {string} - Markdown with rewritten links
+ */
+function rewriteArchiveLinks(markdown, pageNames) {
+    return markdown.replace(/\]\(\.\/([^)\s]+\.md)\)/g, (match, filename) =>
+        pageNames.has(filename) ? `](./${pageNames.get(filename)})` : match);
+}
+
+// ===== PAGE RENDERING FUNCTIONS =====
+
+// Extra styles for the site's pages (the rest comes from html_renderer.js)
+const SITE_STYLES = `
+.site-nav { margin-bottom: 1.5rem; font-size: 0.9rem; }
+.transcript h2 { border-bottom: 1px solid var(--border); padding-bottom: 0.25rem; }
+`;
+const INDEX_STYLES = `
+body { max-width: 72rem; }
+.site-summary { color: var(--muted); margin-top: 0; }
+.controls { display: flex; flex-wrap: wrap; gap: 0.75rem 1.25rem; align-items: center; margin: 1.5rem 0 1rem; }
+#search { flex: 1 1 18rem; padding: 0.5rem 0.75rem; font: inherit; color: var(--fg); background: var(--bg); border: 1px solid var(--border); border-radius: 6px; }
+#result-count { color: var(--muted); font-size: 0.9rem; }
+#conversations { width: 100%; }
+#conversations td { vertical-align: top; }
+#conversations th button { border: 0; background: none; color: inherit; font: inherit; font-weight: 600; cursor: pointer; padding: 0; }
+#conversations th[aria-sort="ascending"] button::after { content: " ▲"; }
+#conversations th[aria-sort="descending"] button::after { content: " ▼"; }
+#conversations .number { text-align: right; }
+#conversations .date { white-space: nowrap; }
+.preview { color: var(--muted); font-size: 0.85rem; }
+`;
+
+// Sorting, filtering and search on the index page; tokenize() from text_search.js is added in
+// front of it, so queries are split into terms exactly as the index was
+const INDEX_SCRIPT = `
+(function () {
+    const searchIndex = window.ARCHIVE_SEARCH_INDEX || null;
+    const table = document.getElementById('conversations');
+    const tbody = table.tBodies[0];
+    const rows = Array.from(tbody.rows);
+    const searchBox = document.getElementById('search');
+    const attachmentFilter = document.getElementById('has-attachments');
+    const artifactFilter = document.getElementById('has-artifacts');
+    const resultCount = document.getElementById('result-count');
+    const sortHeaders = Array.from(table.querySelectorAll('th[data-sort]'));
+    const termList = searchIndex ? Object.keys(searchIndex.terms) : [];
+    const documentCount = searchIndex ? searchIndex.lengths.length : 0;
+    const averageLength = documentCount > 0 ? searchIndex.lengths.reduce((sum, length) => sum + length, 0) / documentCount : 1;
+    let sortKey = 'created';
+    let descending = true;
+    let sortChosen = false;
+
+    // BM25 scores of the conversations containing every query word; the last word may be unfinished
+    function search(query) {
+        const words = Array.from(new Set(tokenize(query)));
+        if (!searchIndex || words.length === 0) return null;
+
+        let scores = null;
+        words.forEach((word, position) => {
+            const matchingTerms = position === words.length - 1
+                ? termList.filter(term => term.startsWith(word)).slice(0, 200)
+                : (Object.prototype.hasOwnProperty.call(searchIndex.terms, word) ? [word] : []);
+            const wordScores = new Map();
+
+            matchingTerms.forEach(term => {
+                const postings = searchIndex.terms[term];
+                const containing = postings.length / 2;
+                const idf = Math.log(1 + (documentCount - containing + 0.5) / (containing + 0.5));
+                for (let i = 0; i < postings.length; i += 2) {
+                    const doc = postings[i];
+                    const count = postings[i + 1];
+                    const weight = count * 2.2 / (count + 1.2 * (0.25 + 0.75 * searchIndex.lengths[doc] / averageLength));
+                    wordScores.set(doc, Math.max(wordScores.get(doc) || 0, idf * weight));
+                }
+            });
+
+            if (scores === null) {
+                scores = wordScores;
+            } else {
+                const combined = new Map();
+                scores.forEach((score, doc) => {
+                    if (wordScores.has(doc)) combined.set(doc, score + wordScores.get(doc));
+                });
+                scores = combined;
+            }
+        });
+        return scores;
+    }
+
+    function compareRows(a, b, scores) {
+        if (sortKey === 'relevance' && scores) {
+            return scores.get(Number(b.dataset.doc)) - scores.get(Number(a.dataset.doc));
+        }
+        let order;
+        if (sortKey === 'messages') order = Number(a.dataset.messages) - Number(b.dataset.messages);
+        else if (sortKey === 'title') order = a.dataset.title.localeCompare(b.dataset.title, undefined, { sensitivity: 'base' });
+        else order = a.dataset[sortKey] < b.dataset[sortKey] ? -1 : (a.dataset[sortKey] > b.dataset[sortKey] ? 1 : 0);
+        return descending ? -order : order;
+    }
+
+    function update() {
+        const scores = search(searchBox.value);
+        if (!sortChosen) {
+            sortKey = scores ? 'relevance' : 'created';
+            descending = true;
+        }
+
+        const visible = rows.filter(row => {
+            if (attachmentFilter.checked && row.dataset.attachments === '0') return false;
+            if (artifactFilter.checked && row.dataset.artifacts === '0') return false;
+            return !scores || scores.has(Number(row.dataset.doc));
+        });
+        visible.sort((a, b) => compareRows(a, b, scores));
+
+        rows.forEach(row => { row.hidden = true; });
+        visible.forEach(row => {
+            row.hidden = false;
+            tbody.appendChild(row);
+        });
+
+        sortHeaders.forEach(header => {
+            if (header.dataset.sort === sortKey) header.setAttribute('aria-sort', descending ? 'descending' : 'ascending');
+            else header.removeAttribute('aria-sort');
+        });
+        resultCount.textContent = visible.length + ' of ' + rows.length + ' conversations';
+    }
+
+    sortHeaders.forEach(header => {
+        header.querySelector('button').addEventListener('click', () => {
+            const key = header.dataset.sort;
+            if (sortKey === key) {
+                descending = !descending;
+            } else {
+                sortKey = key;
+                descending = key !== 'title';
+            }
+            sortChosen = true;
+            update();
+        });
+    });
+    searchBox.addEventListener('input', () => {
+        if (searchBox.value.trim() === '') sortChosen = false;
+        update();
+    });
+    attachmentFilter.addEventListener('change', update);
+    artifactFilter.addEventListener('change', update);
+
+    if (!searchIndex) {
+        searchBox.disabled = true;
+        searchBox.placeholder = 'Search index not found (${SEARCH_INDEX_FILE})';
+    }
+    update();
+})();
+`;
+
+/**
+ * Formats an ISO timestamp as its date, for the index and page headers
+ *
+ * @param {string|null} isoDate - ISO timestamp from the archive index
+ * @returns {string} - YYYY-MM-DD (UTC), or "unknown"
+ */
+function formatSiteDate(isoDate) {
+    return isoDate ? isoDate.slice(0, 10) : 'unknown';
+}
+
+/**
+ * Renders the page for one converted Markdown file
+ *
+ * @param {Object} entry - Archive index entry of the conversation
+ * @param {string} transcript - Transcript Markdown from extractTranscript()
+ * @param {string|null} branchNumber - Branch number for a separate branch file, or null for the main file
+ * @param {Object} options - { theme }
+ * @returns {string} - HTML page
+ */
+function renderConversationPage(entry, transcript, branchNumber, options) {
+    const title = entry.title || 'Untitled conversation';
+    const metadata = [
+        ['Created', formatSiteDate(entry.created_at)],
+        ['Last updated', formatSiteDate(entry.updated_at)],
+        ['Messages', String(entry.message_count)],
+        ['Attachments', String(entry.attachment_count)],
+        ['Artifacts', String(entry.artifact_count)]
+    ];
+    if (entry.branch_count > 1) {
+        metadata.push(['Branches', branchNumber ? `${entry.branch_count} (this is branch ${branchNumber})` : String(entry.branch_count)]);
+    }
+
+    const parts = [];
+    parts.push(`<nav class="site-nav"><a href="${SITE_INDEX_PAGE}">← All conversations</a></nav>`);
+    parts.push('<header class="conversation-header">');
+    parts.push('<p class="archive-label">Archived AI conversation</p>');
+    parts.push(`<h1>${escapeHtml(title)}${branchNumber ? ` <small>(branch ${escapeHtml(branchNumber)})</small>` : ''}</h1>`);
+    parts.push('<dl class="metadata">');
+    metadata.forEach(([label, value]) => parts.push(`<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`));
+    if (entry.uuid) {
+        const url = `https://claude.ai/chat/${encodeURIComponent(entry.uuid)}`;
+        parts.push(`<dt>Conversation URL</dt><dd><a href="${escapeHtml(url)}">${escapeHtml(url)}</a></dd>`);
+    }
+    parts.push('</dl>');
+    parts.push('</header>');
+    parts.push(`<main class="transcript">\n${markdownToHtml(transcript, { headingOffset: 1 })}\n</main>`);
+
+    return renderHtmlPage(title, parts, { theme: options.theme, styles: SITE_STYLES });
+}
+
+/**
+ * Renders the index page listing every conversation
+ *
+ * @param {Array} documents - { entry, page, preview } in default (newest first) order
+ * @param {Object} options - { title, theme }
+ * @returns {string} - HTML page
+ */
+function renderIndexPage(documents, options) {
+    const parts = [];
+    parts.push('<header>');
+    parts.push(`<h1>${escapeHtml(options.title)}</h1>`);
+    parts.push(`<p class="site-summary">${documents.length} conversations · built ${escapeHtml(new Date().toISOString().slice(0, 10))}</p>`);
+    parts.push('</header>');
+
+    parts.push('<div class="controls">');
+    parts.push('<input type="search" id="search" placeholder="Search all conversations…" aria-label="Search all conversations">');
+    parts.push('<label><input type="checkbox" id="has-attachments"> With attachments</label>');
+    parts.push('<label><input type="checkbox" id="has-artifacts"> With artifacts</label>');
+    parts.push('<span id="result-count" aria-live="polite"></span>');
+    parts.push('</div>');
+    parts.push('<noscript><p>Sorting, filtering and search need JavaScript; the list below is newest first.</p></noscript>');
+
+    parts.push('<div class="table-wrapper"><table id="conversations">');
+    parts.push('<thead><tr>' +
+        '<th data-sort="title"><button type="button">Title</button></th>' +
+        '<th data-sort="created"><button type="button">Created</button></th>' +
+        '<th data-sort="updated"><button type="button">Updated</button></th>' +
+        '<th data-sort="messages" class="number"><button type="button">Messages</button></th>' +
+        '<th class="number" title="Attachments">📎</th>' +
+        '<th class="number" title="Artifacts">📦</th>' +
+        '</tr></thead>');
+    parts.push('<tbody>');
+    documents.forEach((document, documentIndex) => {
+        const entry = document.entry;
+        const title = entry.title || 'Untitled conversation';
+        parts.push(`<tr data-doc="${documentIndex}" data-title="${escapeHtml(title)}" ` +
+            `data-created="${escapeHtml(entry.created_at || '')}" data-updated="${escapeHtml(entry.updated_at || '')}" ` +
+            `data-messages="${entry.message_count}" data-attachments="${entry.attachment_count}" data-artifacts="${entry.artifact_count}">` +
+            `<td><a href="./${escapeHtml(encodeURI(document.page))}">${escapeHtml(title)}</a>` +
+            (document.preview ? `<div class="preview">${escapeHtml(document.preview)}</div>` : '') + '</td>' +
+            `<td class="date">${formatSiteDate(entry.created_at)}</td>` +
+            `<td class="date">${formatSiteDate(entry.updated_at)}</td>` +
+            `<td class="number">${entry.message_count}</td>` +
+            `<td class="number">${entry.attachment_count || ''}</td>` +
+            `<td class="number">${entry.artifact_count || ''}</td></tr>`);
+    });
+    parts.push('</tbody>');
+    parts.push('</table></div>');
+
+    parts.push(`<script src="./${SEARCH_INDEX_FILE}"></script>`);
+    parts.push(`<script>\n${tokenize.toString()}\n${INDEX_SCRIPT}</script>`);
+
+    return renderHtmlPage(options.title, parts, { theme: options.theme, styles: INDEX_STYLES });
+}
+
+// ===== SITE BUILDING =====
+
+/**
+ * Builds the static site for a converted archive
+ *
+ * @param {string} archiveDir - Directory written by the converter (contains archive_index.json)
+ * @param {string} siteDir - Directory to write the site to (created if needed)
+ * @param {Object} options - { title, theme }
+ * @returns {Object} - { conversationCount, pageCount, missingFiles: Array of filenames not found }
+ */
+function buildSite(archiveDir, siteDir, options) {
+    if (!fs.existsSync(path.join(archiveDir, ARCHIVE_INDEX_FILE))) {
+        throw new Error(`No ${ARCHIVE_INDEX_FILE} in "${archiveDir}". Convert your export into this directory again ` +
+            '(with --sync to keep it up to date) to create it.');
+    }
+    const archiveIndex = loadArchiveIndex(archiveDir);
+
+    // Newest conversations first, the same order the index page starts with
+    const entries = Object.keys(archiveIndex.conversations)
+        .map(key => archiveIndex.conversations[key])
+        .sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+
+    fs.mkdirSync(siteDir, { recursive: true });
+
+    const documents = [];
+    const texts = [];
+    const missingFiles = [];
+    let pageCount = 0;
+
+    entries.forEach(entry => {
+        const archiveFiles = [entry.filename].concat(entry.extra_files || []);
+        if (!fs.existsSync(path.join(archiveDir, entry.filename))) {
+            missingFiles.push(entry.filename);
+            return;
+        }
+
+        // Markdown files become site pages; HTML files written by the converter are copied as they are,
+        // unless a Markdown version of the same file is there to build the page from
+        const pageNames = new Map();
+        archiveFiles.forEach(filename => {
+            const parsed = path.parse(filename);
+            if (parsed.ext === '.md') pageNames.set(filename, `${parsed.name}.html`);
+        });
+
+        const textParts = [entry.title || ''];
+        archiveFiles.forEach(filename => {
+            const archivePath = path.join(archiveDir, filename);
+            if (!fs.existsSync(archivePath)) {
+                missingFiles.push(filename);
+                return;
+            }
+            const parsed = path.parse(filename);
+            const content = fs.readFileSync(archivePath, 'utf8');
+
+            if (parsed.ext === '.md') {
+                const transcript = rewriteArchiveLinks(extractTranscript(content), pageNames);
+                const branchMatch = /_branch(\d+)$/.exec(parsed.name);
+                const branchNumber = filename !== entry.filename && branchMatch ? branchMatch[1] : null;
+                fs.writeFileSync(path.join(siteDir, pageNames.get(filename)),
+                    renderConversationPage(entry, transcript, branchNumber, options), 'utf8');
+                textParts.push(markdownToPlainText(transcript));
+                pageCount++;
+            } else if (!archiveFiles.includes(`${parsed.name}.md`)) {
+                fs.writeFileSync(path.join(siteDir, filename), content, 'utf8');
+                textParts.push(htmlToPlainText(content));
+                pageCount++;
+            }
+        });
+
+        // Attachments and artifact files keep their relative paths, so the pages' links work
+        [entry.attachment_dir].concat(entry.artifact_dirs || []).filter(Boolean).forEach(folder => {
+            const source = path.join(archiveDir, folder);
+            if (fs.existsSync(source)) copyDirectory(source, path.join(siteDir, folder));
+        });
+
+        const mainPage = pageNames.get(entry.filename) || entry.filename;
+        const bodyText = textParts.slice(1).join('\n');
+        documents.push({ entry: entry, page: mainPage, preview: makePreview(bodyText, PREVIEW_LENGTH) });
+        texts.push(textParts.join('\n'));
+    });
+
+    const searchIndex = buildInvertedIndex(texts);
+    fs.writeFileSync(path.join(siteDir, SEARCH_INDEX_FILE),
+        `window.ARCHIVE_SEARCH_INDEX = ${JSON.stringify(searchIndex)};\n`, 'utf8');
+    fs.writeFileSync(path.join(siteDir, SITE_INDEX_PAGE), renderIndexPage(documents, options), 'utf8');
+
+    return { conversationCount: documents.length, pageCount: pageCount, missingFiles: missingFiles };
+}
+
+// ===== COMMAND-LINE FUNCTIONS =====
+
+/**
+ * Turns the site command's arguments into options
+ *
+ * @param {Array} argv - Arguments after "site"
+ * @returns {Object} - { help, archiveDir, siteDir, title, theme, quiet }
+ */
+function resolveSiteOptions(argv) {
+    const { options, positionals } = parseArguments(argv, SITE_OPTION_DEFINITIONS);
+
+    if (positionals.length > 1) {
+        throw new UsageError(`Expected at most one archive directory, got ${positionals.length}: ${positionals.join(' ')}`);
+    }
+
+    const archiveDir = positionals[0] || DEFAULT_ARCHIVE_DIR;
+    const siteDir = options.output || `${archiveDir.replace(/[\\/]+$/, '')}_site`;
+    if (path.resolve(siteDir) === path.resolve(archiveDir)) {
+        throw new UsageError('The site must be written to its own directory, not into the archive');
+    }
+
+    const theme = options.htmlTheme || 'auto';
+    if (!HTML_THEMES.includes(theme)) {
+        throw new UsageError(`--html-theme must be "auto", "light" or "dark", got "${theme}"`);
+    }
+
+    return {
+        help: !!options.help,
+        archiveDir: archiveDir,
+        siteDir: siteDir,
+        title: options.title || DEFAULT_SITE_TITLE,
+        theme: theme,
+        quiet: !!options.quiet
+    };
+}
+
+/**
+ * Builds the help text shown by "site --help"
+ *
+ * @returns {string} - Usage and options
+ */
+function formatSiteHelp() {
+    return [
+        'Build a browsable static site from a converted archive',
+        '',
+        'Usage: node convert_conversations.js site [options] [archive directory]',
+        '',
+        `The archive directory is one written by the converter (default: ${DEFAULT_ARCHIVE_DIR}).`,
+        `Open ${SITE_INDEX_PAGE} in the site directory in any browser; no server is needed.`,
+        '',
+        'Options:',
+        ...formatOptionLines(SITE_OPTION_DEFINITIONS),
+        '',
+        'Examples:',
+        '  node convert_conversations.js site',
+        '  node convert_conversations.js site ~/archive/claude -o ~/archive/claude-site --html-theme dark'
+    ].join('\n');
+}
+
+/**
+ * Runs the site command
+ *
+ * @param {Array} argv - Arguments after "site"
+ * @returns {Promise<number>} - Exit code (see EXIT_CODES)
+ */
+async function runCommand(argv) {
+    const options = resolveSiteOptions(argv);
+    if (options.help) {
+        console.log(formatSiteHelp());
+        return EXIT_CODES.SUCCESS;
+    }
+    logger.setQuiet(options.quiet);
+
+    try {
+        log(`Building site from ${options.archiveDir}...`);
+        const result = buildSite(options.archiveDir, options.siteDir, options);
+
+        result.missingFiles.forEach(filename => {
+            console.warn(`Warning: ${filename} is listed in ${ARCHIVE_INDEX_FILE} but missing from the archive`);
+        });
+        log(`\nSite Summary:`);
+        log(`   Conversations: ${result.conversationCount}`);
+        log(`   Pages: ${result.pageCount}`);
+        log(`   Open: ${path.join(options.siteDir, SITE_INDEX_PAGE)}`);
+
+        return result.missingFiles.length > 0 ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.SUCCESS;
+    } catch (error) {
+        console.error('Fatal error:', error.message);
+        return EXIT_CODES.ERROR;
+    }
+}
+
+module.exports = {
+    buildSite,
+    runCommand
+};
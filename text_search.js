@@ -0,0 +1,125 @@
+/**
+ * Full-Text Search Helpers
+ *
+ * DESCRIPTION: Tokenizing, inverted indexes and BM25 ranking shared by the search command and the site
+ *              command's offline search. An index maps each term to the documents containing it (with
+ *              counts) and records each document's length, which is all BM25 needs to rank results.
+ * AUTHOR: EJ Makela
+ * ORIGINAL CREATION DATE: 2026-10-19
+ */
+
+// BM25 tuning: how quickly repeated terms stop adding to a score, and how much document length counts
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Splits text into search terms
+ * Text is lower-cased and accents are removed from Latin letters, so "Päivää" matches "paivaa".
+ * Scripts written without spaces between words (Chinese, Japanese, Thai) are indexed as
+ * overlapping pairs of characters.
+ *
+ * The site command also copies this function into its index page to tokenize queries the same
+ * way in the browser, so it must not use anything defined outside it.
+ *
+ * @param {string} text - Text to split
+ * @returns {Array} - Terms in order of appearance (with repeats)
+ */
+function tokenize(text) {
+    const unspaced = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/u;
+    const runs = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]+|[^\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]+/gu;
+    const normalized = String(text).toLowerCase().normalize('NFD').replace(/([a-z])\p{M}+/gu, '$1').normalize('NFC');
+    const terms = [];
+
+    (normalized.match(/[\p{L}\p{N}]+/gu) || []).forEach(word => {
+        word.match(runs).forEach(run => {
+            if (unspaced.test(run)) {
+                const characters = Array.from(run);
+                if (characters.length === 1) terms.push(run);
+                for (let i = 0; i + 1 < characters.length; i++) terms.push(characters[i] + characters[i + 1]);
+            } else if (run.length > 1) {
+                terms.push(run);
+            }
+        });
+    });
+
+    return terms;
+}
+
+/**
+ * Builds an inverted index over a list of documents
+ *
+ * @param {Array} texts - Plain text of each document, in document order
+ * @returns {Object} - { version, lengths: terms per document, terms: { term: [doc, count, doc, count, ...] } }
+ */
+function buildInvertedIndex(texts) {
+    const postings = new Map();
+    const lengths = [];
+
+    texts.forEach((text, documentIndex) => {
+        const counts = new Map();
+        const terms = tokenize(text);
+        terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+        lengths.push(terms.length);
+
+        counts.forEach((count, term) => {
+            if (!postings.has(term)) postings.set(term, []);
+            postings.get(term).push(documentIndex, count);
+        });
+    });
+
+    const terms = {};
+    Array.from(postings.keys()).sort().forEach(term => {
+        terms[term] = postings.get(term);
+    });
+    return { version: 1, lengths: lengths, terms: terms };
+}
+
+/**
+ * Ranks documents against a query with BM25
+ * Only documents containing every query term are returned.
+ *
+ * @param {Object} index - Index from buildInvertedIndex()
+ * @param {Array} queryTerms - Terms from tokenize(query)
+ * @param {Function} accept - Optional filter: (documentIndex) => boolean; rejected documents are skipped
+ * @returns {Array} - { document, score } sorted by descending score
+ */
+function rankDocuments(index, queryTerms, accept = null) {
+    const terms = Array.from(new Set(queryTerms));
+    if (terms.length === 0) return [];
+
+    const documentCount = index.lengths.length;
+    const averageLength = index.lengths.reduce((sum, length) => sum + length, 0) / Math.max(documentCount, 1) || 1;
+    let scores = null;
+
+    for (const term of terms) {
+        // A term missing from the index means no document can contain every term
+        if (!Object.prototype.hasOwnProperty.call(index.terms, term)) return [];
+
+        const postings = index.terms[term];
+        const containing = postings.length / 2;
+        const idf = Math.log(1 + (documentCount - containing + 0.5) / (containing + 0.5));
+        const termScores = new Map();
+
+        for (let i = 0; i < postings.length; i += 2) {
+            const document = postings[i];
+            if (scores !== null && !scores.has(document)) continue;
+            if (accept && !accept(document)) continue;
+
+            const count = postings[i + 1];
+            const lengthFactor = 1 - BM25_B + BM25_B * index.lengths[document] / averageLength;
+            const score = idf * count * (BM25_K1 + 1) / (count + BM25_K1 * lengthFactor);
+            termScores.set(document, (scores === null ? 0 : scores.get(document)) + score);
+        }
+        scores = termScores;
+    }
+
+    return Array.from(scores.entries())
+        .map(([document, score]) => ({ document: document, score: score }))
+        .sort((a, b) => b.score - a.score || a.document - b.document);
+}
+
+module.exports = {
+    tokenize,
+    buildInvertedIndex,
+    rankDocuments
+};
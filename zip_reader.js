@@ -0,0 +1,345 @@
+/**
+ * ZIP Archive Reader
+ *
+ * DESCRIPTION: Minimal reader for ZIP archives such as the Claude data export. Lists the members of an
+ *              archive and streams individual members without extracting anything to disk.
+ * AUTHOR: EJ Makela
+ * ORIGINAL CREATION DATE: 2026-10-19
+ *
+ * Only Node.js built-in modules are used. Supports "stored" and "deflate" members and the ZIP64
+ * extensions used for archives or members larger than 4 GB. Encrypted archives are not supported.
+ */
+
+// Import required Node.js modules
+const fs = require('fs');           // File system operations (reading the archive)
+const zlib = require('zlib');       // Decompression of "deflate" members
+
+// ===== ZIP FORMAT CONSTANTS =====
+// Signatures and sizes from the ZIP file format specification (PKWARE APPNOTE.TXT)
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06064b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+
+const LOCAL_FILE_HEADER_SIZE = 30;
+const CENTRAL_DIRECTORY_HEADER_SIZE = 46;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const ZIP64_LOCATOR_SIZE = 20;
+const MAX_COMMENT_SIZE = 0xffff;     // The archive comment sits after the end record, so search this far back
+const ZIP64_EXTRA_FIELD_ID = 0x0001;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+// ===== LOW-LEVEL HELPERS =====
+
+/**
+ * Reads a byte range from an open file
+ *
+ * @param {Object} fileHandle - Handle from fs.promises.open()
+ * @param {number} position - Offset to start reading from
+ * @param {number} length - Number of bytes to read
+ * @returns {Promise<Buffer>} - The bytes read (may be shorter at end of file)
+ */
+async function readRange(fileHandle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await fileHandle.read(buffer, 0, length, position);
+    return buffer.slice(0, bytesRead);
+}
+
+/**
+ * Reads an unsigned 64-bit little-endian integer as a regular number
+ * Values above Number.MAX_SAFE_INTEGER cannot occur in any archive we could read anyway
+ *
+ * @param {Buffer} buffer - Buffer to read from
+ * @param {number} offset - Byte offset of the value
+ * @returns {number} - The value
+ */
+function readUInt64LE(buffer, offset) {
+    return buffer.readUInt32LE(offset) + buffer.readUInt32LE(offset + 4) * 0x100000000;
+}
+
+/**
+ * Converts MS-DOS date and time fields (local time) into a Date
+ *
+ * @param {number} dosDate - Date field: bits 9-15 year since 1980, 5-8 month, 0-4 day
+ * @param {number} dosTime - Time field: bits 11-15 hours, 5-10 minutes, 0-4 seconds / 2
+ * @returns {Date|null} - The timestamp, or null if the fields are empty
+ */
+function dosDateTimeToDate(dosDate, dosTime) {
+    if (dosDate === 0) return null;
+
+    const year = ((dosDate >> 9) & 0x7f) + 1980;
+    const month = ((dosDate >> 5) & 0x0f) - 1;
+    const day = dosDate & 0x1f;
+    const hours = (dosTime >> 11) & 0x1f;
+    const minutes = (dosTime >> 5) & 0x3f;
+    const seconds = (dosTime & 0x1f) * 2;
+
+    return new Date(year, month, day, hours, minutes, seconds);
+}
+
+/**
+ * Locates the end of central directory record, which tells us where the member list is
+ *
+ * @param {Object} fileHandle - Handle from fs.promises.open()
+ * @param {number} fileSize - Size of the archive in bytes
+ * @returns {Promise<Object>} - { entryCount, directorySize, directoryOffset }
+ */
+async function readEndOfCentralDirectory(fileHandle, fileSize) {
+    // The record is at the very end, followed only by an optional comment
+    const searchLength = Math.min(fileSize, END_OF_CENTRAL_DIRECTORY_SIZE + MAX_COMMENT_SIZE);
+    const searchStart = fileSize - searchLength;
+    const tail = await readRange(fileHandle, searchStart, searchLength);
+
+    let recordOffset = -1;
+    for (let i = tail.length - END_OF_CENTRAL_DIRECTORY_SIZE; i >= 0; i--) {
+        if (tail.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+            recordOffset = i;
+            break;
+        }
+    }
+
+    if (recordOffset === -1) {
+        throw new Error('Not a ZIP archive (end of central directory not found)');
+    }
+
+    let entryCount = tail.readUInt16LE(recordOffset + 10);
+    let directorySize = tail.readUInt32LE(recordOffset + 12);
+    let directoryOffset = tail.readUInt32LE(recordOffset + 16);
+
+    // ZIP64 archives mark overflowing fields with all-ones and keep the real values in a separate record
+    const isZip64 = entryCount === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff;
+    const locatorPosition = searchStart + recordOffset - ZIP64_LOCATOR_SIZE;
+    if (isZip64 && locatorPosition >= 0) {
+        const locator = await readRange(fileHandle, locatorPosition, ZIP64_LOCATOR_SIZE);
+        if (locator.readUInt32LE(0) === ZIP64_LOCATOR_SIGNATURE) {
+            const zip64RecordOffset = readUInt64LE(locator, 8);
+            const zip64Record = await readRange(fileHandle, zip64RecordOffset, 56);
+            if (zip64Record.readUInt32LE(0) !== ZIP64_END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+                throw new Error('Corrupt ZIP64 archive (end of central directory record not found)');
+            }
+            entryCount = readUInt64LE(zip64Record, 32);
+            directorySize = readUInt64LE(zip64Record, 40);
+            directoryOffset = readUInt64LE(zip64Record, 48);
+        }
+    }
+
+    return { entryCount, directorySize, directoryOffset };
+}
+
+/**
+ * Applies the ZIP64 extra field to an entry whose sizes or offset overflowed 32 bits
+ *
+ * @param {Object} entry - Entry being built (modified in place)
+ * @param {Buffer} extra - The entry's extra field data
+ */
+function applyZip64ExtraField(entry, extra) {
+    let offset = 0;
+    while (offset + 4 <= extra.length) {
+        const fieldId = extra.readUInt16LE(offset);
+        const fieldSize = extra.readUInt16LE(offset + 2);
+
+        if (fieldId === ZIP64_EXTRA_FIELD_ID) {
+            // Only the fields that overflowed are present, always in this order
+            let position = offset + 4;
+            if (entry.uncompressedSize === 0xffffffff) {
+                entry.uncompressedSize = readUInt64LE(extra, position);
+                position += 8;
+            }
+            if (entry.compressedSize === 0xffffffff) {
+                entry.compressedSize = readUInt64LE(extra, position);
+                position += 8;
+            }
+            if (entry.localHeaderOffset === 0xffffffff) {
+                entry.localHeaderOffset = readUInt64LE(extra, position);
+            }
+            return;
+        }
+
+        offset += 4 + fieldSize;
+    }
+}
+
+// ===== PUBLIC FUNCTIONS =====
+
+/**
+ * Checks whether a file looks like a ZIP archive by its first bytes
+ *
+ * @param {string} filePath - Path of the file to check
+ * @returns {boolean} - true if the file starts with a ZIP signature
+ */
+function isZipFile(filePath) {
+    let fd = null;
+    try {
+        fd = fs.openSync(filePath, 'r');
+        const signature = Buffer.alloc(4);
+        const bytesRead = fs.readSync(fd, signature, 0, 4, 0);
+        return bytesRead === 4 && signature.readUInt32LE(0) === LOCAL_FILE_HEADER_SIGNATURE;
+    } catch (error) {
+        return false;
+    } finally {
+        if (fd !== null) fs.closeSync(fd);
+    }
+}
+
+/**
+ * Lists the members of a ZIP archive from its central directory
+ *
+ * @param {string} filePath - Path of the ZIP archive
+ * @returns {Promise<Array>} - Entries: { name, isDirectory, method, compressedSize,
+ *                             uncompressedSize, localHeaderOffset, modified, encrypted }
+ */
+async function readZipEntries(filePath) {
+    const fileHandle = await fs.promises.open(filePath, 'r');
+
+    try {
+        const { size: fileSize } = await fileHandle.stat();
+        const { entryCount, directorySize, directoryOffset } = await readEndOfCentralDirectory(fileHandle, fileSize);
+        const directory = await readRange(fileHandle, directoryOffset, directorySize);
+
+        const entries = [];
+        let offset = 0;
+
+        for (let i = 0; i < entryCount; i++) {
+            if (offset + CENTRAL_DIRECTORY_HEADER_SIZE > directory.length ||
+                directory.readUInt32LE(offset) !== CENTRAL_DIRECTORY_SIGNATURE) {
+                throw new Error(`Corrupt ZIP archive (bad central directory entry ${i + 1})`);
+            }
+
+            const flags = directory.readUInt16LE(offset + 8);
+            const nameLength = directory.readUInt16LE(offset + 28);
+            const extraLength = directory.readUInt16LE(offset + 30);
+            const commentLength = directory.readUInt16LE(offset + 32);
+
+            const nameStart = offset + CENTRAL_DIRECTORY_HEADER_SIZE;
+            const nameBytes = directory.slice(nameStart, nameStart + nameLength);
+            // Bit 11 marks UTF-8 names; older tools used code page 437, which matches ASCII for normal names
+            const name = nameBytes.toString((flags & 0x0800) ? 'utf8' : 'latin1');
+
+            const entry = {
+                name: name,
+                isDirectory: name.endsWith('/'),
+                method: directory.readUInt16LE(offset + 10),
+                compressedSize: directory.readUInt32LE(offset + 20),
+                uncompressedSize: directory.readUInt32LE(offset + 24),
+                localHeaderOffset: directory.readUInt32LE(offset + 42),
+                modified: dosDateTimeToDate(directory.readUInt16LE(offset + 14), directory.readUInt16LE(offset + 12)),
+                encrypted: (flags & 0x0001) !== 0
+            };
+
+            applyZip64ExtraField(entry, directory.slice(nameStart + nameLength, nameStart + nameLength + extraLength));
+            entries.push(entry);
+
+            offset = nameStart + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    } finally {
+        await fileHandle.close();
+    }
+}
+
+/**
+ * Finds a member by its file name, wherever it sits inside the archive
+ * Exports are sometimes re-zipped with an enclosing folder, so the basename is matched
+ *
+ * @param {Array} entries - Entries from readZipEntries()
+ * @param {string} fileName - File name to look for (e.g. 'conversations.json')
+ * @returns {Object|null} - The shallowest matching entry, or null if there is none
+ */
+function findZipEntry(entries, fileName) {
+    const matches = entries.filter(entry => {
+        if (entry.isDirectory) return false;
+        const baseName = entry.name.split('/').pop();
+        // Skip macOS resource-fork copies such as __MACOSX/._conversations.json
+        return baseName === fileName && !entry.name.startsWith('__MACOSX/');
+    });
+
+    if (matches.length === 0) return null;
+
+    // Prefer the member closest to the root of the archive
+    matches.sort((a, b) => a.name.split('/').length - b.name.split('/').length);
+    return matches[0];
+}
+
+/**
+ * Opens a readable stream of a member's uncompressed contents
+ * The member is decompressed on the fly; nothing is written to disk
+ *
+ * @param {string} filePath - Path of the ZIP archive
+ * @param {Object} entry - Entry from readZipEntries()
+ * @returns {Promise<stream.Readable>} - Stream of the uncompressed bytes
+ */
+async function openZipEntryStream(filePath, entry) {
+    if (entry.encrypted) {
+        throw new Error(`Cannot read ${entry.name}: encrypted ZIP members are not supported`);
+    }
+    if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATE) {
+        throw new Error(`Cannot read ${entry.name}: unsupported compression method ${entry.method}`);
+    }
+
+    // The local header repeats the name and may carry a different extra field, so read its lengths
+    const fileHandle = await fs.promises.open(filePath, 'r');
+    let dataStart;
+    try {
+        const header = await readRange(fileHandle, entry.localHeaderOffset, LOCAL_FILE_HEADER_SIZE);
+        if (header.length < LOCAL_FILE_HEADER_SIZE || header.readUInt32LE(0) !== LOCAL_FILE_HEADER_SIGNATURE) {
+            throw new Error(`Corrupt ZIP archive (bad local header for ${entry.name})`);
+        }
+        dataStart = entry.localHeaderOffset + LOCAL_FILE_HEADER_SIZE +
+            header.readUInt16LE(26) + header.readUInt16LE(28);
+    } finally {
+        await fileHandle.close();
+    }
+
+    if (entry.compressedSize === 0) {
+        // fs.createReadStream treats end < start as "read to the end", so handle empty members here
+        const { PassThrough } = require('stream');
+        const empty = new PassThrough();
+        empty.end();
+        return empty;
+    }
+
+    const rawStream = fs.createReadStream(filePath, {
+        start: dataStart,
+        end: dataStart + entry.compressedSize - 1
+    });
+
+    if (entry.method === METHOD_STORED) {
+        return rawStream;
+    }
+
+    // Forward read errors to the decompressed stream so callers only need one error handler
+    const inflater = zlib.createInflateRaw();
+    rawStream.on('error', error => inflater.destroy(error));
+    return rawStream.pipe(inflater);
+}
+
+/**
+ * Reads a whole member into a string
+ *
+ * @param {string} filePath - Path of the ZIP archive
+ * @param {Object} entry - Entry from readZipEntries()
+ * @returns {Promise<string>} - The member's contents decoded as UTF-8
+ */
+async function readZipEntryText(filePath, entry) {
+    const stream = await openZipEntryStream(filePath, entry);
+    const chunks = [];
+
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+module.exports = {
+    isZipFile,
+    readZipEntries,
+    findZipEntry,
+    openZipEntryStream,
+    readZipEntryText
+};